@@ -0,0 +1,71 @@
+/**
+ * PostgreSQL Connection
+ * Shared connection pool for services that persist state
+ */
+
+const { Pool } = require('pg');
+
+let pool = null;
+
+const getDatabaseUrl = () => process.env.DATABASE_URL || process.env.SHARED_DATABASE_URL;
+
+const isDatabaseConfigured = () => Boolean(getDatabaseUrl());
+
+// Get (or lazily create) the shared pool
+const getPool = () => {
+  if (!pool) {
+    if (!isDatabaseConfigured()) {
+      throw new Error('DATABASE_URL is not configured');
+    }
+
+    pool = new Pool({
+      connectionString: getDatabaseUrl(),
+      max: parseInt(process.env.DB_POOL_MAX) || 10,
+      ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+
+    pool.on('error', (error) => {
+      console.error('❌ Idle database client error:', error.message);
+    });
+  }
+
+  return pool;
+};
+
+// Run a query and return its rows
+const query = async (text, params = []) => {
+  const result = await getPool().query(text, params);
+  return result.rows;
+};
+
+// Run a callback inside a transaction; rolls back if it throws
+const withTransaction = async (callback) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const closePool = async () => {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+};
+
+module.exports = {
+  isDatabaseConfigured,
+  getPool,
+  query,
+  withTransaction,
+  closePool
+};
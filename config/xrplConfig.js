@@ -3,6 +3,8 @@
  * Centralized configuration for XRPL network settings and constants
  */
 
+const fs = require('fs');
+const os = require('os');
 const { getNetworkInfo } = require('../utils/xrplHelpers');
 
 // XRPL Network Endpoints
@@ -134,9 +136,513 @@ const getXRPLConfig = () => {
   };
 };
 
+// Get issuer signing provider configuration
+const getSignerConfig = () => {
+  return {
+    provider: process.env.SIGNER_PROVIDER || 'local', // 'local', 'hsm', 'fireblocks'
+    pollIntervalMs: parseInt(process.env.SIGNER_POLL_INTERVAL_MS) || 2000,
+    approvalTimeoutMs: parseInt(process.env.SIGNER_APPROVAL_TIMEOUT_MS) || 600000, // 10 minutes
+    
+    local: {
+      seed: process.env.XRPL_ISSUER_SECRET
+    },
+    hsm: {
+      url: process.env.HSM_API_URL,
+      keyId: process.env.HSM_KEY_ID,
+      apiToken: process.env.HSM_API_TOKEN
+    },
+    fireblocks: {
+      baseUrl: process.env.FIREBLOCKS_API_BASE_URL || 'https://api.fireblocks.io',
+      apiKey: process.env.FIREBLOCKS_API_KEY,
+      privateKey: process.env.FIREBLOCKS_API_SECRET,
+      privateKeyPath: process.env.FIREBLOCKS_API_SECRET_PATH,
+      vaultAccountId: process.env.FIREBLOCKS_VAULT_ACCOUNT_ID || '0',
+      assetId: process.env.FIREBLOCKS_ASSET_ID || 'XRP_TEST'
+    }
+  };
+};
+
+// Get atomic swap configuration
+const getSwapConfig = () => {
+  return {
+    tokenLegMode: process.env.SWAP_TOKEN_LEG_MODE || 'holding', // 'holding' or 'escrow' (needs TokenEscrow amendment)
+    holdingAccountSecret: process.env.SWAP_HOLDING_ACCOUNT_SECRET,
+    keeperSecret: process.env.SWAP_KEEPER_SECRET, // Pays fees for settlement and expired-escrow cancels
+    counterLegMarginSeconds: parseInt(process.env.SWAP_COUNTER_LEG_MARGIN_SECONDS) || 3600,
+    minLockWindowSeconds: parseInt(process.env.SWAP_MIN_LOCK_WINDOW_SECONDS) || 300,
+    expiryIntervalMs: parseInt(process.env.SWAP_EXPIRY_INTERVAL_MS) || 60000,
+    expiryMaxAttempts: parseInt(process.env.SWAP_EXPIRY_MAX_ATTEMPTS) || 5
+  };
+};
+
+// Reference prices used when no oracle feeds are configured (USD per unit)
+const DEFAULT_ORACLE_FEEDS = [
+  {
+    id: 'reference',
+    type: 'manual',
+    quotes: {
+      'XRP': { price: 0.52, static: true, note: 'Reference price' },
+      'real-estate': { price: 250, static: true, note: 'Per sq ft' },
+      'commodities': { price: 2100, static: true, note: 'Per oz (gold)' },
+      'art': { price: 5000, static: true, note: 'Per piece (average)' },
+      'equipment': { price: 15000, static: true, note: 'Per unit' },
+      'inventory': { price: 50, static: true, note: 'Per unit' },
+      'intellectual-property': { price: 25000, static: true, note: 'Per patent' },
+      'securities': { price: 100, static: true, note: 'Per share' },
+      'other': { price: 1000, static: true, note: 'Per unit' }
+    }
+  }
+];
+
+// Feed definitions come from ORACLE_FEEDS (JSON) or the file at ORACLE_FEEDS_PATH
+const loadOracleFeeds = () => {
+  if (process.env.ORACLE_FEEDS) {
+    return JSON.parse(process.env.ORACLE_FEEDS);
+  }
+  if (process.env.ORACLE_FEEDS_PATH) {
+    return JSON.parse(fs.readFileSync(process.env.ORACLE_FEEDS_PATH, 'utf8'));
+  }
+  return DEFAULT_ORACLE_FEEDS;
+};
+
+// Get price oracle configuration
+const getOracleConfig = () => {
+  return {
+    feeds: loadOracleFeeds(),
+    maxAgeSeconds: parseInt(process.env.ORACLE_MAX_QUOTE_AGE_SECONDS) || 300,
+    maxDeviation: parseFloat(process.env.ORACLE_MAX_DEVIATION) || 0.05, // 5% from median
+    minSources: parseInt(process.env.ORACLE_MIN_SOURCES) || 1,
+    cacheTtlMs: parseInt(process.env.ORACLE_CACHE_TTL_MS) || 5000,
+    historyMemoryLimit: parseInt(process.env.ORACLE_HISTORY_MEMORY_LIMIT) || 10000 // Per asset, without a database
+  };
+};
+
+// Get oracle attestation signing configuration
+const getAttestationConfig = () => {
+  return {
+    seed: process.env.ORACLE_SIGNING_SEED, // Dedicated oracle key, never the issuer seed
+    keyId: process.env.ORACLE_SIGNING_KEY_ID, // Defaults to the key's XRPL address
+    ttlSeconds: parseInt(process.env.ORACLE_ATTESTATION_TTL_SECONDS) || 300,
+    // Previous keys, still published so older attestations verify: [{ keyId, publicKey, retiredAt }]
+    retiredKeys: process.env.ORACLE_RETIRED_KEYS ? JSON.parse(process.env.ORACLE_RETIRED_KEYS) : []
+  };
+};
+
+// Get on-ledger (XLS-47 OracleSet) price oracle configuration
+const getLedgerOracleConfig = () => {
+  return {
+    publish: process.env.ORACLE_LEDGER_PUBLISH === 'true',
+    accountSecret: process.env.ORACLE_LEDGER_ACCOUNT_SECRET, // Owner of the Oracle ledger object
+    documentId: parseInt(process.env.ORACLE_LEDGER_DOCUMENT_ID) || 1,
+    provider: process.env.ORACLE_LEDGER_PROVIDER || 'IME_Oracle',
+    assetClass: process.env.ORACLE_LEDGER_ASSET_CLASS || 'rwa',
+    uri: process.env.ORACLE_LEDGER_URI, // e.g. where the off-ledger attestation keys are published
+    // Token currency code -> asset type; each token is published against XRP and USD
+    assets: process.env.ORACLE_LEDGER_ASSETS ? JSON.parse(process.env.ORACLE_LEDGER_ASSETS) : { RWA: 'real-estate' },
+    checkIntervalMs: parseInt(process.env.ORACLE_LEDGER_CHECK_INTERVAL_MS) || 60000,
+    heartbeatSeconds: parseInt(process.env.ORACLE_LEDGER_HEARTBEAT_SECONDS) || 3600,
+    deviationThreshold: parseFloat(process.env.ORACLE_LEDGER_DEVIATION) || 0.005 // 0.5% move triggers an update
+  };
+};
+
+// Built-in risk policy (version 0), in effect until an approved version replaces it.
+// ltv: max loan/valuation after haircut; haircut: valuation discount;
+// maxConcentration: max share of outstanding liquidity; minLiquidityUsd: smallest advance;
+// marginCallLtv / liquidationLtv: debt/market value that triggers a margin call / liquidation
+// Each asset type's margin call and liquidation levels sit above its advance LTV
+const DEFAULT_RISK_POLICY = {
+  default: { ltv: 0.6, haircut: 0, maxConcentration: 1, minLiquidityUsd: 0, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+  assetTypes: {
+    'real-estate': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'commodities': { ltv: 0.75, marginCallLtv: 0.85, liquidationLtv: 0.92 },
+    'art': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'equipment': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'inventory': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'intellectual-property': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'securities': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'other': { ltv: 0.7, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    'vehicle': { ltv: 0.8, marginCallLtv: 0.88, liquidationLtv: 0.94 },
+    'precious-metals': { ltv: 0.9, marginCallLtv: 0.94, liquidationLtv: 0.97 },
+    'bonds': { ltv: 0.95, marginCallLtv: 0.97, liquidationLtv: 0.99 },
+    'stocks': { ltv: 0.85, marginCallLtv: 0.9, liquidationLtv: 0.95 }
+  },
+  assets: {}
+};
+
+// Get risk policy engine configuration
+const getRiskPolicyConfig = () => {
+  return {
+    defaultPolicy: DEFAULT_RISK_POLICY,
+    // Four-eyes rule: the approver must differ from the proposer
+    requireDistinctApprover: process.env.RISK_POLICY_REQUIRE_DISTINCT_APPROVER !== 'false'
+  };
+};
+
+// Admin API keys: ADMIN_API_KEYS="alice:key1,bob:key2" (name is recorded in audit trails)
+const getAdminConfig = () => {
+  const keys = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+
+  return { keys };
+};
+
+// Loan engine defaults; each position stores its own terms when it is activated
+const LOAN_REPAYMENT_TYPES = ['bullet', 'interest_only', 'amortizing'];
+const LOAN_PAYMENT_FREQUENCIES = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 }; // Months per period
+const LOAN_DAY_COUNTS = ['ACT/365', 'ACT/360', '30/360'];
+
+const getLoanConfig = () => {
+  return {
+    repaymentType: process.env.LOAN_REPAYMENT_TYPE || 'bullet',
+    paymentFrequency: process.env.LOAN_PAYMENT_FREQUENCY || 'monthly',
+    dayCount: process.env.LOAN_DAY_COUNT || 'ACT/365',
+    termDays: parseInt(process.env.LOAN_TERM_DAYS) || 30,
+    // A rate of 0 disables late fees, so only fall back when unset
+    lateFeeRate: process.env.LOAN_LATE_FEE_RATE !== undefined ? parseFloat(process.env.LOAN_LATE_FEE_RATE) : 0.05, // Of the overdue amount
+    lateFeeGraceDays: process.env.LOAN_LATE_FEE_GRACE_DAYS !== undefined ? parseInt(process.env.LOAN_LATE_FEE_GRACE_DAYS) : 5,
+    checkIntervalMs: parseInt(process.env.LOAN_CHECK_INTERVAL_MS) || 3600000
+  };
+};
+
+// Liquidation of positions whose LTV breaches the policy's liquidationLtv, or that are in default
+const getLiquidationConfig = () => {
+  return {
+    accountSecret: process.env.LIQUIDATION_ACCOUNT_SECRET, // Liquidator account that sells collateral
+    method: process.env.LIQUIDATION_METHOD || 'dex', // 'dex' (immediate sale, auction for the rest) or 'auction'
+    checkIntervalMs: parseInt(process.env.LIQUIDATION_CHECK_INTERVAL_MS) || 300000,
+    defaultGraceDays: parseInt(process.env.LIQUIDATION_DEFAULT_GRACE_DAYS) || 30, // Days an installment may stay overdue
+    maxSlippage: parseFloat(process.env.LIQUIDATION_MAX_SLIPPAGE) || 0.05, // Below the oracle price for DEX sales
+    auction: {
+      startPremium: parseFloat(process.env.LIQUIDATION_AUCTION_START_PREMIUM) || 0.05, // Above the oracle price
+      maxDiscount: parseFloat(process.env.LIQUIDATION_AUCTION_MAX_DISCOUNT) || 0.3, // Floor below the oracle price
+      steps: parseInt(process.env.LIQUIDATION_AUCTION_STEPS) || 10,
+      stepIntervalMs: parseInt(process.env.LIQUIDATION_AUCTION_STEP_MS) || 600000
+    }
+  };
+};
+
+// Locking of collateral tokens while a loan is outstanding
+const getCollateralConfig = () => {
+  return {
+    lockMode: process.env.COLLATERAL_LOCK_MODE || 'holding', // 'holding' (frozen collateral account) or 'escrow' (needs TokenEscrow amendment)
+    accountSecret: process.env.COLLATERAL_ACCOUNT_SECRET, // Collateral account; in escrow mode it finishes and cancels escrows
+    escrowGraceDays: parseInt(process.env.COLLATERAL_ESCROW_GRACE_DAYS) || 30, // Escrow CancelAfter = maturity + grace
+    checkIntervalMs: parseInt(process.env.COLLATERAL_CHECK_INTERVAL_MS) || 300000
+  };
+};
+
+// Liquidity providers quoted for each request, and how their quotes are scored
+const LIQUIDITY_PROVIDER_NAMES = ['circle', 'legacy_engine', 'dex'];
+
+const getLiquidityRoutingConfig = () => {
+  return {
+    providers: (process.env.LIQUIDITY_PROVIDERS || LIQUIDITY_PROVIDER_NAMES.join(','))
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    quoteTimeoutMs: parseInt(process.env.LIQUIDITY_QUOTE_TIMEOUT_MS) || 5000,
+    // Relative weight of each criterion in a quote's score
+    weights: process.env.LIQUIDITY_SCORE_WEIGHTS
+      ? JSON.parse(process.env.LIQUIDITY_SCORE_WEIGHTS)
+      : { price: 0.4, fees: 0.3, latency: 0.1, limit: 0.2 },
+    legacyEngine: {
+      url: process.env.LIQUIDITY_ENGINE_URL,
+      apiKey: process.env.LIQUIDITY_ENGINE_API_KEY,
+      timeoutMs: parseInt(process.env.LIQUIDITY_ENGINE_TIMEOUT_MS) || 10000
+    },
+    dex: {
+      // Stablecoin the collateral tokens are sold for
+      currency: process.env.USDC_CURRENCY_CODE || 'USD',
+      issuer: process.env.USDC_ISSUER_ADDRESS,
+      maxSlippage: parseFloat(process.env.LIQUIDITY_DEX_MAX_SLIPPAGE) || 0.02
+    }
+  };
+};
+
+// Circle API; CIRCLE_MODE=mock runs mocks/mockCircleServer.js in-process instead
+const getCircleConfig = () => {
+  const mode = process.env.CIRCLE_MODE || 'live';
+  const mockPort = parseInt(process.env.CIRCLE_MOCK_PORT) || 8092;
+  const mockDefault = (value, fallback) => value || (mode === 'mock' ? fallback : undefined);
+
+  return {
+    mode,
+    baseUrl: mode === 'mock' ? `http://localhost:${mockPort}` : (process.env.CIRCLE_API_BASE_URL || 'https://api.circle.com'),
+    apiKey: mockDefault(process.env.CIRCLE_API_KEY, 'mock-circle-api-key'),
+    entitySecret: mockDefault(process.env.CIRCLE_ENTITY_SECRET, 'mock-circle-entity-secret'),
+    webhookSecret: mockDefault(process.env.CIRCLE_WEBHOOK_SECRET, 'mock-circle-webhook-secret'),
+    mock: {
+      port: mockPort,
+      // A number, or JSON per endpoint: {"wallets":50,"transfers":200,"trades":100,"default":0}
+      latencyMs: process.env.CIRCLE_MOCK_LATENCY_MS && process.env.CIRCLE_MOCK_LATENCY_MS.trim().startsWith('{')
+        ? JSON.parse(process.env.CIRCLE_MOCK_LATENCY_MS)
+        : parseInt(process.env.CIRCLE_MOCK_LATENCY_MS) || 0,
+      failureRate: parseFloat(process.env.CIRCLE_MOCK_FAILURE_RATE) || 0, // Share of requests answered with a 500
+      failEndpoints: (process.env.CIRCLE_MOCK_FAIL_ENDPOINTS || 'wallets,transfers,trades').split(',').map(name => name.trim()),
+      settlementDelayMs: process.env.CIRCLE_MOCK_SETTLEMENT_DELAY_MS !== undefined ? parseInt(process.env.CIRCLE_MOCK_SETTLEMENT_DELAY_MS) : 1000,
+      webhookUrl: process.env.CIRCLE_MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/webhooks/circle`
+    }
+  };
+};
+
+// Inbound webhook processing (services/webhookService.js)
+const getWebhookConfig = () => {
+  return {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5, // Then the event is dead-lettered
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000, // Doubles after every failed attempt
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000,
+    processingTimeoutMs: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS) || 300000, // Attempts running longer are retried
+    checkIntervalMs: parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS) || 15000
+  };
+};
+
+// Liquidity Engine notifications, delivered from the outbox (services/outboxService.js)
+const getOutboxConfig = () => {
+  return {
+    enabled: process.env.LIQUIDITY_INTEGRATION_ENABLED !== 'false',
+    liquidityEngineUrl: process.env.LIQUIDITY_ENGINE_URL || 'http://localhost:4000',
+    apiKey: process.env.LIQUIDITY_ENGINE_API_KEY || 'tokenization-platform-key',
+    httpTimeoutMs: parseInt(process.env.OUTBOX_HTTP_TIMEOUT_MS) || 10000,
+    retryBaseMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 5000, // Doubles after every failed attempt
+    retryMaxMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 600000,
+    leaseMs: parseInt(process.env.OUTBOX_LEASE_MS) || 60000, // An attempt still running after this is retried
+    checkIntervalMs: parseInt(process.env.OUTBOX_CHECK_INTERVAL_MS) || 5000,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 50
+  };
+};
+
+// Pledge verification gating (services/pledgeService.js)
+const getPledgeConfig = () => {
+  return {
+    // false mints on submission, as before verification gating
+    requireVerification: process.env.PLEDGE_REQUIRE_VERIFICATION !== 'false',
+    verificationTimeoutMs: parseInt(process.env.PLEDGE_VERIFICATION_TIMEOUT_MS) || 259200000, // 72h, then EXPIRED
+    maxMintAttempts: parseInt(process.env.PLEDGE_MAX_MINT_ATTEMPTS) || 3, // Automatic retries of a failed mint
+    checkIntervalMs: parseInt(process.env.PLEDGE_CHECK_INTERVAL_MS) || 60000
+  };
+};
+
+// Redemption requests (services/redemptionService.js)
+const getRedemptionConfig = () => {
+  return {
+    maxOpenPerHolder: parseInt(process.env.REDEMPTION_MAX_OPEN_PER_HOLDER) || 5 // REQUESTED, APPROVED, BURNING or BURN_UNKNOWN requests per wallet
+  };
+};
+
+/**
+ * Asset details required on pledge, as a versioned JSON Schema per asset type
+ * (utils/assetSchemas.js). ASSET_SCHEMAS (JSON) or the file at ASSET_SCHEMAS_PATH replaces
+ * the entries it names: { "<assetType>": { "version": 2, "schema": { ... } } }
+ */
+const isoDate = { type: 'string', format: 'date' };
+
+const DEFAULT_ASSET_SCHEMAS = {
+  'real-estate': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['location', 'property_type'],
+      properties: {
+        location: { type: 'string', title: 'Location', minLength: 3, maxLength: 200 },
+        property_type: { type: 'string', title: 'Property type', enum: ['residential', 'commercial', 'industrial', 'land', 'mixed_use'] },
+        square_feet: { type: 'number', title: 'Square feet', exclusiveMinimum: 0 },
+        year_built: { type: 'integer', title: 'Year built', minimum: 1600, maximum: 2100 },
+        parcel_number: { type: 'string', title: 'Parcel number', maxLength: 64 },
+        occupancy: { type: 'string', title: 'Occupancy', enum: ['owner_occupied', 'leased', 'vacant'] },
+        lease_expiry: { ...isoDate, title: 'Lease expiry' }
+      },
+      // Leased property must give the lease expiry
+      if: { required: ['occupancy'], properties: { occupancy: { const: 'leased' } } },
+      then: { required: ['lease_expiry'] },
+      additionalProperties: false
+    }
+  },
+  'commodities': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['commodity_type', 'grade'],
+      properties: {
+        commodity_type: { type: 'string', title: 'Commodity', enum: ['gold', 'silver', 'platinum', 'oil', 'natural_gas', 'agricultural', 'other'] },
+        grade: { type: 'string', title: 'Grade', minLength: 1, maxLength: 100 },
+        quantity: { type: 'number', title: 'Quantity', exclusiveMinimum: 0 },
+        unit: { type: 'string', title: 'Unit', enum: ['troy_oz', 'kg', 'tonne', 'barrel', 'mmbtu', 'bushel'] },
+        storage_location: { type: 'string', title: 'Storage location', maxLength: 200 },
+        assay_date: { ...isoDate, title: 'Assay date' }
+      },
+      // Precious metals must be held in a named vault
+      if: { required: ['commodity_type'], properties: { commodity_type: { enum: ['gold', 'silver', 'platinum'] } } },
+      then: { required: ['storage_location'] },
+      additionalProperties: false
+    }
+  },
+  'art': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['artist', 'year'],
+      properties: {
+        artist: { type: 'string', title: 'Artist', minLength: 1, maxLength: 200 },
+        year: { type: 'integer', title: 'Year', minimum: 1000, maximum: 2100 },
+        medium: { type: 'string', title: 'Medium', maxLength: 100 },
+        dimensions: { type: 'string', title: 'Dimensions', maxLength: 100 },
+        provenance: { type: 'string', title: 'Provenance', maxLength: 1000 },
+        certificate_of_authenticity: { type: 'boolean', title: 'Certificate of authenticity' }
+      },
+      additionalProperties: false
+    }
+  },
+  'equipment': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['manufacturer', 'model'],
+      properties: {
+        manufacturer: { type: 'string', title: 'Manufacturer', minLength: 1, maxLength: 100 },
+        model: { type: 'string', title: 'Model', minLength: 1, maxLength: 100 },
+        serial_number: { type: 'string', title: 'Serial number', maxLength: 100 },
+        year: { type: 'integer', title: 'Year', minimum: 1900, maximum: 2100 },
+        condition: { type: 'string', title: 'Condition', enum: ['new', 'excellent', 'good', 'fair', 'poor'] }
+      },
+      additionalProperties: false
+    }
+  },
+  'inventory': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['product_type', 'quantity'],
+      properties: {
+        product_type: { type: 'string', title: 'Product type', minLength: 1, maxLength: 100 },
+        quantity: { type: 'integer', title: 'Quantity', minimum: 1 },
+        unit_cost: { type: 'number', title: 'Unit cost', minimum: 0 },
+        warehouse_location: { type: 'string', title: 'Warehouse location', maxLength: 200 },
+        perishable: { type: 'boolean', title: 'Perishable' },
+        expiry_date: { ...isoDate, title: 'Expiry date' }
+      },
+      // Perishable stock must give its expiry date
+      if: { required: ['perishable'], properties: { perishable: { const: true } } },
+      then: { required: ['expiry_date'] },
+      additionalProperties: false
+    }
+  },
+  'intellectual-property': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['ip_type'],
+      properties: {
+        ip_type: { type: 'string', title: 'IP type', enum: ['patent', 'trademark', 'copyright', 'trade_secret'] },
+        registration_number: { type: 'string', title: 'Registration number', minLength: 1, maxLength: 100 },
+        jurisdiction: { type: 'string', title: 'Jurisdiction', maxLength: 100 },
+        expiry_date: { ...isoDate, title: 'Expiry date' }
+      },
+      // Everything but a trade secret is registered
+      if: { required: ['ip_type'], properties: { ip_type: { const: 'trade_secret' } } },
+      else: { required: ['registration_number'] },
+      additionalProperties: false
+    }
+  },
+  'securities': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['security_type', 'issuer'],
+      properties: {
+        security_type: { type: 'string', title: 'Security type', enum: ['equity', 'bond', 'fund', 'note', 'other'] },
+        issuer: { type: 'string', title: 'Issuer', minLength: 1, maxLength: 200 },
+        isin: { type: 'string', title: 'ISIN', pattern: '^[A-Z]{2}[A-Z0-9]{9}[0-9]$' },
+        maturity_date: { ...isoDate, title: 'Maturity date' }
+      },
+      // Bonds and notes mature
+      if: { required: ['security_type'], properties: { security_type: { enum: ['bond', 'note'] } } },
+      then: { required: ['maturity_date'] },
+      additionalProperties: false
+    }
+  },
+  'other': {
+    version: 1,
+    schema: {
+      type: 'object',
+      required: ['asset_category'],
+      properties: {
+        asset_category: { type: 'string', title: 'Asset category', minLength: 1, maxLength: 100 }
+      }
+      // Any further details are kept as given
+    }
+  }
+};
+
+const loadAssetSchemas = () => {
+  if (process.env.ASSET_SCHEMAS) {
+    return { ...DEFAULT_ASSET_SCHEMAS, ...JSON.parse(process.env.ASSET_SCHEMAS) };
+  }
+  if (process.env.ASSET_SCHEMAS_PATH) {
+    return { ...DEFAULT_ASSET_SCHEMAS, ...JSON.parse(fs.readFileSync(process.env.ASSET_SCHEMAS_PATH, 'utf8')) };
+  }
+  return DEFAULT_ASSET_SCHEMAS;
+};
+
+const getAssetSchemaConfig = () => {
+  return {
+    schemas: loadAssetSchemas()
+  };
+};
+
+// Message transport shared with the Liquidity Engine (services/messageBus.js)
+const MESSAGE_TRANSPORTS = ['redis', 'streams', 'memory', 'file'];
+
+const getMessagingConfig = () => {
+  return {
+    transport: process.env.LIQUIDITY_TRANSPORT || 'redis',
+    // Used while the Redis transports are unreachable; 'none' makes Redis required
+    fallback: process.env.LIQUIDITY_TRANSPORT_FALLBACK || 'memory',
+    reconnectMs: parseInt(process.env.LIQUIDITY_TRANSPORT_RECONNECT_MS) || 30000,
+    redisUrl: process.env.SHARED_REDIS_URL || 'redis://localhost:6379/1',
+    streams: {
+      group: process.env.LIQUIDITY_STREAM_GROUP || 'tokenization-platform',
+      consumer: process.env.LIQUIDITY_STREAM_CONSUMER || `${os.hostname()}-${process.pid}`,
+      maxLength: parseInt(process.env.LIQUIDITY_STREAM_MAX_LENGTH) || 10000, // Approximate entries kept per stream
+      blockMs: parseInt(process.env.LIQUIDITY_STREAM_BLOCK_MS) || 5000,
+      claimIdleMs: parseInt(process.env.LIQUIDITY_STREAM_CLAIM_IDLE_MS) || 60000, // Unacknowledged entries are redelivered after this
+      maxDeliveries: parseInt(process.env.LIQUIDITY_MAX_DELIVERIES) || 5
+    },
+    local: {
+      directory: process.env.LIQUIDITY_TRANSPORT_DIR || './data/messages', // file transport only
+      retryMs: parseInt(process.env.LIQUIDITY_LOCAL_RETRY_MS) || 1000,
+      maxDeliveries: parseInt(process.env.LIQUIDITY_MAX_DELIVERIES) || 5,
+      maxMessages: parseInt(process.env.LIQUIDITY_LOCAL_MAX_MESSAGES) || 10000 // Kept per channel without a subscriber
+    }
+  };
+};
+
+// Uploaded asset documents (services/documentService.js)
+const DOCUMENT_STORAGE_TYPES = ['local'];
+
+const getDocumentConfig = () => {
+  return {
+    storage: process.env.DOCUMENT_STORAGE || 'local',
+    maxFileBytes: parseInt(process.env.DOCUMENT_MAX_FILE_BYTES) || 10485760, // 10MB
+    mimeTypes: (process.env.DOCUMENT_MIME_TYPES || 'application/pdf,image/jpeg,image/png,image/tiff,text/plain')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean),
+    local: {
+      directory: process.env.DOCUMENT_STORAGE_DIR || './data/documents'
+    }
+  };
+};
+
 // Validate XRPL configuration
 const validateConfig = () => {
   const config = getXRPLConfig();
+  const signerConfig = getSignerConfig();
   const errors = [];
   
   // Check required environment variables
@@ -148,10 +654,155 @@ const validateConfig = () => {
     errors.push('XRPL_ISSUER_ADDRESS is required for token operations');
   }
   
-  if (!config.issuerSecret && config.environment === 'production') {
+  if (signerConfig.provider === 'local' && !config.issuerSecret && config.environment === 'production') {
     errors.push('XRPL_ISSUER_SECRET is required in production');
   }
   
+  if (signerConfig.provider === 'hsm' && (!signerConfig.hsm.url || !signerConfig.hsm.keyId)) {
+    errors.push('HSM_API_URL and HSM_KEY_ID are required for the hsm signer');
+  }
+  
+  if (signerConfig.provider === 'fireblocks' &&
+      (!signerConfig.fireblocks.apiKey || !(signerConfig.fireblocks.privateKey || signerConfig.fireblocks.privateKeyPath))) {
+    errors.push('FIREBLOCKS_API_KEY and FIREBLOCKS_API_SECRET (or FIREBLOCKS_API_SECRET_PATH) are required for the fireblocks signer');
+  }
+  
+  if ((process.env.DATABASE_URL || process.env.SHARED_DATABASE_URL) && !process.env.DATA_ENCRYPTION_KEY) {
+    errors.push('DATA_ENCRYPTION_KEY is required when DATABASE_URL or SHARED_DATABASE_URL is set; swap secrets are stored encrypted (generate one with: openssl rand -hex 32)');
+  }
+  
+  try {
+    if (!Array.isArray(loadOracleFeeds())) {
+      errors.push('Oracle feed configuration must be a JSON array');
+    }
+  } catch (error) {
+    errors.push(`Invalid oracle feed configuration: ${error.message}`);
+  }
+  
+  try {
+    const attestationConfig = getAttestationConfig();
+    if (!Array.isArray(attestationConfig.retiredKeys)) {
+      errors.push('ORACLE_RETIRED_KEYS must be a JSON array');
+    }
+    if (!attestationConfig.seed && config.environment === 'production') {
+      errors.push('ORACLE_SIGNING_SEED is required in production');
+    }
+    if (attestationConfig.seed && attestationConfig.seed === config.issuerSecret) {
+      errors.push('ORACLE_SIGNING_SEED must not be the issuer seed');
+    }
+  } catch (error) {
+    errors.push(`Invalid ORACLE_RETIRED_KEYS: ${error.message}`);
+  }
+  
+  try {
+    const ledgerOracleConfig = getLedgerOracleConfig();
+    const tokens = Object.keys(ledgerOracleConfig.assets);
+    if (tokens.length === 0 || tokens.length > 5) {
+      errors.push('ORACLE_LEDGER_ASSETS must list 1 to 5 tokens (an OracleSet holds at most 10 prices)');
+    }
+    tokens.filter(token => !/^[A-Z0-9]{3}$/.test(token) || token === 'XRP').forEach(token => {
+      errors.push(`ORACLE_LEDGER_ASSETS token ${token} must be a 3-character currency code`);
+    });
+    if (ledgerOracleConfig.publish && !ledgerOracleConfig.accountSecret) {
+      errors.push('ORACLE_LEDGER_ACCOUNT_SECRET is required when ORACLE_LEDGER_PUBLISH=true');
+    }
+  } catch (error) {
+    errors.push(`Invalid ORACLE_LEDGER_ASSETS: ${error.message}`);
+  }
+  
+  getAdminConfig().keys.filter(admin => !admin.name || admin.key.length < 16).forEach(admin => {
+    errors.push(`ADMIN_API_KEYS entry '${admin.name || '?'}' must be name:key with a key of at least 16 characters`);
+  });
+  
+  const messaging = getMessagingConfig();
+  if (!MESSAGE_TRANSPORTS.includes(messaging.transport)) {
+    errors.push(`LIQUIDITY_TRANSPORT '${messaging.transport}' must be one of: ${MESSAGE_TRANSPORTS.join(', ')}`);
+  }
+  if (!['none', 'memory', 'file'].includes(messaging.fallback)) {
+    errors.push(`LIQUIDITY_TRANSPORT_FALLBACK '${messaging.fallback}' must be none, memory or file`);
+  }
+
+  try {
+    Object.entries(getAssetSchemaConfig().schemas).forEach(([assetType, entry]) => {
+      if (!entry || !Number.isInteger(entry.version) || entry.version < 1 || !entry.schema || typeof entry.schema !== 'object') {
+        errors.push(`Asset schema for '${assetType}' must be { version: <positive integer>, schema: <JSON Schema> }`);
+      }
+    });
+  } catch (error) {
+    errors.push(`ASSET_SCHEMAS could not be loaded: ${error.message}`);
+  }
+
+  const documents = getDocumentConfig();
+  if (!DOCUMENT_STORAGE_TYPES.includes(documents.storage)) {
+    errors.push(`DOCUMENT_STORAGE '${documents.storage}' must be one of: ${DOCUMENT_STORAGE_TYPES.join(', ')}`);
+  }
+
+  if (!['holding', 'escrow'].includes(getCollateralConfig().lockMode)) {
+    errors.push(`COLLATERAL_LOCK_MODE '${getCollateralConfig().lockMode}' must be holding or escrow`);
+  }
+  
+  try {
+    const routingConfig = getLiquidityRoutingConfig();
+    routingConfig.providers.filter(name => !LIQUIDITY_PROVIDER_NAMES.includes(name)).forEach(name => {
+      errors.push(`LIQUIDITY_PROVIDERS entry '${name}' must be one of ${LIQUIDITY_PROVIDER_NAMES.join(', ')}`);
+    });
+    const weights = Object.entries(routingConfig.weights);
+    if (weights.some(([criterion, weight]) => !['price', 'fees', 'latency', 'limit'].includes(criterion) || !(weight >= 0)) ||
+        !weights.some(([, weight]) => weight > 0)) {
+      errors.push('LIQUIDITY_SCORE_WEIGHTS must map price, fees, latency and limit to non-negative weights');
+    }
+    if (!(routingConfig.dex.maxSlippage > 0 && routingConfig.dex.maxSlippage < 1)) {
+      errors.push('LIQUIDITY_DEX_MAX_SLIPPAGE must be between 0 and 1');
+    }
+  } catch (error) {
+    errors.push(`Invalid LIQUIDITY_SCORE_WEIGHTS: ${error.message}`);
+  }
+  
+  try {
+    const circleConfig = getCircleConfig();
+    if (!['live', 'mock'].includes(circleConfig.mode)) {
+      errors.push(`CIRCLE_MODE '${circleConfig.mode}' must be live or mock`);
+    }
+    if (circleConfig.mode === 'mock' && config.environment === 'production') {
+      errors.push('CIRCLE_MODE=mock is not allowed in production');
+    }
+    if (!(circleConfig.mock.failureRate >= 0 && circleConfig.mock.failureRate <= 1)) {
+      errors.push('CIRCLE_MOCK_FAILURE_RATE must be between 0 and 1');
+    }
+  } catch (error) {
+    errors.push(`Invalid CIRCLE_MOCK_LATENCY_MS: ${error.message}`);
+  }
+  
+  const liquidationConfig = getLiquidationConfig();
+  if (!['dex', 'auction'].includes(liquidationConfig.method)) {
+    errors.push(`LIQUIDATION_METHOD '${liquidationConfig.method}' must be dex or auction`);
+  }
+  if (liquidationConfig.auction.maxDiscount >= 1 || liquidationConfig.maxSlippage >= 1) {
+    errors.push('LIQUIDATION_AUCTION_MAX_DISCOUNT and LIQUIDATION_MAX_SLIPPAGE must be below 1');
+  }
+  
+  const loanConfig = getLoanConfig();
+  if (!LOAN_REPAYMENT_TYPES.includes(loanConfig.repaymentType)) {
+    errors.push(`LOAN_REPAYMENT_TYPE must be one of ${LOAN_REPAYMENT_TYPES.join(', ')}`);
+  }
+  if (!LOAN_PAYMENT_FREQUENCIES[loanConfig.paymentFrequency]) {
+    errors.push(`LOAN_PAYMENT_FREQUENCY must be one of ${Object.keys(LOAN_PAYMENT_FREQUENCIES).join(', ')}`);
+  }
+  if (!LOAN_DAY_COUNTS.includes(loanConfig.dayCount)) {
+    errors.push(`LOAN_DAY_COUNT must be one of ${LOAN_DAY_COUNTS.join(', ')}`);
+  }
+  if (!(loanConfig.lateFeeRate >= 0 && loanConfig.lateFeeRate < 1) || !(loanConfig.lateFeeGraceDays >= 0)) {
+    errors.push('LOAN_LATE_FEE_RATE must be in [0, 1) and LOAN_LATE_FEE_GRACE_DAYS must be >= 0');
+  }
+  
+  if (!['holding', 'escrow'].includes(getSwapConfig().tokenLegMode)) {
+    errors.push(`SWAP_TOKEN_LEG_MODE '${getSwapConfig().tokenLegMode}' is not supported`);
+  }
+  
+  if (!['local', 'hsm', 'fireblocks'].includes(signerConfig.provider)) {
+    errors.push(`SIGNER_PROVIDER '${signerConfig.provider}' is not supported`);
+  }
+  
   // Validate address format
   if (config.issuerAddress && !/^r[a-zA-Z0-9]{25,34}$/.test(config.issuerAddress)) {
     errors.push('XRPL_ISSUER_ADDRESS has invalid format');
@@ -244,7 +895,30 @@ module.exports = {
   XRPL_CONSTANTS,
   DEFAULT_ASSETS,
   TRANSACTION_TYPES,
+  LOAN_REPAYMENT_TYPES,
+  LOAN_PAYMENT_FREQUENCIES,
+  LOAN_DAY_COUNTS,
+  LIQUIDITY_PROVIDER_NAMES,
   getXRPLConfig,
+  getSignerConfig,
+  getSwapConfig,
+  getOracleConfig,
+  getAttestationConfig,
+  getLedgerOracleConfig,
+  getRiskPolicyConfig,
+  getAdminConfig,
+  getLoanConfig,
+  getLiquidationConfig,
+  getCollateralConfig,
+  getLiquidityRoutingConfig,
+  getCircleConfig,
+  getWebhookConfig,
+  getOutboxConfig,
+  getMessagingConfig,
+  getPledgeConfig,
+  getRedemptionConfig,
+  getDocumentConfig,
+  getAssetSchemaConfig,
   validateConfig,
   getNetworkSettings,
   getAssetConfig,
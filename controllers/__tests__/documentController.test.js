@@ -0,0 +1,61 @@
+/**
+ * Document Controller tests
+ * Serves the router on an ephemeral port; the registry and document stores are in memory.
+ */
+
+const express = require('express');
+const documentController = require('../documentController');
+const documentService = require('../../services/documentService');
+
+const upload = (baseUrl, headers = {}) => {
+  const form = new FormData();
+  form.append('documentType', 'deed');
+  form.append('file', new Blob(['forged deed'], { type: 'application/pdf' }), 'deed.pdf');
+  return fetch(`${baseUrl}/api/documents/assets/asset-1`, { method: 'POST', body: form, headers });
+};
+
+describe('document upload', () => {
+  const originalKeys = process.env.ADMIN_API_KEYS;
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.ADMIN_API_KEYS = 'ops:adminkey-1234567890';
+
+    const app = express();
+    app.use('/api/documents', documentController);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    if (originalKeys === undefined) {
+      delete process.env.ADMIN_API_KEYS;
+    } else {
+      process.env.ADMIN_API_KEYS = originalKeys;
+    }
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  test('rejects uploads without a valid admin key before storing anything', async () => {
+    const uploadDocument = jest.spyOn(documentService, 'uploadDocument');
+
+    expect((await upload(baseUrl)).status).toBe(401);
+    expect((await upload(baseUrl, { 'X-Admin-Key': 'not-the-key' })).status).toBe(401);
+    expect(uploadDocument).not.toHaveBeenCalled();
+  });
+
+  test('records the admin as the uploader', async () => {
+    const uploadDocument = jest.spyOn(documentService, 'uploadDocument')
+      .mockImplementation(async (assetId, file, details) => ({ assetId, ...details, duplicate: false }));
+
+    const response = await upload(baseUrl, { 'X-Admin-Key': 'adminkey-1234567890' });
+    expect(response.status).toBe(201);
+    expect((await response.json()).data.document).toMatchObject({ assetId: 'asset-1', documentType: 'deed', uploadedBy: 'admin:ops' });
+    expect(uploadDocument).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Collateral Controller
+ * On-ledger locks of loan collateral (services/collateralService.js). Preparing a lock and
+ * retrying a release are admin operations (X-Admin-Key); the borrower signs the prepared
+ * transaction and submits it through POST /api/native/submit or confirms it here.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const collateralService = require('../services/collateralService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { LOAN_REPAYMENT_TYPES, LOAN_PAYMENT_FREQUENCIES, LOAN_DAY_COUNTS } = require('../config/xrplConfig');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  prepareLock: Joi.object({
+    collateral: Joi.object({
+      assetType: Joi.string().required().min(1).max(50),
+      currency: Joi.string().required().min(3).max(40),
+      issuer: Joi.string().required().pattern(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/),
+      amount: Joi.number().required().positive()
+    }).optional(), // Only needed if the position has no collateral recorded
+    activateOnLock: Joi.boolean().default(false), // Activate with these terms once the lock is submitted via /api/native/submit
+    repaymentType: Joi.string().optional().valid(...LOAN_REPAYMENT_TYPES),
+    paymentFrequency: Joi.string().optional().valid(...Object.keys(LOAN_PAYMENT_FREQUENCIES)),
+    dayCount: Joi.string().optional().valid(...LOAN_DAY_COUNTS),
+    termMonths: Joi.number().integer().min(1).max(360).optional(),
+    termDays: Joi.number().integer().min(1).max(10950).optional(),
+    maturityDate: Joi.date().optional(),
+    lateFeeRate: Joi.number().min(0).less(1).optional(),
+    lateFeeGraceDays: Joi.number().integer().min(0).max(365).optional()
+  }).oxor('termMonths', 'termDays', 'maturityDate'),
+
+  confirmLock: Joi.object({
+    txHash: Joi.string().required().pattern(/^[A-F0-9]{64}$/i)
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Status code for collateral errors
+const collateralErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid')) return 400;
+  if (error.message.includes('only pending') || error.message.includes('only repaid') ||
+      error.message.includes('already') || error.message.includes('not awaiting') ||
+      error.message.includes('concurrently')) return 409;
+  if (error.message.includes('not configured')) return 503;
+  return 500;
+};
+
+// POST /api/liquidity/positions/:id/collateral/prepare - Prepare the borrower's lock transaction (admin)
+router.post('/positions/:id/collateral/prepare',
+  requireAdmin,
+  validateInput(schemas.prepareLock),
+  async (req, res) => {
+    try {
+      const { collateral, activateOnLock, ...terms } = req.validatedBody;
+      const prepared = await collateralService.prepareLock(req.params.id, {
+        collateral,
+        terms,
+        activate: activateOnLock ? terms : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Collateral lock prepared - sign it with the borrower wallet and submit via /api/native/submit',
+        data: prepared,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Collateral lock prepare error:', error);
+      res.status(collateralErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to prepare collateral lock',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/liquidity/positions/:id/collateral/lock - Confirm a lock submitted outside /api/native/submit
+router.post('/positions/:id/collateral/lock',
+  validateInput(schemas.confirmLock),
+  async (req, res) => {
+    try {
+      const collateral = await collateralService.confirmLock(req.params.id, req.validatedBody.txHash.toUpperCase());
+
+      res.json({
+        success: true,
+        message: 'Collateral locked',
+        data: collateral,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Collateral lock error:', error);
+      res.status(collateralErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to confirm collateral lock',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/liquidity/positions/:id/collateral - Lock state and ledger references of a position's collateral
+router.get('/positions/:id/collateral', async (req, res) => {
+  try {
+    const collateral = await collateralService.getCollateral(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Collateral retrieved successfully',
+      data: collateral,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Collateral retrieval error:', error);
+    res.status(collateralErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve collateral',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/liquidity/positions/:id/collateral/release - Retry returning a repaid loan's collateral (admin)
+router.post('/positions/:id/collateral/release', requireAdmin, async (req, res) => {
+  try {
+    const collateral = await collateralService.releaseCollateral(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Collateral ${collateral.status}`,
+      data: collateral,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Collateral release error:', error);
+    res.status(collateralErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to release collateral',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/liquidity/collateral/status - Collateral lock mode and release sweep status
+router.get('/collateral/status', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Collateral status retrieved successfully',
+    data: {
+      ...collateralService.getStatus(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
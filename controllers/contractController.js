@@ -0,0 +1,128 @@
+/**
+ * Contract Controller
+ * Versioned message contracts for the Liquidity Engine channels (services/messageContracts.js).
+ * Contracts are public so the Liquidity Engine can negotiate versions; the quarantine is
+ * an admin view (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const messageContracts = require('../services/messageContracts');
+const { CONTRACTS } = require('../services/contracts');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  quarantineQuery: Joi.object({
+    channel: Joi.string().optional().valid(...Object.keys(CONTRACTS)),
+    direction: Joi.string().optional().valid('outbound', 'inbound'),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  })
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// GET /api/contracts - Every channel with its direction, supported versions and the version published
+router.get('/', async (req, res) => {
+  try {
+    const status = await messageContracts.getStatus();
+
+    res.json({
+      success: true,
+      message: 'Message contracts retrieved successfully',
+      data: {
+        ...status,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Message contracts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve message contracts',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/contracts/quarantine - Messages rejected by their contract, newest first (admin)
+router.get('/quarantine', requireAdmin, validateQuery(schemas.quarantineQuery), async (req, res) => {
+  try {
+    const messages = await messageContracts.listQuarantined(req.validatedQuery);
+
+    res.json({
+      success: true,
+      message: 'Quarantined messages retrieved successfully',
+      data: {
+        messages,
+        count: messages.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Quarantined messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve quarantined messages',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/contracts/:channel/versions/:version - The JSON Schema of one contract version
+router.get('/:channel/versions/:version', (req, res) => {
+  try {
+    const { channel } = req.params;
+    const version = parseInt(req.params.version);
+    const schema = messageContracts.getSchema(channel, version);
+
+    res.json({
+      success: true,
+      message: 'Message contract retrieved successfully',
+      data: {
+        channel,
+        version,
+        direction: CONTRACTS[channel].direction,
+        schema,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Message contract error:', error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve message contract',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+/**
+ * Document Controller
+ * Upload (X-Admin-Key), list and download the documents of registered assets
+ * (services/documentService.js) and verify a document against the mint transaction anchoring its hash.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
+const documentService = require('../services/documentService');
+const { sha256 } = require('../utils/documentHashing');
+const { DOCUMENT_TYPES } = require('../services/documentService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// One file per request, held in memory until it is hashed and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: documentService.config.maxFileBytes, files: 1 }
+});
+
+// Input validation schemas
+const schemas = {
+  upload: Joi.object({
+    documentType: Joi.string().required().valid(...DOCUMENT_TYPES),
+    description: Joi.string().optional().max(500)
+  }),
+
+  listQuery: Joi.object({
+    type: Joi.string().optional().valid(...DOCUMENT_TYPES),
+    versions: Joi.string().optional().valid('latest', 'all').default('latest')
+  }),
+
+  verifyQuery: Joi.object({
+    ledger: Joi.boolean().optional().default(true)
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Middleware accepting a single multipart file in the `file` field
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error && !req.file) {
+      error = new Error('A file is required in the `file` field');
+    }
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: 'Invalid upload',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    next();
+  });
+};
+
+// Map document errors to HTTP status codes
+const documentErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Unsupported document type')) return 415;
+  if (error.message.includes('byte limit')) return 413;
+  return 500;
+};
+
+// POST /api/documents/assets/:assetId - Upload a document (admin; multipart: file, documentType, description?)
+// The latest version of each type is anchored in the mint memo, so uploads are restricted to admins
+router.post('/assets/:assetId', requireAdmin, receiveFile, validateInput(schemas.upload), async (req, res) => {
+  try {
+    const document = await documentService.uploadDocument(req.params.assetId, req.file, {
+      ...req.validatedBody,
+      uploadedBy: `admin:${req.admin}`
+    });
+
+    res.status(document.duplicate ? 200 : 201).json({
+      success: true,
+      message: document.duplicate ? 'Document already uploaded' : 'Document uploaded',
+      data: {
+        document,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Upload document error:', error.message);
+    res.status(documentErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to upload document',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/documents/assets/:assetId - Latest version of each document type (?versions=all for every version)
+router.get('/assets/:assetId', validateQuery(schemas.listQuery), async (req, res) => {
+  try {
+    const { type, versions } = req.validatedQuery;
+    const documents = await documentService.listDocuments(req.params.assetId, {
+      documentType: type,
+      allVersions: versions === 'all'
+    });
+
+    res.json({
+      success: true,
+      message: 'Documents retrieved successfully',
+      data: {
+        documents,
+        count: documents.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('List documents error:', error.message);
+    res.status(documentErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve documents',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// Respond with the verification of a document hash
+const sendVerification = async (res, hash, checkLedger) => {
+  try {
+    const verification = await documentService.verifyDocument(hash, { checkLedger });
+
+    res.json({
+      success: true,
+      message: verification.verified ? 'Document verified against the ledger' : 'Document not verified against the ledger',
+      data: {
+        verification,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Verify document error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify document',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+// GET /api/documents/verify/:sha256 - Documents with a hash and the mint memos anchoring it (?ledger=false skips XRPL)
+router.get('/verify/:sha256', validateQuery(schemas.verifyQuery), async (req, res) => {
+  const hash = req.params.sha256.toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(hash)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      data: {
+        details: ['sha256 must be 64 hexadecimal characters'],
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  await sendVerification(res, hash, req.validatedQuery.ledger);
+});
+
+// POST /api/documents/verify - Hash an uploaded file and verify it (multipart: file)
+router.post('/verify', receiveFile, validateQuery(schemas.verifyQuery), async (req, res) => {
+  await sendVerification(res, sha256(req.file.buffer), req.validatedQuery.ledger);
+});
+
+// GET /api/documents/:documentId - Document metadata
+router.get('/:documentId', async (req, res) => {
+  try {
+    const document = await documentService.getDocument(req.params.documentId);
+
+    res.json({
+      success: true,
+      message: 'Document retrieved successfully',
+      data: {
+        document,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get document error:', error.message);
+    res.status(documentErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve document',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/documents/:documentId/content - The stored file, with its hash in X-Content-SHA256
+router.get('/:documentId/content', async (req, res) => {
+  try {
+    const { document, content } = await documentService.readContent(req.params.documentId);
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Disposition': `attachment; filename="${document.filename.replace(/["\\\r\n]/g, '_')}"`,
+      'X-Content-SHA256': document.sha256
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Get document content error:', error.message);
+    res.status(documentErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve document content',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Liquidation Controller
+ * LTV monitoring, margin calls and collateral liquidations of liquidity positions
+ * (services/liquidationService.js). Manual liquidation and runs are admin operations (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const liquidationService = require('../services/liquidationService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  liquidationQuery: Joi.object({
+    status: Joi.string().optional().valid('running', 'completed', 'failed'),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  })
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Status code for liquidation errors
+const liquidationErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid')) return 400;
+  if (error.message.includes('only active') || error.message.includes('concurrently')) return 409;
+  if (error.message.includes('not configured')) return 503;
+  return 500;
+};
+
+// GET /api/liquidity/positions/:id/liquidation - LTV, margin call and liquidation history of a position
+router.get('/positions/:id/liquidation', async (req, res) => {
+  try {
+    const liquidation = await liquidationService.getPositionLiquidation(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Liquidation status retrieved successfully',
+      data: liquidation,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Liquidation status error:', error);
+    res.status(liquidationErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve liquidation status',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/liquidity/positions/:id/liquidate - Liquidate a position now, or resume a failed liquidation (admin)
+router.post('/positions/:id/liquidate', requireAdmin, async (req, res) => {
+  try {
+    const liquidation = await liquidationService.startLiquidation(req.params.id, { trigger: 'manual', actor: req.admin });
+
+    res.status(202).json({
+      success: true,
+      message: `Liquidation ${liquidation.status}`,
+      data: liquidation,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Liquidation error:', error);
+    res.status(liquidationErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to liquidate position',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/liquidity/liquidations - Recent liquidations
+router.get('/liquidations',
+  validateQuery(schemas.liquidationQuery),
+  async (req, res) => {
+    try {
+      const liquidations = await liquidationService.listLiquidations(req.validatedQuery);
+
+      res.json({
+        success: true,
+        message: 'Liquidations retrieved successfully',
+        data: {
+          liquidations,
+          count: liquidations.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Liquidation list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve liquidations',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/liquidity/liquidations/status - LTV monitor status
+router.get('/liquidations/status', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Liquidation monitor status retrieved successfully',
+    data: {
+      ...liquidationService.getStatus(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// POST /api/liquidity/liquidations/run - Run the LTV monitor now (admin)
+router.post('/liquidations/run', requireAdmin, async (req, res) => {
+  const result = await liquidationService.runOnce();
+
+  res.json({
+    success: true,
+    message: result ? 'LTV monitor run completed' : 'LTV monitor run already in progress',
+    data: {
+      lastRun: result,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
@@ -1,13 +1,29 @@
 // controllers/liquidityController.js
-const CircleLiquidityService = require('../services/liquidityService');
-const { xrplClient } = require('../config/xrpl');
-const { validateRequest, handleError } = require('../middleware/validation');
+const crypto = require('crypto');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const liquidityRouter = require('../services/liquidityRouter');
+const loanEngine = require('../services/loanEngine');
+const collateralService = require('../services/collateralService');
+const xrplNativeService = require('../services/xrplNativeService');
+const webhookService = require('../services/webhookService');
+const registryService = require('../services/registryService');
+const { ASSET_STATUS } = require('../services/registryService');
+const { isDatabaseConfigured, query } = require('../config/database');
+const { getCircleConfig } = require('../config/xrplConfig');
 
 class LiquidityController {
     constructor() {
-        this.liquidityService = new CircleLiquidityService();
-        this.legacyLiquidityEngineUrl = process.env.LIQUIDITY_ENGINE_URL;
-        this.legacyApiKey = process.env.LIQUIDITY_ENGINE_API_KEY;
+        // Circle, the legacy Liquidity Engine and the XRPL DEX (services/liquidityProviders)
+        this.router = liquidityRouter;
+
+        // Circle webhooks are stored first and processed by services/webhookService.js
+        webhookService.registerHandler('circle', 'transfers', (data) => this.handleTransferWebhook(data));
+        webhookService.registerHandler('circle', 'payments', (data) => this.handlePaymentWebhook(data));
+        webhookService.registerHandler('circle', 'otc.trades', (data) => this.handleTradeWebhook(data));
+
+        // Loans against collateral are funded only once the borrower's lock has validated
+        collateralService.registerFundingHandler((position, funding) => this.fundLockedPosition(position, funding));
     }
 
     /**
@@ -34,39 +50,19 @@ class LiquidityController {
                 });
             }
 
-            // Check instant liquidity availability via Circle
-            const circleAvailability = await this.liquidityService.checkLiquidityAvailability({
-                tokenId,
-                amount: parseFloat(amount),
-                assetType,
-                valuation: rwaTokenDetails.valuation
-            });
-
-            // Check fallback liquidity via existing engine
-            const fallbackAvailability = await this.checkLegacyLiquidityEngine({
-                tokenId,
-                amount: parseFloat(amount),
-                assetType
-            });
+            // Quote every configured provider and rank the quotes
+            const { quotes, best } = await this.router.getQuotes({
+                userWalletAddress: walletAddress,
+                rwaTokenId: tokenId,
+                requestedAmount: parseFloat(amount),
+                assetDetails: { ...rwaTokenDetails, type: assetType }
+            }, { allowPartial: true });
 
             res.json({
                 success: true,
                 liquidity: {
-                    instant: {
-                        available: circleAvailability.available,
-                        maxAmount: circleAvailability.maxAmount,
-                        provider: 'Circle',
-                        processingTime: circleAvailability.estimatedProcessingTime,
-                        fees: circleAvailability.fees
-                    },
-                    standard: {
-                        available: fallbackAvailability.available,
-                        maxAmount: fallbackAvailability.maxAmount,
-                        provider: 'Legacy Engine',
-                        processingTime: fallbackAvailability.processingTime,
-                        fees: fallbackAvailability.fees
-                    },
-                    recommended: circleAvailability.available ? 'instant' : 'standard'
+                    quotes,
+                    recommended: best ? best.provider : null
                 }
             });
 
@@ -89,7 +85,9 @@ class LiquidityController {
                 userWalletAddress,
                 rwaTokenId,
                 requestedAmount,
-                liquidityType = 'instant', // 'instant' or 'standard'
+                liquidityType = 'instant', // 'instant' or 'standard' (legacy engine only)
+                providers, // Optional list of provider names to consider
+                allowPartial = false, // Accept less than requestedAmount
                 userKYCStatus = 'pending'
             } = req.body;
 
@@ -110,50 +108,62 @@ class LiquidityController {
                 });
             }
 
-            let liquidityResult;
+            const liquidityRequest = {
+                userWalletAddress,
+                rwaTokenId,
+                requestedAmount: parseFloat(requestedAmount),
+                assetDetails,
+                userKYCStatus
+            };
+            const routingOptions = {
+                providers: providers || (liquidityType === 'standard' ? ['legacy_engine'] : undefined),
+                allowPartial: Boolean(allowPartial)
+            };
 
-            if (liquidityType === 'instant' && process.env.CIRCLE_PRIMARY_LIQUIDITY_PROVIDER === 'true') {
-                // Try Circle instant liquidity first
+            // A loan against collateral releases no funds until the lock validates: pick the
+            // provider now and fund it from the collateral_lock submit handler
+            const collateral = this.getCollateralDetails(assetDetails);
+            if (collateral) {
+                let quoted;
                 try {
-                    liquidityResult = await this.liquidityService.requestInstantLiquidity({
-                        userWalletAddress,
-                        rwaTokenId,
-                        requestedAmount: parseFloat(requestedAmount),
-                        assetDetails,
-                        userKYCStatus
+                    quoted = await this.router.selectProvider(liquidityRequest, routingOptions);
+                } catch (routingError) {
+                    return res.status(502).json({
+                        success: false,
+                        error: routingError.message,
+                        routing: routingError.routing || null
                     });
+                }
 
-                    if (liquidityResult.success) {
-                        // Create XRPL transaction for USDC transfer
-                        const xrplResult = await this.executeXRPLLiquidityTransfer({
-                            userWalletAddress,
-                            amount: requestedAmount,
-                            liquidityPosition: liquidityResult.liquidityPosition
-                        });
-
-                        liquidityResult.xrplTransaction = xrplResult;
-                    }
-                } catch (circleError) {
-                    console.log('Circle liquidity failed, falling back to legacy engine:', circleError.message);
-                    liquidityResult = await this.requestLegacyLiquidity({
-                        userWalletAddress,
-                        rwaTokenId,
-                        requestedAmount: parseFloat(requestedAmount),
-                        assetDetails
-                    });
+                // DEX sales are not loans and lock nothing
+                if (quoted.best.provider !== 'dex') {
+                    return res.json(await this.prepareCollateralizedLiquidity(liquidityRequest, quoted, collateral));
                 }
-            } else {
-                // Use legacy liquidity engine
-                liquidityResult = await this.requestLegacyLiquidity({
+                routingOptions.providers = ['dex'];
+            }
+
+            let liquidityResult;
+            try {
+                liquidityResult = await this.router.route(liquidityRequest, routingOptions);
+            } catch (routingError) {
+                return res.status(502).json({
+                    success: false,
+                    error: routingError.message,
+                    routing: routingError.routing || null
+                });
+            }
+
+            if (liquidityResult.provider === 'circle') {
+                // Create XRPL transaction for USDC transfer
+                liquidityResult.xrplTransaction = await this.executeXRPLLiquidityTransfer({
                     userWalletAddress,
-                    rwaTokenId,
-                    requestedAmount: parseFloat(requestedAmount),
-                    assetDetails
+                    amount: liquidityResult.amount,
+                    liquidityPosition: liquidityResult.liquidityPosition
                 });
             }
 
-            // Store liquidity position in database
-            if (liquidityResult.success) {
+            // Store liquidity position in database (DEX sales are not loans)
+            if (liquidityResult.liquidityPosition) {
                 await this.storeLiquidityPosition(liquidityResult);
             }
 
@@ -190,7 +200,15 @@ class LiquidityController {
             }
 
             // Execute asset swap via Circle
-            const swapResult = await this.liquidityService.processAssetSwap({
+            const circle = this.router.getProvider('circle');
+            if (!circle || !circle.isConfigured()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Circle liquidity provider not configured'
+                });
+            }
+
+            const swapResult = await circle.service.processAssetSwap({
                 fromAsset,
                 toAsset,
                 amount: parseFloat(amount),
@@ -199,6 +217,8 @@ class LiquidityController {
             });
 
             if (swapResult.success) {
+                await this.storeLiquiditySwap({ fromAsset, toAsset, amount: parseFloat(amount), userWallet, slippageTolerance: parseFloat(slippageTolerance) }, swapResult);
+
                 // Execute corresponding XRPL transactions
                 const xrplSwapResult = await this.executeXRPLAssetSwap({
                     fromAsset,
@@ -237,16 +257,18 @@ class LiquidityController {
                 });
             }
 
-            // Get position from Circle API
-            const positionStatus = await this.liquidityService.monitorLiquidityPosition(positionId);
-
             // Get local position data from database
             const localPosition = await this.getLocalLiquidityPosition(positionId);
 
+            // Get position status from the provider that filled it
+            const provider = req.query.provider || (localPosition && localPosition.provider) || 'circle';
+            const positionStatus = await this.router.status(provider, positionId);
+
             res.json({
                 success: true,
                 position: {
                     ...positionStatus,
+                    provider,
                     localData: localPosition,
                     lastUpdated: new Date().toISOString()
                 }
@@ -261,6 +283,40 @@ class LiquidityController {
         }
     }
 
+    /**
+     * Cancel a liquidity position with its provider
+     * POST /api/liquidity/position/:positionId/cancel
+     */
+    async cancelLiquidityPosition(req, res) {
+        try {
+            const { positionId } = req.params;
+            const localPosition = await this.getLocalLiquidityPosition(positionId);
+            const provider = req.body.provider || (localPosition && localPosition.provider);
+
+            if (!provider) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Provider required for positions not stored locally'
+                });
+            }
+
+            const result = await this.router.cancel(provider, positionId);
+
+            res.json({
+                success: true,
+                provider,
+                cancellation: result
+            });
+
+        } catch (error) {
+            console.error('Position cancellation error:', error);
+            res.status(error.message.includes('cannot be cancelled') || error.message.includes('already') ? 409 : 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
     /**
      * List all user liquidity positions
      * GET /api/liquidity/positions/:walletAddress
@@ -310,32 +366,20 @@ class LiquidityController {
     async handleCircleWebhook(req, res) {
         try {
             const signature = req.headers['x-signature'];
-            const webhookSecret = process.env.CIRCLE_WEBHOOK_SECRET;
+            const { webhookSecret } = getCircleConfig();
 
             // Verify webhook signature
             if (!this.verifyWebhookSignature(req.body, signature, webhookSecret)) {
                 return res.status(401).json({ error: 'Invalid signature' });
             }
 
-            const { type, data } = req.body;
-
-            switch (type) {
-                case 'transfers':
-                    await this.handleTransferWebhook(data);
-                    break;
-                case 'payments':
-                    await this.handlePaymentWebhook(data);
-                    break;
-                case 'otc.trades':
-                    await this.handleTradeWebhook(data);
-                    break;
-                default:
-                    console.log('Unknown webhook type:', type);
-            }
+            // Acknowledge once stored; a redelivery of a stored event is acknowledged again
+            const { event, duplicate } = await webhookService.receive('circle', req.body);
 
-            res.json({ success: true });
+            res.json({ success: true, eventId: event.eventId, duplicate });
 
         } catch (error) {
+            // Not stored - Circle retries the delivery
             console.error('Webhook error:', error);
             res.status(500).json({
                 success: false,
@@ -346,28 +390,20 @@ class LiquidityController {
 
     // Helper Methods
 
+    // RWA token ids are asset ids in the registry; only tokenized assets back liquidity
     async getRWATokenDetails(tokenId) {
-        // Interface with your existing RWA token system
-        // This should connect to your existing token management logic
         try {
-            // Example implementation - replace with your actual token lookup
-            const tokenQuery = `
-                SELECT token_id, asset_type, valuation, status, metadata
-                FROM rwa_tokens 
-                WHERE token_id = $1 AND status = 'active'
-            `;
+            const asset = await registryService.getAsset(tokenId);
             
-            // Assuming you have a database connection available
-            // Replace with your actual database query method
-            const result = await this.queryDatabase(tokenQuery, [tokenId]);
-            
-            if (result.length > 0) {
+            if (asset && asset.status === ASSET_STATUS.TOKENIZED) {
                 return {
-                    tokenId: result[0].token_id,
-                    type: result[0].asset_type,
-                    valuation: parseFloat(result[0].valuation),
-                    status: result[0].status,
-                    metadata: result[0].metadata
+                    tokenId: asset.assetId,
+                    type: asset.assetType,
+                    // The declared value until the asset is appraised
+                    valuation: asset.appraisedValue ?? asset.declaredValue,
+                    status: asset.status,
+                    outstandingSupply: asset.outstandingSupply,
+                    metadata: asset.metadata || null
                 };
             }
             
@@ -378,67 +414,6 @@ class LiquidityController {
         }
     }
 
-    async checkLegacyLiquidityEngine(params) {
-        try {
-            const response = await fetch(`${this.legacyLiquidityEngineUrl}/api/liquidity/check`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.legacyApiKey}`
-                },
-                body: JSON.stringify(params)
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    available: data.available || false,
-                    maxAmount: data.maxAmount || 0,
-                    processingTime: data.processingTime || '1-2 hours',
-                    fees: data.fees || { rate: 0.03, amount: 0 }
-                };
-            }
-
-            return { available: false, maxAmount: 0, processingTime: 'N/A', fees: { rate: 0, amount: 0 } };
-        } catch (error) {
-            console.error('Legacy liquidity check failed:', error);
-            return { available: false, maxAmount: 0, processingTime: 'N/A', fees: { rate: 0, amount: 0 } };
-        }
-    }
-
-    async requestLegacyLiquidity(params) {
-        try {
-            const response = await fetch(`${this.legacyLiquidityEngineUrl}/api/liquidity/request`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.legacyApiKey}`
-                },
-                body: JSON.stringify(params)
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    success: true,
-                    provider: 'Legacy Engine',
-                    processingTime: '1-2 hours',
-                    liquidityPosition: data,
-                    instructions: 'Liquidity request submitted to legacy engine'
-                };
-            }
-
-            throw new Error('Legacy engine request failed');
-        } catch (error) {
-            console.error('Legacy liquidity request failed:', error);
-            return {
-                success: false,
-                error: 'Legacy liquidity engine unavailable',
-                fallbackOptions: []
-            };
-        }
-    }
-
     async executeXRPLLiquidityTransfer({ userWalletAddress, amount, liquidityPosition }) {
         try {
             // Create USDC trust line if needed
@@ -446,15 +421,21 @@ class LiquidityController {
                 await this.createUSDCTrustLine(userWalletAddress);
             }
 
+            await xrplNativeService.ensureConnection();
+            const issuerSigner = xrplNativeService.issuerSigner;
+            if (!issuerSigner) {
+                throw new Error('Issuer signer not configured');
+            }
+
             // Send USDC to user wallet
             const payment = {
                 TransactionType: 'Payment',
-                Account: process.env.XRPL_ISSUER_ADDRESS,
+                Account: issuerSigner.address,
                 Destination: userWalletAddress,
                 Amount: {
                     currency: process.env.USDC_CURRENCY_CODE || 'USD',
                     value: amount.toString(),
-                    issuer: process.env.USDC_ISSUER_ADDRESS || process.env.XRPL_ISSUER_ADDRESS
+                    issuer: process.env.USDC_ISSUER_ADDRESS || issuerSigner.address
                 },
                 DestinationTag: parseInt(process.env.LIQUIDITY_XRPL_DESTINATION_TAG || '12345'),
                 Memos: [{
@@ -465,14 +446,14 @@ class LiquidityController {
                 }]
             };
 
-            const prepared = await xrplClient.autofill(payment);
-            const signed = xrplClient.sign(prepared, process.env.XRPL_ISSUER_SECRET);
-            const result = await xrplClient.submitAndWait(signed.tx_blob);
+            const { result } = await issuerSigner.signAndSubmit(xrplNativeService.client, payment, {
+                note: `Liquidity transfer of ${amount} to ${userWalletAddress}`
+            });
 
             return {
                 success: true,
-                txHash: result.hash,
-                ledgerIndex: result.ledger_index,
+                txHash: result.result.hash,
+                ledgerIndex: result.result.ledger_index,
                 amount: amount,
                 currency: 'USDC'
             };
@@ -499,25 +480,97 @@ class LiquidityController {
         return { success: true, txHash: 'placeholder' };
     }
 
+    // Collateral tokens of an asset that can be locked on-ledger, or null
+    getCollateralDetails(assetDetails) {
+        const metadata = assetDetails.metadata || {};
+        return metadata.currency && metadata.issuer && metadata.amount
+            ? { assetType: assetDetails.type, currency: metadata.currency, issuer: metadata.issuer, amount: parseFloat(metadata.amount) }
+            : null;
+    }
+
+    // Record a pending loan on the best quote and prepare the borrower's collateral lock
+    async prepareCollateralizedLiquidity(liquidityRequest, { quotes, best }, collateral) {
+        const positionId = `loan_${uuidv4()}`;
+        const amount = Math.min(liquidityRequest.requestedAmount, best.maxAmount);
+        const collateralValue = liquidityRequest.assetDetails.valuation;
+
+        await loanEngine.createPosition({
+            positionId,
+            userWallet: liquidityRequest.userWalletAddress,
+            rwaTokenId: liquidityRequest.rwaTokenId,
+            principal: amount,
+            collateralValue,
+            ltvRatio: collateralValue ? amount / collateralValue : 0,
+            provider: best.provider,
+            interestRate: best.interestRate,
+            assetType: collateral.assetType,
+            collateralCurrency: collateral.currency,
+            collateralIssuer: collateral.issuer,
+            collateralAmount: collateral.amount
+        });
+
+        const collateralLock = await collateralService.prepareLock(positionId, {
+            activate: {},
+            funding: { request: liquidityRequest }
+        });
+
+        return {
+            success: true,
+            provider: best.provider,
+            positionId,
+            amount,
+            collateralLock,
+            routing: { quotes, attempts: [] },
+            instructions: 'Sign collateralLock.txJson with your wallet and submit it via /api/native/submit; the liquidity is released once the lock validates'
+        };
+    }
+
+    // Funding handler: execute the locked loan with its quoted provider; if that fails the loan fails and the collateral is returned
+    async fundLockedPosition(position, funding) {
+        let liquidityResult;
+        try {
+            liquidityResult = await this.router.execute(position.provider, {
+                ...funding.request,
+                requestedAmount: position.principal
+            }, position.principal);
+        } catch (error) {
+            await loanEngine.updatePosition(position.positionId, { status: 'failed', fundingStatus: 'failed' }, 'active');
+            throw new Error(`Funding of loan ${position.positionId} failed, collateral released: ${error.message}`);
+        }
+
+        if (liquidityResult.provider === 'circle') {
+            liquidityResult.xrplTransaction = await this.executeXRPLLiquidityTransfer({
+                userWalletAddress: position.userWallet,
+                amount: liquidityResult.amount,
+                liquidityPosition: position
+            });
+        }
+
+        await loanEngine.updatePosition(position.positionId, { providerPositionId: liquidityResult.positionId });
+        console.log(`💧 Loan ${position.positionId} funded by ${liquidityResult.provider} (${liquidityResult.positionId})`);
+
+        const { routing, ...result } = liquidityResult;
+        return result;
+    }
+
+    // Positions without lockable collateral are funded on request and activate immediately
     async storeLiquidityPosition(liquidityResult) {
-        // Store position in your existing database
-        const query = `
-            INSERT INTO liquidity_positions 
-            (position_id, user_wallet, rwa_token_id, amount, provider, status, created_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `;
-        
-        const values = [
-            liquidityResult.liquidityPosition?.positionId || liquidityResult.id,
-            liquidityResult.liquidityPosition?.userWallet,
-            liquidityResult.liquidityPosition?.rwaTokenId,
-            liquidityResult.liquidityPosition?.liquidityAmount,
-            liquidityResult.provider || 'Circle',
-            'active',
-            new Date().toISOString()
-        ];
-
-        await this.queryDatabase(query, values);
+        // Record the position and start its loan schedule (services/loanEngine.js)
+        const position = liquidityResult.liquidityPosition || {};
+        const positionId = position.positionId || liquidityResult.id;
+
+        await loanEngine.createPosition({
+            positionId,
+            userWallet: position.userWallet,
+            rwaTokenId: position.rwaTokenId,
+            principal: position.liquidityAmount,
+            collateralValue: position.collateralValue,
+            ltvRatio: position.collateralValue ? position.liquidityAmount / position.collateralValue : 0,
+            provider: liquidityResult.provider || 'circle',
+            interestRate: position.interestRate
+        });
+
+        await loanEngine.activatePosition(positionId, position.maturityDate ? { maturityDate: position.maturityDate } : {});
     }
 
     async getLocalLiquidityPosition(positionId) {
@@ -550,38 +603,143 @@ class LiquidityController {
 
     verifyWebhookSignature(body, signature, secret) {
         // Implement Circle webhook signature verification
-        const crypto = require('crypto');
+        if (!signature || !secret) {
+            return false;
+        }
+
         const hmac = crypto.createHmac('sha256', secret);
         hmac.update(JSON.stringify(body));
-        const expectedSignature = hmac.digest('hex');
+        const expectedSignature = Buffer.from(hmac.digest('hex'), 'hex');
+        const receivedSignature = Buffer.from(signature, 'hex');
         
-        return crypto.timingSafeEqual(
-            Buffer.from(signature, 'hex'),
-            Buffer.from(expectedSignature, 'hex')
-        );
+        return receivedSignature.length === expectedSignature.length &&
+            crypto.timingSafeEqual(receivedSignature, expectedSignature);
     }
 
-    async handleTransferWebhook(data) {
-        console.log('Processing transfer webhook:', data);
-        // Update local position status based on Circle transfer updates
+    // Webhook handlers run by services/webhookService.js; a throw is retried, so each must be idempotent
+
+    // Circle transfer = funding of a position: the one it created (the transfer id is the position id),
+    // or a loan funded after its collateral lock (the transfer id is the provider position id)
+    async handleTransferWebhook(transfer) {
+        const position = await loanEngine.store.getPosition(transfer.id) ||
+            await loanEngine.store.getPositionByProviderId(transfer.id);
+        if (!position) {
+            throw new Error(`Loan ${transfer.id} not found`);
+        }
+        if (position.fundingStatus === transfer.status) {
+            return { positionId: position.positionId };
+        }
+
+        if (transfer.status === 'complete') {
+            await loanEngine.updatePosition(position.positionId, {
+                fundingStatus: 'complete',
+                fundedAt: transfer.updateDate || new Date().toISOString(),
+                usdcAmount: parseFloat(transfer.amount.amount)
+            });
+            console.log(`💸 Circle transfer for ${position.positionId} complete`);
+        } else if (transfer.status === 'failed') {
+            // Nothing was delivered: close the loan (and return any locked collateral) unless it is already repaying
+            const payments = await loanEngine.store.getPayments(position.positionId);
+            const closable = ['pending', 'active'].includes(position.status) &&
+                !payments.some(payment => payment.paymentType === 'repayment');
+            await loanEngine.updatePosition(position.positionId, {
+                fundingStatus: 'failed',
+                ...(closable && { status: 'failed' })
+            }, closable ? position.status : null);
+            console.warn(`⚠️ Circle transfer for ${position.positionId} failed${closable ? ' - loan closed' : ''}`);
+        }
+
+        return { positionId: position.positionId };
     }
 
-    async handlePaymentWebhook(data) {
-        console.log('Processing payment webhook:', data);
-        // Handle payment status updates
+    // Circle payment = a repayment of the position in its metadata, recorded once it is paid
+    async handlePaymentWebhook(payment) {
+        const positionId = payment.metadata && payment.metadata.positionId;
+        if (!positionId) {
+            throw new Error(`Circle payment ${payment.id} has no positionId in its metadata`);
+        }
+        if (payment.status !== 'paid') {
+            return { positionId };
+        }
+
+        const reference = `circle:${payment.id}`;
+        const payments = await loanEngine.store.getPayments(positionId);
+        if (payments.some(row => row.metadata && row.metadata.reference === reference)) {
+            return { positionId };
+        }
+
+        await loanEngine.recordPayment(positionId, {
+            amount: parseFloat(payment.amount.amount),
+            paidAt: payment.updateDate,
+            reference
+        });
+        return { positionId };
     }
 
-    async handleTradeWebhook(data) {
-        console.log('Processing trade webhook:', data);
-        // Handle asset swap completion updates
+    // Circle OTC trade = an asset swap stored by swapAsset
+    async handleTradeWebhook(trade) {
+        if (!isDatabaseConfigured()) {
+            console.warn(`⚠️ Circle trade ${trade.id} ${trade.status} not recorded - swaps are only stored with DATABASE_URL`);
+            return { swapId: trade.id };
+        }
+
+        const status = { settled: 'completed', complete: 'completed', failed: 'failed' }[trade.status];
+        if (!status) {
+            return { swapId: trade.id };
+        }
+
+        const rows = await this.queryDatabase(`
+            UPDATE liquidity_swaps
+            SET status = $2, executed_at = CASE WHEN $2 = 'completed' THEN COALESCE(executed_at, $3) ELSE executed_at END
+            WHERE swap_id = $1
+            RETURNING swap_id
+        `, [trade.id, status, trade.updateDate || new Date().toISOString()]);
+        if (rows.length === 0) {
+            throw new Error(`Swap ${trade.id} not found`);
+        }
+
+        console.log(`💱 Circle trade ${trade.id} ${status}`);
+        return { swapId: trade.id };
     }
 
-    async queryDatabase(query, params) {
-        // Placeholder for your database query method
-        // Replace with your actual database connection/query logic
-        console.log('Database query:', query, params);
-        return [];
+    async storeLiquiditySwap(swap, swapResult) {
+        await this.queryDatabase(`
+            INSERT INTO liquidity_swaps (
+                swap_id, user_wallet, from_asset, to_asset, from_amount, to_amount, exchange_rate,
+                slippage_tolerance, status, provider, provider_trade_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', 'circle', $1)
+            ON CONFLICT (swap_id) DO NOTHING
+        `, [
+            swapResult.tradeId, swap.userWallet, swap.fromAsset, swap.toAsset, swap.amount,
+            swapResult.expectedAmount, swapResult.expectedAmount / swap.amount, swap.slippageTolerance
+        ]);
+    }
+
+    async queryDatabase(text, params) {
+        // Shared pool (config/database.js); nothing is stored without DATABASE_URL
+        if (!isDatabaseConfigured()) {
+            return [];
+        }
+        return query(text, params);
     }
 }
 
-module.exports = new LiquidityController();
\ No newline at end of file
+const controller = new LiquidityController();
+const bind = (method) => controller[method].bind(controller);
+
+// Mounted at /api/liquidity
+const router = express.Router();
+router.get('/check', bind('checkLiquidity'));
+router.post('/request', bind('requestLiquidity'));
+router.post('/swap', bind('swapAsset'));
+router.get('/position/:positionId', bind('getLiquidityPosition'));
+router.post('/position/:positionId/cancel', bind('cancelLiquidityPosition'));
+router.get('/positions/:walletAddress', bind('getUserPositions'));
+
+// Mounted at /api/webhooks
+const webhookRouter = express.Router();
+webhookRouter.post('/circle', bind('handleCircleWebhook'));
+
+module.exports = router;
+module.exports.webhookRouter = webhookRouter;
+module.exports.controller = controller;
\ No newline at end of file
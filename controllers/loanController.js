@@ -0,0 +1,189 @@
+/**
+ * Loan Controller
+ * Payment schedules, activation and repayments for liquidity positions
+ * (services/loanEngine.js). Activation and payments are admin operations (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const loanEngine = require('../services/loanEngine');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { LOAN_REPAYMENT_TYPES, LOAN_PAYMENT_FREQUENCIES, LOAN_DAY_COUNTS } = require('../config/xrplConfig');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  activation: Joi.object({
+    repaymentType: Joi.string().optional().valid(...LOAN_REPAYMENT_TYPES),
+    paymentFrequency: Joi.string().optional().valid(...Object.keys(LOAN_PAYMENT_FREQUENCIES)),
+    dayCount: Joi.string().optional().valid(...LOAN_DAY_COUNTS),
+    termMonths: Joi.number().integer().min(1).max(360).optional(),
+    termDays: Joi.number().integer().min(1).max(10950).optional(),
+    maturityDate: Joi.date().optional(),
+    lateFeeRate: Joi.number().min(0).less(1).optional(),
+    lateFeeGraceDays: Joi.number().integer().min(0).max(365).optional(),
+    activatedAt: Joi.date().optional(),
+    collateral: Joi.object({
+      assetType: Joi.string().required().min(1).max(50),
+      currency: Joi.string().required().min(3).max(40),
+      issuer: Joi.string().required().pattern(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/),
+      amount: Joi.number().required().positive()
+    }).optional() // RWA tokens backing the loan, valued for margin calls and liquidation
+  }).oxor('termMonths', 'termDays', 'maturityDate'),
+
+  payment: Joi.object({
+    amount: Joi.number().required().positive(),
+    paidAt: Joi.date().optional(),
+    xrplTxHash: Joi.string().optional().pattern(/^[A-F0-9]{64}$/i),
+    reference: Joi.string().optional().max(255)
+  }),
+
+  scheduleQuery: Joi.object({
+    at: Joi.date().optional() // Valuation time, default now
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Status code for loan errors
+const loanErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid')) return 400;
+  if (error.message.includes('only pending') || error.message.includes('only accepted') || error.message.includes('concurrently') ||
+    error.message.includes('not locked')) return 409;
+  return 500;
+};
+
+// GET /api/liquidity/positions/:id/schedule - Payment schedule and balances
+router.get('/positions/:id/schedule',
+  validateQuery(schemas.scheduleQuery),
+  async (req, res) => {
+    try {
+      const schedule = await loanEngine.getSchedule(req.params.id, { at: req.validatedQuery.at });
+
+      res.json({
+        success: true,
+        message: 'Loan schedule retrieved successfully',
+        data: schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Loan schedule error:', error);
+      res.status(loanErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve loan schedule',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/liquidity/positions/:id/activate - Activate a pending position and generate its schedule (admin)
+router.post('/positions/:id/activate',
+  requireAdmin,
+  validateInput(schemas.activation),
+  async (req, res) => {
+    try {
+      const schedule = await loanEngine.activatePosition(req.params.id, req.validatedBody);
+
+      res.json({
+        success: true,
+        message: 'Loan activated successfully',
+        data: schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Loan activation error:', error);
+      res.status(loanErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to activate loan',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/liquidity/positions/:id/payments - Record a repayment (admin)
+router.post('/positions/:id/payments',
+  requireAdmin,
+  validateInput(schemas.payment),
+  async (req, res) => {
+    try {
+      const result = await loanEngine.recordPayment(req.params.id, req.validatedBody);
+
+      res.json({
+        success: true,
+        message: result.repaid ? 'Payment recorded, loan repaid' : 'Payment recorded successfully',
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Loan payment error:', error);
+      res.status(loanErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to record payment',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/liquidity/loans/status - Loan engine status
+router.get('/loans/status', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Loan engine status retrieved successfully',
+    data: {
+      ...loanEngine.getStatus(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
 const xrplNativeService = require('../services/xrplNativeService');
+const clientSigningService = require('../services/clientSigningService');
+const pledgeService = require('../services/pledgeService');
+const registryService = require('../services/registryService');
+const { rejectServerSigning } = require('../middleware/signingMode');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { PLEDGE_STATUS } = require('../services/pledgeStateMachine');
 const { 
   validateAssetTokenization, 
   tokenizationRateLimit, 
@@ -34,13 +40,15 @@ const schemas = {
     assetType: Joi.string().required().min(1).max(100),
     assetAmount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
     assetDescription: Joi.string().optional().max(500),
+    assetDetails: Joi.object().optional(),
     tokenSymbol: Joi.string().optional().default('RWA').length(3)
   }),
   
   redeem: Joi.object({
     walletSeed: Joi.string().required().pattern(/^s[a-zA-Z0-9]{25,34}$/),
     tokenAmount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
-    tokenSymbol: Joi.string().optional().default('RWA').length(3)
+    tokenSymbol: Joi.string().optional().default('RWA').length(3),
+    assetId: Joi.any().forbidden().messages({ 'any.unknown': 'Tokens of a registered asset are redeemed through /api/redemptions' })
   }),
   
   swap: Joi.object({
@@ -49,6 +57,46 @@ const schemas = {
     toAsset: Joi.string().required().min(1),
     amount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
     exchangeRate: Joi.string().optional().pattern(/^\d+(\.\d+)?$/)
+  }),
+  
+  prepareTrustline: Joi.object({
+    account: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/),
+    tokenSymbol: Joi.string().optional().default('RWA').length(3),
+    limit: Joi.string().optional().default('1000000').pattern(/^\d+(\.\d+)?$/)
+  }),
+  
+  prepareRedeem: Joi.object({
+    account: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/),
+    tokenAmount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
+    tokenSymbol: Joi.string().optional().default('RWA').length(3),
+    assetId: Joi.any().forbidden().messages({ 'any.unknown': 'Tokens of a registered asset are redeemed through /api/redemptions' })
+  }),
+  
+  prepareSwap: Joi.object({
+    account: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/),
+    fromAsset: Joi.string().required().min(1),
+    toAsset: Joi.string().required().min(1),
+    amount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
+    exchangeRate: Joi.string().optional().pattern(/^\d+(\.\d+)?$/)
+  }),
+  
+  submit: Joi.object({
+    prepareId: Joi.string().required().guid(),
+    txBlob: Joi.string().required().hex()
+  }),
+
+  resubmitPledge: Joi.object({
+    assetDescription: Joi.string().optional().max(500),
+    assetDetails: Joi.object().optional(),
+    metadata: Joi.object().optional()
+  }),
+
+  approvePledge: Joi.object({
+    reason: Joi.string().optional().max(500)
+  }),
+
+  rejectPledge: Joi.object({
+    reason: Joi.string().required().min(1).max(500)
   })
 };
 
@@ -71,6 +119,16 @@ const validateInput = (schema) => {
   };
 };
 
+// Status code for pledge workflow and asset registry errors
+const pledgeErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid asset details')) return 400;
+  if (error.message.includes('cannot be') || error.message.includes('concurrently')) return 409;
+  if (error.message.includes('still unknown')) return 409;
+  if (error.message.includes('exceeds') || error.message.includes('backed by')) return 409;
+  return 500;
+};
+
 // GET /api/native/trust-line-info - Get trust line information and costs
 router.get('/trust-line-info', async (req, res) => {
   try {
@@ -135,6 +193,69 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/native/signer - Issuer signer provider and sign requests
+router.get('/signer', (req, res) => {
+  try {
+    const signer = xrplNativeService.getSignerStatus(req.query.status);
+
+    res.json({
+      success: true,
+      message: 'Issuer signer status retrieved successfully',
+      data: {
+        signer,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Signer status error:', error);
+    res.status(error.message.includes('not configured') ? 503 : 500).json({
+      success: false,
+      message: 'Failed to retrieve issuer signer status',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/native/sign-requests/:requestId - Status of an issuer sign request
+router.get('/sign-requests/:requestId', (req, res) => {
+  try {
+    const signRequest = xrplNativeService.getSignRequest(req.params.requestId);
+
+    if (!signRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign request not found',
+        data: {
+          requestId: req.params.requestId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sign request retrieved successfully',
+      data: {
+        signRequest,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Sign request error:', error);
+    res.status(error.message.includes('not configured') ? 503 : 500).json({
+      success: false,
+      message: 'Failed to retrieve sign request',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 // POST /api/native/create-wallet - Create new XRPL wallet
 router.post('/create-wallet', validateInput(schemas.createWallet), async (req, res) => {
   try {
@@ -272,7 +393,7 @@ router.get('/validate/:address', async (req, res) => {
 });
 
 // POST /api/native/create-trustline - Create trust line for RWA tokens (Enhanced)
-router.post('/create-trustline', async (req, res) => {
+router.post('/create-trustline', rejectServerSigning, async (req, res) => {
   try {
     const { walletSeed, tokenSymbol, limit } = req.body;
     const issuer = process.env.DEFAULT_ASSET_ISSUER;
@@ -301,6 +422,13 @@ router.post('/create-trustline', async (req, res) => {
         issuer
       }
     );
+
+    try {
+      await pledgeService.recordTrustLine(trustLine);
+    } catch (error) {
+      console.error(`❌ Trust line ${trustLine.txHash} created but not recorded:`, error.message);
+      trustLine.recordError = error.message;
+    }
     
     res.json({
       success: true,
@@ -367,7 +495,7 @@ router.get('/analyze-trustlines/:address', async (req, res) => {
   }
 });
 
-// POST /api/native/pledge - Pledge asset → mint tokens (Enhanced)
+// POST /api/native/pledge - Pledge asset → verification → mint tokens (Enhanced)
 router.post('/pledge', 
   tokenizationRateLimit,
   validateAssetTokenization, 
@@ -375,22 +503,21 @@ router.post('/pledge',
   async (req, res) => {
     try {
       const { validatedAsset, enrichedMetadata } = req;
-      
-      const pledge = await xrplNativeService.pledgeAssetEnhanced(
-        validatedAsset.userAddress,
-        validatedAsset.assetType,
-        validatedAsset.assetAmount,
-        validatedAsset.assetDescription,
-        validatedAsset.tokenSymbol,
-        enrichedMetadata
-      );
-      
+
+      // Minted once the Liquidity Engine approves verification (or right away with PLEDGE_REQUIRE_VERIFICATION=false)
+      const pledge = await pledgeService.submitPledge({ ...validatedAsset, metadata: enrichedMetadata });
+      const minted = pledge.status === PLEDGE_STATUS.MINTED;
+
       // Set rate limiting header for next request
       res.set('X-Last-Tokenization', Date.now().toString());
-      
-      res.json({
+
+      res.status(minted ? 200 : 202).json({
         success: true,
-        message: `Asset tokenized successfully. ${validatedAsset.tokenSymbol} tokens minted.`,
+        message: minted
+          ? `Asset tokenized successfully. ${validatedAsset.tokenSymbol} tokens minted.`
+          : pledge.mintSigning
+            ? `Asset pledged. ${validatedAsset.tokenSymbol} tokens are minted once the issuer signer approves the mint.`
+            : `Asset pledged. ${validatedAsset.tokenSymbol} tokens are minted once verification approves it (status ${pledge.status}).`,
         data: pledge,
         timestamp: new Date().toISOString()
       });
@@ -409,16 +536,168 @@ router.post('/pledge',
   }
 );
 
-// POST /api/native/redeem - Burn tokens → release assets
-router.post('/redeem', validateInput(schemas.redeem), async (req, res) => {
+// GET /api/native/pledges/:id - Pledge status, verification result and status history
+router.get('/pledges/:id', async (req, res) => {
+  try {
+    const pledge = await pledgeService.getPledgeStatus(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Pledge retrieved successfully',
+      data: {
+        pledge,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get pledge error:', error.message);
+    res.status(pledgeErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve pledge',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/pledges/:id/resubmit - Send a rejected or expired pledge for verification again
+router.post('/pledges/:id/resubmit', validateInput(schemas.resubmitPledge), async (req, res) => {
+  try {
+    const pledge = await pledgeService.resubmitPledge(req.params.id, req.validatedBody);
+
+    res.status(202).json({
+      success: true,
+      message: 'Pledge resubmitted for verification',
+      data: {
+        pledge,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Resubmit pledge error:', error.message);
+    res.status(pledgeErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to resubmit pledge',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/pledges/:id/approve - Approve and mint without verification (admin override)
+router.post('/pledges/:id/approve', requireAdmin, validateInput(schemas.approvePledge), async (req, res) => {
+  try {
+    const pledge = await pledgeService.approvePledge(req.params.id, req.admin, req.validatedBody.reason);
+
+    res.status(pledge.mintSigning ? 202 : 200).json({
+      success: true,
+      message: pledge.status === PLEDGE_STATUS.MINTED
+        ? 'Pledge approved and tokens minted'
+        : pledge.mintSigning
+          ? 'Pledge approved; tokens are minted once the issuer signer approves the mint'
+          : `Pledge approved; mint did not complete (status ${pledge.status})`,
+      data: {
+        pledge,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Approve pledge error:', error.message);
+    res.status(pledgeErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to approve pledge',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/pledges/:id/reject - Reject a pledge that is not minted yet (admin)
+router.post('/pledges/:id/reject', requireAdmin, validateInput(schemas.rejectPledge), async (req, res) => {
+  try {
+    const pledge = await pledgeService.rejectPledge(req.params.id, req.admin, req.validatedBody.reason);
+
+    res.json({
+      success: true,
+      message: 'Pledge rejected',
+      data: {
+        pledge,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Reject pledge error:', error.message);
+    res.status(pledgeErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to reject pledge',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/pledges/:id/mint/resolve - Look up the mint of a MINT_UNKNOWN pledge again and settle it (admin)
+router.post('/pledges/:id/mint/resolve', requireAdmin, async (req, res) => {
+  try {
+    const pledge = await pledgeService.resolveMint(req.params.id, req.admin);
+
+    res.json({
+      success: true,
+      message: pledge.status === PLEDGE_STATUS.MINTED
+        ? 'Mint found on ledger; pledge minted'
+        : 'Mint did not apply; pledge returned to APPROVED',
+      data: {
+        pledge,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Resolve pledge mint error:', error.message);
+    res.status(pledgeErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to resolve pledge mint',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/redeem - Burn tokens (registered assets are released through /api/redemptions)
+router.post('/redeem', rejectServerSigning, validateInput(schemas.redeem), async (req, res) => {
   try {
     const { walletSeed, tokenAmount, tokenSymbol } = req.validatedBody;
     
     const redemption = await xrplNativeService.redeemTokens(walletSeed, tokenAmount, tokenSymbol);
+
+    // The burn has validated; a registry failure is reported, not retried
+    try {
+      redemption.registry = await registryService.recordRedemption({
+        txHash: redemption.txHash,
+        walletAddress: redemption.fromAddress,
+        tokenSymbol,
+        amount: tokenAmount,
+        ledgerIndex: redemption.ledgerIndex,
+        signing: 'server'
+      });
+      redemption.redemptionRecorded = true;
+    } catch (error) {
+      console.error(`❌ Redemption ${redemption.txHash} validated but not recorded:`, error.message);
+      redemption.redemptionRecorded = false;
+    }
     
     res.json({
       success: true,
-      message: `${tokenSymbol || 'RWA'} tokens burned and assets released successfully`,
+      message: `${tokenSymbol || 'RWA'} tokens burned successfully`,
       data: {
         redemption,
         timestamp: new Date().toISOString()
@@ -438,7 +717,7 @@ router.post('/redeem', validateInput(schemas.redeem), async (req, res) => {
 });
 
 // POST /api/native/swap - Create DEX swap offer
-router.post('/swap', validateInput(schemas.swap), async (req, res) => {
+router.post('/swap', rejectServerSigning, validateInput(schemas.swap), async (req, res) => {
   try {
     const { walletSeed, fromAsset, toAsset, amount, exchangeRate } = req.validatedBody;
     
@@ -471,6 +750,164 @@ router.post('/swap', validateInput(schemas.swap), async (req, res) => {
   }
 });
 
+// POST /api/native/prepare/trustline - Prepare unsigned TrustSet for client signing
+router.post('/prepare/trustline', validateInput(schemas.prepareTrustline), async (req, res) => {
+  try {
+    const { account, tokenSymbol, limit } = req.validatedBody;
+    const issuer = process.env.DEFAULT_ASSET_ISSUER;
+    
+    const trustSet = xrplNativeService.buildTrustLineTx(account, tokenSymbol, limit, {
+      operation: 'create_trustline',
+      tokenSymbol,
+      limit,
+      issuer
+    });
+    const prepared = await clientSigningService.prepareTransaction(trustSet, 'create_trustline', {
+      tokenSymbol,
+      limit,
+      issuer: trustSet.LimitAmount.issuer
+    });
+    
+    res.json({
+      success: true,
+      message: 'Trust line transaction prepared for signing',
+      data: prepared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Prepare trustline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare trust line transaction',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/prepare/redeem - Prepare unsigned redemption payment for client signing
+// (registered assets are released through /api/redemptions)
+router.post('/prepare/redeem', validateInput(schemas.prepareRedeem), async (req, res) => {
+  try {
+    const { account, tokenAmount, tokenSymbol } = req.validatedBody;
+    
+    const payment = xrplNativeService.buildRedeemTx(account, tokenAmount, tokenSymbol);
+    const prepared = await clientSigningService.prepareTransaction(payment, 'redeem_tokens', {
+      tokenAmount,
+      tokenSymbol
+    });
+    
+    res.json({
+      success: true,
+      message: 'Redemption transaction prepared for signing',
+      data: prepared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Prepare redeem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare redemption transaction',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/prepare/swap - Prepare unsigned DEX offer for client signing
+router.post('/prepare/swap', validateInput(schemas.prepareSwap), async (req, res) => {
+  try {
+    const { account, fromAsset, toAsset, amount, exchangeRate } = req.validatedBody;
+    
+    const offer = xrplNativeService.buildSwapOfferTx(account, fromAsset, toAsset, amount, exchangeRate);
+    const prepared = await clientSigningService.prepareTransaction(offer, 'create_dex_offer', {
+      fromAsset,
+      toAsset,
+      amount,
+      exchangeRate
+    });
+    
+    res.json({
+      success: true,
+      message: 'DEX offer transaction prepared for signing',
+      data: prepared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Prepare swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare DEX offer transaction',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/native/submit - Submit a client-signed tx_blob for a prepared transaction
+router.post('/submit', validateInput(schemas.submit), async (req, res) => {
+  try {
+    const { prepareId, txBlob } = req.validatedBody;
+    
+    const submission = await clientSigningService.submitSignedTransaction(prepareId, txBlob);
+    
+    res.json({
+      success: true,
+      message: submission.effectsError
+        ? 'Signed transaction validated, but recording its effects failed'
+        : 'Signed transaction submitted and validated',
+      data: submission,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Submit signed transaction error:', error);
+    
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    if (error.message.includes('does not match') || error.message.includes('signature') || error.message.includes('not a valid')) statusCode = 400;
+    if (error.message.includes('already')) statusCode = 409;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to submit signed transaction',
+      data: {
+        error: error.message,
+        prepareId: req.validatedBody.prepareId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/native/prepared/:prepareId - Get status of a prepared transaction
+router.get('/prepared/:prepareId', (req, res) => {
+  const prepared = clientSigningService.getPreparedTransaction(req.params.prepareId);
+  
+  if (!prepared) {
+    return res.status(404).json({
+      success: false,
+      message: 'Prepared transaction not found or expired',
+      data: {
+        prepareId: req.params.prepareId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Prepared transaction retrieved successfully',
+    data: prepared,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // GET /api/native/orderbook/:base/:counter - Get order book for trading pair
 router.get('/orderbook/:base/:counter', async (req, res) => {
   try {
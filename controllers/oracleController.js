@@ -1,12 +1,17 @@
 /**
  * Oracle Controller for Asset Valuation API
- * RESTful endpoints for Hummingbot integration and price feeds
+ * RESTful endpoints for Hummingbot integration and price feeds.
+ * Price-bearing responses are signed; see GET /keys and POST /attestations/verify.
  */
 
 const express = require('express');
 const Joi = require('joi');
 const oracleService = require('../services/oracleService');
+const attestationService = require('../services/attestationService');
+const ledgerOracleService = require('../services/ledgerOracleService');
+const riskPolicyService = require('../services/riskPolicyService');
 const { isValidCurrencyCode } = require('../utils/xrplHelpers');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
@@ -31,8 +36,46 @@ const schemas = {
     baseCurrency: Joi.string().optional().default('XRP').length(3)
   }),
   
-  ltvUpdate: Joi.object({
-    ltvRatio: Joi.number().required().min(0.1).max(0.9)
+  manualQuote: Joi.object({
+    asset: Joi.string().required().min(1).max(40),
+    price: Joi.number().required().positive(),
+    note: Joi.string().optional().max(500),
+    feedId: Joi.string().optional()
+  }),
+  
+  historyQuery: Joi.object({
+    from: Joi.date().optional(),
+    to: Joi.date().optional(),
+    limit: Joi.number().integer().min(1).max(5000).default(500)
+  }),
+  
+  twapQuery: Joi.object({
+    from: Joi.date().optional(),
+    to: Joi.date().optional(),
+    window: Joi.number().integer().min(1).optional() // Seconds before `to`, when from is omitted
+  }),
+  
+  ohlcQuery: Joi.object({
+    from: Joi.date().optional(),
+    to: Joi.date().optional(),
+    interval: Joi.string().pattern(/^\d+[smhd]?$/).default('1h')
+  }),
+  
+  verifyAttestation: Joi.object({
+    document: Joi.object().required().unknown(true),
+    ignoreExpiry: Joi.boolean().default(false)
+  }),
+  
+  ledgerAggregateQuery: Joi.object({
+    base: Joi.string().required().pattern(/^([A-Z0-9]{3}|[A-F0-9]{40})$/),
+    quote: Joi.string().required().valid('XRP', 'USD'),
+    oracles: Joi.string().optional().pattern(/^r[a-zA-Z0-9]{24,34}:\d+(,r[a-zA-Z0-9]{24,34}:\d+)*$/), // account:documentId,...
+    trim: Joi.number().integer().min(1).max(25).optional()
+  }),
+  
+  ledgerObjectQuery: Joi.object({
+    account: Joi.string().optional().pattern(/^r[a-zA-Z0-9]{24,34}$/),
+    documentId: Joi.number().integer().min(0).max(4294967295).optional()
   }),
   
   hummingbotWebhook: Joi.object({
@@ -63,6 +106,32 @@ const validateInput = (schema) => {
   };
 };
 
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Status code for price history errors
+const historyErrorStatus = (error) => {
+  if (error.message.includes('No price history')) return 404;
+  if (error.message.includes('Invalid')) return 400;
+  return 500;
+};
+
 // Rate limiting for oracle endpoints
 const oracleRateLimit = (req, res, next) => {
   const userKey = req.ip || 'unknown';
@@ -126,7 +195,7 @@ router.get('/prices', oracleRateLimit, async (req, res) => {
     res.json({
       success: true,
       message: 'Current prices retrieved successfully',
-      data: prices,
+      data: attestationService.attest(prices),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -142,6 +211,318 @@ router.get('/prices', oracleRateLimit, async (req, res) => {
   }
 });
 
+// GET /api/oracle/price/:asset - Aggregated price with per-source provenance
+router.get('/price/:asset', oracleRateLimit, async (req, res) => {
+  try {
+    const price = await oracleService.getPrice(req.params.asset);
+    
+    res.json({
+      success: true,
+      message: 'Price retrieved successfully',
+      data: attestationService.attest(price),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get price error:', error);
+    
+    let statusCode = 500;
+    if (error.message.includes('No price feeds')) statusCode = 404;
+    if (error.message.includes('Insufficient price sources')) statusCode = 503;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to retrieve price',
+      data: {
+        error: error.message,
+        asset: req.params.asset,
+        sources: error.sources,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/oracle/feeds - Configured price feeds and their last quote/error
+router.get('/feeds', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Price feeds retrieved successfully',
+    data: {
+      feeds: oracleService.getFeedStatus(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// GET /api/oracle/history/:asset - Recorded prices in a time range (default last 24h)
+router.get('/history/:asset', 
+  oracleRateLimit, 
+  validateQuery(schemas.historyQuery), 
+  async (req, res) => {
+    try {
+      const { from, to, limit } = req.validatedQuery;
+      const history = await oracleService.getPriceHistory(req.params.asset, { from, to, limit });
+      
+      res.json({
+        success: true,
+        message: 'Price history retrieved successfully',
+        data: attestationService.attest(history),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Price history error:', error);
+      res.status(historyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve price history',
+        data: {
+          error: error.message,
+          asset: req.params.asset,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/oracle/history/:asset/twap - Time-weighted average price over a window
+router.get('/history/:asset/twap', 
+  oracleRateLimit, 
+  validateQuery(schemas.twapQuery), 
+  async (req, res) => {
+    try {
+      const { from, to, window } = req.validatedQuery;
+      const twap = await oracleService.getTwap(req.params.asset, { from, to, windowSeconds: window });
+      
+      res.json({
+        success: true,
+        message: 'TWAP calculated successfully',
+        data: attestationService.attest(twap),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('TWAP error:', error);
+      res.status(historyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to calculate TWAP',
+        data: {
+          error: error.message,
+          asset: req.params.asset,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/oracle/history/:asset/ohlc - OHLC candles at an interval (30s, 5m, 1h, 1d)
+router.get('/history/:asset/ohlc', 
+  oracleRateLimit, 
+  validateQuery(schemas.ohlcQuery), 
+  async (req, res) => {
+    try {
+      const { from, to, interval } = req.validatedQuery;
+      const candles = await oracleService.getCandles(req.params.asset, interval, { from, to });
+      
+      res.json({
+        success: true,
+        message: 'OHLC candles retrieved successfully',
+        data: attestationService.attest(candles),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('OHLC error:', error);
+      res.status(historyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve OHLC candles',
+        data: {
+          error: error.message,
+          asset: req.params.asset,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/oracle/quotes - Record a manual operator quote (admin; the admin is the operator)
+router.post('/quotes', 
+  requireAdmin,
+  validateInput(schemas.manualQuote), 
+  async (req, res) => {
+    try {
+      const { asset, price, note, feedId } = req.validatedBody;
+      
+      const quote = oracleService.setManualQuote(asset, price, { operator: `admin:${req.admin}`, note, feedId });
+      
+      res.json({
+        success: true,
+        message: 'Manual quote recorded successfully',
+        data: quote,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Manual quote error:', error);
+      res.status(error.message.includes('not found') || error.message.includes('No manual') ? 404 : 500).json({
+        success: false,
+        message: 'Failed to record manual quote',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// Status code for on-ledger oracle errors
+const ledgerErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('No price for') || error.message.includes('Unsupported')) return 400;
+  if (error.message.includes('not configured') || error.message.includes('not enabled')) return 503;
+  return 500;
+};
+
+// GET /api/oracle/ledger - On-ledger (XLS-47) oracle publisher status
+router.get('/ledger', (req, res) => {
+  res.json({
+    success: true,
+    message: 'On-ledger oracle status retrieved successfully',
+    data: {
+      ...ledgerOracleService.getStatus(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// GET /api/oracle/ledger/aggregate - get_aggregate_price for a pair (falls back to the off-ledger price)
+router.get('/ledger/aggregate', 
+  oracleRateLimit, 
+  validateQuery(schemas.ledgerAggregateQuery), 
+  async (req, res) => {
+    try {
+      const { base, quote, oracles, trim } = req.validatedQuery;
+      const oracleList = oracles
+        ? oracles.split(',').map(entry => {
+          const [account, documentId] = entry.split(':');
+          return { account, documentId: parseInt(documentId) };
+        })
+        : [];
+      
+      const price = await ledgerOracleService.getAggregatePrice(base, quote, { oracles: oracleList, trim });
+      
+      res.json({
+        success: true,
+        message: price.onLedger ? 'On-ledger price retrieved successfully' : 'Off-ledger price retrieved (on-ledger price unavailable)',
+        data: attestationService.attest(price),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Ledger aggregate price error:', error);
+      res.status(ledgerErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve on-ledger price',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/oracle/ledger/object - Decoded Oracle ledger object (defaults to ours)
+router.get('/ledger/object', 
+  validateQuery(schemas.ledgerObjectQuery), 
+  async (req, res) => {
+    try {
+      const { account, documentId } = req.validatedQuery;
+      const oracle = await ledgerOracleService.getOracleObject(account, documentId);
+      
+      res.json({
+        success: true,
+        message: 'Oracle object retrieved successfully',
+        data: oracle,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Ledger oracle object error:', error);
+      res.status(ledgerErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to retrieve oracle object',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/oracle/ledger/publish - Publish current rates now (admin)
+router.post('/ledger/publish', requireAdmin, async (req, res) => {
+  try {
+    console.log(`🔮 Manual oracle publication requested by admin:${req.admin}`);
+    const publication = await ledgerOracleService.publish('manual');
+    
+    res.json({
+      success: true,
+      message: 'Oracle prices published on-ledger',
+      data: publication,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Ledger oracle publish error:', error);
+    res.status(ledgerErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to publish oracle prices',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/oracle/keys - Public keys that sign oracle attestations
+router.get('/keys', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Oracle keys retrieved successfully',
+    data: {
+      keys: attestationService.getPublicKeys(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// POST /api/oracle/attestations/verify - Check an attested oracle response
+router.post('/attestations/verify', 
+  validateInput(schemas.verifyAttestation), 
+  (req, res) => {
+    try {
+      const { document, ignoreExpiry } = req.validatedBody;
+      const result = attestationService.verify(document, { ignoreExpiry });
+      
+      res.json({
+        success: true,
+        message: result.valid ? 'Attestation is valid' : 'Attestation is not valid',
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Attestation verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify attestation',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
 // GET /api/oracle/xrp-price - Get current XRP/USD price
 router.get('/xrp-price', oracleRateLimit, async (req, res) => {
   try {
@@ -150,12 +531,12 @@ router.get('/xrp-price', oracleRateLimit, async (req, res) => {
     res.json({
       success: true,
       message: 'XRP price retrieved successfully',
-      data: {
+      data: attestationService.attest({
         price: xrpPrice,
         currency: 'USD',
         timestamp: new Date().toISOString(),
         source: 'IME_Oracle'
-      }
+      })
     });
   } catch (error) {
     console.error('Get XRP price error:', error);
@@ -183,7 +564,7 @@ router.post('/asset-valuation',
       res.json({
         success: true,
         message: 'Asset valuation calculated successfully',
-        data: valuation,
+        data: attestationService.attest(valuation),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -213,7 +594,7 @@ router.post('/rwa-xrp-rate',
       res.json({
         success: true,
         message: 'RWA/XRP exchange rate calculated successfully',
-        data: rate,
+        data: attestationService.attest(rate),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -250,8 +631,8 @@ router.get('/hummingbot-feed', oracleRateLimit, async (req, res) => {
     
     const priceFeed = await oracleService.getHummingbotPriceFeed(token, base);
     
-    // Return in Hummingbot's expected format
-    res.json(priceFeed);
+    // Return in Hummingbot's expected format (the attestation is an extra field)
+    res.json(attestationService.attest(priceFeed));
   } catch (error) {
     console.error('Hummingbot feed error:', error);
     res.status(500).json({
@@ -274,7 +655,7 @@ router.post('/webhook',
       res.json({
         success: true,
         message: 'Hummingbot webhook created successfully',
-        data: webhook,
+        data: attestationService.attest(webhook),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -291,34 +672,7 @@ router.post('/webhook',
   }
 );
 
-// PUT /api/oracle/ltv-ratio - Update LTV ratio
-router.put('/ltv-ratio', 
-  validateInput(schemas.ltvUpdate), 
-  async (req, res) => {
-    try {
-      const { ltvRatio } = req.validatedBody;
-      
-      const result = oracleService.updateLTVRatio(ltvRatio);
-      
-      res.json({
-        success: true,
-        message: 'LTV ratio updated successfully',
-        data: result,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error('LTV ratio update error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update LTV ratio',
-        data: {
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-  }
-);
+// LTV and haircut are managed through the risk policy workflow (/api/policies)
 
 // GET /api/oracle/asset-types - Get supported asset types with base prices
 router.get('/asset-types', (req, res) => {
@@ -382,13 +736,18 @@ router.get('/asset-types', (req, res) => {
       }
     ];
     
+    const policyVersion = riskPolicyService.getEffectiveVersion().version;
+    
     res.json({
       success: true,
       message: 'Asset types retrieved successfully',
       data: {
-        assetTypes,
+        assetTypes: assetTypes.map(assetType => {
+          const { ltv, haircut } = riskPolicyService.getPolicy(assetType.type);
+          return { ...assetType, ltvRatio: ltv, haircut };
+        }),
         totalTypes: assetTypes.length,
-        ltvRatio: oracleService.LTV_RATIO,
+        policyVersion,
         timestamp: new Date().toISOString()
       }
     });
@@ -0,0 +1,97 @@
+/**
+ * Outbox Controller
+ * Delivery state of Liquidity Engine notifications (services/outboxService.js).
+ * Listing messages is an admin operation (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const outboxService = require('../services/outboxService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  messageQuery: Joi.object({
+    status: Joi.string().optional().valid('pending', 'delivered'),
+    destination: Joi.string().optional().valid('redis', 'http'),
+    aggregateId: Joi.string().optional().max(255),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  })
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// GET /api/outbox/status - Pending and delivered counts per destination and the relay's last run
+router.get('/status', async (req, res) => {
+  try {
+    const status = await outboxService.getStatus();
+
+    res.json({
+      success: true,
+      message: 'Outbox status retrieved successfully',
+      data: {
+        ...status,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Outbox status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve outbox status',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/outbox/messages - Messages oldest first, undelivered unless ?status=delivered (admin)
+router.get('/messages', requireAdmin, validateQuery(schemas.messageQuery), async (req, res) => {
+  try {
+    const { status, destination, aggregateId, limit } = req.validatedQuery;
+    const messages = await outboxService.listMessages({ status: status || 'pending', destination, aggregateId, limit });
+
+    res.json({
+      success: true,
+      message: 'Outbox messages retrieved successfully',
+      data: {
+        messages,
+        count: messages.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Outbox messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve outbox messages',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+/**
+ * Redemption Controller
+ * Redeem a registered asset's tokens for the underlying asset (services/redemptionService.js):
+ * holder-signed request, custodian approval or rejection (X-Admin-Key), burn and release certificate.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const redemptionService = require('../services/redemptionService');
+const { rejectServerSigning } = require('../middleware/signingMode');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { REDEMPTION_STATUS } = require('../services/redemptionStateMachine');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  request: Joi.object({
+    assetId: Joi.string().required().max(64),
+    holderWallet: Joi.string().required().pattern(/^r[a-zA-Z0-9]{24,34}$/),
+    amount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
+    releaseInstructions: Joi.string().optional().max(2000)
+  }),
+
+  listQuery: Joi.object({
+    status: Joi.string().optional().valid(...Object.values(REDEMPTION_STATUS)),
+    assetId: Joi.string().optional().max(64),
+    holder: Joi.string().optional().pattern(/^r[a-zA-Z0-9]{24,34}$/),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  approve: Joi.object({
+    reason: Joi.string().optional().max(500)
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().required().min(1).max(500)
+  }),
+
+  burn: Joi.object({
+    walletSeed: Joi.string().required().pattern(/^s[a-zA-Z0-9]{25,34}$/)
+  }),
+
+  verifyCertificate: Joi.object({
+    certificate: Joi.object().required().unknown(true)
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Map redemption errors to HTTP status codes
+const redemptionErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('must be burned by')) return 403;
+  if (error.message.includes('open redemption requests')) return 429;
+  if (error.message.includes('cannot be') || error.message.includes('concurrently')) return 409;
+  if (error.message.includes('still unknown')) return 409;
+  if (error.message.includes('exceeds') || error.message.includes('less than')) return 409;
+  if (error.message.includes('has no release certificate')) return 404;
+  return 500;
+};
+
+// Respond with a failed redemption operation
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error.message);
+  res.status(redemptionErrorStatus(error)).json({
+    success: false,
+    message,
+    data: {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// POST /api/redemptions - Prepare a redemption request for the holder to sign and POST to /api/native/submit
+// (checks the holder's balance and open requests; the request is created once the holder's transaction validates)
+router.post('/', validateInput(schemas.request), async (req, res) => {
+  try {
+    const prepared = await redemptionService.requestRedemption(req.validatedBody);
+
+    res.status(202).json({
+      success: true,
+      message: 'Redemption request prepared; sign it with holderWallet and submit it to create the request',
+      data: {
+        ...prepared,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to request redemption');
+  }
+});
+
+// GET /api/redemptions - Redemption requests newest first
+router.get('/', validateQuery(schemas.listQuery), async (req, res) => {
+  try {
+    const { status, assetId, holder, limit } = req.validatedQuery;
+    const redemptions = await redemptionService.listRedemptions({ status, assetId, holderWallet: holder, limit });
+
+    res.json({
+      success: true,
+      message: 'Redemptions retrieved successfully',
+      data: {
+        redemptions,
+        count: redemptions.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve redemptions');
+  }
+});
+
+// POST /api/redemptions/certificates/verify - Check a release certificate's signature and issuance
+router.post('/certificates/verify', validateInput(schemas.verifyCertificate), async (req, res) => {
+  try {
+    const verification = await redemptionService.verifyCertificate(req.validatedBody.certificate);
+
+    res.json({
+      success: true,
+      message: verification.valid ? 'Release certificate is valid' : 'Release certificate is not valid',
+      data: {
+        verification,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify release certificate');
+  }
+});
+
+// GET /api/redemptions/:id - Redemption request with its status history
+router.get('/:id', async (req, res) => {
+  try {
+    const redemption = await redemptionService.getRedemption(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Redemption retrieved successfully',
+      data: {
+        redemption,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve redemption');
+  }
+});
+
+// POST /api/redemptions/:id/approve - Custodian approval (admin)
+router.post('/:id/approve', requireAdmin, validateInput(schemas.approve), async (req, res) => {
+  try {
+    const redemption = await redemptionService.approveRedemption(req.params.id, req.admin, req.validatedBody.reason);
+
+    res.json({
+      success: true,
+      message: 'Redemption approved; the holder can now burn the tokens',
+      data: {
+        redemption,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve redemption');
+  }
+});
+
+// POST /api/redemptions/:id/reject - Reject a redemption request (admin)
+router.post('/:id/reject', requireAdmin, validateInput(schemas.reject), async (req, res) => {
+  try {
+    const redemption = await redemptionService.rejectRedemption(req.params.id, req.admin, req.validatedBody.reason);
+
+    res.json({
+      success: true,
+      message: 'Redemption rejected',
+      data: {
+        redemption,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject redemption');
+  }
+});
+
+// POST /api/redemptions/:id/burn - Burn an approved request's tokens with the holder's seed
+router.post('/:id/burn', rejectServerSigning, validateInput(schemas.burn), async (req, res) => {
+  try {
+    const redemption = await redemptionService.burnRedemption(req.params.id, req.validatedBody.walletSeed);
+    const unknown = redemption.status === REDEMPTION_STATUS.BURN_UNKNOWN;
+
+    res.status(unknown ? 202 : 200).json({
+      success: true,
+      message: unknown
+        ? 'Burn submitted but its outcome is unknown; an admin resolves it via /burn/resolve'
+        : redemption.status === REDEMPTION_STATUS.COMPLETED
+          ? 'Tokens burned and release certificate issued'
+          : `Tokens burned; redemption is ${redemption.status}`,
+      data: {
+        redemption,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to burn redemption tokens');
+  }
+});
+
+// POST /api/redemptions/:id/burn/resolve - Look up the burn of a BURN_UNKNOWN request again and settle it (admin)
+router.post('/:id/burn/resolve', requireAdmin, async (req, res) => {
+  try {
+    const redemption = await redemptionService.resolveBurn(req.params.id, req.admin);
+
+    res.json({
+      success: true,
+      message: redemption.status === REDEMPTION_STATUS.COMPLETED
+        ? 'Burn found on ledger; release certificate issued'
+        : 'Burn did not apply; redemption returned to APPROVED',
+      data: {
+        redemption,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve redemption burn');
+  }
+});
+
+// POST /api/redemptions/:id/prepare-burn - Prepare the burn for the holder to sign and POST to /api/native/submit
+router.post('/:id/prepare-burn', async (req, res) => {
+  try {
+    const prepared = await redemptionService.prepareBurn(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Redemption burn prepared for signing',
+      data: prepared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to prepare redemption burn');
+  }
+});
+
+// GET /api/redemptions/:id/certificate - Signed release certificate of a completed redemption
+router.get('/:id/certificate', async (req, res) => {
+  try {
+    const certificate = await redemptionService.getCertificate(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Release certificate retrieved successfully',
+      data: {
+        certificate,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve release certificate');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Registry Controller
+ * Pledged assets with their pledges, appraisals, minted token batches and redemptions
+ * (services/registryService.js). Recording an appraisal is an admin operation (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const registryService = require('../services/registryService');
+const pledgeService = require('../services/pledgeService');
+const documentService = require('../services/documentService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { ASSET_STATUS } = require('../services/registryService');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  assetQuery: Joi.object({
+    status: Joi.string().optional().valid(...Object.values(ASSET_STATUS)),
+    assetType: Joi.string().optional().max(100),
+    owner: Joi.string().optional().pattern(/^r[a-zA-Z0-9]{24,34}$/),
+    tokenSymbol: Joi.string().optional().max(40),
+    search: Joi.string().optional().min(1).max(200),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  redemptionQuery: Joi.object({
+    assetId: Joi.string().optional().max(64),
+    wallet: Joi.string().optional().pattern(/^r[a-zA-Z0-9]{24,34}$/),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  appraisal: Joi.object({
+    value: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
+    currency: Joi.string().optional().default('USD').length(3).uppercase(),
+    notes: Joi.string().optional().max(500)
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// GET /api/registry/assets - Registered assets newest first, filtered or searched by id and description
+router.get('/assets', validateQuery(schemas.assetQuery), async (req, res) => {
+  try {
+    const { status, assetType, owner, tokenSymbol, search, limit, offset } = req.validatedQuery;
+    const assets = await registryService.listAssets({ status, assetType, ownerWallet: owner, tokenSymbol, search, limit, offset });
+
+    res.json({
+      success: true,
+      message: 'Assets retrieved successfully',
+      data: {
+        assets,
+        count: assets.length,
+        offset,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('List assets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve assets',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/registry/assets/:assetId - Asset with its pledge, documents, appraisals, token batches, redemptions and XRPL transactions
+router.get('/assets/:assetId', async (req, res) => {
+  try {
+    const asset = await registryService.getAssetDetail(req.params.assetId);
+    const pledge = await pledgeService.getPledgeForAsset(req.params.assetId);
+    const documents = await documentService.listDocuments(req.params.assetId);
+
+    res.json({
+      success: true,
+      message: 'Asset retrieved successfully',
+      data: {
+        asset: { ...asset, pledge, documents },
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get asset error:', error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve asset',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/registry/assets/:assetId/appraisals - Record an appraisal (admin)
+router.post('/assets/:assetId/appraisals', requireAdmin, validateInput(schemas.appraisal), async (req, res) => {
+  try {
+    const appraisal = await registryService.recordAppraisal(req.params.assetId, req.validatedBody, req.admin);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appraisal recorded',
+      data: {
+        appraisal,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Record appraisal error:', error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to record appraisal',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/registry/redemptions - Recorded token burns, by asset or wallet
+router.get('/redemptions', validateQuery(schemas.redemptionQuery), async (req, res) => {
+  try {
+    const { assetId, wallet, limit } = req.validatedQuery;
+    const redemptions = await registryService.listRedemptions({ assetId, walletAddress: wallet, limit });
+
+    res.json({
+      success: true,
+      message: 'Redemptions retrieved successfully',
+      data: {
+        redemptions,
+        count: redemptions.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('List redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve redemptions',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/registry/transactions/:txHash - The mint or redemption behind an XRPL transaction, with its asset
+router.get('/transactions/:txHash', async (req, res) => {
+  try {
+    const transaction = await registryService.findTransaction(req.params.txHash.toUpperCase());
+
+    res.json({
+      success: true,
+      message: 'Transaction retrieved successfully',
+      data: {
+        transaction,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get registry transaction error:', error.message);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve transaction',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+module.exports = router;
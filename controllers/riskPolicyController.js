@@ -0,0 +1,308 @@
+/**
+ * Risk Policy Controller
+ * Read endpoints for the LTV/haircut/concentration policy in effect, and the admin
+ * workflow (X-Admin-Key) for proposing, approving and rejecting policy versions.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const riskPolicyService = require('../services/riskPolicyService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Limits for one asset type or asset; every field is optional except in `default`
+// (marginCallLtv and liquidationLtv fall back to the built-in policy)
+const limits = {
+  ltv: Joi.number().min(0).max(1),
+  haircut: Joi.number().min(0).less(1),
+  maxConcentration: Joi.number().greater(0).max(1),
+  minLiquidityUsd: Joi.number().min(0),
+  marginCallLtv: Joi.number().greater(0).max(1),
+  liquidationLtv: Joi.number().greater(0).max(1)
+};
+
+// Input validation schemas
+const schemas = {
+  proposal: Joi.object({
+    policy: Joi.object({
+      default: Joi.object(limits).keys({
+        ltv: limits.ltv.required(),
+        haircut: limits.haircut.required(),
+        maxConcentration: limits.maxConcentration.required(),
+        minLiquidityUsd: limits.minLiquidityUsd.required()
+      }).required(),
+      assetTypes: Joi.object().pattern(Joi.string().min(1).max(50), Joi.object(limits).min(1)).default({}),
+      assets: Joi.object().pattern(Joi.string().min(1).max(100), Joi.object(limits).min(1)).default({})
+    }).required(),
+    effectiveFrom: Joi.date().optional(),
+    reason: Joi.string().required().min(3).max(500)
+  }),
+
+  decision: Joi.object({
+    reason: Joi.string().optional().max(500)
+  }),
+
+  rejection: Joi.object({
+    reason: Joi.string().required().min(3).max(500)
+  }),
+
+  resolveQuery: Joi.object({
+    assetType: Joi.string().required().min(1).max(50),
+    assetId: Joi.string().optional().max(100),
+    at: Joi.date().optional()
+  }),
+
+  auditQuery: Joi.object({
+    version: Joi.number().integer().min(1).optional()
+  })
+};
+
+// Middleware for input validation
+const validateInput = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedBody = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Status code for policy workflow errors
+const policyErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('different admin')) return 403;
+  if (error.message.includes('not awaiting approval') || error.message.includes('modified concurrently')) return 409;
+  if (error.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+const parseVersion = (req, res, next) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      data: {
+        details: ['"version" must be a non-negative integer'],
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  req.policyVersion = version;
+  next();
+};
+
+// GET /api/policies/current - Policy version in effect now
+router.get('/current', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Current risk policy retrieved successfully',
+    data: {
+      ...riskPolicyService.getEffectiveVersion(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// GET /api/policies/resolve - Effective limits for an asset type (and asset) at a time
+router.get('/resolve',
+  validateQuery(schemas.resolveQuery),
+  (req, res) => {
+    const { assetType, assetId, at } = req.validatedQuery;
+
+    res.json({
+      success: true,
+      message: 'Risk policy resolved successfully',
+      data: {
+        ...riskPolicyService.getPolicy(assetType, { assetId, at }),
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+// GET /api/policies/versions - All policy versions (proposed, approved and rejected)
+router.get('/versions', (req, res) => {
+  const versions = riskPolicyService.listVersions();
+
+  res.json({
+    success: true,
+    message: 'Risk policy versions retrieved successfully',
+    data: {
+      versions,
+      count: versions.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// GET /api/policies/versions/:version - One policy version
+router.get('/versions/:version', parseVersion, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Risk policy version retrieved successfully',
+      data: {
+        ...riskPolicyService.getVersion(req.policyVersion),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve risk policy version',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/policies/versions - Propose a new policy version (admin)
+router.post('/versions',
+  requireAdmin,
+  validateInput(schemas.proposal),
+  async (req, res) => {
+    try {
+      const version = await riskPolicyService.proposeVersion(req.validatedBody, req.admin);
+
+      res.status(201).json({
+        success: true,
+        message: 'Risk policy version proposed; it takes effect once approved by another admin',
+        data: version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Risk policy proposal error:', error);
+      res.status(policyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to propose risk policy version',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/policies/versions/:version/approve - Approve a proposed version (admin, not the proposer)
+router.post('/versions/:version/approve',
+  requireAdmin,
+  parseVersion,
+  validateInput(schemas.decision),
+  async (req, res) => {
+    try {
+      const version = await riskPolicyService.approveVersion(req.policyVersion, req.admin, req.validatedBody.reason || null);
+
+      res.json({
+        success: true,
+        message: 'Risk policy version approved',
+        data: version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Risk policy approval error:', error);
+      res.status(policyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to approve risk policy version',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// POST /api/policies/versions/:version/reject - Reject a proposed version (admin)
+router.post('/versions/:version/reject',
+  requireAdmin,
+  parseVersion,
+  validateInput(schemas.rejection),
+  async (req, res) => {
+    try {
+      const version = await riskPolicyService.rejectVersion(req.policyVersion, req.admin, req.validatedBody.reason);
+
+      res.json({
+        success: true,
+        message: 'Risk policy version rejected',
+        data: version,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Risk policy rejection error:', error);
+      res.status(policyErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to reject risk policy version',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// GET /api/policies/audit - Audit trail of policy actions (admin)
+router.get('/audit',
+  requireAdmin,
+  validateQuery(schemas.auditQuery),
+  async (req, res) => {
+    try {
+      const entries = await riskPolicyService.getAuditTrail(req.validatedQuery);
+
+      res.json({
+        success: true,
+        message: 'Risk policy audit trail retrieved successfully',
+        data: {
+          entries,
+          count: entries.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Risk policy audit error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve risk policy audit trail',
+        data: {
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
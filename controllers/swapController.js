@@ -6,24 +6,27 @@
 const express = require('express');
 const Joi = require('joi');
 const swapService = require('../services/swapService');
+const swapExpiryScheduler = require('../services/swapExpiryScheduler');
 const { isValidXRPLSeed, isValidXRPLAddress, isValidCurrencyCode } = require('../utils/xrplHelpers');
+const { rejectServerSigning } = require('../middleware/signingMode');
 
 const router = express.Router();
 
 // Input validation schemas
 const schemas = {
   createSwap: Joi.object({
-    walletSeed: Joi.string().required().pattern(/^s[a-zA-Z0-9]{25,34}$/),
+    walletSeed: Joi.string().pattern(/^s[a-zA-Z0-9]{25,34}$/),
+    creatorAddress: Joi.string().pattern(/^r[a-zA-Z0-9]{25,34}$/),
     fromAsset: Joi.string().required().min(1).max(10),
     toAsset: Joi.string().required().min(1).max(10),
     amount: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
-    exchangeRate: Joi.string().optional().pattern(/^\d+(\.\d+)?$/),
+    exchangeRate: Joi.string().required().pattern(/^\d+(\.\d+)?$/),
     assetType: Joi.string().optional().valid(
       'real-estate', 'commodities', 'art', 'equipment', 
       'inventory', 'intellectual-property', 'securities', 'other'
     ),
     expiresAt: Joi.date().optional().greater('now')
-  }),
+  }).xor('walletSeed', 'creatorAddress'),
   
   acceptSwap: Joi.object({
     swapId: Joi.string().required(),
@@ -35,6 +38,31 @@ const schemas = {
     walletSeed: Joi.string().required().pattern(/^s[a-zA-Z0-9]{25,34}$/)
   }),
   
+  prepareEscrow: Joi.object({
+    swapId: Joi.string().required(),
+    counterpartyAddress: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/)
+  }),
+  
+  prepareLock: Joi.object({
+    swapId: Joi.string().required(),
+    counterpartyAddress: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/)
+  }),
+  
+  prepareFinish: Joi.object({
+    swapId: Joi.string().required(),
+    finisherAddress: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/)
+  }),
+  
+  prepareCancel: Joi.object({
+    swapId: Joi.string().required(),
+    creatorAddress: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/)
+  }),
+  
+  reclaimLeg: Joi.object({
+    swapId: Joi.string().required(),
+    address: Joi.string().required().pattern(/^r[a-zA-Z0-9]{25,34}$/)
+  }),
+  
   hummingbotOffer: Joi.object({
     fromAsset: Joi.string().required(),
     toAsset: Joi.string().required(),
@@ -96,9 +124,9 @@ const swapRateLimit = (req, res, next) => {
 };
 
 // GET /api/swaps/statistics - Get swap statistics and platform metrics
-router.get('/statistics', (req, res) => {
+router.get('/statistics', async (req, res) => {
   try {
-    const stats = swapService.getSwapStatistics();
+    const stats = await swapService.getSwapStatistics();
     
     res.json({
       success: true,
@@ -195,13 +223,79 @@ router.get('/user/:address', async (req, res) => {
   }
 });
 
+// GET /api/swaps/expiry/status - Expiry scheduler status and last run results
+router.get('/expiry/status', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Swap expiry status retrieved successfully',
+    data: swapExpiryScheduler.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/swaps/:swapId/history - Audit trail of a swap's status transitions
+router.get('/:swapId/history', async (req, res) => {
+  try {
+    const history = await swapService.getSwapHistory(req.params.swapId);
+
+    res.json({
+      success: true,
+      message: 'Swap history retrieved successfully',
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get swap history error:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to retrieve swap history',
+      data: {
+        error: error.message,
+        swapId: req.params.swapId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/swaps/:swapId/fulfillment - Swap fulfillment, revealed once the counterparty leg is released
+router.get('/:swapId/fulfillment', async (req, res) => {
+  try {
+    const fulfillment = await swapService.getSwapFulfillment(req.params.swapId);
+
+    res.json({
+      success: true,
+      message: 'Swap fulfillment retrieved successfully',
+      data: fulfillment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get swap fulfillment error:', error);
+
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    if (error.message.includes('not revealed') || error.message.includes('modified concurrently')) statusCode = 409;
+
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to retrieve swap fulfillment',
+      data: {
+        error: error.message,
+        swapId: req.params.swapId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 // POST /api/swaps/create - Create new atomic swap offer
 router.post('/create', 
   swapRateLimit,
+  rejectServerSigning,
   validateInput(schemas.createSwap), 
   async (req, res) => {
     try {
-      const { walletSeed, fromAsset, toAsset, amount, exchangeRate, assetType, expiresAt } = req.validatedBody;
+      const { walletSeed, creatorAddress, fromAsset, toAsset, amount, exchangeRate, assetType, expiresAt } = req.validatedBody;
       
       // Additional validation for currency codes
       if (!isValidCurrencyCode(fromAsset) && fromAsset !== 'XRP') {
@@ -230,13 +324,14 @@ router.post('/create',
       }
       
       const options = {
+        creatorAddress,
         exchangeRate,
         assetType,
         expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
       };
       
       const swapOffer = await swapService.createSwapOffer(
-        walletSeed, 
+        walletSeed || null, 
         fromAsset, 
         toAsset, 
         amount, 
@@ -251,7 +346,7 @@ router.post('/create',
       });
     } catch (error) {
       console.error('Create swap error:', error);
-      res.status(500).json({
+      res.status(error.message.includes('too short') || error.message.includes('greater than zero') ? 400 : 500).json({
         success: false,
         message: 'Failed to create swap offer',
         data: {
@@ -266,6 +361,7 @@ router.post('/create',
 // POST /api/swaps/accept - Accept/fill an existing swap offer
 router.post('/accept', 
   swapRateLimit,
+  rejectServerSigning,
   validateInput(schemas.acceptSwap), 
   async (req, res) => {
     try {
@@ -285,7 +381,8 @@ router.post('/accept',
       // Return appropriate status codes for different error types
       let statusCode = 500;
       if (error.message.includes('not found')) statusCode = 404;
-      if (error.message.includes('expired') || error.message.includes('not active')) statusCode = 409;
+      if (error.message.includes('Only the')) statusCode = 403;
+      if (error.message.includes('expire') || error.message.includes('not active') || error.message.includes('not available') || error.message.includes('could not be verified') || error.message.includes('modified concurrently') || error.message.includes('Invalid swap transition')) statusCode = 409;
       
       res.status(statusCode).json({
         success: false,
@@ -303,6 +400,7 @@ router.post('/accept',
 // POST /api/swaps/cancel - Cancel an existing swap offer
 router.post('/cancel', 
   swapRateLimit,
+  rejectServerSigning,
   validateInput(schemas.cancelSwap), 
   async (req, res) => {
     try {
@@ -322,7 +420,7 @@ router.post('/cancel',
       let statusCode = 500;
       if (error.message.includes('not found')) statusCode = 404;
       if (error.message.includes('Only the creator')) statusCode = 403;
-      if (error.message.includes('not active')) statusCode = 409;
+      if (error.message.includes('not active') || error.message.includes('already') || error.message.includes('locked funds') || error.message.includes('modified concurrently') || error.message.includes('Invalid swap transition')) statusCode = 409;
       
       res.status(statusCode).json({
         success: false,
@@ -337,6 +435,127 @@ router.post('/cancel',
   }
 );
 
+// POST /api/swaps/reclaim - Refund a party's own leg after its CancelAfter (server-signed)
+router.post('/reclaim',
+  swapRateLimit,
+  validateInput(schemas.reclaimLeg),
+  async (req, res) => {
+    try {
+      const { swapId, address } = req.validatedBody;
+      
+      const result = await swapService.reclaimLeg(swapId, address);
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Reclaim swap leg error:', error);
+      
+      let statusCode = 500;
+      if (error.message.includes('not found') || error.message.includes('No leg')) statusCode = 404;
+      if (error.message.includes('not expired') || error.message.includes('already') || error.message.includes('modified concurrently') || error.message.includes('Invalid swap transition')) statusCode = 409;
+      
+      res.status(statusCode).json({
+        success: false,
+        message: 'Failed to reclaim swap leg',
+        data: {
+          error: error.message,
+          swapId: req.validatedBody.swapId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  }
+);
+
+// Shared handler for prepare endpoints (signed blobs go to /api/native/submit)
+const prepareHandler = (prepareFn, failureMessage) => async (req, res) => {
+  try {
+    const prepared = await prepareFn(req.validatedBody);
+    
+    res.json({
+      success: true,
+      message: 'Swap transaction prepared for signing',
+      data: prepared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    
+    let statusCode = 500;
+    if (error.message.includes('not found') || error.message.includes('No leg')) statusCode = 404;
+    if (error.message.includes('Only the')) statusCode = 403;
+    if (error.message.includes('not active') || error.message.includes('not available') || error.message.includes('not locked') ||
+        error.message.includes('already') || error.message.includes('locked funds') || error.message.includes('expire') ||
+        error.message.includes('could not be verified') || error.message.includes('by the server') ||
+        error.message.includes('cannot be finished until')) statusCode = 409;
+    
+    res.status(statusCode).json({
+      success: false,
+      message: failureMessage,
+      data: {
+        error: error.message,
+        swapId: req.validatedBody.swapId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+// POST /api/swaps/prepare/escrow - Prepare the creator's leg lock for client signing
+router.post('/prepare/escrow',
+  swapRateLimit,
+  validateInput(schemas.prepareEscrow),
+  prepareHandler(
+    ({ swapId, counterpartyAddress }) => swapService.prepareCreatorLock(swapId, counterpartyAddress),
+    'Failed to prepare swap escrow'
+  )
+);
+
+// POST /api/swaps/prepare/lock - Prepare the counterparty's leg lock for client signing
+router.post('/prepare/lock',
+  swapRateLimit,
+  validateInput(schemas.prepareLock),
+  prepareHandler(
+    ({ swapId, counterpartyAddress }) => swapService.prepareCounterpartyLock(swapId, counterpartyAddress),
+    'Failed to prepare counterparty lock'
+  )
+);
+
+// POST /api/swaps/prepare/finish - Prepare an EscrowFinish of the finisher's incoming leg for client signing
+// (for the creator, a finish request to sign first; the EscrowFinish comes back once it validates)
+router.post('/prepare/finish',
+  swapRateLimit,
+  validateInput(schemas.prepareFinish),
+  prepareHandler(
+    ({ swapId, finisherAddress }) => swapService.prepareEscrowFinish(swapId, finisherAddress),
+    'Failed to prepare swap completion'
+  )
+);
+
+// POST /api/swaps/prepare/cancel - Prepare the creator's cancellation for client signing
+router.post('/prepare/cancel',
+  swapRateLimit,
+  validateInput(schemas.prepareCancel),
+  prepareHandler(
+    ({ swapId, creatorAddress }) => swapService.prepareCancel(swapId, creatorAddress),
+    'Failed to prepare swap cancellation'
+  )
+);
+
+// POST /api/swaps/prepare/reclaim - Prepare an EscrowCancel of the caller's expired leg for client signing
+router.post('/prepare/reclaim',
+  swapRateLimit,
+  validateInput(schemas.reclaimLeg),
+  prepareHandler(
+    ({ swapId, address }) => swapService.prepareReclaim(swapId, address),
+    'Failed to prepare swap reclaim'
+  )
+);
+
 // POST /api/swaps/hummingbot-offer - Register Hummingbot market maker offer
 router.post('/hummingbot-offer', 
   validateInput(schemas.hummingbotOffer), 
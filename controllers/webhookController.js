@@ -0,0 +1,157 @@
+/**
+ * Webhook Controller
+ * Stored inbound webhooks and their processing state (services/webhookService.js).
+ * Listing and replaying events are admin operations (X-Admin-Key).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_STATUS } = require('../services/webhookService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Input validation schemas
+const schemas = {
+  eventQuery: Joi.object({
+    status: Joi.string().optional().valid(...Object.values(WEBHOOK_STATUS)),
+    provider: Joi.string().optional().max(50),
+    eventType: Joi.string().optional().max(100),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  })
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        data: {
+          details: error.details.map(detail => detail.message),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Status code for webhook errors
+const webhookErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already being processed') || error.message.includes('concurrently')) return 409;
+  return 500;
+};
+
+// GET /api/webhooks/status - Event counts by processing status and the retry worker's last run
+router.get('/status', async (req, res) => {
+  try {
+    const status = await webhookService.getStatus();
+
+    res.json({
+      success: true,
+      message: 'Webhook status retrieved successfully',
+      data: {
+        ...status,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Webhook status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook status',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/webhooks/events - Stored events, newest first (admin; status=dead_letter for the dead-letter queue)
+router.get('/events', requireAdmin, validateQuery(schemas.eventQuery), async (req, res) => {
+  try {
+    const { status, provider, eventType, limit } = req.validatedQuery;
+    const events = await webhookService.listEvents({ processingStatus: status, provider, eventType, limit });
+
+    res.json({
+      success: true,
+      message: 'Webhook events retrieved successfully',
+      data: {
+        events,
+        count: events.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook events',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// GET /api/webhooks/events/:eventId - One event with its payload and last error (admin)
+router.get('/events/:eventId', requireAdmin, async (req, res) => {
+  try {
+    const event = await webhookService.getEventOrThrow(req.params.eventId);
+
+    res.json({
+      success: true,
+      message: 'Webhook event retrieved successfully',
+      data: {
+        event,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Webhook event error:', error);
+    res.status(webhookErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to retrieve webhook event',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST /api/webhooks/events/:eventId/replay - Process an event again with a fresh attempt budget (admin)
+router.post('/events/:eventId/replay', requireAdmin, async (req, res) => {
+  try {
+    const event = await webhookService.replay(req.params.eventId, req.admin);
+
+    res.json({
+      success: true,
+      message: `Webhook event replayed (${event.processingStatus})`,
+      data: {
+        event,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(webhookErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to replay webhook event',
+      data: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+module.exports = router;
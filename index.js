@@ -4,8 +4,40 @@ require('dotenv').config();
 
 // Import only essential modules
 const nativeAssetController = require('./controllers/nativeAssetController');
+const swapController = require('./controllers/swapController');
+const oracleController = require('./controllers/oracleController');
+const riskPolicyController = require('./controllers/riskPolicyController');
+const loanController = require('./controllers/loanController');
+const liquidationController = require('./controllers/liquidationController');
+const collateralController = require('./controllers/collateralController');
+const liquidityController = require('./controllers/liquidityController');
+const webhookController = require('./controllers/webhookController');
+const outboxController = require('./controllers/outboxController');
+const contractController = require('./controllers/contractController');
+const registryController = require('./controllers/registryController');
+const documentController = require('./controllers/documentController');
+const redemptionController = require('./controllers/redemptionController');
 const xrplNativeService = require('./services/xrplNativeService');
-const { validateConfig } = require('./config/xrplConfig');
+const swapService = require('./services/swapService');
+const swapExpiryScheduler = require('./services/swapExpiryScheduler');
+const oracleService = require('./services/oracleService');
+const ledgerOracleService = require('./services/ledgerOracleService');
+const riskPolicyService = require('./services/riskPolicyService');
+const loanEngine = require('./services/loanEngine');
+const liquidationService = require('./services/liquidationService');
+const collateralService = require('./services/collateralService');
+const webhookService = require('./services/webhookService');
+const outboxService = require('./services/outboxService');
+const pledgeService = require('./services/pledgeService');
+const registryService = require('./services/registryService');
+const documentService = require('./services/documentService');
+const redemptionService = require('./services/redemptionService');
+const messageBus = require('./services/messageBus');
+const messageContracts = require('./services/messageContracts');
+const metricsService = require('./services/metricsService');
+const { closePool } = require('./config/database');
+const { validateConfig, getCircleConfig } = require('./config/xrplConfig');
+const { createMockCircleServer } = require('./mocks/mockCircleServer');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -30,6 +62,147 @@ const initializeXRPL = async () => {
   }
 };
 
+// Load persisted swaps and reconcile open escrows
+const initializeSwaps = async () => {
+  try {
+    await swapService.initialize();
+    console.log('✅ Swap service initialized successfully');
+
+    if (process.env.SWAP_EXPIRY_SCHEDULER !== 'false') {
+      swapExpiryScheduler.start();
+    }
+  } catch (error) {
+    console.error('❌ Failed to initialize swap service:', error.message);
+  }
+};
+
+// Load the approved risk policy versions (LTV, haircut, concentration, minimum liquidity)
+const initializeRiskPolicy = async () => {
+  try {
+    await riskPolicyService.initialize();
+  } catch (error) {
+    console.error('❌ Failed to load risk policy versions, using the built-in policy:', error.message);
+  }
+};
+
+// Prepare the loan store and start late fee checks
+const initializeLoans = async () => {
+  try {
+    await loanEngine.initialize();
+    loanEngine.start();
+  } catch (error) {
+    console.error('❌ Failed to initialize loan engine:', error.message);
+  }
+};
+
+// Load the collateral account and start returning collateral of repaid loans
+const initializeCollateral = () => {
+  try {
+    collateralService.initialize();
+    collateralService.start();
+  } catch (error) {
+    console.error('❌ Failed to initialize collateral service:', error.message);
+  }
+};
+
+// Prepare the liquidation store and start LTV monitoring (needs the loan tables)
+const initializeLiquidations = async () => {
+  try {
+    await liquidationService.initialize();
+    liquidationService.start();
+  } catch (error) {
+    console.error('❌ Failed to initialize liquidation service:', error.message);
+  }
+};
+
+// Prepare the oracle price history store
+const initializeOracle = async () => {
+  try {
+    await oracleService.initialize();
+  } catch (error) {
+    console.error('❌ Failed to initialize oracle price history:', error.message);
+  }
+
+  // Publishing is opt-in (ORACLE_LEDGER_PUBLISH=true) and skipped without the PriceOracle amendment
+  ledgerOracleService.start();
+};
+
+// Prepare the webhook event store and start retrying failed webhooks
+const initializeWebhooks = async () => {
+  try {
+    await webhookService.initialize();
+    webhookService.start();
+  } catch (error) {
+    console.error('❌ Failed to initialize webhook service:', error.message);
+  }
+};
+
+// Prepare the outbox, pledge workflow and asset registry and start relaying Liquidity Engine notifications
+const initializeOutbox = async () => {
+  try {
+    await messageContracts.initialize();
+  } catch (error) {
+    console.error('❌ Failed to initialize message quarantine:', error.message);
+  }
+
+  try {
+    await messageBus.connect();
+  } catch (error) {
+    // LIQUIDITY_TRANSPORT_FALLBACK=none: retried in the background; notifications wait in the outbox
+    console.error('❌ Failed to connect message bus:', error.message);
+  }
+
+  try {
+    await outboxService.initialize();
+    await pledgeService.initialize();
+    await registryService.initialize(); // Registers pledges recorded before the registry
+    outboxService.start();
+    pledgeService.start();
+  } catch (error) {
+    console.error('❌ Failed to initialize outbox:', error.message);
+  }
+};
+
+// Prepare asset document records and file storage
+const initializeDocuments = async () => {
+  try {
+    await documentService.initialize();
+  } catch (error) {
+    console.error('❌ Failed to initialize asset documents:', error.message);
+  }
+};
+
+// Prepare redemption requests (after the asset registry they reference)
+const initializeRedemptions = async () => {
+  try {
+    await redemptionService.initialize();
+  } catch (error) {
+    console.error('❌ Failed to initialize redemptions:', error.message);
+  }
+};
+
+// Run the mock Circle API in-process (CIRCLE_MODE=mock) so liquidity works without network access
+let circleMock = null;
+const startCircleMock = () => {
+  const circleConfig = getCircleConfig();
+  if (circleConfig.mode !== 'mock') {
+    return;
+  }
+
+  const mock = createMockCircleServer({
+    ...circleConfig.mock,
+    apiKey: circleConfig.apiKey,
+    webhookSecret: circleConfig.webhookSecret
+  });
+  const server = mock.listen(circleConfig.mock.port, () => {
+    console.log(`⭕ Mock Circle API running on port ${circleConfig.mock.port} (webhooks to ${circleConfig.mock.webhookUrl})`);
+  });
+  server.on('error', (error) => {
+    console.error('❌ Failed to start mock Circle API:', error.message);
+  });
+  circleMock = { mock, server };
+};
+
 // MINIMAL MIDDLEWARE - NO SECURITY
 app.use(cors({ origin: '*' }));
 app.use(express.json({ limit: '10mb' }));
@@ -48,12 +221,42 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Prometheus metrics
+app.get('/api/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metricsService.toPrometheus());
+});
+
 // ONLY THE XRPL FUNCTIONS YOU NEED
 app.use('/api/native', nativeAssetController);
+app.use('/api/swaps', swapController);
+app.use('/api/oracle', oracleController);
+app.use('/api/policies', riskPolicyController);
+app.use('/api/liquidity', loanController);
+app.use('/api/liquidity', liquidationController);
+app.use('/api/liquidity', collateralController);
+app.use('/api/liquidity', liquidityController);
+app.use('/api/webhooks', liquidityController.webhookRouter);
+app.use('/api/webhooks', webhookController);
+app.use('/api/outbox', outboxController);
+app.use('/api/contracts', contractController);
+app.use('/api/registry', registryController);
+app.use('/api/documents', documentController);
+app.use('/api/redemptions', redemptionController);
 
 // Start server
 const startServer = async () => {
   await initializeXRPL();
+  await initializeSwaps();
+  await initializeRiskPolicy();
+  await initializeLoans();
+  initializeCollateral();
+  await initializeLiquidations();
+  await initializeOracle();
+  await initializeWebhooks();
+  await initializeOutbox();
+  await initializeDocuments();
+  await initializeRedemptions();
+  startCircleMock();
   
   app.listen(PORT, () => {
     console.log(`🚀 XRPL Platform running on port ${PORT}`);
@@ -66,7 +269,22 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🛑 Shutting down...');
+  swapExpiryScheduler.stop();
+  ledgerOracleService.stop();
+  loanEngine.stop();
+  liquidationService.stop();
+  collateralService.stop();
+  webhookService.stop();
+  outboxService.stop();
+  pledgeService.stop();
+  await messageBus.close();
+  if (circleMock) {
+    circleMock.mock.stop();
+    circleMock.server.close();
+  }
   await xrplNativeService.disconnect();
+  await swapService.disconnect();
+  await closePool();
   process.exit(0);
 });
 
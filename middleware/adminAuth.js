@@ -0,0 +1,49 @@
+/**
+ * Admin Authentication Middleware
+ * Admin routes require an X-Admin-Key header matching one of ADMIN_API_KEYS;
+ * the key's name is exposed as req.admin for audit trails.
+ */
+
+const crypto = require('crypto');
+const { getAdminConfig } = require('../config/xrplConfig');
+
+// Constant-time comparison of hashed keys (also hides the key length)
+const keysMatch = (provided, expected) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(expected));
+};
+
+const requireAdmin = (req, res, next) => {
+  const { keys } = getAdminConfig();
+
+  if (keys.length === 0) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API is not configured (ADMIN_API_KEYS)',
+      data: {
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const provided = req.get('X-Admin-Key') || '';
+  const admin = keys.find(candidate => keysMatch(provided, candidate.key));
+
+  if (!admin) {
+    return res.status(401).json({
+      success: false,
+      message: 'Admin authentication required',
+      data: {
+        header: 'X-Admin-Key',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.admin = admin.name;
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
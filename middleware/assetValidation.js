@@ -4,63 +4,57 @@
  */
 
 const { isValidXRPLAddress, isValidCurrencyCode } = require('../utils/xrplHelpers');
+const { getAssetSchema, validateAssetDetails } = require('../utils/assetSchemas');
 
-// Asset type definitions with validation rules
+// Asset type definitions with validation rules; the details each type requires are its
+// JSON Schema in getAssetSchemaConfig (utils/assetSchemas.js)
 const ASSET_TYPES = {
   'real-estate': {
     name: 'Real Estate',
     minValue: 1000,
     maxValue: 100000000,
-    requiredFields: ['location', 'property_type'],
     description: 'Residential, commercial, or industrial property'
   },
   'commodities': {
     name: 'Commodities',
     minValue: 100,
     maxValue: 50000000,
-    requiredFields: ['commodity_type', 'grade'],
     description: 'Gold, silver, oil, agricultural products, etc.'
   },
   'art': {
     name: 'Art & Collectibles',
     minValue: 500,
     maxValue: 25000000,
-    requiredFields: ['artist', 'year'],
     description: 'Paintings, sculptures, rare collectibles'
   },
   'equipment': {
     name: 'Equipment & Machinery',
     minValue: 1000,
     maxValue: 10000000,
-    requiredFields: ['manufacturer', 'model'],
     description: 'Industrial equipment, vehicles, machinery'
   },
   'inventory': {
     name: 'Inventory',
     minValue: 100,
     maxValue: 5000000,
-    requiredFields: ['product_type', 'quantity'],
     description: 'Business inventory and stock'
   },
   'intellectual-property': {
     name: 'Intellectual Property',
     minValue: 1000,
     maxValue: 50000000,
-    requiredFields: ['ip_type', 'registration_number'],
     description: 'Patents, trademarks, copyrights'
   },
   'securities': {
     name: 'Securities',
     minValue: 1000,
     maxValue: 100000000,
-    requiredFields: ['security_type', 'issuer'],
     description: 'Stocks, bonds, financial instruments'
   },
   'other': {
     name: 'Other Assets',
     minValue: 100,
     maxValue: 10000000,
-    requiredFields: ['asset_category'],
     description: 'Other tokenizable assets'
   }
 };
@@ -155,7 +149,7 @@ const validateAssetDescription = (description, assetType) => {
 
 // Main asset validation middleware
 const validateAssetTokenization = (req, res, next) => {
-  const { userAddress, assetType, assetAmount, assetDescription, tokenSymbol } = req.body;
+  const { userAddress, assetType, assetAmount, assetDescription, tokenSymbol, assetDetails } = req.body;
   const errors = [];
   
   // Validate user address
@@ -186,6 +180,12 @@ const validateAssetTokenization = (req, res, next) => {
     errors.push(descriptionError);
   }
   
+  // Validate asset details against the asset type's schema
+  const details = ASSET_TYPES[assetType] ? validateAssetDetails(assetType, assetDetails) : null;
+  if (details && !details.valid) {
+    errors.push(...details.errors);
+  }
+  
   // Check for duplicate tokenization (basic check)
   // In production, you'd check against a database
   const tokenizationKey = `${userAddress}-${assetType}-${assetAmount}`;
@@ -210,6 +210,8 @@ const validateAssetTokenization = (req, res, next) => {
     assetAmount: assetAmount.trim(),
     assetDescription: assetDescription?.trim(),
     tokenSymbol: (tokenSymbol || 'RWA').trim().toUpperCase(),
+    assetDetails: assetDetails || {},
+    assetSchemaVersion: details.schemaVersion,
     assetConfig: ASSET_TYPES[assetType]
   };
   
@@ -289,20 +291,25 @@ const enrichAssetMetadata = (req, res, next) => {
   next();
 };
 
-// Get asset type information
+// Get asset type information, with the JSON Schema of the details each type requires
 const getAssetTypes = (req, res) => {
   res.json({
     success: true,
     message: 'Asset types retrieved successfully',
     data: {
-      assetTypes: Object.entries(ASSET_TYPES).map(([key, config]) => ({
-        value: key,
-        label: config.name,
-        description: config.description,
-        minValue: config.minValue,
-        maxValue: config.maxValue,
-        requiredFields: config.requiredFields
-      })),
+      assetTypes: Object.entries(ASSET_TYPES).map(([key, config]) => {
+        const schema = getAssetSchema(key);
+        return {
+          value: key,
+          label: config.name,
+          description: config.description,
+          minValue: config.minValue,
+          maxValue: config.maxValue,
+          requiredFields: schema ? schema.schema.required || [] : [],
+          schemaVersion: schema ? schema.version : null,
+          detailsSchema: schema ? schema.schema : null
+        };
+      }),
       totalTypes: Object.keys(ASSET_TYPES).length,
       timestamp: new Date().toISOString()
     }
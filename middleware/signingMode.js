@@ -0,0 +1,34 @@
+/**
+ * Signing Mode Middleware
+ * Blocks seed-based routes when client-side signing is enforced
+ */
+
+// Request body fields that carry a raw wallet seed
+const SEED_FIELDS = ['walletSeed', 'counterpartyWalletSeed'];
+
+// CLIENT_SIGNING_ONLY=true rejects any request that sends a wallet seed
+const isClientSigningOnly = () => process.env.CLIENT_SIGNING_ONLY === 'true';
+
+const rejectServerSigning = (req, res, next) => {
+  const hasSeed = req.body && SEED_FIELDS.some(field => req.body[field] !== undefined);
+  
+  if (!isClientSigningOnly() || !hasSeed) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Server-side signing is disabled. Use the prepare/submit endpoints and sign on the client.',
+    data: {
+      clientSigningOnly: true,
+      submitEndpoint: '/api/native/submit',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+module.exports = {
+  SEED_FIELDS,
+  isClientSigningOnly,
+  rejectServerSigning
+};
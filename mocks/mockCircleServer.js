@@ -0,0 +1,318 @@
+/**
+ * Mock Circle Server
+ * Local stand-in for the Circle API used by CircleLiquidityService, so the liquidity
+ * request -> transfer -> webhook flow can run without network access or credentials.
+ *
+ * Run: node mocks/mockCircleServer.js
+ * Then: CIRCLE_API_BASE_URL=http://localhost:8092 (or CIRCLE_MODE=mock to run it in-process)
+ *
+ * POST /v1/wallets                  -> { data: wallet }
+ * POST /v1/transfers                -> { data: transfer } (pending; settles after settlementDelayMs)
+ * GET  /v1/transfers/:id            -> { data: transfer }
+ * POST /v1/otc/trades               -> { data: trade } (pending; settles after settlementDelayMs)
+ * GET  /v1/otc/trades/:id           -> { data: trade }
+ *
+ * Settled transfers and trades are posted to webhookUrl as { id, type, data } signed with
+ * webhookSecret (X-Signature: HMAC-SHA256 of the JSON body).
+ *
+ * Failure injection:
+ *   failureRate                      - share of requests to failEndpoints answered with a 500
+ *   POST /mock/failures              { endpoint, status?, message?, count? } -> fail the next `count` calls
+ *                                      (endpoint: wallets, transfers, trades, or settlement to settle as failed)
+ *   POST /mock/transfers/:id/complete|fail, POST /mock/trades/:id/settle|fail -> settle by hand
+ *   GET  /mock/webhooks              -> webhook deliveries
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+const MOCK_ENDPOINTS = ['wallets', 'transfers', 'trades', 'settlement'];
+
+const createMockCircleServer = (options = {}) => {
+  const {
+    apiKey = null,
+    webhookUrl = null,
+    webhookSecret = 'mock-circle-webhook-secret',
+    latencyMs = 0, // A number, or { wallets, transfers, trades, default }
+    failureRate = 0,
+    failEndpoints = ['wallets', 'transfers', 'trades'],
+    settlementDelayMs = 1000
+  } = options;
+
+  const wallets = new Map();
+  const transfers = new Map();
+  const trades = new Map();
+  const webhooks = [];
+  const idempotencyKeys = new Map(); // idempotencyKey -> response body
+  const injected = new Map(); // endpoint -> [{ status, message }]
+  const timers = new Set();
+
+  const app = express();
+  app.use(express.json());
+
+  const latencyFor = (endpoint) => (typeof latencyMs === 'object'
+    ? latencyMs[endpoint] ?? latencyMs.default ?? 0
+    : latencyMs);
+
+  const injectFailure = (endpoint, failure = {}) => {
+    if (!MOCK_ENDPOINTS.includes(endpoint)) {
+      throw new Error(`Unknown endpoint '${endpoint}'. Use one of: ${MOCK_ENDPOINTS.join(', ')}`);
+    }
+
+    const queue = injected.get(endpoint) || [];
+    for (let i = 0; i < (failure.count || 1); i++) {
+      queue.push({ status: failure.status || 500, message: failure.message || 'Injected failure' });
+    }
+    injected.set(endpoint, queue);
+  };
+
+  // Next injected failure for the endpoint, or a random one at failureRate
+  const takeFailure = (endpoint) => {
+    const queue = injected.get(endpoint);
+    if (queue && queue.length > 0) {
+      return queue.shift();
+    }
+    if (endpoint !== 'settlement' && failEndpoints.includes(endpoint) && Math.random() < failureRate) {
+      return { status: 500, message: 'Random failure' };
+    }
+    return null;
+  };
+
+  const schedule = (callback, delayMs) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delayMs);
+    timer.unref();
+    timers.add(timer);
+  };
+
+  // Latency, API key, injected failures
+  const endpoint = (name) => (req, res, next) => {
+    const run = () => {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!token || (apiKey && token !== apiKey)) {
+        return res.status(401).json({ code: 401, message: 'Malformed authorization' });
+      }
+
+      const failure = takeFailure(name);
+      if (failure) {
+        return res.status(failure.status).json({ code: failure.status, message: failure.message });
+      }
+      next();
+    };
+
+    const delay = latencyFor(name);
+    return delay > 0 ? schedule(run, delay) : run();
+  };
+
+  // Replay the first response for a repeated idempotencyKey
+  const idempotent = (req, res, next) => {
+    if (!req.body.idempotencyKey) {
+      return res.status(400).json({ code: 2, message: 'idempotencyKey is required' });
+    }
+    if (idempotencyKeys.has(req.body.idempotencyKey)) {
+      return res.status(201).json({ data: idempotencyKeys.get(req.body.idempotencyKey) });
+    }
+    next();
+  };
+
+  const created = (req, res, resource) => {
+    idempotencyKeys.set(req.body.idempotencyKey, resource);
+    res.status(201).json({ data: resource });
+  };
+
+  const emitWebhook = async (type, data) => {
+    const delivery = { id: uuidv4(), type, resourceId: data.id, status: data.status, sentAt: new Date().toISOString() };
+    const body = { id: delivery.id, type, data: { ...data } };
+    webhooks.push(delivery);
+
+    if (!webhookUrl) {
+      delivery.result = 'skipped';
+      return delivery;
+    }
+
+    try {
+      const signature = crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(body)).digest('hex');
+      const response = await axios.post(webhookUrl, body, { headers: { 'X-Signature': signature }, timeout: 5000 });
+      delivery.result = 'delivered';
+      delivery.httpStatus = response.status;
+    } catch (error) {
+      delivery.result = 'failed';
+      delivery.httpStatus = error.response?.status || null;
+      delivery.error = error.message;
+    }
+    return delivery;
+  };
+
+  const settleTransfer = (transfer, status) => {
+    if (transfer.status !== 'pending') {
+      return false;
+    }
+
+    transfer.status = status;
+    transfer.updateDate = new Date().toISOString();
+    if (status === 'complete') {
+      transfer.transactionHash = crypto.randomBytes(32).toString('hex').toUpperCase();
+    } else {
+      transfer.errorCode = 'transfer_failed';
+    }
+    emitWebhook('transfers', transfer);
+    return true;
+  };
+
+  const settleTrade = (trade, status) => {
+    if (trade.status !== 'pending') {
+      return false;
+    }
+
+    trade.status = status;
+    trade.updateDate = new Date().toISOString();
+    emitWebhook('otc.trades', trade);
+    return true;
+  };
+
+  // Settle automatically unless a settlement failure was injected
+  const scheduleSettlement = (resource, settle, successStatus) => {
+    schedule(() => settle(resource, takeFailure('settlement') ? 'failed' : successStatus), settlementDelayMs);
+  };
+
+  app.post('/v1/wallets', endpoint('wallets'), idempotent, (req, res) => {
+    const wallet = {
+      walletId: String(1000000000 + wallets.size + 1),
+      entityId: uuidv4(),
+      type: 'end_user_wallet',
+      description: req.body.description || '',
+      balances: []
+    };
+    wallets.set(wallet.walletId, wallet);
+    created(req, res, wallet);
+  });
+
+  app.post('/v1/transfers', endpoint('transfers'), idempotent, (req, res) => {
+    const { amount, source, destination, metadata } = req.body;
+    if (!amount || !(parseFloat(amount.amount) > 0) || !amount.currency) {
+      return res.status(400).json({ code: 2, message: 'amount must be { amount > 0, currency }' });
+    }
+    if (!destination || (destination.type === 'wallet' && !wallets.has(destination.id))) {
+      return res.status(400).json({ code: 2, message: 'Unknown destination wallet' });
+    }
+
+    const transfer = {
+      id: uuidv4(),
+      source,
+      destination,
+      amount,
+      metadata,
+      status: 'pending',
+      createDate: new Date().toISOString()
+    };
+    transfers.set(transfer.id, transfer);
+    scheduleSettlement(transfer, settleTransfer, 'complete');
+    created(req, res, transfer);
+  });
+
+  app.get('/v1/transfers/:id', endpoint('transfers'), (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ code: 404, message: 'Transfer not found' });
+    }
+    res.json({ data: transfer });
+  });
+
+  app.post('/v1/otc/trades', endpoint('trades'), idempotent, (req, res) => {
+    const { sellAmount, buyAmount, settlementAddress, metadata } = req.body;
+    if (!sellAmount || !(parseFloat(sellAmount.amount) > 0) || !buyAmount) {
+      return res.status(400).json({ code: 2, message: 'sellAmount and buyAmount are required' });
+    }
+
+    const trade = {
+      id: uuidv4(),
+      sellAmount,
+      buyAmount,
+      settlementAddress,
+      metadata,
+      status: 'pending',
+      createDate: new Date().toISOString()
+    };
+    trades.set(trade.id, trade);
+    scheduleSettlement(trade, settleTrade, 'settled');
+    created(req, res, trade);
+  });
+
+  app.get('/v1/otc/trades/:id', endpoint('trades'), (req, res) => {
+    const trade = trades.get(req.params.id);
+    if (!trade) {
+      return res.status(404).json({ code: 404, message: 'Trade not found' });
+    }
+    res.json({ data: trade });
+  });
+
+  // Operator controls
+  app.post('/mock/failures', (req, res) => {
+    try {
+      injectFailure(req.body.endpoint, req.body);
+      res.json({ endpoint: req.body.endpoint, pending: injected.get(req.body.endpoint).length });
+    } catch (error) {
+      res.status(400).json({ code: 400, message: error.message });
+    }
+  });
+
+  app.delete('/mock/failures', (req, res) => {
+    injected.clear();
+    res.json({ cleared: true });
+  });
+
+  app.get('/mock/webhooks', (req, res) => {
+    res.json(webhooks);
+  });
+
+  const settleByHand = (resources, settle) => (req, res) => {
+    const resource = resources.get(req.params.id);
+    const status = { complete: 'complete', settle: 'settled', fail: 'failed' }[req.params.action];
+    if (!resource || !status) {
+      return res.status(404).json({ code: 404, message: 'Not found' });
+    }
+    if (!settle(resource, status)) {
+      return res.status(409).json({ code: 409, message: `Already ${resource.status}` });
+    }
+    res.json({ data: resource });
+  };
+
+  app.post('/mock/transfers/:id/:action(complete|fail)', settleByHand(transfers, settleTransfer));
+  app.post('/mock/trades/:id/:action(settle|fail)', settleByHand(trades, settleTrade));
+
+  return {
+    app,
+    wallets,
+    transfers,
+    trades,
+    webhooks,
+    injectFailure,
+    listen(port, callback) {
+      return app.listen(port, callback);
+    },
+    // Cancel pending settlements
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const { getCircleConfig } = require('../config/xrplConfig');
+  const config = getCircleConfig();
+  const server = createMockCircleServer({ ...config.mock, apiKey: process.env.CIRCLE_API_KEY, webhookSecret: config.webhookSecret });
+
+  server.listen(config.mock.port, () => {
+    console.log(`⭕ Mock Circle API running on port ${config.mock.port}`);
+    console.log('📬 Webhooks:', config.mock.webhookUrl || 'disabled');
+  });
+}
+
+module.exports = { createMockCircleServer, MOCK_ENDPOINTS };
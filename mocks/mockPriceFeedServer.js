@@ -0,0 +1,86 @@
+/**
+ * Mock Price Feed Server
+ * Local fixture for HttpPriceFeed, so oracle aggregation, staleness and outlier
+ * handling can be exercised without a real market data provider.
+ *
+ * Run: node mocks/mockPriceFeedServer.js
+ * Then: ORACLE_FEEDS='[{"id":"fixture","type":"http","url":"http://localhost:8091/prices/{asset}",
+ *        "assets":{"XRP":{"path":"price","timestampPath":"timestamp","timestampUnit":"s"}}}]'
+ *
+ * GET  /prices/:asset             -> { asset, price, volume24h, timestamp } (Unix seconds)
+ * GET  /prices                    -> { XRP: { usd, usd_24h_vol, last_updated_at }, ... } (CoinGecko-style)
+ * POST /mock/prices/:asset        { price, volume24h?, ageSeconds?, status? } -> set a fixture; status forces an HTTP error
+ */
+
+const express = require('express');
+
+const DEFAULT_PRICES = {
+  XRP: 0.52,
+  'real-estate': 250,
+  'commodities': 2100
+};
+
+const createMockPriceFeedServer = (options = {}) => {
+  const { prices = DEFAULT_PRICES, latencyMs = 0 } = options;
+
+  // asset -> { price, volume24h, ageSeconds, status }
+  const fixtures = new Map(Object.entries(prices).map(([asset, price]) => [asset, { price, volume24h: null, ageSeconds: 0, status: null }]));
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => (latencyMs > 0 ? setTimeout(next, latencyMs) : next()));
+
+  const observedAt = (fixture) => Math.floor(Date.now() / 1000) - fixture.ageSeconds;
+
+  app.get('/prices', (req, res) => {
+    const body = {};
+    for (const [asset, fixture] of fixtures.entries()) {
+      body[asset] = { usd: fixture.price, usd_24h_vol: fixture.volume24h, last_updated_at: observedAt(fixture) };
+    }
+    res.json(body);
+  });
+
+  app.get('/prices/:asset', (req, res) => {
+    const fixture = fixtures.get(req.params.asset);
+    if (!fixture) {
+      return res.status(404).json({ error: `Unknown asset ${req.params.asset}` });
+    }
+    if (fixture.status) {
+      return res.status(fixture.status).json({ error: 'Injected failure' });
+    }
+    res.json({ asset: req.params.asset, price: fixture.price, volume24h: fixture.volume24h, timestamp: observedAt(fixture) });
+  });
+
+  app.post('/mock/prices/:asset', (req, res) => {
+    const fixture = {
+      price: req.body.price,
+      volume24h: req.body.volume24h ?? null,
+      ageSeconds: parseInt(req.body.ageSeconds) || 0,
+      status: req.body.status || null
+    };
+    fixtures.set(req.params.asset, fixture);
+    res.json({ asset: req.params.asset, ...fixture });
+  });
+
+  return {
+    app,
+    fixtures,
+    listen(port, callback) {
+      return app.listen(port, callback);
+    }
+  };
+};
+
+if (require.main === module) {
+  const server = createMockPriceFeedServer({
+    latencyMs: parseInt(process.env.MOCK_PRICE_FEED_LATENCY_MS) || 0
+  });
+  const port = parseInt(process.env.MOCK_PRICE_FEED_PORT) || 8091;
+
+  server.listen(port, () => {
+    console.log(`📈 Mock price feed running on port ${port}`);
+  });
+}
+
+module.exports = { createMockPriceFeedServer };
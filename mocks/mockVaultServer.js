@@ -0,0 +1,202 @@
+/**
+ * Mock Vault Server
+ * Local stand-in for the Fireblocks-style vault API used by FireblocksSigner,
+ * so the issuer mint path can run without the real MPC vault.
+ *
+ * Run: MOCK_VAULT_SEED=sEd... node mocks/mockVaultServer.js
+ * Then: SIGNER_PROVIDER=fireblocks FIREBLOCKS_API_BASE_URL=http://localhost:8090
+ *
+ * Only ed25519 keys are supported (Node's crypto cannot sign prehashed secp256k1 digests).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { Wallet, deriveKeypair, deriveAddress } = require('xrpl');
+
+// PKCS#8 prefix for a raw 32-byte ed25519 private key
+const ED25519_PKCS8_PREFIX = '302e020100300506032b657004220420';
+
+const createMockVaultServer = (options = {}) => {
+  const {
+    seed = Wallet.generate('ed25519').seed,
+    apiKey = null,
+    autoApprove = true,
+    approvalDelayMs = 500,
+    vaultAccountId = '0',
+    assetId = 'XRP_TEST'
+  } = options;
+
+  const keypair = deriveKeypair(seed);
+  if (!keypair.publicKey.startsWith('ED')) {
+    throw new Error('Mock vault only supports ed25519 seeds (sEd...)');
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(ED25519_PKCS8_PREFIX + keypair.privateKey.slice(2), 'hex'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  const transactions = new Map();
+  const app = express();
+  app.use(express.json());
+
+  // Check the API key and that the JWT is bound to this URI and body (signature is not verified)
+  const authenticate = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const [, payloadSegment] = token.split('.');
+
+    if (!req.headers['x-api-key'] || (apiKey && req.headers['x-api-key'] !== apiKey) || !payloadSegment) {
+      return res.status(401).json({ code: 401, message: 'Unauthorized' });
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString('utf8'));
+      const body = req.body && Object.keys(req.body).length > 0 ? req.body : '';
+      const bodyHash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+      if (payload.uri !== req.originalUrl || payload.bodyHash !== bodyHash) {
+        return res.status(401).json({ code: 401, message: 'JWT does not match request' });
+      }
+    } catch (error) {
+      return res.status(401).json({ code: 401, message: 'Malformed JWT' });
+    }
+
+    next();
+  };
+
+  const signTransaction = (transaction) => {
+    transaction.status = 'PENDING_SIGNATURE';
+    transaction.signedMessages = transaction.messages.map(message => ({
+      content: message.content,
+      algorithm: 'MPC_EDDSA_ED25519',
+      publicKey: keypair.publicKey.slice(2),
+      signature: {
+        fullSig: crypto.sign(null, Buffer.from(message.content, 'hex'), privateKey).toString('hex').toUpperCase()
+      }
+    }));
+    transaction.status = 'COMPLETED';
+    transaction.lastUpdated = Date.now();
+  };
+
+  app.get('/v1/vault/accounts/:vaultAccountId/:assetId/:change/:addressIndex/public_key_info', authenticate, (req, res) => {
+    if (req.params.vaultAccountId !== String(vaultAccountId) || req.params.assetId !== assetId) {
+      return res.status(404).json({ code: 404, message: 'Vault account or asset not found' });
+    }
+
+    res.json({
+      algorithm: 'MPC_EDDSA_ED25519',
+      derivationPath: [44, 144, Number(vaultAccountId), 0, 0],
+      publicKey: keypair.publicKey.slice(2)
+    });
+  });
+
+  app.post('/v1/transactions', authenticate, (req, res) => {
+    const { operation, source, extraParameters } = req.body;
+    const messages = extraParameters?.rawMessageData?.messages;
+
+    if (operation !== 'RAW' || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ code: 400, message: 'Only RAW operations with rawMessageData are supported' });
+    }
+
+    if (!source || String(source.id) !== String(vaultAccountId)) {
+      return res.status(400).json({ code: 400, message: 'Unknown source vault account' });
+    }
+
+    const transaction = {
+      id: uuidv4(),
+      status: 'PENDING_AUTHORIZATION',
+      subStatus: '',
+      operation,
+      assetId: req.body.assetId,
+      note: req.body.note,
+      externalTxId: req.body.externalTxId,
+      messages,
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+    transactions.set(transaction.id, transaction);
+
+    if (autoApprove) {
+      setTimeout(() => {
+        if (transaction.status === 'PENDING_AUTHORIZATION') {
+          signTransaction(transaction);
+        }
+      }, approvalDelayMs);
+    }
+
+    res.json({ id: transaction.id, status: 'SUBMITTED' });
+  });
+
+  app.get('/v1/transactions/:id', authenticate, (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ code: 404, message: 'Transaction not found' });
+    }
+
+    const { messages, ...publicTransaction } = transaction;
+    res.json(publicTransaction);
+  });
+
+  // Operator controls to simulate the vault approval policy
+  app.get('/mock/transactions', (req, res) => {
+    res.json(Array.from(transactions.values()).map(({ messages, signedMessages, ...tx }) => tx));
+  });
+
+  app.post('/mock/transactions/:id/approve', (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction || transaction.status !== 'PENDING_AUTHORIZATION') {
+      return res.status(409).json({ code: 409, message: 'Transaction is not awaiting authorization' });
+    }
+
+    signTransaction(transaction);
+    res.json({ id: transaction.id, status: transaction.status });
+  });
+
+  app.post('/mock/transactions/:id/reject', (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction || transaction.status !== 'PENDING_AUTHORIZATION') {
+      return res.status(409).json({ code: 409, message: 'Transaction is not awaiting authorization' });
+    }
+
+    transaction.status = 'REJECTED';
+    transaction.subStatus = req.body?.reason || 'REJECTED_BY_USER';
+    transaction.lastUpdated = Date.now();
+    res.json({ id: transaction.id, status: transaction.status });
+  });
+
+  return {
+    app,
+    seed,
+    address: deriveAddress(keypair.publicKey),
+    transactions,
+    listen(port, callback) {
+      return app.listen(port, callback);
+    }
+  };
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const vault = createMockVaultServer({
+    seed: process.env.MOCK_VAULT_SEED,
+    apiKey: process.env.FIREBLOCKS_API_KEY,
+    autoApprove: process.env.MOCK_VAULT_AUTO_APPROVE !== 'false',
+    approvalDelayMs: parseInt(process.env.MOCK_VAULT_APPROVAL_DELAY_MS) || 500,
+    vaultAccountId: process.env.FIREBLOCKS_VAULT_ACCOUNT_ID || '0',
+    assetId: process.env.FIREBLOCKS_ASSET_ID || 'XRP_TEST'
+  });
+  const port = parseInt(process.env.MOCK_VAULT_PORT) || 8090;
+
+  vault.listen(port, () => {
+    console.log(`🏦 Mock vault running on port ${port}`);
+    console.log('📍 Vault address:', vault.address);
+    if (!process.env.MOCK_VAULT_SEED) {
+      console.log('🔑 Generated seed (set MOCK_VAULT_SEED to reuse):', vault.seed);
+    }
+  });
+}
+
+module.exports = { createMockVaultServer };
@@ -0,0 +1,27 @@
+-- Asset Document Schema
+-- Deeds, appraisals, custody receipts and other files uploaded for registered assets
+-- (services/documentStore.js). The files themselves are kept by the document storage
+-- backend under their SHA-256 hash.
+--
+-- Uploading a document type again adds a version; the latest version of each type is
+-- anchored in the mint memo (token_batches.documents).
+
+CREATE TABLE IF NOT EXISTS asset_documents (
+    id BIGSERIAL PRIMARY KEY,
+    document_id VARCHAR(64) UNIQUE NOT NULL,
+    asset_id VARCHAR(64) NOT NULL,
+    document_type VARCHAR(30) NOT NULL,
+    version INTEGER NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    description TEXT,
+    uploaded_by VARCHAR(255),
+    storage VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (asset_id, document_type, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_documents_asset ON asset_documents(asset_id, document_type, version);
+CREATE INDEX IF NOT EXISTS idx_asset_documents_sha256 ON asset_documents(sha256);
@@ -0,0 +1,63 @@
+-- Liquidation Schema
+-- LTV monitoring state on liquidity_positions, collateral sales and their event log
+-- (services/liquidationStore.js). Requires scripts/loan_schema.sql.
+
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS margin_call_at TIMESTAMP WITH TIME ZONE; -- Open margin call, if any
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS last_ltv DECIMAL(12,6); -- Debt / market value of the collateral
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS last_valued_at TIMESTAMP WITH TIME ZONE;
+
+-- One sale of a position's collateral. Prices are XRP per collateral token.
+CREATE TABLE IF NOT EXISTS liquidations (
+    id BIGSERIAL PRIMARY KEY,
+    liquidation_id VARCHAR(255) UNIQUE NOT NULL,
+    position_id VARCHAR(255) NOT NULL REFERENCES liquidity_positions(position_id),
+    method VARCHAR(20) NOT NULL, -- 'dex', 'auction'
+    phase VARCHAR(20) NOT NULL, -- 'collateral', 'dex', 'auction', 'settling', 'surplus', 'done'
+    status VARCHAR(20) NOT NULL, -- 'running', 'completed', 'failed'
+    trigger_type VARCHAR(20) NOT NULL, -- 'ltv', 'default', 'manual'
+    triggered_by VARCHAR(255),
+    trigger_ltv DECIMAL(12,6),
+
+    collateral_currency VARCHAR(40) NOT NULL,
+    collateral_issuer VARCHAR(35) NOT NULL,
+    collateral_amount DECIMAL(30,15) NOT NULL,
+    remaining_amount DECIMAL(30,15) NOT NULL, -- Tokens not sold yet
+
+    reference_price DECIMAL(30,15) NOT NULL, -- Oracle price when the liquidation started
+    start_price DECIMAL(30,15) NOT NULL,
+    floor_price DECIMAL(30,15) NOT NULL,
+    current_price DECIMAL(30,15),
+    step INTEGER NOT NULL DEFAULT 0, -- Dutch auction step
+    offer_sequence BIGINT, -- Open auction offer
+    offer_remaining DECIMAL(30,15),
+    next_step_at TIMESTAMP WITH TIME ZONE,
+
+    proceeds_xrp DECIMAL(20,6) NOT NULL DEFAULT 0,
+    recovered_usd DECIMAL(20,8),
+    shortfall_usd DECIMAL(20,8),
+    surplus_xrp DECIMAL(20,6),
+    error TEXT,
+
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_liquidations_position ON liquidations(position_id, id);
+CREATE INDEX IF NOT EXISTS idx_liquidations_status ON liquidations(status);
+
+-- Margin calls and every liquidation step, with the XRPL transaction where there is one
+CREATE TABLE IF NOT EXISTS liquidation_events (
+    id BIGSERIAL PRIMARY KEY,
+    position_id VARCHAR(255) NOT NULL REFERENCES liquidity_positions(position_id),
+    liquidation_id VARCHAR(255) REFERENCES liquidations(liquidation_id),
+    event_type VARCHAR(50) NOT NULL, -- 'margin_call', 'margin_call_cleared', 'liquidation_started', 'collateral_seized', 'collateral_sold', ...
+    ltv DECIMAL(12,6),
+    collateral_value DECIMAL(20,8), -- Market value in USD
+    debt DECIMAL(20,8), -- Payoff amount in USD
+    xrpl_tx_hash VARCHAR(255),
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_liquidation_events_position ON liquidation_events(position_id, id);
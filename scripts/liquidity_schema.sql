@@ -1,6 +1,7 @@
 -- Database Schema for Liquidity Integration
 -- File: scripts/liquidity_schema.sql
--- Execute this in your existing PostgreSQL database
+-- Execute this in your existing PostgreSQL database, after scripts/pledge_schema.sql
+-- and scripts/registry_schema.sql (RWA tokens are registered assets)
 
 -- =====================================================
 -- LIQUIDITY POSITIONS TABLE
@@ -9,7 +10,7 @@ CREATE TABLE IF NOT EXISTS liquidity_positions (
     id BIGSERIAL PRIMARY KEY,
     position_id VARCHAR(255) UNIQUE NOT NULL, -- Circle position ID or legacy ID
     user_wallet VARCHAR(255) NOT NULL, -- XRPL wallet address
-    rwa_token_id VARCHAR(255) NOT NULL, -- Reference to your RWA tokens
+    rwa_token_id VARCHAR(255) NOT NULL, -- Asset id in the asset registry
     
     -- Liquidity Details
     liquidity_amount DECIMAL(20,8) NOT NULL,
@@ -47,7 +48,7 @@ CREATE TABLE IF NOT EXISTS liquidity_positions (
     notes TEXT,
     
     -- Indexes for performance
-    CONSTRAINT fk_rwa_token FOREIGN KEY (rwa_token_id) REFERENCES rwa_tokens(token_id) ON DELETE CASCADE
+    CONSTRAINT fk_rwa_token FOREIGN KEY (rwa_token_id) REFERENCES assets(asset_id)
 );
 
 -- =====================================================
@@ -225,15 +226,15 @@ CREATE TRIGGER update_liquidity_positions_updated_at
 -- VIEWS FOR COMMON QUERIES
 -- =====================================================
 
--- Active liquidity positions with RWA token details
+-- Active liquidity positions with their asset's details
 CREATE OR REPLACE VIEW active_liquidity_positions AS
 SELECT 
     lp.*,
-    rt.asset_type,
-    rt.asset_description,
-    rt.current_valuation
+    a.asset_type,
+    a.description AS asset_description,
+    COALESCE(a.appraised_value, a.declared_value) AS current_valuation
 FROM liquidity_positions lp
-JOIN rwa_tokens rt ON lp.rwa_token_id = rt.token_id
+JOIN assets a ON lp.rwa_token_id = a.asset_id
 WHERE lp.status = 'active';
 
 -- User liquidity summary
@@ -267,16 +268,16 @@ GROUP BY provider;
 
 -- Insert default rate configurations
 INSERT INTO liquidity_rates_cache (asset_type, provider, ltv_ratio, interest_rate, fee_rate, min_amount, max_amount, processing_time_minutes) VALUES
-('real_estate', 'circle', 0.70, 0.08, 0.02, 1000, 100000, 5),
+('real-estate', 'circle', 0.70, 0.08, 0.02, 1000, 100000, 5),
 ('vehicle', 'circle', 0.80, 0.12, 0.025, 500, 50000, 3),
-('precious_metals', 'circle', 0.90, 0.06, 0.015, 100, 75000, 2),
+('precious-metals', 'circle', 0.90, 0.06, 0.015, 100, 75000, 2),
 ('bonds', 'circle', 0.95, 0.05, 0.01, 1000, 200000, 2),
 ('stocks', 'circle', 0.85, 0.10, 0.02, 100, 150000, 1),
 ('commodities', 'circle', 0.75, 0.15, 0.03, 500, 80000, 5),
 -- Legacy engine rates (higher processing times)
-('real_estate', 'legacy_engine', 0.60, 0.10, 0.03, 5000, 50000, 120),
+('real-estate', 'legacy_engine', 0.60, 0.10, 0.03, 5000, 50000, 120),
 ('vehicle', 'legacy_engine', 0.70, 0.15, 0.035, 2000, 25000, 90),
-('precious_metals', 'legacy_engine', 0.80, 0.08, 0.025, 1000, 40000, 60)
+('precious-metals', 'legacy_engine', 0.80, 0.08, 0.025, 1000, 40000, 60)
 ON CONFLICT (asset_type, provider) DO NOTHING;
 
 -- =====================================================
@@ -0,0 +1,49 @@
+-- Loan Engine Schema
+-- Loan terms on liquidity_positions and payment schedules in liquidity_payments
+-- (services/loanStore.js). Requires scripts/liquidity_schema.sql.
+
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS repayment_type VARCHAR(20); -- 'bullet', 'interest_only', 'amortizing'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS payment_frequency VARCHAR(20); -- 'monthly', 'quarterly', 'semiannual', 'annual'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS day_count VARCHAR(10); -- 'ACT/365', 'ACT/360', '30/360'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS late_fee_rate DECIMAL(8,6);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS late_fee_grace_days INTEGER;
+
+-- Collateral backing the loan: amount of RWA tokens (currency/issuer) of an asset type
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS asset_type VARCHAR(50);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_currency VARCHAR(40);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_issuer VARCHAR(35);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_amount DECIMAL(30,15);
+
+-- On-ledger lock of the collateral tokens (services/collateralService.js)
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_method VARCHAR(20); -- 'holding', 'escrow'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_status VARCHAR(20); -- 'awaiting_lock', 'locked', 'releasing', 'released', 'seized'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_account VARCHAR(35); -- Collateral account, or escrow owner
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_tx_hash VARCHAR(64);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_sequence BIGINT; -- EscrowCreate sequence
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_condition VARCHAR(100); -- Escrow crypto-condition
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_cancel_after TIMESTAMP WITH TIME ZONE;
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_frozen BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_release_tx_hash VARCHAR(64);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_seize_tx_hash VARCHAR(64);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_seized_to VARCHAR(35);
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS collateral_lock_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_liquidity_positions_collateral_lock ON liquidity_positions(collateral_lock_status);
+
+-- payment_type 'installment' rows are the schedule, 'fee' rows are late fees for an
+-- installment and 'repayment' rows record money received
+ALTER TABLE liquidity_payments ADD COLUMN IF NOT EXISTS installment_number INTEGER;
+ALTER TABLE liquidity_payments ADD COLUMN IF NOT EXISTS period_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE liquidity_payments ADD COLUMN IF NOT EXISTS principal_amount DECIMAL(20,8);
+ALTER TABLE liquidity_payments ADD COLUMN IF NOT EXISTS interest_amount DECIMAL(20,8);
+ALTER TABLE liquidity_payments ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(20,8) NOT NULL DEFAULT 0;
+
+-- One installment and at most one late fee per installment number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_liquidity_payments_installment ON liquidity_payments(position_id, payment_type, installment_number);
+
+-- Delivery of the provider's funds (Circle transfer webhooks); usdc_amount is the amount delivered
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS funding_status VARCHAR(20); -- 'complete', 'failed'
+ALTER TABLE liquidity_positions ADD COLUMN IF NOT EXISTS funded_at TIMESTAMP WITH TIME ZONE;
+
+-- Positions with collateral are funded after the lock, so the provider's id differs from position_id
+CREATE INDEX IF NOT EXISTS idx_liquidity_positions_provider_position ON liquidity_positions(provider_position_id);
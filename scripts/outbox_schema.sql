@@ -0,0 +1,28 @@
+-- Outbox Schema
+-- Liquidity Engine notifications waiting for delivery (services/outboxStore.js).
+--
+-- Rows are written in the same transaction as the record they announce (a pledge or a
+-- trust line), one row per destination, and delivered by the relay worker at least once:
+--   pending -> delivered
+-- A failed or abandoned attempt stays pending and is retried at next_attempt_at.
+
+CREATE TABLE IF NOT EXISTS outbox_messages (
+    id BIGSERIAL PRIMARY KEY,
+    message_id VARCHAR(64) NOT NULL, -- The notification's id; consumers de-duplicate on it
+    destination VARCHAR(20) NOT NULL, -- 'redis', 'http'
+    channel VARCHAR(50) NOT NULL, -- 'asset_pledged', 'token_minted', 'trustline_created'
+    aggregate_type VARCHAR(50) NOT NULL, -- 'pledge', 'trust_line'
+    aggregate_id VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Also the lease of a running attempt
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (message_id, destination)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_messages_due ON outbox_messages(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbox_messages_aggregate ON outbox_messages(aggregate_type, aggregate_id);
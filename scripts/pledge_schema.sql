@@ -0,0 +1,73 @@
+-- Pledge Schema
+-- Tokenized asset pledges and the trust lines created for RWA tokens (services/pledgeStore.js).
+-- Their Liquidity Engine notifications are written to outbox_messages in the same transaction.
+--
+-- Pledges are minted only once verified (services/pledgeStateMachine.js):
+--   PENDING_VERIFICATION -> APPROVED -> MINTING -> MINTED
+--   MINTING -> MINT_UNKNOWN -> MINTED | APPROVED (a submitted mint whose outcome is unknown, resolved by an admin)
+--   PENDING_VERIFICATION -> REJECTED | EXPIRED -> PENDING_VERIFICATION (resubmitted)
+
+CREATE TABLE IF NOT EXISTS asset_pledges (
+    id BIGSERIAL PRIMARY KEY,
+    pledge_id VARCHAR(64) UNIQUE NOT NULL,
+    asset_id VARCHAR(64) NOT NULL,
+    asset_type VARCHAR(50) NOT NULL,
+    owner_wallet VARCHAR(35) NOT NULL,
+    asset_amount DECIMAL(30,15) NOT NULL, -- Tokens to mint for the asset
+    asset_description TEXT,
+    token_symbol VARCHAR(40) NOT NULL,
+    issuer_address VARCHAR(35),
+    metadata JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(30) NOT NULL,
+    mint_tx_hash VARCHAR(64),
+    mint_ledger_index BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    minted_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS submission_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE; -- Latest submission for verification
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS verification_deadline TIMESTAMP WITH TIME ZONE; -- Expires if still pending after this
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS verification_id VARCHAR(255);
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS verification_result JSONB;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS mint_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS mint_error TEXT;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS asset_details JSONB NOT NULL DEFAULT '{}'; -- Checked against the asset type's schema
+ALTER TABLE asset_pledges ADD COLUMN IF NOT EXISTS asset_schema_version INTEGER; -- NULL when the type had no schema
+
+-- Pledges recorded before verification gating were minted on creation
+UPDATE asset_pledges SET status = 'MINTED' WHERE status = 'minted';
+
+CREATE INDEX IF NOT EXISTS idx_asset_pledges_owner ON asset_pledges(owner_wallet);
+CREATE INDEX IF NOT EXISTS idx_asset_pledges_asset ON asset_pledges(asset_id);
+CREATE INDEX IF NOT EXISTS idx_asset_pledges_status ON asset_pledges(status, verification_deadline);
+
+-- Pledge status transition history
+CREATE TABLE IF NOT EXISTS pledge_transitions (
+    id BIGSERIAL PRIMARY KEY,
+    pledge_id VARCHAR(64) NOT NULL REFERENCES asset_pledges(pledge_id),
+    from_status VARCHAR(30), -- NULL when the pledge is created
+    to_status VARCHAR(30) NOT NULL,
+    actor VARCHAR(255) NOT NULL, -- 'system', 'liquidity_engine' or 'admin:<name>'
+    reason TEXT,
+    tx_hash VARCHAR(64),
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pledge_transitions_pledge_id ON pledge_transitions(pledge_id, id);
+
+CREATE TABLE IF NOT EXISTS trust_lines (
+    id BIGSERIAL PRIMARY KEY,
+    tx_hash VARCHAR(64) UNIQUE NOT NULL,
+    account VARCHAR(35) NOT NULL,
+    currency VARCHAR(40) NOT NULL,
+    issuer_address VARCHAR(35) NOT NULL,
+    limit_amount DECIMAL(30,15) NOT NULL,
+    ledger_index BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trust_lines_account ON trust_lines(account);
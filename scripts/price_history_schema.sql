@@ -0,0 +1,16 @@
+-- Oracle Price History Schema
+-- Every accepted oracle price (services/priceHistoryStore.js)
+
+CREATE TABLE IF NOT EXISTS oracle_prices (
+    id BIGSERIAL PRIMARY KEY,
+    asset VARCHAR(100) NOT NULL,
+    price DECIMAL(30,12) NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    volume_24h DECIMAL(30,8), -- Median 24h volume reported by the accepted sources, if any
+    sources_used INTEGER NOT NULL,
+    sources JSONB NOT NULL, -- Per-source provenance from the aggregation
+    as_of TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_prices_asset_as_of ON oracle_prices(asset, as_of);
@@ -0,0 +1,19 @@
+-- Message Quarantine Schema
+-- Liquidity Engine messages rejected by their channel's contract (services/messageContracts.js).
+--
+-- Outbound messages are quarantined instead of being written to the outbox; inbound
+-- messages instead of reaching their handler. Rows are kept for inspection.
+
+CREATE TABLE IF NOT EXISTS quarantined_messages (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(50) NOT NULL,
+    direction VARCHAR(10) NOT NULL, -- 'outbound', 'inbound'
+    schema_version INTEGER, -- NULL when the message named no usable version
+    message_id VARCHAR(255),
+    source VARCHAR(20) NOT NULL, -- 'outbox' or the transport it arrived on
+    payload JSONB NOT NULL,
+    errors JSONB NOT NULL,
+    quarantined_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantined_messages_channel ON quarantined_messages(channel, quarantined_at);
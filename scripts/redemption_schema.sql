@@ -0,0 +1,55 @@
+-- Redemption Schema
+-- Requests to redeem an asset's tokens for the underlying asset (services/redemptionStore.js).
+-- References assets (scripts/registry_schema.sql), which must exist first. The burn that
+-- completes a request is recorded in asset_redemptions in the same transaction.
+--
+-- Requests are approved by a custodian before the holder burns (services/redemptionStateMachine.js):
+--   REQUESTED -> APPROVED -> BURNING -> COMPLETED (server-signed burn)
+--   BURNING -> BURN_UNKNOWN -> COMPLETED | APPROVED (burn outcome looked up again by an admin)
+--   REQUESTED -> APPROVED -> COMPLETED (client-signed burn)
+--   REQUESTED | APPROVED -> REJECTED
+
+CREATE TABLE IF NOT EXISTS redemption_requests (
+    id BIGSERIAL PRIMARY KEY,
+    redemption_id VARCHAR(64) UNIQUE NOT NULL,
+    asset_id VARCHAR(64) NOT NULL REFERENCES assets(asset_id),
+    holder_wallet VARCHAR(35) NOT NULL,
+    token_symbol VARCHAR(40) NOT NULL,
+    issuer_address VARCHAR(35) NOT NULL,
+    amount DECIMAL(30,15) NOT NULL, -- Tokens to burn
+    release_instructions TEXT, -- Where and how the holder takes delivery
+    status VARCHAR(20) NOT NULL,
+    decided_by VARCHAR(255), -- 'admin:<name>' who approved or rejected
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_reason TEXT,
+    burn_attempts INTEGER NOT NULL DEFAULT 0,
+    burn_error TEXT,
+    burn_tx_hash VARCHAR(64),
+    burn_ledger_index BIGINT,
+    burn_signing VARCHAR(10), -- 'server' or 'client'
+    burn_submission JSONB, -- { txHash, firstLedger, lastLedgerSequence } of a burn with an unknown outcome
+    certificate JSONB, -- Signed release certificate
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE redemption_requests ADD COLUMN IF NOT EXISTS burn_submission JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_redemption_requests_asset ON redemption_requests(asset_id, status);
+CREATE INDEX IF NOT EXISTS idx_redemption_requests_holder ON redemption_requests(holder_wallet);
+CREATE INDEX IF NOT EXISTS idx_redemption_requests_status ON redemption_requests(status, id);
+
+-- Redemption status transition history
+CREATE TABLE IF NOT EXISTS redemption_transitions (
+    id BIGSERIAL PRIMARY KEY,
+    redemption_id VARCHAR(64) NOT NULL REFERENCES redemption_requests(redemption_id),
+    from_status VARCHAR(20), -- NULL when the request is created
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(255) NOT NULL, -- 'holder', 'system' or 'admin:<name>'
+    reason TEXT,
+    tx_hash VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_redemption_transitions_redemption ON redemption_transitions(redemption_id, id);
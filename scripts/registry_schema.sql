@@ -0,0 +1,102 @@
+-- Asset Registry Schema
+-- Pledged assets, their appraisals, the token batches minted for them and token
+-- redemptions (services/registryStore.js). Pledges themselves are in asset_pledges
+-- (scripts/pledge_schema.sql), which must exist first; assets recorded there before the
+-- registry are copied in below.
+--
+-- Asset status follows its pledge until the tokens are minted:
+--   PLEDGED -> TOKENIZED -> REDEEMED (outstanding supply back to zero)
+--   PLEDGED -> REJECTED | EXPIRED -> PLEDGED (resubmitted)
+
+CREATE TABLE IF NOT EXISTS assets (
+    id BIGSERIAL PRIMARY KEY,
+    asset_id VARCHAR(64) UNIQUE NOT NULL,
+    asset_type VARCHAR(50) NOT NULL,
+    owner_wallet VARCHAR(35) NOT NULL,
+    description TEXT,
+    token_symbol VARCHAR(40) NOT NULL,
+    issuer_address VARCHAR(35), -- Set once tokens are minted
+    status VARCHAR(20) NOT NULL,
+    declared_value DECIMAL(30,15) NOT NULL, -- Value given by the owner when pledging
+    appraised_value DECIMAL(30,15), -- Latest appraisal
+    appraised_at TIMESTAMP WITH TIME ZONE,
+    minted_supply DECIMAL(30,15) NOT NULL DEFAULT 0,
+    redeemed_supply DECIMAL(30,15) NOT NULL DEFAULT 0,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_assets_owner ON assets(owner_wallet);
+CREATE INDEX IF NOT EXISTS idx_assets_status ON assets(status, asset_type);
+CREATE INDEX IF NOT EXISTS idx_assets_token_symbol ON assets(token_symbol);
+
+CREATE TABLE IF NOT EXISTS asset_appraisals (
+    id BIGSERIAL PRIMARY KEY,
+    asset_id VARCHAR(64) NOT NULL REFERENCES assets(asset_id),
+    value DECIMAL(30,15) NOT NULL,
+    currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    source VARCHAR(20) NOT NULL, -- 'liquidity_engine' or 'admin'
+    appraiser VARCHAR(255), -- Verification id or 'admin:<name>'
+    notes TEXT,
+    appraised_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_appraisals_asset ON asset_appraisals(asset_id, id);
+
+-- One row per mint transaction
+CREATE TABLE IF NOT EXISTS token_batches (
+    id BIGSERIAL PRIMARY KEY,
+    tx_hash VARCHAR(64) UNIQUE NOT NULL,
+    asset_id VARCHAR(64) NOT NULL REFERENCES assets(asset_id),
+    pledge_id VARCHAR(64) NOT NULL,
+    token_symbol VARCHAR(40) NOT NULL,
+    issuer_address VARCHAR(35) NOT NULL,
+    recipient VARCHAR(35) NOT NULL,
+    amount DECIMAL(30,15) NOT NULL,
+    ledger_index BIGINT,
+    minted_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Documents anchored in the mint memo: { memo: 'list' | 'digest', entries: [{ type, version, sha256 }], digest }
+ALTER TABLE token_batches ADD COLUMN IF NOT EXISTS documents JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_token_batches_asset ON token_batches(asset_id);
+
+-- One row per burn transaction; asset_id is NULL when the redemption named no asset
+CREATE TABLE IF NOT EXISTS asset_redemptions (
+    id BIGSERIAL PRIMARY KEY,
+    tx_hash VARCHAR(64) UNIQUE NOT NULL,
+    asset_id VARCHAR(64) REFERENCES assets(asset_id),
+    wallet_address VARCHAR(35) NOT NULL,
+    token_symbol VARCHAR(40) NOT NULL,
+    amount DECIMAL(30,15) NOT NULL,
+    ledger_index BIGINT,
+    signing VARCHAR(10) NOT NULL, -- 'server' or 'client'
+    redeemed_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- The redemption request the burn completed (scripts/redemption_schema.sql); NULL for direct burns
+ALTER TABLE asset_redemptions ADD COLUMN IF NOT EXISTS redemption_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_asset_redemptions_asset ON asset_redemptions(asset_id);
+CREATE INDEX IF NOT EXISTS idx_asset_redemptions_wallet ON asset_redemptions(wallet_address);
+
+-- Pledges recorded before the registry
+INSERT INTO assets (
+    asset_id, asset_type, owner_wallet, description, token_symbol, issuer_address, status,
+    declared_value, minted_supply, metadata, created_at, updated_at
+)
+SELECT
+    asset_id, asset_type, owner_wallet, asset_description, token_symbol, issuer_address,
+    CASE status WHEN 'MINTED' THEN 'TOKENIZED' WHEN 'REJECTED' THEN 'REJECTED' WHEN 'EXPIRED' THEN 'EXPIRED' ELSE 'PLEDGED' END,
+    asset_amount, CASE WHEN status = 'MINTED' THEN asset_amount ELSE 0 END, metadata,
+    created_at, COALESCE(updated_at, created_at)
+FROM asset_pledges
+ON CONFLICT (asset_id) DO NOTHING;
+
+INSERT INTO token_batches (tx_hash, asset_id, pledge_id, token_symbol, issuer_address, recipient, amount, ledger_index, minted_at)
+SELECT mint_tx_hash, asset_id, pledge_id, token_symbol, issuer_address, owner_wallet, asset_amount, mint_ledger_index, COALESCE(minted_at, created_at)
+FROM asset_pledges
+WHERE status = 'MINTED' AND mint_tx_hash IS NOT NULL AND issuer_address IS NOT NULL
+ON CONFLICT (tx_hash) DO NOTHING;
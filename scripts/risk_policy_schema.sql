@@ -0,0 +1,30 @@
+-- Risk Policy Schema
+-- Versioned LTV/haircut/concentration policies and their admin audit trail (services/riskPolicyStore.js)
+
+CREATE TABLE IF NOT EXISTS risk_policy_versions (
+    version INTEGER PRIMARY KEY, -- Version 0 is the built-in default and is not stored
+    status VARCHAR(20) NOT NULL, -- 'proposed', 'approved', 'rejected'
+    policy JSONB NOT NULL, -- { default, assetTypes, assets }
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL, -- Moved to the approval time if approved later
+    reason TEXT NOT NULL,
+    proposed_by VARCHAR(255) NOT NULL,
+    proposed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    decided_by VARCHAR(255),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_policy_versions_effective ON risk_policy_versions(status, effective_from);
+
+-- Every admin action on a policy version
+CREATE TABLE IF NOT EXISTS risk_policy_audit (
+    id BIGSERIAL PRIMARY KEY,
+    version INTEGER NOT NULL REFERENCES risk_policy_versions(version),
+    action VARCHAR(20) NOT NULL, -- 'proposed', 'approved', 'rejected'
+    actor VARCHAR(255) NOT NULL, -- Admin key name
+    reason TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_policy_audit_version ON risk_policy_audit(version, id);
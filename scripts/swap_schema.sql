@@ -0,0 +1,58 @@
+-- Atomic Swap Schema
+-- Persistent storage for XRPL escrow-based atomic swaps (services/swapStore.js)
+
+CREATE TABLE IF NOT EXISTS atomic_swaps (
+    id BIGSERIAL PRIMARY KEY,
+    swap_id VARCHAR(255) UNIQUE NOT NULL,
+    status VARCHAR(50) NOT NULL, -- 'PENDING_ESCROW', 'ACTIVE', 'LOCKED', 'COMPLETED', 'CANCELLED', 'EXPIRED'
+
+    -- Parties
+    creator VARCHAR(255) NOT NULL,
+    counterparty VARCHAR(255),
+    signing_mode VARCHAR(20) NOT NULL DEFAULT 'server', -- 'server', 'client'
+
+    -- Swap Details
+    from_asset VARCHAR(100) NOT NULL,
+    to_asset VARCHAR(100) NOT NULL,
+    amount DECIMAL(20,8) NOT NULL,
+    exchange_rate DECIMAL(20,8),
+
+    -- Escrow
+    escrow_condition VARCHAR(255),
+    escrow_sequence INTEGER, -- Creator leg escrow sequence (both legs are kept in swap_data.legs)
+    cancel_after BIGINT, -- Unix seconds
+
+    -- Seed, preimage and fulfillment, AES-256-GCM encrypted (utils/encryption.js)
+    secrets_encrypted TEXT,
+
+    -- Full swap record (without secrets)
+    swap_data JSONB NOT NULL,
+
+    -- Optimistic locking
+    version INTEGER NOT NULL DEFAULT 1,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_atomic_swaps_status ON atomic_swaps(status);
+CREATE INDEX IF NOT EXISTS idx_atomic_swaps_creator ON atomic_swaps(creator);
+CREATE INDEX IF NOT EXISTS idx_atomic_swaps_counterparty ON atomic_swaps(counterparty);
+CREATE INDEX IF NOT EXISTS idx_atomic_swaps_created_at ON atomic_swaps(created_at DESC);
+
+-- Swap status transition audit trail
+CREATE TABLE IF NOT EXISTS swap_transitions (
+    id BIGSERIAL PRIMARY KEY,
+    swap_id VARCHAR(255) NOT NULL REFERENCES atomic_swaps(swap_id),
+    from_status VARCHAR(50), -- NULL when the swap is created
+    to_status VARCHAR(50) NOT NULL,
+    actor VARCHAR(255) NOT NULL, -- XRPL address or 'system:<component>'
+    reason TEXT,
+    tx_hash VARCHAR(255),
+    ledger_index INTEGER,
+    swap_version INTEGER NOT NULL, -- atomic_swaps.version after the transition
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_swap_transitions_swap_id ON swap_transitions(swap_id, id);
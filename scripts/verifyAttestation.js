@@ -0,0 +1,40 @@
+/**
+ * Verify an Oracle Attestation Offline
+ * Checks a saved oracle response against a saved copy of the oracle's public keys
+ *
+ * Usage: node scripts/verifyAttestation.js <response.json> <keys.json> [--ignore-expiry]
+ *   response.json - an oracle API response (its `data`) or a Hummingbot feed body
+ *   keys.json     - the body of GET /api/oracle/keys, or its `keys` array
+ */
+
+const fs = require('fs');
+const { verifyAttestation } = require('../utils/oracleAttestation');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const main = () => {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  if (args.length !== 2) {
+    console.error('Usage: node scripts/verifyAttestation.js <response.json> <keys.json> [--ignore-expiry]');
+    process.exit(2);
+  }
+
+  const response = readJson(args[0]);
+  const keysFile = readJson(args[1]);
+
+  // Accept whole API responses as well as the attested object itself
+  const document = response.attestation ? response : response.data;
+  const keys = Array.isArray(keysFile) ? keysFile : (keysFile.data || keysFile).keys;
+
+  const result = verifyAttestation(document, keys, { ignoreExpiry: process.argv.includes('--ignore-expiry') });
+
+  if (result.valid) {
+    console.log(`✅ Valid attestation signed by ${result.keyId} at ${result.issuedAt} (expires ${result.expiresAt || 'never'})`);
+  } else {
+    console.error(`❌ Invalid attestation: ${result.reason}`);
+  }
+  console.log(`   Payload hash: ${result.payloadHash || '-'}`);
+  process.exit(result.valid ? 0 : 1);
+};
+
+main();
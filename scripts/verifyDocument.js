@@ -0,0 +1,55 @@
+/**
+ * Verify a Document Against the Ledger
+ * Hashes a file and checks that the mint transaction's memo anchors that hash, without
+ * trusting this platform's database
+ *
+ * Usage: node scripts/verifyDocument.js <file> <txHash> [entries.json]
+ *   file         - the document to verify
+ *   txHash       - the mint transaction of the asset it belongs to
+ *   entries.json - needed when the memo carries a digest: the anchored documents as
+ *                  [{ type, version, sha256 }], e.g. a token batch's documents.entries
+ * Connects to XRPL_ENDPOINT (default wss://s.altnet.rippletest.net:51233)
+ */
+
+const fs = require('fs');
+const { Client } = require('xrpl');
+const { sha256, findPledgeMemo, verifyDocumentInMemo } = require('../utils/documentHashing');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || args.length > 3) {
+    console.error('Usage: node scripts/verifyDocument.js <file> <txHash> [entries.json]');
+    process.exit(2);
+  }
+
+  const hash = sha256(fs.readFileSync(args[0]));
+  const entriesFile = args[2] ? readJson(args[2]) : [];
+  const entries = Array.isArray(entriesFile) ? entriesFile : entriesFile.entries;
+
+  const client = new Client(process.env.XRPL_ENDPOINT || 'wss://s.altnet.rippletest.net:51233');
+  let response;
+  try {
+    await client.connect();
+    response = await client.request({ command: 'tx', transaction: args[1] });
+  } finally {
+    await client.disconnect();
+  }
+
+  const result = verifyDocumentInMemo(findPledgeMemo(response.result), hash, entries);
+  const validated = response.result.validated === true;
+
+  if (result.verified && validated) {
+    console.log(`✅ Document anchored in validated transaction ${args[1]} (${result.method})`);
+  } else {
+    console.error(`❌ Document not verified: ${result.reason || 'Transaction is not validated'}`);
+  }
+  console.log(`   Document hash: ${hash}`);
+  process.exit(result.verified && validated ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error(`❌ Verification failed: ${error.message}`);
+  process.exit(1);
+});
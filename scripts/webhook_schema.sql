@@ -0,0 +1,20 @@
+-- Webhook Processing Schema
+-- Durable processing of inbound provider webhooks (services/webhookStore.js).
+-- Requires the webhook_events table from scripts/liquidity_schema.sql.
+--
+-- Every webhook is stored before it is acknowledged, de-duplicated by webhook_id (the
+-- provider's event id), then processed in the background:
+--   received -> processing -> processed | ignored (no handler for the event type)
+--                          -> failed (retried at next_attempt_at) -> dead_letter after WEBHOOK_MAX_ATTEMPTS
+-- An admin replay puts any event that is not processing back to received.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS provider VARCHAR(50) NOT NULL DEFAULT 'circle';
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS processing_status VARCHAR(20) NOT NULL DEFAULT 'received';
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replay_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replayed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replayed_by VARCHAR(100); -- Admin name
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_processing ON webhook_events(processing_status, next_attempt_at);
@@ -0,0 +1,121 @@
+/**
+ * Client Signing Service tests
+ * Runs with a fake XRPL client; blobs are signed locally with generated wallets.
+ */
+
+const { Wallet, encode, decode } = require('xrpl');
+const clientSigningService = require('../clientSigningService');
+const xrplNativeService = require('../xrplNativeService');
+
+const sender = Wallet.generate();
+const destination = Wallet.generate();
+
+let ledgerIndex = 100;
+const submitted = [];
+
+const client = {
+  autofill: async (tx) => ({ ...tx, Sequence: 7, Fee: '12', LastLedgerSequence: 120 }),
+  getLedgerIndex: async () => ledgerIndex,
+  submitAndWait: async (blob) => {
+    submitted.push(blob);
+    return { result: { hash: 'HASH', validated: true, ledger_index: 110, meta: { TransactionResult: 'tesSUCCESS' } } };
+  }
+};
+
+const payment = (amount = '1000') => ({
+  TransactionType: 'Payment',
+  Account: sender.address,
+  Destination: destination.address,
+  Amount: amount
+});
+
+describe('client-signed submission', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    xrplNativeService.client = client;
+    xrplNativeService.isConnected = true;
+  });
+
+  beforeEach(() => {
+    ledgerIndex = 100;
+    submitted.length = 0;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('submits a blob signed over the prepared transaction and runs the handler', async () => {
+    const handler = jest.fn(async (submission, context) => ({ paid: context.positionId }));
+    clientSigningService.registerSubmitHandler('test_payment', handler);
+
+    const prepared = await clientSigningService.prepareTransaction(payment(), 'test_payment', { positionId: 'p1' });
+    const { tx_blob: txBlob } = sender.sign(prepared.txJson);
+    const submission = await clientSigningService.submitSignedTransaction(prepared.prepareId, txBlob);
+
+    expect(submission).toMatchObject({ account: sender.address, transactionResult: 'tesSUCCESS', effects: { paid: 'p1' } });
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ txHash: 'HASH' }), { positionId: 'p1' });
+    await expect(clientSigningService.submitSignedTransaction(prepared.prepareId, txBlob))
+      .rejects.toThrow('Prepared transaction already validated');
+  });
+
+  test('rejects a blob whose fields differ from the prepared transaction', async () => {
+    const prepared = await clientSigningService.prepareTransaction(payment(), 'test_payment');
+    const { tx_blob: txBlob } = sender.sign({ ...prepared.txJson, Amount: '999999' });
+
+    await expect(clientSigningService.submitSignedTransaction(prepared.prepareId, txBlob))
+      .rejects.toThrow('Signed transaction does not match the prepared transaction');
+    expect(submitted).toHaveLength(0);
+  });
+
+  test('rejects unsigned blobs and signatures that do not verify', async () => {
+    const prepared = await clientSigningService.prepareTransaction(payment(), 'test_payment');
+
+    await expect(clientSigningService.submitSignedTransaction(prepared.prepareId, encode(prepared.txJson)))
+      .rejects.toThrow('Transaction signature is invalid');
+
+    // A signature by another key over the same transaction, presented with the sender's public key
+    const forged = decode(sender.sign(prepared.txJson).tx_blob);
+    forged.TxnSignature = decode(destination.sign(prepared.txJson).tx_blob).TxnSignature;
+    await expect(clientSigningService.submitSignedTransaction(prepared.prepareId, encode(forged)))
+      .rejects.toThrow('Transaction signature is invalid');
+
+    await expect(clientSigningService.submitSignedTransaction(prepared.prepareId, 'not-a-blob'))
+      .rejects.toThrow('tx_blob is not a valid XRPL transaction');
+    expect(submitted).toHaveLength(0);
+  });
+
+  test('a new prepare for the same subject and account supersedes the earlier one', async () => {
+    const first = await clientSigningService.prepareTransaction(payment(), 'test_payment', { positionId: 'p2' });
+    const otherSubject = await clientSigningService.prepareTransaction(payment(), 'test_payment', { positionId: 'p3' });
+    const second = await clientSigningService.prepareTransaction(payment('2000'), 'test_payment', { positionId: 'p2' });
+
+    expect(clientSigningService.getPreparedTransaction(first.prepareId).status).toBe('SUPERSEDED');
+    expect(clientSigningService.getPreparedTransaction(otherSubject.prepareId).status).toBe('PREPARED');
+    await expect(clientSigningService.submitSignedTransaction(first.prepareId, sender.sign(first.txJson).tx_blob))
+      .rejects.toThrow('Prepared transaction already superseded');
+
+    const submission = await clientSigningService.submitSignedTransaction(second.prepareId, sender.sign(second.txJson).tx_blob);
+    expect(submission.transactionResult).toBe('tesSUCCESS');
+  });
+
+  test('a failing handler is reported without failing the validated submission', async () => {
+    clientSigningService.registerSubmitHandler('test_failing', async () => {
+      throw new Error('Loan p4 not found');
+    });
+
+    const prepared = await clientSigningService.prepareTransaction(payment(), 'test_failing');
+    const submission = await clientSigningService.submitSignedTransaction(prepared.prepareId, sender.sign(prepared.txJson).tx_blob);
+
+    expect(submission).toMatchObject({ transactionResult: 'tesSUCCESS', effectsError: 'Loan p4 not found' });
+    expect(submission.effects).toBeUndefined();
+  });
+
+  test('prepares past their LastLedgerSequence are dropped', async () => {
+    const prepared = await clientSigningService.prepareTransaction(payment(), 'test_payment');
+
+    ledgerIndex = 121;
+    await clientSigningService.prepareTransaction(payment(), 'test_payment');
+    expect(clientSigningService.getPreparedTransaction(prepared.prepareId)).toBeNull();
+  });
+});
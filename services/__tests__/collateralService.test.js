@@ -0,0 +1,159 @@
+/**
+ * Collateral Service tests
+ * Drives the liquidity controller's collateralised loan flow in holding mode against the
+ * in-memory loan store. A fake XRPL client validates every submission, a fake issuer
+ * signer records freezes and a fake provider stands in for the quoted lender.
+ */
+
+const { Wallet, decode, hashes } = require('xrpl');
+const collateralService = require('../collateralService');
+const clientSigningService = require('../clientSigningService');
+const loanEngine = require('../loanEngine');
+const liquidityRouter = require('../liquidityRouter');
+const xrplNativeService = require('../xrplNativeService');
+const { controller } = require('../../controllers/liquidityController');
+const { LOCK_STATUS } = require('../collateralService');
+
+const borrower = Wallet.generate();
+const issuer = Wallet.generate();
+const collateralAccount = Wallet.generate();
+
+const events = []; // What reached the ledger or the lender, in order
+const validated = new Map(); // txHash -> tx
+let deliveredShortfall = 0; // Collateral tokens the next lock payment fails to deliver
+
+const client = {
+  autofill: async (tx) => ({ ...tx, Sequence: 7, Fee: '12', LastLedgerSequence: 500 }),
+  getLedgerIndex: async () => 100,
+  submitAndWait: async (blob) => {
+    const tx = decode(blob);
+    const hash = hashes.hashSignedTx(blob);
+    validated.set(hash, tx);
+    events.push(`${tx.TransactionType} ${tx.Account === borrower.address ? 'from borrower' : 'to borrower'}`);
+    return { result: { hash, validated: true, ledger_index: 110, meta: { TransactionResult: 'tesSUCCESS' } } };
+  },
+  request: async (request) => {
+    const tx = validated.get(request.transaction);
+    const delivered = { ...tx.Amount, value: String(parseFloat(tx.Amount.value) - deliveredShortfall) };
+    return { result: { ...tx, validated: true, meta: { TransactionResult: 'tesSUCCESS', delivered_amount: delivered } } };
+  }
+};
+
+const issuerSigner = {
+  address: issuer.address,
+  signAndSubmit: async (signingClient, tx) => {
+    events.push(tx.Flags === 0x00100000 ? 'freeze' : 'unfreeze');
+    return { result: { result: { meta: { TransactionResult: 'tesSUCCESS' } } } };
+  }
+};
+
+const lender = {
+  name: 'legacy_engine',
+  label: 'Lender',
+  fails: false,
+  isConfigured: () => true,
+  request: async (request) => {
+    const position = (await loanEngine.store.listPositions({})).find(candidate => candidate.principal === request.requestedAmount && candidate.status !== 'failed');
+    events.push(`fund (loan ${position.status})`);
+    if (lender.fails) {
+      throw new Error('lender unavailable');
+    }
+    return { success: true, positionId: `lender-${position.positionId}` };
+  }
+};
+
+// Request a loan of `amount` against 100 RWA; the borrower signs and submits the prepared lock
+const borrow = async (amount) => {
+  const prepared = await controller.prepareCollateralizedLiquidity({
+    userWalletAddress: borrower.address,
+    rwaTokenId: 'token-1',
+    requestedAmount: amount,
+    assetDetails: { valuation: 20000 },
+    userKYCStatus: 'verified'
+  }, {
+    quotes: [],
+    best: { provider: 'legacy_engine', maxAmount: 100000, interestRate: 0.08 }
+  }, { assetType: 'real-estate', currency: 'RWA', issuer: issuer.address, amount: 100 });
+
+  expect(events).toEqual([]);
+  expect((await loanEngine.getPositionOrThrow(prepared.positionId)).status).toBe('pending');
+
+  const { tx_blob: txBlob } = borrower.sign(prepared.collateralLock.txJson);
+  const submission = await clientSigningService.submitSignedTransaction(prepared.collateralLock.prepareId, txBlob);
+  return { positionId: prepared.positionId, submission, position: await loanEngine.getPositionOrThrow(prepared.positionId) };
+};
+
+describe('collateral lock and release ordering', () => {
+  const originalProviders = liquidityRouter.providers;
+  const originalConfig = collateralService.config;
+  let firstLoan;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    xrplNativeService.client = client;
+    xrplNativeService.isConnected = true;
+    xrplNativeService.issuerSigner = issuerSigner;
+    collateralService.config = { ...originalConfig, lockMode: 'holding' };
+    collateralService.wallet = collateralAccount;
+    liquidityRouter.providers = [lender];
+  });
+
+  beforeEach(() => {
+    events.length = 0;
+    deliveredShortfall = 0;
+    lender.fails = false;
+  });
+
+  afterAll(() => {
+    liquidityRouter.providers = originalProviders;
+    collateralService.config = originalConfig;
+    jest.restoreAllMocks();
+  });
+
+  test('the lender is only asked for funds once the collateral is locked, frozen and the loan active', async () => {
+    firstLoan = await borrow(5000);
+
+    expect(events).toEqual(['Payment from borrower', 'freeze', 'fund (loan active)']);
+    expect(firstLoan.submission.effects.funding).toMatchObject({ provider: 'legacy_engine', positionId: `lender-${firstLoan.positionId}` });
+    expect(firstLoan.position).toMatchObject({
+      status: 'active',
+      collateralLockStatus: LOCK_STATUS.LOCKED,
+      collateralFrozen: true,
+      providerPositionId: `lender-${firstLoan.positionId}`
+    });
+  });
+
+  test('a lock that does not deliver the collateral releases nothing', async () => {
+    deliveredShortfall = 1;
+    const { submission, position } = await borrow(6000);
+
+    expect(submission.effectsError).toContain('Invalid lock transaction: payment does not match the collateral terms');
+    expect(events).toEqual(['Payment from borrower']);
+    expect(position).toMatchObject({ status: 'pending', collateralLockStatus: LOCK_STATUS.AWAITING_LOCK });
+  });
+
+  test('a lender failure fails the loan and returns the collateral', async () => {
+    lender.fails = true;
+    const { submission, position } = await borrow(7000);
+
+    expect(submission.effectsError).toContain('failed, collateral released: lender unavailable');
+    // The line is frozen again afterwards: the first loan's collateral is still held on it
+    expect(events).toEqual(['Payment from borrower', 'freeze', 'fund (loan active)', 'unfreeze', 'Payment to borrower', 'freeze']);
+    expect(position).toMatchObject({ status: 'failed', fundingStatus: 'failed', collateralLockStatus: LOCK_STATUS.RELEASED });
+  });
+
+  test('repayment returns the collateral of the last loan on the line and leaves it unfrozen', async () => {
+    await expect(collateralService.releaseCollateral(firstLoan.positionId)).rejects.toThrow('only repaid or failed loans release collateral');
+    expect(events).toEqual([]);
+
+    await loanEngine.updatePosition(firstLoan.positionId, { status: 'repaid' }, 'active');
+
+    expect(events).toEqual(['unfreeze', 'Payment to borrower']);
+    expect(await loanEngine.getPositionOrThrow(firstLoan.positionId)).toMatchObject({
+      collateralLockStatus: LOCK_STATUS.RELEASED,
+      collateralFrozen: false
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Liquidity Notifications tests
+ * Built messages are checked against their channel's contract at CURRENT_VERSIONS.
+ */
+
+const { Wallet } = require('xrpl');
+const messageContracts = require('../messageContracts');
+const { CHANNELS, assetPledgedMessage } = require('../liquidityNotifications');
+
+describe('assetPledgedMessage', () => {
+  const ownerWallet = Wallet.generate().address;
+
+  test('leaves metadata the pledge has no value for out of the message', () => {
+    const { payload } = assetPledgedMessage({
+      assetId: 'asset-1',
+      assetType: 'real-estate',
+      pledgedValue: '250000',
+      ownerWallet,
+      description: null,
+      location: undefined,
+      documents: [{ type: 'deed', version: 1, sha256: 'ab'.repeat(32) }]
+    });
+
+    expect(payload.metadata).toEqual({ documents: [{ type: 'deed', version: 1, sha256: 'ab'.repeat(32) }] });
+    expect(messageContracts.validate(CHANNELS.ASSET_PLEDGED, payload)).toMatchObject({ valid: true, errors: [] });
+  });
+
+  test('keeps the metadata that is given', () => {
+    const { payload } = assetPledgedMessage({
+      assetId: 'asset-1',
+      assetType: 'real-estate',
+      pledgedValue: '250000',
+      ownerWallet,
+      description: 'House',
+      location: 'Lisbon'
+    });
+
+    expect(payload.metadata).toEqual({ description: 'House', location: 'Lisbon' });
+    expect(messageContracts.validate(CHANNELS.ASSET_PLEDGED, payload).valid).toBe(true);
+  });
+});
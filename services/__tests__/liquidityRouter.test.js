@@ -0,0 +1,82 @@
+/**
+ * Liquidity Router tests
+ * Runs with fake providers in place of the configured ones.
+ */
+
+const liquidityRouter = require('../liquidityRouter');
+
+const fakeProvider = (name, { maxAmount = 1000, interestRate = 0.05, fails = false } = {}) => ({
+  name,
+  label: name,
+  isConfigured: () => true,
+  quote: async () => ({ provider: name, label: name, available: true, maxAmount, interestRate, feeRate: 0, priceImpact: 0, latencyMs: 0, processingSeconds: 0 }),
+  request: jest.fn(async (request, amount) => {
+    if (fails) {
+      throw new Error(`${name} unavailable`);
+    }
+    return { success: true, positionId: `${name}-position`, amount };
+  })
+});
+
+const request = { userWalletAddress: 'rBorrower', rwaTokenId: 'token-1', requestedAmount: 500 };
+
+describe('deferred liquidity routing', () => {
+  const originalProviders = liquidityRouter.providers;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    liquidityRouter.providers = originalProviders;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('selectProvider quotes without requesting liquidity', async () => {
+    const cheap = fakeProvider('cheap', { interestRate: 0.03 });
+    const dear = fakeProvider('dear', { interestRate: 0.09 });
+    liquidityRouter.providers = [dear, cheap];
+
+    const { best, quotes } = await liquidityRouter.selectProvider(request);
+    expect(best.provider).toBe('cheap');
+    expect(quotes).toHaveLength(2);
+    expect(cheap.request).not.toHaveBeenCalled();
+    expect(dear.request).not.toHaveBeenCalled();
+  });
+
+  test('selectProvider fails with the quotes when none can fill the request', async () => {
+    liquidityRouter.providers = [fakeProvider('small', { maxAmount: 100 })];
+
+    const error = await liquidityRouter.selectProvider(request).catch(caught => caught);
+    expect(error.message).toBe('No liquidity provider can fill this request');
+    expect(error.routing).toMatchObject({ quotes: [{ provider: 'small', score: null }], attempts: [] });
+  });
+
+  test('execute uses only the chosen provider and does not fail over', async () => {
+    const chosen = fakeProvider('chosen', { fails: true });
+    const other = fakeProvider('other');
+    liquidityRouter.providers = [chosen, other];
+
+    const error = await liquidityRouter.execute('chosen', request, 400).catch(caught => caught);
+    expect(error.message).toBe('chosen unavailable');
+    expect(error.routing.attempts).toMatchObject([{ provider: 'chosen', success: false, amount: 400 }]);
+    expect(other.request).not.toHaveBeenCalled();
+
+    liquidityRouter.providers = [fakeProvider('chosen'), other];
+    const result = await liquidityRouter.execute('chosen', request, 400);
+    expect(result).toMatchObject({ provider: 'chosen', amount: 400, positionId: 'chosen-position' });
+    expect(result.routing.attempts).toMatchObject([{ provider: 'chosen', success: true }]);
+  });
+
+  test('route still fails over to the next quote', async () => {
+    liquidityRouter.providers = [fakeProvider('first', { interestRate: 0.01, fails: true }), fakeProvider('second')];
+
+    const result = await liquidityRouter.route(request);
+    expect(result.provider).toBe('second');
+    expect(result.routing.attempts.map(attempt => attempt.success)).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Loan Engine tests
+ * Runs against the in-memory loan store with `clock` replaced by a fake clock.
+ */
+
+const loanEngine = require('../loanEngine');
+
+describe('loanEngine with an injected clock', () => {
+  let now;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    loanEngine.clock = () => now;
+    await loanEngine.initialize();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('activates, accrues, charges a late fee once and is repaid by the payoff amount', async () => {
+    now = new Date('2026-01-01T00:00:00Z');
+    await loanEngine.createPosition({
+      positionId: 'loan-1',
+      userWallet: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+      rwaTokenId: 'asset-1',
+      principal: 1000,
+      collateralValue: 2000,
+      ltvRatio: 0.5,
+      interestRate: 0.073
+    });
+
+    let schedule = await loanEngine.activatePosition('loan-1', {
+      repaymentType: 'bullet',
+      termDays: 30,
+      dayCount: 'ACT/365',
+      lateFeeRate: 0.05,
+      lateFeeGraceDays: 5
+    });
+    expect(schedule.asOf).toBe('2026-01-01T00:00:00.000Z');
+    expect(schedule.position.status).toBe('active');
+    expect(schedule.position.maturityDate).toBe('2026-01-31T00:00:00.000Z');
+    expect(schedule.payoffAmount).toBe(1000);
+
+    now = new Date('2026-01-11T06:00:00Z');
+    schedule = await loanEngine.getSchedule('loan-1');
+    expect(schedule.accruedInterest).toBe(2); // 10 whole days at 7.3% ACT/365
+    expect(schedule.schedule[0].status).toBe('current');
+
+    now = new Date('2026-02-07T00:00:00Z');
+    const fees = await loanEngine.assessLateFees();
+    expect(fees.map(fee => [fee.paymentId, fee.amount])).toEqual([['loan-1-late-fee-1', 50.3]]);
+    expect(await loanEngine.assessLateFees()).toEqual([]);
+
+    schedule = await loanEngine.getSchedule('loan-1');
+    expect(schedule.overdueAmount).toBe(1006);
+    expect(schedule.payoffAmount).toBe(1056.3);
+
+    const result = await loanEngine.recordPayment('loan-1', { amount: schedule.payoffAmount });
+    expect(result.repaid).toBe(true);
+    expect(result.position.status).toBe('repaid');
+    expect(result.payment.paidDate).toBe('2026-02-07T00:00:00.000Z');
+    await expect(loanEngine.recordPayment('loan-1', { amount: 1 })).rejects.toThrow('payments are only accepted for active loans');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Loan Schedule Math tests
+ * Every function takes the valuation time explicitly, so each case pins its own `at`.
+ */
+
+const { buildSchedule, summarizeLoan, allocatePayment, yearFraction, addMonths } = require('../loanSchedule');
+
+const AMORTIZING_TERMS = {
+  principal: 1200,
+  annualRate: 0.12,
+  startDate: '2026-01-31T00:00:00Z',
+  maturityDate: '2026-04-30T00:00:00Z',
+  repaymentType: 'amortizing',
+  paymentFrequency: 'monthly',
+  dayCount: '30/360'
+};
+
+const AMORTIZING_LOAN = { principal: 1200, interestRate: 0.12, dayCount: '30/360', lateFeeGraceDays: 5 };
+
+// Installment rows as the loan store returns them
+const toPayments = (installments) => installments.map(installment => ({
+  ...installment,
+  paymentId: `L1-installment-${installment.installmentNumber}`,
+  paymentType: 'installment',
+  amountPaid: 0
+}));
+
+describe('yearFraction and addMonths', () => {
+  test('day counts', () => {
+    expect(yearFraction('2026-01-01T00:00:00Z', '2026-01-31T00:00:00Z', 'ACT/365')).toBeCloseTo(30 / 365);
+    expect(yearFraction('2026-01-01T00:00:00Z', '2026-01-31T00:00:00Z', 'ACT/360')).toBeCloseTo(30 / 360);
+    expect(yearFraction('2026-01-31T00:00:00Z', '2026-02-28T00:00:00Z', '30/360')).toBeCloseTo(28 / 360);
+    expect(() => yearFraction('2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z', 'ACT/ACT')).toThrow('Unsupported day count');
+  });
+
+  test('clamps to the end of shorter months', () => {
+    expect(addMonths('2026-01-31T00:00:00Z', 1).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    expect(addMonths('2028-01-31T00:00:00Z', 1).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+});
+
+describe('buildSchedule', () => {
+  test('bullet loan pays principal and interest at maturity', () => {
+    const schedule = buildSchedule({
+      principal: 1000,
+      annualRate: 0.073,
+      startDate: '2026-01-01T00:00:00Z',
+      maturityDate: '2026-01-31T00:00:00Z',
+      repaymentType: 'bullet',
+      dayCount: 'ACT/365'
+    });
+
+    expect(schedule).toEqual([{
+      installmentNumber: 1,
+      periodStart: '2026-01-01T00:00:00.000Z',
+      dueDate: '2026-01-31T00:00:00.000Z',
+      openingBalance: 1000,
+      principalAmount: 1000,
+      interestAmount: 6,
+      amount: 1006
+    }]);
+  });
+
+  test('amortizing loan pays a level amount and clears the balance on the last installment', () => {
+    const schedule = buildSchedule(AMORTIZING_TERMS);
+
+    expect(schedule.map(installment => installment.dueDate)).toEqual([
+      '2026-02-28T00:00:00.000Z',
+      '2026-03-31T00:00:00.000Z',
+      '2026-04-30T00:00:00.000Z'
+    ]);
+    expect(schedule.map(installment => installment.amount)).toEqual([408.03, 408.03, 408.01]);
+    expect(schedule.map(installment => installment.interestAmount)).toEqual([11.2, 8.83, 4.04]);
+    expect(schedule.reduce((sum, installment) => sum + installment.principalAmount, 0)).toBeCloseTo(1200, 2);
+  });
+
+  test('interest-only loan repays principal with the last installment', () => {
+    const schedule = buildSchedule({ ...AMORTIZING_TERMS, repaymentType: 'interest_only' });
+
+    expect(schedule.map(installment => installment.principalAmount)).toEqual([0, 0, 1200]);
+  });
+
+  test('rejects invalid terms', () => {
+    expect(() => buildSchedule({ ...AMORTIZING_TERMS, principal: 0 })).toThrow('principal must be positive');
+    expect(() => buildSchedule({ ...AMORTIZING_TERMS, maturityDate: AMORTIZING_TERMS.startDate })).toThrow('maturity must be after');
+    expect(() => buildSchedule({ ...AMORTIZING_TERMS, paymentFrequency: 'weekly' })).toThrow('Unsupported payment frequency');
+  });
+});
+
+describe('summarizeLoan', () => {
+  const payments = toPayments(buildSchedule(AMORTIZING_TERMS));
+
+  test('before the first due date only the current period accrues', () => {
+    const summary = summarizeLoan(AMORTIZING_LOAN, payments, '2026-02-10T12:00:00Z');
+
+    expect(summary.schedule.map(installment => installment.status)).toEqual(['current', 'upcoming', 'upcoming']);
+    expect(summary.accruedInterest).toBe(4); // 10 days of 30/360 on 1200 at 12%
+    expect(summary.payoffAmount).toBe(1204);
+    expect(summary.overdueAmount).toBe(0);
+    expect(summary.nextPayment).toEqual({ installmentNumber: 1, dueDate: '2026-02-28T00:00:00.000Z', amountDue: 408.03 });
+  });
+
+  test('an unpaid installment past its grace period is overdue and eligible for a late fee', () => {
+    const summary = summarizeLoan(AMORTIZING_LOAN, payments, '2026-03-10T12:00:00Z');
+
+    expect(summary.schedule.map(installment => [installment.status, installment.lateFeeEligible])).toEqual([
+      ['overdue', true],
+      ['current', false],
+      ['upcoming', false]
+    ]);
+    expect(summary.accruedInterest).toBe(14.41); // 11.20 overdue + 3.21 accrued on 803.17
+    expect(summary.overdueAmount).toBe(408.03);
+    expect(summary.payoffAmount).toBe(1214.41);
+  });
+
+  test('an installment within its grace period is not yet eligible for a late fee', () => {
+    const summary = summarizeLoan(AMORTIZING_LOAN, payments, '2026-03-03T00:00:00Z');
+
+    expect(summary.schedule[0].status).toBe('overdue');
+    expect(summary.schedule[0].lateFeeEligible).toBe(false);
+  });
+
+  test('paid installments count toward principal and are skipped for the next payment', () => {
+    const paid = payments.map(payment => (payment.installmentNumber === 1 ? { ...payment, amountPaid: payment.amount } : payment));
+    const summary = summarizeLoan(AMORTIZING_LOAN, paid, '2026-03-10T12:00:00Z');
+
+    expect(summary.schedule[0].status).toBe('paid');
+    expect(summary.outstandingPrincipal).toBe(803.17);
+    expect(summary.nextPayment.installmentNumber).toBe(2);
+  });
+});
+
+describe('allocatePayment', () => {
+  const payments = toPayments(buildSchedule(AMORTIZING_TERMS));
+  const at = '2026-03-10T12:00:00Z';
+
+  test('a partial payment covers fees first, then installments in order', () => {
+    const fee = { paymentId: 'L1-late-fee-1', paymentType: 'fee', installmentNumber: 1, amount: 20.6, amountPaid: 0 };
+    const allocation = allocatePayment(AMORTIZING_LOAN, [...payments, fee], 450, at);
+
+    expect(allocation.payoff).toBe(false);
+    expect(allocation.updates.map(update => [update.paymentId, update.amountPaid, update.completed])).toEqual([
+      ['L1-late-fee-1', 20.6, true],
+      ['L1-installment-1', 408.03, true],
+      ['L1-installment-2', 21.37, false]
+    ]);
+  });
+
+  test('paying the payoff amount cuts current interest to what accrued and waives future interest', () => {
+    const { payoffAmount } = summarizeLoan(AMORTIZING_LOAN, payments, at);
+    const allocation = allocatePayment(AMORTIZING_LOAN, payments, payoffAmount, at);
+
+    expect(allocation.payoff).toBe(true);
+    expect(allocation.updates.map(update => [update.paymentId, update.interestAmount, update.amountPaid])).toEqual([
+      ['L1-installment-1', 11.2, 408.03],
+      ['L1-installment-2', 3.21, 402.41],
+      ['L1-installment-3', 0, 403.97]
+    ]);
+    expect(allocation.updates.reduce((sum, update) => sum + update.amountPaid, 0)).toBeCloseTo(payoffAmount, 2);
+  });
+
+  test('rejects payments that are not positive or exceed the payoff amount', () => {
+    expect(() => allocatePayment(AMORTIZING_LOAN, payments, 0, at)).toThrow('amount must be positive');
+    expect(() => allocatePayment(AMORTIZING_LOAN, payments, 1300, at)).toThrow('exceeds the payoff amount 1214.41');
+  });
+});
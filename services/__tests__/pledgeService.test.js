@@ -0,0 +1,121 @@
+/**
+ * Pledge Service tests
+ * Runs against the in-memory pledge and registry stores. Mints fail after submission and
+ * a fake XRPL client answers the outcome lookups each case scripts.
+ */
+
+const { Wallet } = require('xrpl');
+const pledgeService = require('../pledgeService');
+const registryService = require('../registryService');
+const documentService = require('../documentService');
+const xrplNativeService = require('../xrplNativeService');
+const { PLEDGE_STATUS } = require('../pledgeStateMachine');
+
+const issuer = Wallet.generate();
+
+let lookup; // (txHash) => tx result, or throws
+
+const client = {
+  getLedgerIndex: async () => 200,
+  request: async (request) => ({ result: await lookup(request.transaction) })
+};
+
+const notFound = () => Object.assign(new Error('Transaction not found'), { data: { error: 'txnNotFound', searched_all: true } });
+
+// A mint that was submitted (LastLedgerSequence 120, now passed) but whose result never came back
+const submittedMint = (txHash) => Object.assign(new Error('Failed to tokenize asset: Connection timed out'), {
+  submission: { txHash, firstLedger: 100, lastLedgerSequence: 120, issuerAddress: issuer.address, documentAnchor: null }
+});
+
+// Each pledge has its own owner, so the mints attempted for it can be told apart
+const approvedPledge = async () => {
+  const pledge = await pledgeService.submitPledge({
+    userAddress: Wallet.generate().address,
+    assetType: 'real-estate',
+    assetAmount: '1000',
+    tokenSymbol: 'RWA'
+  });
+  return pledgeService.transitionOrThrow(pledge, PLEDGE_STATUS.APPROVED, { reason: 'Verified' });
+};
+
+describe('pledge mint recovery', () => {
+  let pledgeAssetEnhanced;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(documentService, 'listAnchorEntries').mockResolvedValue([]);
+    pledgeAssetEnhanced = jest.spyOn(xrplNativeService, 'pledgeAssetEnhanced');
+    xrplNativeService.client = client;
+    xrplNativeService.isConnected = true;
+    pledgeService.config = { ...pledgeService.config, requireVerification: true, maxMintAttempts: 5 };
+  });
+
+  beforeEach(() => {
+    pledgeAssetEnhanced.mockReset();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a mint that errored but applied is recorded as minted', async () => {
+    const pledge = await approvedPledge();
+    pledgeAssetEnhanced.mockRejectedValue(submittedMint('MINT1'));
+    lookup = async () => ({ validated: true, ledger_index: 110, meta: { TransactionResult: 'tesSUCCESS' } });
+
+    const minted = await pledgeService.mintPledge(pledge);
+    expect(minted).toMatchObject({ status: PLEDGE_STATUS.MINTED, mintTxHash: 'MINT1', mintLedgerIndex: 110, issuerAddress: issuer.address });
+    expect((await registryService.getAsset(pledge.assetId)).outstandingSupply).toBe(1000);
+  });
+
+  test('a mint that did not apply goes back to APPROVED for the worker', async () => {
+    const pledge = await approvedPledge();
+    pledgeAssetEnhanced.mockRejectedValue(submittedMint('MINT2'));
+    lookup = async () => ({ validated: true, ledger_index: 110, meta: { TransactionResult: 'tecNO_LINE' } });
+
+    const failed = await pledgeService.mintPledge(pledge);
+    expect(failed).toMatchObject({ status: PLEDGE_STATUS.APPROVED, mintAttempts: 1, mintError: 'Failed to tokenize asset: Connection timed out' });
+    expect((await pledgeService.getPledgeStatus(pledge.pledgeId)).history.pop().reason).toBe('Mint failed (tecNO_LINE)');
+
+    // A mint that failed before it was submitted needs no lookup
+    lookup = async () => { throw new Error('not looked up'); };
+    pledgeAssetEnhanced.mockRejectedValue(Object.assign(new Error('Issuer signer not configured'), { submission: null }));
+    expect((await pledgeService.mintPledge(failed)).status).toBe(PLEDGE_STATUS.APPROVED);
+  });
+
+  test('a mint with an unknown outcome is parked until an admin resolves it', async () => {
+    const pledge = await approvedPledge();
+    pledgeAssetEnhanced.mockRejectedValue(submittedMint('MINT3'));
+    lookup = async () => { throw new Error('Connection lost'); };
+
+    const parked = await pledgeService.mintPledge(pledge);
+    expect(parked).toMatchObject({ status: PLEDGE_STATUS.MINT_UNKNOWN, mintTxHash: 'MINT3' });
+
+    // Never minted again automatically
+    await pledgeService.runOnce();
+    expect(pledgeAssetEnhanced.mock.calls.filter(([ownerWallet]) => ownerWallet === pledge.ownerWallet)).toHaveLength(1);
+    expect((await pledgeService.getPledge(pledge.pledgeId)).status).toBe(PLEDGE_STATUS.MINT_UNKNOWN);
+
+    await expect(pledgeService.resolveMint(pledge.pledgeId, 'ops')).rejects.toThrow('is still unknown: Connection lost');
+
+    lookup = async () => ({ validated: true, ledger_index: 115, meta: { TransactionResult: 'tesSUCCESS' } });
+    const resolved = await pledgeService.resolveMint(pledge.pledgeId, 'ops');
+    expect(resolved).toMatchObject({ status: PLEDGE_STATUS.MINTED, mintTxHash: 'MINT3', mintLedgerIndex: 115 });
+    expect((await pledgeService.getPledgeStatus(pledge.pledgeId)).history.pop()).toMatchObject({ actor: 'admin:ops', reason: 'Mint found on ledger' });
+    await expect(pledgeService.resolveMint(pledge.pledgeId, 'ops')).rejects.toThrow('is MINTED and cannot be resolved');
+  });
+
+  test('a parked mint found not to have applied returns to APPROVED', async () => {
+    const pledge = await approvedPledge();
+    pledgeAssetEnhanced.mockRejectedValue(submittedMint('MINT4'));
+    lookup = async () => { throw new Error('Connection lost'); };
+    await pledgeService.mintPledge(pledge);
+
+    lookup = async () => { throw notFound(); };
+    const resolved = await pledgeService.resolveMint(pledge.pledgeId, 'ops');
+    expect(resolved).toMatchObject({ status: PLEDGE_STATUS.APPROVED, mintTxHash: null });
+    expect((await pledgeService.getPledgeStatus(pledge.pledgeId)).history.pop().reason)
+      .toBe('Mint MINT4 did not apply (not included by its LastLedgerSequence)');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Redemption Service tests
+ * Runs against the in-memory registry and redemption stores with a fake XRPL client
+ * whose burn submissions and transaction lookups each case scripts.
+ */
+
+const { Wallet } = require('xrpl');
+const redemptionService = require('../redemptionService');
+const registryService = require('../registryService');
+const xrplNativeService = require('../xrplNativeService');
+const { REDEMPTION_STATUS } = require('../redemptionStateMachine');
+
+const issuer = Wallet.generate();
+const holder = Wallet.generate();
+const other = Wallet.generate();
+const ASSET_ID = 'asset-1';
+
+const balances = { [holder.address]: 800, [other.address]: 1000 };
+let submit; // (blob) => submitAndWait result, or throws
+let lookup; // (txHash) => tx result, or throws
+
+const client = {
+  autofill: async (tx) => ({ ...tx, Sequence: 1, Fee: '12', LastLedgerSequence: 120 }),
+  getLedgerIndex: async () => 200,
+  submitAndWait: async (blob) => submit(blob),
+  request: async (request) => {
+    if (request.command === 'account_lines') {
+      return { result: { lines: [{ account: issuer.address, currency: 'RWA', balance: String(balances[request.account] || 0) }] } };
+    }
+    return { result: await lookup(request.transaction) };
+  }
+};
+
+const notFound = () => Object.assign(new Error('Transaction not found'), { data: { error: 'txnNotFound', searched_all: true } });
+
+const requestAndApprove = async (redemptionId, wallet, amount) => {
+  await redemptionService.createRedemption(redemptionId, { assetId: ASSET_ID, holderWallet: wallet.address, amount }, `REQ-${redemptionId}`);
+  return redemptionService.approveRedemption(redemptionId, 'ops');
+};
+
+describe('redemption reservation and burn', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.DEFAULT_ASSET_ISSUER = issuer.address;
+    xrplNativeService.client = client;
+    xrplNativeService.isConnected = true;
+
+    await registryService.store.insertAsset(null, {
+      assetId: ASSET_ID,
+      assetType: 'real-estate',
+      description: 'House',
+      ownerWallet: holder.address,
+      tokenSymbol: 'RWA',
+      status: 'TOKENIZED',
+      createdAt: new Date()
+    });
+    await registryService.store.insertTokenBatch(null, {
+      txHash: 'MINT',
+      assetId: ASSET_ID,
+      tokenSymbol: 'RWA',
+      issuerAddress: issuer.address,
+      amount: 1000,
+      mintedAt: new Date()
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.DEFAULT_ASSET_ISSUER;
+    jest.restoreAllMocks();
+  });
+
+  test('open requests reserve the holder balance and the outstanding supply', async () => {
+    await requestAndApprove('r1', holder, '600');
+
+    await expect(redemptionService.createRedemption('r2', { assetId: ASSET_ID, holderWallet: holder.address, amount: '300' }, 'REQ-r2'))
+      .rejects.toThrow('(600 in open requests), less than the 300 requested');
+    await expect(redemptionService.createRedemption('r2', { assetId: ASSET_ID, holderWallet: other.address, amount: '500' }, 'REQ-r2'))
+      .rejects.toThrow('exceeds the 400 outstanding');
+  });
+
+  test('a burn that errored but applied completes the request', async () => {
+    submit = async () => { throw new Error('Connection timed out'); };
+    lookup = async () => ({ validated: true, ledger_index: 150, meta: { TransactionResult: 'tesSUCCESS' } });
+
+    const completed = await redemptionService.burnRedemption('r1', holder.seed);
+    expect(completed.status).toBe(REDEMPTION_STATUS.COMPLETED);
+    expect(completed.burnLedgerIndex).toBe(150);
+    expect(completed.certificate.outstandingSupply).toBe(400);
+    expect((await registryService.getAsset(ASSET_ID)).outstandingSupply).toBe(400);
+  });
+
+  test('a burn that did not apply returns the request to APPROVED', async () => {
+    await requestAndApprove('r3', other, '100');
+    submit = async () => ({ result: { hash: 'H', validated: true, ledger_index: 150, meta: { TransactionResult: 'tecPATH_DRY' } } });
+    lookup = async () => ({ validated: true, ledger_index: 150, meta: { TransactionResult: 'tecPATH_DRY' } });
+
+    await expect(redemptionService.burnRedemption('r3', other.seed)).rejects.toThrow('Burn failed: tecPATH_DRY');
+    const redemption = await redemptionService.getRedemption('r3');
+    expect(redemption.status).toBe(REDEMPTION_STATUS.APPROVED);
+    expect(redemption.history.pop().reason).toBe('Burn failed (tecPATH_DRY)');
+  });
+
+  test('a burn with an unknown outcome is parked until an admin resolves it', async () => {
+    submit = async () => { throw new Error('Connection timed out'); };
+    lookup = async () => { throw new Error('Connection lost'); };
+
+    const parked = await redemptionService.burnRedemption('r3', other.seed);
+    expect(parked.status).toBe(REDEMPTION_STATUS.BURN_UNKNOWN);
+    expect(parked.burnSubmission).toMatchObject({ firstLedger: 200, lastLedgerSequence: 120 });
+    await expect(redemptionService.burnRedemption('r3', other.seed)).rejects.toThrow('is BURN_UNKNOWN and cannot be burned');
+    await expect(redemptionService.resolveBurn('r3', 'ops')).rejects.toThrow('still unknown');
+
+    // Still reserved while parked
+    await expect(redemptionService.createRedemption('r4', { assetId: ASSET_ID, holderWallet: other.address, amount: '350' }, 'REQ-r4'))
+      .rejects.toThrow('exceeds the 300 outstanding');
+
+    lookup = async () => { throw notFound(); };
+    const resolved = await redemptionService.resolveBurn('r3', 'ops');
+    expect(resolved.status).toBe(REDEMPTION_STATUS.APPROVED);
+    expect(resolved.burnSubmission).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Risk Policy Service tests
+ * Runs against the in-memory policy store.
+ */
+
+const riskPolicyService = require('../riskPolicyService');
+
+const proposal = (assets) => ({
+  reason: 'Test policy',
+  policy: {
+    default: { ltv: 0.5, haircut: 0, maxConcentration: 1, minLiquidityUsd: 0, marginCallLtv: 0.8, liquidationLtv: 0.9 },
+    assetTypes: { real_estate: { marginCallLtv: 0.6, liquidationLtv: 0.7 } },
+    assets
+  }
+});
+
+describe('proposeVersion', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await riskPolicyService.initialize();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('checks asset overrides on top of every asset type they may resolve through', async () => {
+    // 0.65 is below the default margin call (0.8) but not below real estate's (0.6)
+    await expect(riskPolicyService.proposeVersion(proposal({ 'token-1': { ltv: 0.65 } }), 'alice'))
+      .rejects.toThrow('must be below marginCallLtv for token-1 (real-estate)');
+
+    await expect(riskPolicyService.proposeVersion(proposal({ 'token-1': { ltv: 0.55, marginCallLtv: 0.75 } }), 'alice'))
+      .rejects.toThrow('marginCallLtv must be below liquidationLtv for token-1 (real-estate)');
+  });
+
+  test('accepts an override that stays valid under every layer', async () => {
+    const version = await riskPolicyService.proposeVersion(proposal({ 'token-1': { ltv: 0.65, marginCallLtv: 0.75, liquidationLtv: 0.85 } }), 'alice');
+    expect(version.status).toBe('proposed');
+  });
+});
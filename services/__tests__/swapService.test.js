@@ -0,0 +1,250 @@
+/**
+ * Swap Service tests
+ * Runs against the in-memory swap store with fake XRPL clients. The settlement and expiry
+ * client keeps the escrows and validated history that each case sets up.
+ */
+
+const { Wallet, decode } = require('xrpl');
+const swapService = require('../swapService');
+const xrplNativeService = require('../xrplNativeService');
+const clientSigningService = require('../clientSigningService');
+const { SWAP_STATUS } = require('../swapStateMachine');
+const { LEG_STATUS, getLegCancelAfter } = require('../swapLegs');
+
+const client = {
+  autofill: async (tx) => ({ ...tx, Sequence: 7, Fee: tx.Fee || '12', LastLedgerSequence: 120 }),
+  getLedgerIndex: async () => 100
+};
+
+// An XRP/XRP client-signed swap with both legs locked in escrow (creator sequence 3, counterparty 5)
+const createLockedSwap = async (creator, counterparty) => {
+  const { swapId } = await swapService.createSwapOffer(null, 'XRP', 'XRP', 10, {
+    creatorAddress: creator.address,
+    exchangeRate: 2
+  });
+  const created = await swapService.store.get(swapId);
+  const assigned = swapService.withCounterparty(created, counterparty.address);
+
+  const active = await swapService.transitionSwap(created, SWAP_STATUS.ACTIVE, { actor: creator.address }, {
+    counterparty: counterparty.address,
+    legs: swapService.withLeg(assigned, 'creator', { status: LEG_STATUS.LOCKED, lock: { txHash: 'A', ledgerIndex: 1, sequence: 3 } })
+  });
+  return swapService.transitionSwap(active, SWAP_STATUS.LOCKED, { actor: counterparty.address }, {
+    legs: swapService.withLeg(active, 'counterparty', { status: LEG_STATUS.LOCKED, lock: { txHash: 'B', ledgerIndex: 2, sequence: 5 } })
+  });
+};
+
+describe('client-signed swap settlement', () => {
+  const creator = Wallet.generate();
+  const counterparty = Wallet.generate();
+  let swap;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    xrplNativeService.client = client;
+    xrplNativeService.isConnected = true;
+    swapService.client = client;
+    swapService.isConnected = true;
+    swapService.swapConfig = { ...swapService.swapConfig, keeperSecret: null };
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    swap = await createLockedSwap(creator, counterparty);
+  });
+
+  test('the fulfillment is not exposed before the counterparty leg is released', async () => {
+    await expect(swapService.getSwapFulfillment(swap.swapId)).rejects.toThrow('not revealed');
+    await expect(swapService.prepareEscrowFinish(swap.swapId, counterparty.address))
+      .rejects.toThrow('cannot be finished until the counterparty leg is released');
+
+    // Anyone can name the creator as finisher; they only get a request the creator must sign
+    const prepared = await swapService.prepareEscrowFinish(swap.swapId, creator.address);
+    expect(prepared.txJson).toMatchObject({ TransactionType: 'AccountSet', Account: creator.address });
+    expect(JSON.stringify(prepared)).not.toContain(swap.fulfillment);
+    expect(JSON.stringify(clientSigningService.getPreparedTransaction(prepared.prepareId))).not.toContain(swap.fulfillment);
+    expect((await swapService.store.get(swap.swapId)).preimageRevealedAt).toBeFalsy();
+  });
+
+  test('the EscrowFinish goes to the creator once its finish request validates', async () => {
+    await expect(swapService.applyFinishRequested(swap.swapId, { account: counterparty.address }))
+      .rejects.toThrow('Only the swap creator');
+
+    const { finish } = await swapService.applyFinishRequested(swap.swapId, { account: creator.address });
+    expect(finish.txJson).toMatchObject({
+      TransactionType: 'EscrowFinish',
+      Account: creator.address,
+      Owner: counterparty.address,
+      OfferSequence: 5,
+      Fulfillment: swap.fulfillment
+    });
+
+    // Fetching the prepare by id never returns the fulfillment
+    const fetched = clientSigningService.getPreparedTransaction(finish.prepareId);
+    expect(fetched.txJson.OfferSequence).toBe(5);
+    expect(fetched.txJson.Fulfillment).toBeUndefined();
+  });
+});
+
+describe('swap settlement and expiry', () => {
+  const creator = Wallet.generate();
+  const counterparty = Wallet.generate();
+  const keeper = Wallet.generate();
+  const originalConfig = swapService.swapConfig;
+  let swap;
+
+  const ledger = {
+    closeTime: 0,
+    escrows: new Map(), // `${owner}:${sequence}` -> escrow node
+    history: [], // account_tx entries
+    results: [], // TransactionResults for the next submissions; tesSUCCESS once used up
+    submitted: []
+  };
+
+  const ledgerClient = {
+    autofill: async (tx) => ({ ...tx, Sequence: 9, Fee: tx.Fee || '12', LastLedgerSequence: 200 }),
+    submitAndWait: async (blob) => {
+      const tx = decode(blob);
+      const result = ledger.results.shift() || 'tesSUCCESS';
+      ledger.submitted.push(tx);
+      if (result === 'tesSUCCESS') {
+        ledger.escrows.delete(`${tx.Owner}:${tx.OfferSequence}`);
+      }
+      return { result: { hash: `HASH${ledger.submitted.length}`, ledger_index: 150, validated: true, meta: { TransactionResult: result } } };
+    },
+    request: async (request) => {
+      if (request.command === 'ledger') {
+        return { result: { ledger: { close_time: ledger.closeTime } } };
+      }
+      if (request.command === 'ledger_entry') {
+        const escrow = ledger.escrows.get(`${request.escrow.owner}:${request.escrow.seq}`);
+        if (!escrow) {
+          throw Object.assign(new Error('Entry not found'), { data: { error: 'entryNotFound' } });
+        }
+        return { result: { node: escrow } };
+      }
+      if (request.command === 'account_tx') {
+        return { result: { transactions: ledger.history.filter(entry => entry.tx_json.Owner === request.account) } };
+      }
+      throw new Error(`Unexpected ${request.command} request`);
+    }
+  };
+
+  const cancelAfter = (role) => getLegCancelAfter(swap.legs[role]);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    swapService.client = ledgerClient;
+    swapService.isConnected = true;
+    swapService.swapConfig = { ...originalConfig, keeperSecret: keeper.seed };
+  });
+
+  afterAll(() => {
+    swapService.swapConfig = originalConfig;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    swap = await createLockedSwap(creator, counterparty);
+    Object.assign(ledger, { escrows: new Map(), history: [], results: [], submitted: [] });
+    ['creator', 'counterparty'].forEach(role => {
+      const leg = swap.legs[role];
+      ledger.escrows.set(`${leg.from}:${leg.lock.sequence}`, { Account: leg.from, Amount: leg.ledgerAmount, CancelAfter: cancelAfter(role) });
+    });
+    ledger.closeTime = cancelAfter('counterparty') - 600;
+  });
+
+  test('settlement releases the counterparty leg before the creator leg', async () => {
+    const { swap: settled } = await swapService.settleSwap(swap.swapId);
+
+    expect(settled.status).toBe(SWAP_STATUS.COMPLETED);
+    expect(ledger.submitted).toMatchObject([
+      { TransactionType: 'EscrowFinish', Account: keeper.address, Owner: counterparty.address, OfferSequence: 5, Fulfillment: swap.fulfillment },
+      { TransactionType: 'EscrowFinish', Account: keeper.address, Owner: creator.address, OfferSequence: 3, Fulfillment: swap.fulfillment }
+    ]);
+    expect((await swapService.store.get(swap.swapId)).preimageRevealedAt).toBeTruthy();
+  });
+
+  test('a leg already finished on-ledger is recorded instead of released again', async () => {
+    ledger.escrows.delete(`${counterparty.address}:5`);
+    ledger.history.push({
+      hash: 'FINISHED',
+      ledger_index: 140,
+      tx_json: { TransactionType: 'EscrowFinish', Account: creator.address, Owner: counterparty.address, OfferSequence: 5 },
+      meta: { TransactionResult: 'tesSUCCESS' }
+    });
+
+    const { swap: settled } = await swapService.settleSwap(swap.swapId);
+    expect(settled.status).toBe(SWAP_STATUS.COMPLETED);
+    expect(ledger.submitted).toMatchObject([{ Owner: creator.address, OfferSequence: 3 }]);
+    expect((await swapService.store.get(swap.swapId)).legs.counterparty.release).toEqual({ txHash: 'FINISHED', ledgerIndex: 140 });
+  });
+
+  test('a failed settlement is counted and retried with backoff', async () => {
+    ledger.results = ['tecNO_TARGET'];
+
+    await expect(swapService.settleSwap(swap.swapId)).rejects.toThrow('counterparty leg release failed: tecNO_TARGET');
+    const failed = await swapService.store.get(swap.swapId);
+    expect(failed.status).toBe(SWAP_STATUS.LOCKED);
+    expect(failed.settlement).toMatchObject({ attempts: 1, lastError: 'counterparty leg release failed: tecNO_TARGET' });
+
+    expect(swapService.isSettlementDue(failed, 3, 60000)).toBe(false);
+    const waited = { ...failed, settlement: { ...failed.settlement, lastAttemptAt: new Date(Date.now() - 61000).toISOString() } };
+    expect(swapService.isSettlementDue(waited, 3, 60000)).toBe(true);
+    expect(swapService.isSettlementDue({ ...waited, settlement: { ...waited.settlement, attempts: 2 } }, 3, 60000)).toBe(false);
+    expect(swapService.isSettlementDue({ ...waited, settlement: { ...waited.settlement, attempts: 3 } }, 3, 0)).toBe(false);
+  });
+
+  test('a leg past its CancelAfter is not released', async () => {
+    ledger.closeTime = cancelAfter('counterparty') + 1;
+
+    await expect(swapService.settleSwap(swap.swapId)).rejects.toThrow('Swap counterparty leg expired before it was released');
+    expect(ledger.submitted).toHaveLength(0);
+  });
+
+  test('the counterparty leg, which expires first, is refunded on its own; the swap is cancelled once both are back', async () => {
+    ledger.closeTime = cancelAfter('counterparty') + 10;
+    expect(swapService.getExpiredLegRoles(swap, ledger.closeTime)).toEqual(['counterparty']);
+
+    const first = await swapService.processExpiredSwap(swap, ledger.closeTime, keeper.seed, 3);
+    expect(first).toMatchObject([{ leg: 'counterparty', outcome: 'REFUNDED', attempts: 1 }]);
+    let stored = await swapService.store.get(swap.swapId);
+    expect(stored.status).toBe(SWAP_STATUS.EXPIRED);
+    expect(stored.legs.creator.status).toBe(LEG_STATUS.LOCKED);
+    expect(ledger.submitted).toMatchObject([{ TransactionType: 'EscrowCancel', Owner: counterparty.address, OfferSequence: 5 }]);
+
+    ledger.closeTime = cancelAfter('creator') + 10;
+    const second = await swapService.processExpiredSwap(stored, ledger.closeTime, keeper.seed, 3);
+    expect(second).toMatchObject([{ leg: 'creator', outcome: 'REFUNDED' }]);
+    stored = await swapService.store.get(swap.swapId);
+    expect(stored.status).toBe(SWAP_STATUS.CANCELLED);
+  });
+
+  test('the ledger decides when an escrow can be cancelled', async () => {
+    ledger.closeTime = cancelAfter('counterparty') + 10;
+    ledger.escrows.get(`${counterparty.address}:5`).CancelAfter = ledger.closeTime;
+
+    const results = await swapService.processExpiredSwap(swap, ledger.closeTime, keeper.seed, 3);
+    expect(results).toMatchObject([{ leg: 'counterparty', outcome: 'NOT_YET_CANCELLABLE' }]);
+    expect(ledger.submitted).toHaveLength(0);
+  });
+
+  test('a refund that keeps failing is retried until maxAttempts, then left alone', async () => {
+    ledger.closeTime = cancelAfter('counterparty') + 10;
+    ledger.results = ['tecNO_PERMISSION', 'tecNO_PERMISSION'];
+
+    const first = await swapService.processExpiredSwap(swap, ledger.closeTime, keeper.seed, 2);
+    expect(first).toMatchObject([{ leg: 'counterparty', outcome: 'RETRY_PENDING', attempts: 1, timingEdgeCase: true }]);
+
+    const retried = await swapService.processExpiredSwap(await swapService.store.get(swap.swapId), ledger.closeTime, keeper.seed, 2);
+    expect(retried).toMatchObject([{ leg: 'counterparty', outcome: 'FAILED', attempts: 2 }]);
+
+    const stored = await swapService.store.get(swap.swapId);
+    expect(stored.legs.counterparty.status).toBe(LEG_STATUS.LOCKED);
+    expect(swapService.getExpiredLegRoles(stored, ledger.closeTime)).toEqual([]);
+  });
+});
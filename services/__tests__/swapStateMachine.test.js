@@ -0,0 +1,62 @@
+/**
+ * Swap State Machine tests
+ */
+
+const {
+  SWAP_STATUS,
+  SWAP_TRANSITIONS,
+  TERMINAL_STATUSES,
+  canTransition,
+  assertTransition,
+  createTransition
+} = require('../swapStateMachine');
+
+describe('swap transitions', () => {
+  test('happy path and expiry', () => {
+    expect(canTransition(SWAP_STATUS.PENDING_ESCROW, SWAP_STATUS.ACTIVE)).toBe(true);
+    expect(canTransition(SWAP_STATUS.ACTIVE, SWAP_STATUS.LOCKED)).toBe(true);
+    expect(canTransition(SWAP_STATUS.LOCKED, SWAP_STATUS.COMPLETED)).toBe(true);
+    expect(canTransition(SWAP_STATUS.LOCKED, SWAP_STATUS.EXPIRED)).toBe(true);
+    expect(canTransition(SWAP_STATUS.EXPIRED, SWAP_STATUS.CANCELLED)).toBe(true);
+  });
+
+  test('a locked swap cannot be cancelled', () => {
+    expect(canTransition(SWAP_STATUS.LOCKED, SWAP_STATUS.CANCELLED)).toBe(false);
+    expect(() => assertTransition(SWAP_STATUS.LOCKED, SWAP_STATUS.CANCELLED))
+      .toThrow('Invalid swap transition from LOCKED to CANCELLED');
+  });
+
+  test('terminal statuses have no way out', () => {
+    expect(TERMINAL_STATUSES.sort()).toEqual([SWAP_STATUS.CANCELLED, SWAP_STATUS.COMPLETED]);
+    TERMINAL_STATUSES.forEach(status => {
+      Object.values(SWAP_STATUS).forEach(target => expect(canTransition(status, target)).toBe(false));
+    });
+  });
+
+  test('every status has a transition entry and unknown statuses cannot move', () => {
+    expect(Object.keys(SWAP_TRANSITIONS).sort()).toEqual(Object.values(SWAP_STATUS).sort());
+    expect(canTransition('UNKNOWN', SWAP_STATUS.ACTIVE)).toBe(false);
+  });
+});
+
+describe('createTransition', () => {
+  test('builds an audit record with defaults', () => {
+    const transition = createTransition(SWAP_STATUS.ACTIVE, SWAP_STATUS.LOCKED, { txHash: 'ABC', ledgerIndex: 42 });
+
+    expect(transition).toMatchObject({
+      fromStatus: SWAP_STATUS.ACTIVE,
+      toStatus: SWAP_STATUS.LOCKED,
+      actor: 'system',
+      reason: null,
+      txHash: 'ABC',
+      ledgerIndex: 42,
+      metadata: null
+    });
+    expect(Number.isNaN(Date.parse(transition.createdAt))).toBe(false);
+  });
+
+  test('swaps are only created in an initial status', () => {
+    expect(createTransition(null, SWAP_STATUS.ACTIVE, { actor: 'rCreator' }).actor).toBe('rCreator');
+    expect(() => createTransition(null, SWAP_STATUS.LOCKED)).toThrow('Swaps cannot be created in status LOCKED');
+  });
+});
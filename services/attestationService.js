@@ -0,0 +1,71 @@
+/**
+ * Oracle Attestation Service
+ * Signs oracle responses with the dedicated oracle key (ORACLE_SIGNING_SEED) and
+ * publishes the public keys counterparties need to verify them (utils/oracleAttestation.js).
+ * Redemption release certificates are signed with the same key and do not expire.
+ */
+
+const { Wallet, deriveKeypair, deriveAddress } = require('xrpl');
+const { getAttestationConfig } = require('../config/xrplConfig');
+const { createAttestation, verifyAttestation } = require('../utils/oracleAttestation');
+
+class AttestationService {
+  constructor() {
+    this.config = getAttestationConfig();
+
+    // deriveKeypair keeps the seed's own algorithm (Wallet.fromSeed defaults to ed25519)
+    let keypair;
+    if (this.config.seed) {
+      keypair = deriveKeypair(this.config.seed);
+    } else {
+      // Without a configured key every restart signs with a new one (development only)
+      keypair = Wallet.generate();
+      console.warn('⚠️ ORACLE_SIGNING_SEED not set - oracle attestations use an ephemeral key');
+    }
+
+    this.key = {
+      keyId: this.config.keyId || deriveAddress(keypair.publicKey),
+      publicKey: keypair.publicKey,
+      privateKey: keypair.privateKey
+    };
+    this.activeSince = new Date().toISOString();
+  }
+
+  // Return the payload with an `attestation` field added
+  attest(payload) {
+    return createAttestation(payload, this.key, { ttlSeconds: this.config.ttlSeconds });
+  }
+
+  // Attest a record that stays valid, such as a release certificate
+  certify(payload) {
+    return createAttestation(payload, this.key, { ttlSeconds: null });
+  }
+
+  getPublicKeys() {
+    const active = {
+      keyId: this.key.keyId,
+      algorithm: this.key.publicKey.startsWith('ED') ? 'ed25519' : 'secp256k1',
+      publicKey: this.key.publicKey,
+      status: 'active',
+      ephemeral: !this.config.seed,
+      activeSince: this.activeSince
+    };
+
+    const retired = this.config.retiredKeys.map(key => ({
+      keyId: key.keyId,
+      algorithm: key.publicKey.toUpperCase().startsWith('ED') ? 'ed25519' : 'secp256k1',
+      publicKey: key.publicKey,
+      status: 'retired',
+      retiredAt: key.retiredAt
+    }));
+
+    return [active, ...retired];
+  }
+
+  verify(document, options = {}) {
+    return verifyAttestation(document, this.getPublicKeys(), options);
+  }
+}
+
+// Export singleton instance
+module.exports = new AttestationService();
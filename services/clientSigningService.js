@@ -0,0 +1,225 @@
+/**
+ * Client Signing Service
+ * Two-phase prepare/submit flow so user seeds never reach the server
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { encode, decode, hashes, verifySignature } = require('xrpl');
+const xrplNativeService = require('./xrplNativeService');
+
+// Fields the client adds when signing; everything else must match the prepared transaction
+const SIGNATURE_FIELDS = ['SigningPubKey', 'TxnSignature', 'Signers'];
+
+// Secrets only returned to the caller that prepared the transaction, never by getPreparedTransaction
+const CONFIDENTIAL_FIELDS = ['Fulfillment'];
+
+// Context fields naming what an operation acts on; a new prepare supersedes earlier ones for it
+const SUBJECT_FIELDS = ['swapId', 'positionId', 'redemptionId'];
+
+class ClientSigningService {
+  constructor() {
+    this.preparedTransactions = new Map(); // prepareId -> prepared transaction record
+    this.submitHandlers = new Map(); // operation -> post-validation handler
+  }
+
+  /**
+   * Register a handler that runs after a prepared transaction of the given
+   * operation validates successfully. Receives (result, context).
+   */
+  registerSubmitHandler(operation, handler) {
+    this.submitHandlers.set(operation, handler);
+  }
+
+  // Key shared by prepares of one operation on the same subject by the same account; null if unkeyed
+  supersedeKey(operation, context, account) {
+    const field = SUBJECT_FIELDS.find(name => context[name]);
+    return field ? `${operation}:${context[field]}:${account}` : null;
+  }
+
+  /**
+   * Autofill an unsigned transaction and remember it for later submission. Earlier
+   * unsubmitted prepares of the same operation on the same subject stop being accepted.
+   */
+  async prepareTransaction(transaction, operation, context = {}) {
+    await xrplNativeService.ensureConnection();
+
+    try {
+      const prepared = await xrplNativeService.client.autofill(transaction);
+      const prepareId = uuidv4();
+      const supersedeKey = this.supersedeKey(operation, context, prepared.Account);
+
+      this.pruneExpired(await xrplNativeService.client.getLedgerIndex());
+      if (supersedeKey) {
+        this.supersede(supersedeKey);
+      }
+
+      this.preparedTransactions.set(prepareId, {
+        prepareId,
+        operation,
+        context,
+        supersedeKey,
+        account: prepared.Account,
+        txJson: prepared,
+        canonicalBlob: encode(prepared),
+        status: 'PREPARED',
+        createdAt: new Date().toISOString()
+      });
+
+      return {
+        prepareId,
+        operation,
+        txJson: prepared,
+        account: prepared.Account,
+        fee: prepared.Fee,
+        sequence: prepared.Sequence,
+        lastLedgerSequence: prepared.LastLedgerSequence,
+        instructions: 'Sign txJson with the account key and POST the tx_blob with this prepareId to /api/native/submit'
+      };
+    } catch (error) {
+      throw new Error(`Failed to prepare transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a client-signed blob against its prepared transaction, submit it
+   * and wait for validation
+   */
+  async submitSignedTransaction(prepareId, txBlob) {
+    const record = this.preparedTransactions.get(prepareId);
+    if (!record) {
+      throw new Error('Prepared transaction not found or expired');
+    }
+
+    if (record.status !== 'PREPARED') {
+      throw new Error(`Prepared transaction already ${record.status.toLowerCase()}`);
+    }
+
+    const signedTx = this.verifySignedBlob(record, txBlob);
+
+    await xrplNativeService.ensureConnection();
+
+    record.status = 'SUBMITTED';
+    record.txHash = hashes.hashSignedTx(txBlob);
+
+    try {
+      const result = await xrplNativeService.client.submitAndWait(txBlob);
+      const transactionResult = result.result.meta.TransactionResult;
+
+      record.status = transactionResult === 'tesSUCCESS' ? 'VALIDATED' : 'FAILED';
+      record.ledgerIndex = result.result.ledger_index;
+      record.transactionResult = transactionResult;
+
+      if (transactionResult !== 'tesSUCCESS') {
+        throw new Error(`Transaction failed: ${transactionResult}`);
+      }
+
+      const submission = {
+        prepareId,
+        operation: record.operation,
+        txHash: result.result.hash,
+        account: signedTx.Account,
+        transactionType: signedTx.TransactionType,
+        sequence: signedTx.Sequence,
+        validated: result.result.validated,
+        ledgerIndex: result.result.ledger_index,
+        transactionResult,
+        timestamp: new Date().toISOString()
+      };
+
+      // The transaction has applied; a failing handler is reported, not turned into a failed submit
+      const handler = this.submitHandlers.get(record.operation);
+      if (handler) {
+        try {
+          submission.effects = await handler(submission, record.context);
+        } catch (error) {
+          console.error(`❌ ${record.operation} ${submission.txHash} validated but not processed:`, error.message);
+          submission.effectsError = error.message;
+        }
+      }
+
+      return submission;
+    } catch (error) {
+      if (record.status === 'SUBMITTED') {
+        record.status = 'FAILED';
+      }
+      throw new Error(`Failed to submit signed transaction: ${error.message}`);
+    }
+  }
+
+  // Decode the blob and make sure only signature fields differ from what was prepared
+  verifySignedBlob(record, txBlob) {
+    let signedTx;
+    try {
+      signedTx = decode(txBlob);
+    } catch (error) {
+      throw new Error('tx_blob is not a valid XRPL transaction');
+    }
+
+    const unsignedTx = { ...signedTx };
+    SIGNATURE_FIELDS.forEach(field => delete unsignedTx[field]);
+
+    if (encode(unsignedTx) !== record.canonicalBlob) {
+      throw new Error('Signed transaction does not match the prepared transaction');
+    }
+
+    if (signedTx.Signers) {
+      // Multi-signed blobs are checked by the ledger against the signer list
+      return signedTx;
+    }
+
+    if (!signedTx.TxnSignature || !verifySignature(txBlob)) {
+      throw new Error('Transaction signature is invalid');
+    }
+
+    return signedTx;
+  }
+
+  // Get a prepared transaction record (without the canonical blob or confidential fields)
+  getPreparedTransaction(prepareId) {
+    const record = this.preparedTransactions.get(prepareId);
+    if (!record) {
+      return null;
+    }
+
+    const { canonicalBlob, supersedeKey, ...publicRecord } = record;
+    const txJson = { ...record.txJson };
+    CONFIDENTIAL_FIELDS.forEach(field => delete txJson[field]);
+    return { ...publicRecord, txJson };
+  }
+
+  // Withdraw a prepared transaction that has not been submitted yet
+  discardPreparedTransaction(prepareId) {
+    const record = this.preparedTransactions.get(prepareId);
+    if (!record) {
+      throw new Error('Prepared transaction not found or expired');
+    }
+    if (record.status !== 'PREPARED') {
+      throw new Error(`Prepared transaction already ${record.status.toLowerCase()}`);
+    }
+
+    this.preparedTransactions.delete(prepareId);
+    return { prepareId, operation: record.operation, status: 'DISCARDED' };
+  }
+
+  // Stop accepting unsubmitted prepares with this supersede key
+  supersede(supersedeKey) {
+    for (const record of this.preparedTransactions.values()) {
+      if (record.supersedeKey === supersedeKey && record.status === 'PREPARED') {
+        record.status = 'SUPERSEDED';
+      }
+    }
+  }
+
+  // Drop prepared transactions that can no longer be included in a ledger
+  pruneExpired(currentLedgerIndex) {
+    for (const [prepareId, record] of this.preparedTransactions.entries()) {
+      const lastLedger = record.txJson.LastLedgerSequence;
+      if (record.status !== 'SUBMITTED' && lastLedger && currentLedgerIndex > lastLedger) {
+        this.preparedTransactions.delete(prepareId);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ClientSigningService();
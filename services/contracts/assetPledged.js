@@ -0,0 +1,32 @@
+/**
+ * asset_pledged contract
+ * An asset has been pledged on the platform (services/liquidityNotifications.js)
+ */
+
+const { timestamp, xrplAddress, nonEmptyString, amount, outboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'asset_pledged',
+  direction: 'outbound',
+  versions: {
+    1: outboundSchema('asset_pledged', 'ASSET_PLEDGED', 1, {
+      required: ['assetId', 'assetType', 'pledgedValue', 'ownerWallet', 'pledgedAt'],
+      properties: {
+        assetId: nonEmptyString,
+        assetType: nonEmptyString,
+        pledgedValue: amount,
+        ownerWallet: xrplAddress,
+        metadata: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            location: { type: 'string' },
+            appraisalDate: { type: 'string' },
+            documents: { type: 'array' }
+          }
+        },
+        pledgedAt: timestamp
+      }
+    })
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Contract Building Blocks
+ * Schema fragments shared by the Liquidity Engine message contracts
+ */
+
+const uuid = { type: 'string', format: 'uuid' };
+const timestamp = { type: 'string', format: 'date-time' };
+const xrplAddress = { type: 'string', pattern: '^r[1-9A-HJ-NP-Za-km-z]{24,34}$' };
+const txHash = { type: 'string', pattern: '^[A-Fa-f0-9]{64}$' };
+const nonEmptyString = { type: 'string', minLength: 1, maxLength: 255 };
+
+// Amounts are sent as JSON numbers or decimal strings (XRPL token values)
+const amount = {
+  anyOf: [
+    { type: 'number', minimum: 0 },
+    { type: 'string', pattern: '^[0-9]+(\\.[0-9]+)?$' }
+  ]
+};
+
+// Envelope fields every contract version carries
+const envelope = (type, version) => ({
+  id: uuid,
+  type: { const: type },
+  schemaVersion: { const: version }
+});
+
+// Envelope of messages sent before contracts existed; only the version is checked
+const legacyEnvelope = {
+  id: { type: 'string' },
+  type: { type: 'string' },
+  schemaVersion: { const: 1 }
+};
+
+// Published by this platform: the envelope is always present
+const outboundSchema = (channel, type, version, { required, properties }) => ({
+  $id: `urn:ime:liquidity:${channel}:v${version}`,
+  title: `${channel} v${version}`,
+  type: 'object',
+  required: ['id', 'type', 'schemaVersion', 'source', ...required],
+  properties: {
+    ...envelope(type, version),
+    source: { const: 'tokenization_platform' },
+    ...properties
+  }
+});
+
+// Published by the Liquidity Engine: messages sent before contracts existed have no
+// envelope and are read as version 1
+const inboundSchema = (channel, type, version, { required, properties }) => ({
+  $id: `urn:ime:liquidity:${channel}:v${version}`,
+  title: `${channel} v${version}`,
+  type: 'object',
+  required: version === 1 ? required : ['id', 'type', 'schemaVersion', ...required],
+  properties: {
+    ...(version === 1 ? legacyEnvelope : envelope(type, version)),
+    ...properties
+  }
+});
+
+module.exports = {
+  uuid,
+  timestamp,
+  xrplAddress,
+  txHash,
+  nonEmptyString,
+  amount,
+  outboundSchema,
+  inboundSchema
+};
@@ -0,0 +1,28 @@
+/**
+ * counterparty_matched contract
+ * A counterparty the Liquidity Engine matched to a token
+ */
+
+const { timestamp, nonEmptyString, inboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'counterparty_matched',
+  direction: 'inbound',
+  versions: {
+    1: inboundSchema('counterparty_matched', 'COUNTERPARTY_MATCHED', 1, {
+      required: ['tokenId', 'counterparty'],
+      properties: {
+        tokenId: nonEmptyString,
+        counterparty: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: nonEmptyString
+          }
+        },
+        tradingDetails: { type: 'object' },
+        matchedAt: timestamp
+      }
+    })
+  }
+};
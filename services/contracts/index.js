@@ -0,0 +1,34 @@
+/**
+ * Message Contracts
+ * JSON Schemas for every channel shared with the Liquidity Engine, by version.
+ * Outbound messages are published at CURRENT_VERSIONS; inbound messages are accepted at
+ * any version listed here and read as version 1 when they carry no schemaVersion.
+ */
+
+const assetPledged = require('./assetPledged');
+const tokenMinted = require('./tokenMinted');
+const trustlineCreated = require('./trustlineCreated');
+const verificationComplete = require('./verificationComplete');
+const liquidityAvailable = require('./liquidityAvailable');
+const counterpartyMatched = require('./counterpartyMatched');
+
+const CONTRACTS = [
+  assetPledged,
+  tokenMinted,
+  trustlineCreated,
+  verificationComplete,
+  liquidityAvailable,
+  counterpartyMatched
+].reduce((contracts, contract) => ({ ...contracts, [contract.channel]: contract }), {});
+
+// Version this platform publishes on each outbound channel
+const CURRENT_VERSIONS = {
+  asset_pledged: 1,
+  token_minted: 1,
+  trustline_created: 1
+};
+
+module.exports = {
+  CONTRACTS,
+  CURRENT_VERSIONS
+};
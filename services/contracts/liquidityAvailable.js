@@ -0,0 +1,22 @@
+/**
+ * liquidity_available contract
+ * Liquidity the Liquidity Engine can provide against a token
+ */
+
+const { timestamp, nonEmptyString, amount, inboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'liquidity_available',
+  direction: 'inbound',
+  versions: {
+    1: inboundSchema('liquidity_available', 'LIQUIDITY_AVAILABLE', 1, {
+      required: ['tokenId', 'liquidityAmount'],
+      properties: {
+        tokenId: nonEmptyString,
+        assetId: nonEmptyString,
+        liquidityAmount: amount,
+        availableAt: timestamp
+      }
+    })
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * token_minted contract
+ * Tokens have been issued for a pledged asset
+ */
+
+const { timestamp, xrplAddress, txHash, nonEmptyString, amount, outboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'token_minted',
+  direction: 'outbound',
+  versions: {
+    1: outboundSchema('token_minted', 'TOKEN_MINTED', 1, {
+      required: ['tokenId', 'assetId', 'tokenSymbol', 'issuerAddress', 'totalSupply', 'xrplTxHash', 'mintedAt'],
+      properties: {
+        tokenId: nonEmptyString,
+        assetId: nonEmptyString,
+        tokenSymbol: { type: 'string', minLength: 3, maxLength: 40 },
+        issuerAddress: xrplAddress,
+        totalSupply: amount,
+        xrplTxHash: txHash,
+        appraisedValue: amount,
+        mintedAt: timestamp
+      }
+    })
+  }
+};
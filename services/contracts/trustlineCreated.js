@@ -0,0 +1,25 @@
+/**
+ * trustline_created contract
+ * A holder has opened a trust line to an RWA token
+ */
+
+const { timestamp, xrplAddress, txHash, nonEmptyString, amount, outboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'trustline_created',
+  direction: 'outbound',
+  versions: {
+    1: outboundSchema('trustline_created', 'TRUSTLINE_CREATED', 1, {
+      required: ['walletAddress', 'tokenId', 'issuerAddress', 'limitAmount', 'xrplTxHash', 'createdAt'],
+      properties: {
+        walletAddress: xrplAddress,
+        tokenId: nonEmptyString,
+        assetId: nonEmptyString,
+        issuerAddress: xrplAddress,
+        limitAmount: amount,
+        xrplTxHash: txHash,
+        createdAt: timestamp
+      }
+    })
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * verification_complete contract
+ * The Liquidity Engine's verification decision for a pledged asset
+ */
+
+const { timestamp, nonEmptyString, amount, inboundSchema } = require('./common');
+
+module.exports = {
+  channel: 'verification_complete',
+  direction: 'inbound',
+  versions: {
+    1: inboundSchema('verification_complete', 'VERIFICATION_COMPLETE', 1, {
+      required: ['assetId', 'result'],
+      properties: {
+        verificationId: nonEmptyString,
+        assetId: nonEmptyString,
+        result: {
+          type: 'object',
+          required: ['approved'],
+          properties: {
+            approved: { type: 'boolean' },
+            consensusValue: amount,
+            reason: { type: 'string' }
+          }
+        },
+        completedAt: timestamp
+      }
+    })
+  }
+};
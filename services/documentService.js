@@ -0,0 +1,180 @@
+/**
+ * Document Service
+ * Deeds, appraisals, custody receipts and other files attached to registered assets.
+ * Content is stored under its SHA-256 hash (services/documentStorage) and each upload of
+ * a document type adds a version. The latest version of each type is anchored in the
+ * mint memo (services/pledgeService.js), so a document can be verified against the ledger.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const registryService = require('./registryService');
+const xrplNativeService = require('./xrplNativeService');
+const { createDocumentStore } = require('./documentStore');
+const { createDocumentStorage } = require('./documentStorage');
+const { getDocumentConfig } = require('../config/xrplConfig');
+const { sha256, findPledgeMemo, verifyDocumentInMemo } = require('../utils/documentHashing');
+
+const DOCUMENT_TYPES = ['deed', 'title', 'appraisal', 'custody_receipt', 'insurance', 'inspection', 'other'];
+
+class DocumentService {
+  constructor() {
+    this.config = getDocumentConfig();
+    this.store = createDocumentStore();
+    this.storage = createDocumentStorage(this.config.storage, this.config);
+    this.clock = () => new Date();
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    await this.storage.initialize();
+    console.log(`📎 Asset documents using ${this.store.name} store and ${this.storage.type} storage`);
+  }
+
+  /**
+   * Store an uploaded file as the next version of its document type. Uploading the same
+   * content as the latest version returns that version with duplicate: true.
+   * file: { buffer, originalname, mimetype, size }; details: { documentType, description?, uploadedBy? }
+   */
+  async uploadDocument(assetId, file, details) {
+    if (!this.config.mimeTypes.includes(file.mimetype)) {
+      throw new Error(`Unsupported document type '${file.mimetype}'. Use one of: ${this.config.mimeTypes.join(', ')}`);
+    }
+    if (file.size > this.config.maxFileBytes) {
+      throw new Error(`Document of ${file.size} bytes exceeds the ${this.config.maxFileBytes} byte limit`);
+    }
+    await registryService.getAssetOrThrow(assetId);
+
+    const hash = sha256(file.buffer);
+    const latest = await this.store.getLatestDocument(assetId, details.documentType);
+    if (latest && latest.sha256 === hash) {
+      return { ...latest, duplicate: true };
+    }
+
+    await this.storage.put(hash, file.buffer);
+
+    // Another upload of the same type may take the version; retry with the next one
+    let version = latest ? latest.version + 1 : 1;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const document = await this.store.insertDocument({
+        documentId: uuidv4(),
+        assetId,
+        documentType: details.documentType,
+        version,
+        sha256: hash,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        sizeBytes: file.size,
+        description: details.description || null,
+        uploadedBy: details.uploadedBy || null,
+        storage: this.storage.type,
+        createdAt: this.clock()
+      });
+
+      if (document) {
+        console.log(`📎 ${details.documentType} v${version} (${hash}) attached to asset ${assetId}`);
+        return { ...document, duplicate: false };
+      }
+      version++;
+    }
+
+    throw new Error(`Could not allocate a version for ${details.documentType} of asset ${assetId}`);
+  }
+
+  // Documents of an asset with the mint transactions anchoring them; latest version of each type unless allVersions
+  async listDocuments(assetId, options = {}) {
+    await registryService.getAssetOrThrow(assetId);
+
+    const documents = await this.store.listDocuments(assetId, options.documentType || null);
+    const batches = await registryService.store.listTokenBatches(assetId);
+    const anchoredIn = (hash) => batches
+      .filter(batch => batch.documents && batch.documents.entries.some(entry => entry.sha256 === hash))
+      .map(batch => batch.txHash);
+
+    const listed = options.allVersions
+      ? documents
+      : documents.filter((document, index) => !documents[index + 1] || documents[index + 1].documentType !== document.documentType);
+
+    return listed.map(document => ({ ...document, anchoredIn: anchoredIn(document.sha256) }));
+  }
+
+  async getDocument(documentId) {
+    const document = await this.store.getDocument(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+    return document;
+  }
+
+  // Stored content of a document, checked against its hash
+  async readContent(documentId) {
+    const document = await this.getDocument(documentId);
+    const content = await this.storage.get(document.sha256);
+    if (sha256(content) !== document.sha256) {
+      throw new Error(`Stored content of document ${documentId} does not match its hash`);
+    }
+    return { document, content };
+  }
+
+  // The latest version of each document type, as anchored in a mint memo
+  async listAnchorEntries(assetId) {
+    const documents = await this.store.listDocuments(assetId);
+    const latest = new Map();
+    documents.forEach(document => latest.set(document.documentType, document));
+    return [...latest.values()].map(document => ({
+      type: document.documentType,
+      version: document.version,
+      sha256: document.sha256
+    }));
+  }
+
+  /**
+   * Find the documents with a hash and the mint transactions anchoring it. With checkLedger
+   * each transaction is fetched and its memo checked; verified is null when XRPL is unreachable.
+   */
+  async verifyDocument(hash, options = {}) {
+    const checkLedger = options.checkLedger !== false;
+    const documents = await this.store.findBySha256(hash);
+    const assetIds = [...new Set(documents.map(document => document.assetId))];
+
+    const anchors = [];
+    for (const assetId of assetIds) {
+      const batches = await registryService.store.listTokenBatches(assetId);
+      batches
+        .filter(batch => batch.documents && batch.documents.entries.some(entry => entry.sha256 === hash))
+        .forEach(batch => anchors.push({
+          assetId,
+          txHash: batch.txHash,
+          ledgerIndex: batch.ledgerIndex,
+          memo: batch.documents.memo,
+          entries: batch.documents.entries
+        }));
+    }
+
+    const ledger = [];
+    if (checkLedger) {
+      for (const anchor of anchors) {
+        try {
+          await xrplNativeService.ensureConnection();
+          const response = await xrplNativeService.client.request({ command: 'tx', transaction: anchor.txHash });
+          const result = verifyDocumentInMemo(findPledgeMemo(response.result), hash, anchor.entries);
+          ledger.push({ txHash: anchor.txHash, validated: response.result.validated === true, ...result });
+        } catch (error) {
+          ledger.push({ txHash: anchor.txHash, verified: null, error: error.message });
+        }
+      }
+    }
+
+    return {
+      sha256: hash,
+      known: documents.length > 0,
+      documents,
+      anchors: anchors.map(({ entries, ...anchor }) => anchor),
+      ledger: checkLedger ? ledger : null,
+      verified: checkLedger ? ledger.some(check => check.verified === true && check.validated) : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DocumentService();
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
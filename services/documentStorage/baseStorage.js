@@ -0,0 +1,55 @@
+/**
+ * Base Document Storage
+ * Content-addressed storage of document files shared by every backend
+ */
+
+/**
+ * Backends extend this class and implement:
+ *   initialize()
+ *   write(hash, content)  - store content under its SHA-256 hash
+ *   read(hash)            - the stored content as a Buffer; rejects if missing
+ *   exists(hash)
+ * Content is immutable: writing a hash that is already stored is a no-op.
+ */
+class DocumentStorage {
+  constructor(type) {
+    this.type = type;
+  }
+
+  async put(hash, content) {
+    if (!/^[a-f0-9]{64}$/.test(hash)) {
+      throw new Error(`Invalid document hash '${hash}'`);
+    }
+    if (await this.exists(hash)) {
+      return false;
+    }
+    await this.write(hash, content);
+    return true;
+  }
+
+  async get(hash) {
+    return this.read(hash);
+  }
+
+  async initialize() {}
+
+  async write() {
+    throw new Error(`${this.type} document storage must implement write()`);
+  }
+
+  async read() {
+    throw new Error(`${this.type} document storage must implement read()`);
+  }
+
+  async exists() {
+    throw new Error(`${this.type} document storage must implement exists()`);
+  }
+
+  getStatus() {
+    return { type: this.type };
+  }
+}
+
+module.exports = {
+  DocumentStorage
+};
@@ -0,0 +1,26 @@
+/**
+ * Document Storage
+ * Factory for the backend holding uploaded document files (DOCUMENT_STORAGE)
+ */
+
+const LocalDocumentStorage = require('./localStorage');
+const { DocumentStorage } = require('./baseStorage');
+
+const DOCUMENT_STORAGE_TYPES = {
+  local: (config) => new LocalDocumentStorage(config.local)
+};
+
+// Build a storage backend of the given type from getDocumentConfig()
+const createDocumentStorage = (type, config) => {
+  const factory = DOCUMENT_STORAGE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown document storage '${type}'. Use one of: ${Object.keys(DOCUMENT_STORAGE_TYPES).join(', ')}`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  createDocumentStorage,
+  DocumentStorage,
+  DOCUMENT_STORAGE_TYPES
+};
@@ -0,0 +1,59 @@
+/**
+ * Local Document Storage
+ * Files under DOCUMENT_STORAGE_DIR at <first two hex characters>/<sha256>, written to a
+ * temp file and renamed so a crash never leaves a partial file under its hash.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DocumentStorage } = require('./baseStorage');
+
+class LocalDocumentStorage extends DocumentStorage {
+  constructor(options = {}) {
+    super('local');
+    this.directory = options.directory;
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+  }
+
+  pathFor(hash) {
+    return path.join(this.directory, hash.slice(0, 2), hash);
+  }
+
+  async write(hash, content) {
+    const file = this.pathFor(hash);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, content);
+    await fs.promises.rename(tmp, file);
+  }
+
+  async read(hash) {
+    try {
+      return await fs.promises.readFile(this.pathFor(hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Document content ${hash} not found in local storage`);
+      }
+      throw error;
+    }
+  }
+
+  async exists(hash) {
+    try {
+      await fs.promises.access(this.pathFor(hash));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getStatus() {
+    return { type: this.type, directory: this.directory };
+  }
+}
+
+module.exports = LocalDocumentStorage;
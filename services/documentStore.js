@@ -0,0 +1,141 @@
+/**
+ * Document Store
+ * Metadata of documents uploaded for registered assets. Uses the asset_documents table
+ * when DATABASE_URL is set, otherwise an in-memory store (development only). Content
+ * lives in the document storage backend (services/documentStorage) under its hash.
+ *
+ * Versions are numbered per asset and document type; inserting a version that already
+ * exists returns null so the caller can retry with the next one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresDocumentStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/document_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  documentFromRow(row) {
+    return {
+      documentId: row.document_id,
+      assetId: row.asset_id,
+      documentType: row.document_type,
+      version: row.version,
+      sha256: row.sha256,
+      filename: row.filename,
+      mimeType: row.mime_type,
+      sizeBytes: parseInt(row.size_bytes),
+      description: row.description,
+      uploadedBy: row.uploaded_by,
+      storage: row.storage,
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  // document: { documentId, assetId, documentType, version, sha256, filename, mimeType, sizeBytes, description, uploadedBy, storage, createdAt }
+  async insertDocument(document) {
+    const rows = await query(`
+      INSERT INTO asset_documents (
+        document_id, asset_id, document_type, version, sha256, filename, mime_type, size_bytes,
+        description, uploaded_by, storage, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (asset_id, document_type, version) DO NOTHING
+      RETURNING *
+    `, [document.documentId, document.assetId, document.documentType, document.version, document.sha256,
+      document.filename, document.mimeType, document.sizeBytes, document.description, document.uploadedBy,
+      document.storage, document.createdAt]);
+    return rows.length > 0 ? this.documentFromRow(rows[0]) : null;
+  }
+
+  async getDocument(documentId) {
+    const rows = await query('SELECT * FROM asset_documents WHERE document_id = $1', [documentId]);
+    return rows.length > 0 ? this.documentFromRow(rows[0]) : null;
+  }
+
+  async getLatestDocument(assetId, documentType) {
+    const rows = await query(`
+      SELECT * FROM asset_documents WHERE asset_id = $1 AND document_type = $2 ORDER BY version DESC LIMIT 1
+    `, [assetId, documentType]);
+    return rows.length > 0 ? this.documentFromRow(rows[0]) : null;
+  }
+
+  // By type, oldest version first
+  async listDocuments(assetId, documentType = null) {
+    const rows = await query(`
+      SELECT * FROM asset_documents
+      WHERE asset_id = $1 AND ($2::text IS NULL OR document_type = $2)
+      ORDER BY document_type ASC, version ASC
+    `, [assetId, documentType]);
+    return rows.map(row => this.documentFromRow(row));
+  }
+
+  async findBySha256(sha256) {
+    const rows = await query('SELECT * FROM asset_documents WHERE sha256 = $1 ORDER BY id ASC', [sha256]);
+    return rows.map(row => this.documentFromRow(row));
+  }
+}
+
+class MemoryDocumentStore {
+  constructor() {
+    this.name = 'memory';
+    this.documents = []; // In upload order
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - document records are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insertDocument(document) {
+    if (this.documents.some(existing => existing.assetId === document.assetId &&
+        existing.documentType === document.documentType && existing.version === document.version)) {
+      return null;
+    }
+
+    const stored = this.clone({ ...document, createdAt: toIso(document.createdAt) });
+    this.documents.push(stored);
+    return this.clone(stored);
+  }
+
+  async getDocument(documentId) {
+    const document = this.documents.find(candidate => candidate.documentId === documentId);
+    return document ? this.clone(document) : null;
+  }
+
+  async getLatestDocument(assetId, documentType) {
+    const versions = await this.listDocuments(assetId, documentType);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  async listDocuments(assetId, documentType = null) {
+    return this.clone(this.documents
+      .filter(document => document.assetId === assetId && (!documentType || document.documentType === documentType))
+      .sort((a, b) => (a.documentType === b.documentType ? a.version - b.version : (a.documentType < b.documentType ? -1 : 1))));
+  }
+
+  async findBySha256(sha256) {
+    return this.clone(this.documents.filter(document => document.sha256 === sha256));
+  }
+}
+
+const createDocumentStore = () => {
+  return isDatabaseConfigured() ? new PostgresDocumentStore() : new MemoryDocumentStore();
+};
+
+module.exports = {
+  createDocumentStore,
+  PostgresDocumentStore,
+  MemoryDocumentStore
+};
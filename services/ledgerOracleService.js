@@ -0,0 +1,359 @@
+/**
+ * Ledger Oracle Service
+ * Publishes RWA/XRP and RWA/USD rates as an XLS-47 price oracle (OracleSet) owned by
+ * the oracle account, on a heartbeat or when a rate moves past the deviation threshold,
+ * and reads on-ledger prices back with get_aggregate_price.
+ * On networks without the PriceOracle amendment nothing is published and reads fall
+ * back to the off-ledger oracle price.
+ */
+
+const crypto = require('crypto');
+const { Wallet, convertStringToHex } = require('xrpl');
+const xrplNativeService = require('./xrplNativeService');
+const oracleService = require('./oracleService');
+const metricsService = require('./metricsService');
+const { getLedgerOracleConfig } = require('../config/xrplConfig');
+
+const AMENDMENTS_ID = '7DB0788C020F02780A673DC74757F23823FA3014C1866E72CC4CD8B226CD6EF4';
+// Amendment IDs are the SHA-512Half of the amendment name
+const PRICE_ORACLE_AMENDMENT = crypto.createHash('sha512').update('PriceOracle').digest('hex').slice(0, 64).toUpperCase();
+const QUOTE_ASSETS = ['XRP', 'USD'];
+
+metricsService.register('oracle_ledger_publications_total', 'counter', 'OracleSet publications by reason and result');
+metricsService.register('oracle_ledger_last_publish_timestamp_seconds', 'gauge', 'LastUpdateTime of the last published OracleSet');
+
+// AssetPrice is an integer scaled by 10^Scale (Scale 0-10); keep 15 significant digits
+const toScaledPrice = (price) => {
+  const integerDigits = Math.max(1, Math.floor(Math.log10(price)) + 1);
+  const scale = Math.max(0, Math.min(10, 15 - integerDigits));
+  const assetPrice = Math.round(price * 10 ** scale);
+
+  if (!Number.isSafeInteger(assetPrice) || assetPrice <= 0) {
+    throw new Error(`Price ${price} cannot be published on-ledger`);
+  }
+  return { AssetPrice: assetPrice, Scale: scale };
+};
+
+// AssetPrice is returned by rippled as a hex UInt64
+const fromScaledPrice = (assetPrice, scale) => {
+  const value = typeof assetPrice === 'number' ? BigInt(assetPrice) : BigInt(`0x${assetPrice}`);
+  return Number(value) / 10 ** (scale || 0);
+};
+
+const pairKey = (base, quote) => `${base}/${quote}`;
+
+class LedgerOracleService {
+  constructor() {
+    this.config = getLedgerOracleConfig();
+    this.wallet = this.config.accountSecret ? Wallet.fromSeed(this.config.accountSecret) : null;
+    this.amendmentEnabled = null; // null until checked against the validated ledger
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastPublication = null; // { txHash, ledgerIndex, lastUpdateTime, reason, prices }
+  }
+
+  async getClient() {
+    await xrplNativeService.ensureConnection();
+    return xrplNativeService.client;
+  }
+
+  // Whether PriceOracle is enabled on the connected network (cached once known)
+  async isAmendmentEnabled(refresh = false) {
+    if (this.amendmentEnabled !== null && !refresh) {
+      return this.amendmentEnabled;
+    }
+
+    const client = await this.getClient();
+    try {
+      const response = await client.request({ command: 'ledger_entry', index: AMENDMENTS_ID, ledger_index: 'validated' });
+      this.amendmentEnabled = (response.result.node.Amendments || []).includes(PRICE_ORACLE_AMENDMENT);
+    } catch (error) {
+      if (error.data?.error !== 'entryNotFound') {
+        throw error;
+      }
+      this.amendmentEnabled = false; // No amendments enabled at all
+    }
+
+    if (!this.amendmentEnabled) {
+      console.warn('⚠️ PriceOracle amendment is not enabled on this network - on-ledger oracle disabled');
+    }
+    return this.amendmentEnabled;
+  }
+
+  // Current per-token rates from the off-ledger oracle
+  async computeRates() {
+    const rates = [];
+
+    for (const [token, assetType] of Object.entries(this.config.assets)) {
+      const rate = await oracleService.getRWAToXRPRate(assetType, '1', token);
+      rates.push({ base: token, quote: 'XRP', price: rate.exchangeRate, assetType });
+      rates.push({ base: token, quote: 'USD', price: rate.ltvValueUSD, assetType });
+    }
+
+    return rates;
+  }
+
+  // Why the rates should be published now, or null if the on-ledger values are current
+  getPublishReason(rates, now) {
+    if (!this.lastPublication) {
+      return 'initial';
+    }
+    if (now - this.lastPublication.lastUpdateTime >= this.config.heartbeatSeconds) {
+      return 'heartbeat';
+    }
+
+    const published = new Map(this.lastPublication.prices.map(rate => [pairKey(rate.base, rate.quote), rate.price]));
+    const moved = rates.some(rate => {
+      const previous = published.get(pairKey(rate.base, rate.quote));
+      return previous === undefined || Math.abs(rate.price - previous) / previous > this.config.deviationThreshold;
+    });
+
+    return moved ? 'deviation' : null;
+  }
+
+  buildOracleSet(rates, lastUpdateTime) {
+    const tx = {
+      TransactionType: 'OracleSet',
+      Account: this.wallet.address,
+      OracleDocumentID: this.config.documentId,
+      Provider: convertStringToHex(this.config.provider),
+      AssetClass: convertStringToHex(this.config.assetClass),
+      LastUpdateTime: lastUpdateTime, // Unix seconds, not Ripple time
+      PriceDataSeries: rates.map(rate => ({
+        PriceData: { BaseAsset: rate.base, QuoteAsset: rate.quote, ...toScaledPrice(rate.price) }
+      }))
+    };
+
+    if (this.config.uri) {
+      tx.URI = convertStringToHex(this.config.uri);
+    }
+    return tx;
+  }
+
+  // Publish the current rates as an OracleSet
+  async publish(reason = 'manual', rates = null) {
+    if (!this.wallet) {
+      throw new Error('On-ledger oracle publishing is not configured (ORACLE_LEDGER_ACCOUNT_SECRET)');
+    }
+    if (!(await this.isAmendmentEnabled())) {
+      throw new Error('PriceOracle amendment is not enabled on this network');
+    }
+
+    const prices = rates || await this.computeRates();
+    const lastUpdateTime = Math.floor(Date.now() / 1000);
+    const client = await this.getClient();
+
+    try {
+      const prepared = await client.autofill(this.buildOracleSet(prices, lastUpdateTime));
+      const signed = this.wallet.sign(prepared);
+      const result = await client.submitAndWait(signed.tx_blob);
+      const code = result.result.meta.TransactionResult;
+
+      if (code !== 'tesSUCCESS') {
+        throw new Error(`OracleSet failed: ${code}`);
+      }
+
+      this.lastPublication = {
+        txHash: result.result.hash,
+        ledgerIndex: result.result.ledger_index,
+        lastUpdateTime,
+        reason,
+        prices
+      };
+      metricsService.increment('oracle_ledger_publications_total', { reason, result: 'success' });
+      metricsService.set('oracle_ledger_last_publish_timestamp_seconds', lastUpdateTime);
+      console.log(`🔮 Published ${prices.length} prices to oracle ${this.wallet.address}#${this.config.documentId} (${reason})`);
+
+      return this.lastPublication;
+    } catch (error) {
+      // Engine result when the amendment was disabled after the last check
+      if (error.message.includes('temDISABLED')) {
+        this.amendmentEnabled = false;
+      }
+      metricsService.increment('oracle_ledger_publications_total', { reason, result: 'error' });
+      throw error;
+    }
+  }
+
+  start() {
+    if (this.timer || !this.config.publish) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`🔮 On-ledger oracle publisher started (checks every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('🔮 On-ledger oracle publisher stopped');
+    }
+  }
+
+  // Publish if the heartbeat is due or a rate moved; overlapping runs are skipped
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date().toISOString();
+
+    try {
+      if (!(await this.isAmendmentEnabled())) {
+        this.lastRun = { startedAt, skipped: 'PriceOracle amendment not enabled' };
+        return this.lastRun;
+      }
+
+      const rates = await this.computeRates();
+      const reason = this.getPublishReason(rates, Math.floor(Date.now() / 1000));
+      const publication = reason ? await this.publish(reason, rates) : null;
+
+      this.lastRun = { startedAt, completedAt: new Date().toISOString(), published: Boolean(publication), reason };
+    } catch (error) {
+      console.error('❌ On-ledger oracle publish failed:', error.message);
+      this.lastRun = { startedAt, completedAt: new Date().toISOString(), error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastRun;
+  }
+
+  /**
+   * Aggregate on-ledger price (get_aggregate_price) across oracles, defaulting to ours.
+   * oracles: [{ account, documentId }]; trim: percentage of outliers to drop (1-25)
+   * Falls back to the off-ledger oracle price when the amendment is missing or no
+   * oracle holds the pair.
+   */
+  async getAggregatePrice(base, quote, options = {}) {
+    const oracles = options.oracles && options.oracles.length > 0
+      ? options.oracles
+      : (this.wallet ? [{ account: this.wallet.address, documentId: this.config.documentId }] : []);
+
+    if (oracles.length === 0) {
+      return this.getOffLedgerPrice(base, quote, 'No on-ledger oracle configured');
+    }
+    if (!(await this.isAmendmentEnabled())) {
+      return this.getOffLedgerPrice(base, quote, 'PriceOracle amendment not enabled');
+    }
+
+    const client = await this.getClient();
+    const request = {
+      command: 'get_aggregate_price',
+      base_asset: base,
+      quote_asset: quote,
+      oracles: oracles.map(oracle => ({ account: oracle.account, oracle_document_id: oracle.documentId }))
+    };
+    if (options.trim) {
+      request.trim = options.trim;
+    }
+
+    try {
+      const { result } = await client.request(request);
+
+      return {
+        onLedger: true,
+        base,
+        quote,
+        price: parseFloat(result.median),
+        median: result.median,
+        entireSet: result.entire_set,
+        trimmedSet: result.trimmed_set || null,
+        lastUpdateTime: new Date(result.time * 1000).toISOString(),
+        ledgerIndex: result.ledger_current_index,
+        validated: result.validated,
+        oracles
+      };
+    } catch (error) {
+      if (error.data?.error === 'objectNotFound') {
+        return this.getOffLedgerPrice(base, quote, `No on-ledger price for ${pairKey(base, quote)}`);
+      }
+      throw error;
+    }
+  }
+
+  async getOffLedgerPrice(base, quote, reason) {
+    if (!QUOTE_ASSETS.includes(quote)) {
+      throw new Error(`Unsupported quote asset ${quote} (use XRP or USD)`);
+    }
+
+    let price;
+    if (base === 'XRP' && quote === 'USD') {
+      price = await oracleService.getXRPPrice();
+    } else {
+      const assetType = this.config.assets[base];
+      if (!assetType) {
+        throw new Error(`No price for ${pairKey(base, quote)}: ${base} is not an oracle token`);
+      }
+      const rate = await oracleService.getRWAToXRPRate(assetType, '1', base);
+      price = quote === 'XRP' ? rate.exchangeRate : rate.ltvValueUSD;
+    }
+
+    return { onLedger: false, base, quote, price, fallbackReason: reason, source: 'IME_Oracle' };
+  }
+
+  // Decoded Oracle ledger object (defaults to ours)
+  async getOracleObject(account, documentId) {
+    const owner = account || this.wallet?.address;
+    const id = documentId || this.config.documentId;
+    if (!owner) {
+      throw new Error('No on-ledger oracle configured');
+    }
+    if (!(await this.isAmendmentEnabled())) {
+      throw new Error('PriceOracle amendment is not enabled on this network');
+    }
+
+    const client = await this.getClient();
+    let node;
+    try {
+      const response = await client.request({
+        command: 'ledger_entry',
+        oracle: { account: owner, oracle_document_id: id },
+        ledger_index: 'validated'
+      });
+      node = response.result.node;
+    } catch (error) {
+      if (error.data?.error === 'entryNotFound') {
+        throw new Error(`Oracle ${owner}#${id} not found`);
+      }
+      throw error;
+    }
+
+    return {
+      account: owner,
+      documentId: id,
+      provider: node.Provider ? Buffer.from(node.Provider, 'hex').toString('utf8') : null,
+      assetClass: node.AssetClass ? Buffer.from(node.AssetClass, 'hex').toString('utf8') : null,
+      uri: node.URI ? Buffer.from(node.URI, 'hex').toString('utf8') : null,
+      lastUpdateTime: new Date(node.LastUpdateTime * 1000).toISOString(),
+      prices: (node.PriceDataSeries || []).map(({ PriceData }) => ({
+        base: PriceData.BaseAsset,
+        quote: PriceData.QuoteAsset,
+        price: PriceData.AssetPrice !== undefined ? fromScaledPrice(PriceData.AssetPrice, PriceData.Scale) : null
+      })),
+      previousTxnId: node.PreviousTxnID
+    };
+  }
+
+  getStatus() {
+    return {
+      publishing: Boolean(this.timer),
+      configured: Boolean(this.wallet),
+      account: this.wallet?.address || null,
+      documentId: this.config.documentId,
+      amendmentEnabled: this.amendmentEnabled,
+      assets: this.config.assets,
+      heartbeatSeconds: this.config.heartbeatSeconds,
+      deviationThreshold: this.config.deviationThreshold,
+      lastPublication: this.lastPublication,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LedgerOracleService();
@@ -0,0 +1,655 @@
+/**
+ * Liquidation Service
+ * Periodically revalues the collateral of active liquidity positions through the oracle,
+ * issues margin calls when a position's LTV (payoff amount / market value of the
+ * collateral) reaches the policy's marginCallLtv, and liquidates it at liquidationLtv:
+ * the collateral tokens held by the liquidation account (LIQUIDATION_ACCOUNT_SECRET)
+ * are sold on the XRPL DEX or in a dutch auction, the proceeds repay the loan and any
+ * surplus goes back to the borrower. Every step is recorded with its transaction hash.
+ * Loans with an installment overdue for more than LIQUIDATION_DEFAULT_GRACE_DAYS are in
+ * default and liquidated the same way.
+ *
+ * A liquidation moves through phases - collateral (seize collateral locked by
+ * collateralService), dex, auction, settling, surplus, done - and each
+ * phase is persisted before the next starts, so a failed liquidation can be resumed
+ * without selling or paying twice.
+ */
+
+const { Wallet, xrpToDrops, dropsToXrp, getBalanceChanges } = require('xrpl');
+const { v4: uuidv4 } = require('uuid');
+const { createLiquidationStore } = require('./liquidationStore');
+const loanEngine = require('./loanEngine');
+const oracleService = require('./oracleService');
+const riskPolicyService = require('./riskPolicyService');
+const collateralService = require('./collateralService');
+const xrplNativeService = require('./xrplNativeService');
+const metricsService = require('./metricsService');
+const { roundMoney, addDays } = require('./loanSchedule');
+const { getLiquidationConfig } = require('../config/xrplConfig');
+
+const TF_SELL = 0x00080000;
+const TF_IMMEDIATE_OR_CANCEL = 0x00020000;
+
+metricsService.register('liquidation_margin_calls_total', 'counter', 'Margin calls issued on liquidity positions');
+metricsService.register('liquidations_total', 'counter', 'Liquidations by trigger and result');
+metricsService.register('liquidation_monitor_runs_total', 'counter', 'LTV monitor runs by result');
+metricsService.register('liquidation_monitor_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed LTV monitor run');
+
+// XRPL token amounts carry at most 15 significant digits
+const tokenValue = (amount) => String(parseFloat(amount.toPrecision(15)));
+const roundXrp = (amount) => Math.round(amount * 1e6) / 1e6;
+const roundTokens = (amount) => parseFloat(amount.toPrecision(15));
+
+class LiquidationService {
+  constructor() {
+    this.config = getLiquidationConfig();
+    this.store = createLiquidationStore();
+    this.clock = () => new Date();
+    this.wallet = null;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+    this.processing = new Set(); // Liquidations being advanced by this process
+  }
+
+  async initialize() {
+    await this.store.initialize();
+
+    if (this.config.accountSecret) {
+      this.wallet = Wallet.fromSeed(this.config.accountSecret);
+      console.log(`🔨 Liquidation service using ${this.store.name} store, liquidator ${this.wallet.address}`);
+    } else {
+      console.warn('⚠️ LIQUIDATION_ACCOUNT_SECRET not set - margin calls are issued but collateral cannot be sold');
+    }
+  }
+
+  /**
+   * Value a position's collateral and compare its LTV with the policy thresholds.
+   * Returns { positionId, ltv, collateralValue, debt, marginCallLtv, liquidationLtv,
+   *   oldestOverdueDueDate, inDefault }
+   */
+  async assessPosition(position, at = this.clock()) {
+    // Oracle feeds are keyed by normalized asset type (real_estate -> real-estate)
+    const assetType = riskPolicyService.normalizeAssetType(position.assetType);
+    const valuation = await oracleService.getAssetValuation(assetType, position.collateralAmount, position.collateralCurrency);
+    const schedule = await loanEngine.getSchedule(position.positionId, { at });
+    const policy = riskPolicyService.getPolicy(assetType, { assetId: position.rwaTokenId, at });
+
+    const collateralValue = roundMoney(valuation.totalValue);
+    const debt = schedule.payoffAmount;
+    const overdue = (schedule.schedule || []).find(installment => installment.status === 'overdue');
+    return {
+      positionId: position.positionId,
+      ltv: collateralValue > 0 ? Math.round((debt / collateralValue) * 1e6) / 1e6 : null,
+      collateralValue,
+      debt,
+      marginCallLtv: policy.marginCallLtv,
+      liquidationLtv: policy.liquidationLtv,
+      basePrice: valuation.basePrice,
+      oldestOverdueDueDate: overdue ? new Date(overdue.dueDate).toISOString() : null,
+      inDefault: Boolean(overdue) && addDays(overdue.dueDate, this.config.defaultGraceDays) < at
+    };
+  }
+
+  // Margin call, clear a margin call or liquidate a position based on its current LTV and payments
+  async checkPosition(position, at = this.clock()) {
+    const assessment = await this.assessPosition(position, at);
+    const { ltv, collateralValue, debt } = assessment;
+    const breached = (threshold) => (ltv === null ? debt > 0 : ltv >= threshold);
+    const valued = { lastLtv: ltv, lastValuedAt: at.toISOString() };
+
+    if (assessment.inDefault && this.wallet) {
+      const liquidation = await this.startLiquidation(position.positionId, { trigger: 'default', assessment });
+      return { ...assessment, action: 'liquidation', liquidationId: liquidation.liquidationId };
+    }
+    if (assessment.inDefault) {
+      console.warn(`⚠️ ${position.positionId} is in default (overdue since ${assessment.oldestOverdueDueDate}) but no liquidation account is configured`);
+    }
+
+    // Without a liquidation account a breach stays a margin call
+    if (breached(assessment.liquidationLtv) && this.wallet) {
+      const liquidation = await this.startLiquidation(position.positionId, { trigger: 'ltv', assessment });
+      return { ...assessment, action: 'liquidation', liquidationId: liquidation.liquidationId };
+    }
+
+    if (breached(assessment.marginCallLtv)) {
+      if (breached(assessment.liquidationLtv)) {
+        console.warn(`⚠️ ${position.positionId} reached the liquidation LTV (${ltv}) but no liquidation account is configured`);
+      }
+      if (position.marginCallAt) {
+        await loanEngine.updatePosition(position.positionId, valued, 'active');
+        return { ...assessment, action: 'margin_call_open' };
+      }
+
+      await loanEngine.updatePosition(position.positionId, { ...valued, marginCallAt: at.toISOString() }, 'active');
+      await this.recordEvent(position.positionId, null, 'margin_call', {
+        ltv, collateralValue, debt,
+        details: {
+          marginCallLtv: assessment.marginCallLtv,
+          liquidationLtv: assessment.liquidationLtv,
+          // Repayment that brings the LTV back to the margin call threshold
+          requiredPayment: roundMoney(Math.max(0, debt - assessment.marginCallLtv * collateralValue))
+        }
+      });
+      metricsService.increment('liquidation_margin_calls_total');
+      console.log(`⚠️ Margin call on ${position.positionId}: LTV ${ltv} >= ${assessment.marginCallLtv}`);
+      return { ...assessment, action: 'margin_call' };
+    }
+
+    if (position.marginCallAt) {
+      await loanEngine.updatePosition(position.positionId, { ...valued, marginCallAt: null }, 'active');
+      await this.recordEvent(position.positionId, null, 'margin_call_cleared', { ltv, collateralValue, debt });
+      console.log(`✅ Margin call on ${position.positionId} cleared: LTV ${ltv}`);
+      return { ...assessment, action: 'margin_call_cleared' };
+    }
+
+    await loanEngine.updatePosition(position.positionId, valued, 'active');
+    return { ...assessment, action: 'none' };
+  }
+
+  /**
+   * Start liquidating a position (or resume its failed liquidation).
+   * options: { trigger: 'ltv' | 'default' | 'manual', actor?, assessment? }
+   */
+  async startLiquidation(positionId, options = {}) {
+    const position = await loanEngine.getPositionOrThrow(positionId);
+    const latest = await this.store.getLatestLiquidation(positionId);
+
+    if (position.status === 'liquidating' && latest && latest.status === 'failed') {
+      return this.resumeLiquidation(latest, options.actor);
+    }
+    if (position.status !== 'active') {
+      throw new Error(`Loan ${positionId} is ${position.status}, only active loans can be liquidated`);
+    }
+    if (!position.assetType || !position.collateralCurrency || !position.collateralIssuer || !(position.collateralAmount > 0)) {
+      throw new Error(`Invalid position: loan ${positionId} has no collateral recorded`);
+    }
+    if (!this.wallet) {
+      throw new Error('Liquidation account not configured (LIQUIDATION_ACCOUNT_SECRET)');
+    }
+
+    const at = this.clock();
+    const assessment = options.assessment || await this.assessPosition(position, at);
+    const xrpPrice = await oracleService.getXRPPrice();
+    const referencePrice = assessment.basePrice / xrpPrice;
+    const { startPremium, maxDiscount } = this.config.auction;
+
+    // Only one caller moves the position out of active
+    await loanEngine.updatePosition(positionId, { status: 'liquidating', lastLtv: assessment.ltv, lastValuedAt: at.toISOString() }, 'active');
+
+    const liquidation = await this.store.insertLiquidation({
+      liquidationId: `liq_${uuidv4()}`,
+      positionId,
+      method: this.config.method,
+      // Locked collateral is transferred to the liquidator before it can be sold
+      phase: position.collateralLockStatus === 'locked' ? 'collateral' : this.config.method,
+      status: 'running',
+      trigger: options.trigger || 'manual',
+      triggeredBy: options.actor || null,
+      triggerLtv: assessment.ltv,
+      collateralCurrency: position.collateralCurrency,
+      collateralIssuer: position.collateralIssuer,
+      collateralAmount: position.collateralAmount,
+      remainingAmount: position.collateralAmount,
+      referencePrice,
+      startPrice: referencePrice * (1 + startPremium),
+      floorPrice: referencePrice * (1 - maxDiscount),
+      startedAt: at.toISOString()
+    });
+
+    await this.recordEvent(positionId, liquidation.liquidationId, 'liquidation_started', {
+      ltv: assessment.ltv,
+      collateralValue: assessment.collateralValue,
+      debt: assessment.debt,
+      details: {
+        trigger: liquidation.trigger,
+        actor: liquidation.triggeredBy,
+        method: liquidation.method,
+        liquidationLtv: assessment.liquidationLtv,
+        collateralAmount: liquidation.collateralAmount,
+        referencePrice
+      }
+    });
+    metricsService.increment('liquidations_total', { trigger: liquidation.trigger, result: 'started' });
+    console.log(`🔨 Liquidating ${positionId} (${liquidation.trigger}, LTV ${assessment.ltv}) via ${liquidation.method}`);
+
+    return this.advanceLiquidation(liquidation.liquidationId);
+  }
+
+  async resumeLiquidation(liquidation, actor) {
+    await this.store.updateLiquidation(liquidation.liquidationId, { status: 'running', error: null });
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'liquidation_resumed', {
+      details: { actor: actor || null, phase: liquidation.phase, previousError: liquidation.error }
+    });
+    console.log(`🔨 Resuming liquidation ${liquidation.liquidationId} at phase ${liquidation.phase}`);
+    return this.advanceLiquidation(liquidation.liquidationId);
+  }
+
+  // Run the liquidation's phases until it completes or waits for the next auction step
+  async advanceLiquidation(liquidationId) {
+    if (this.processing.has(liquidationId)) {
+      return this.store.getLiquidation(liquidationId);
+    }
+
+    this.processing.add(liquidationId);
+    let liquidation = await this.store.getLiquidation(liquidationId);
+
+    try {
+      while (liquidation.status === 'running') {
+        const next = await this.runPhase(liquidation);
+        if (!next) {
+          break;
+        }
+        liquidation = next;
+      }
+      return liquidation;
+    } catch (error) {
+      console.error(`❌ Liquidation ${liquidationId} failed:`, error.message);
+      await this.store.updateLiquidation(liquidationId, { status: 'failed', error: error.message });
+      await this.recordEvent(liquidation.positionId, liquidationId, 'liquidation_failed', {
+        details: { phase: liquidation.phase, error: error.message }
+      });
+      metricsService.increment('liquidations_total', { trigger: liquidation.trigger, result: 'failed' });
+      return this.store.getLiquidation(liquidationId);
+    } finally {
+      this.processing.delete(liquidationId);
+    }
+  }
+
+  // Perform one phase; returns the updated liquidation, or null to wait
+  async runPhase(liquidation) {
+    switch (liquidation.phase) {
+      case 'collateral':
+        return this.seizeCollateral(liquidation);
+      case 'dex':
+        return this.sellOnDex(liquidation);
+      case 'auction':
+        return this.runAuctionStep(liquidation);
+      case 'settling':
+        return this.settle(liquidation);
+      case 'surplus':
+        return this.returnSurplus(liquidation);
+      case 'done':
+        return this.complete(liquidation);
+      default:
+        throw new Error(`Unknown liquidation phase ${liquidation.phase}`);
+    }
+  }
+
+  // Take the locked collateral out of its holding account or escrow
+  async seizeCollateral(liquidation) {
+    const seizure = await collateralService.seizeCollateral(liquidation.positionId, this.wallet.address);
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'collateral_seized', {
+      xrplTxHash: seizure.txHash,
+      details: { destination: seizure.destination, amount: seizure.amount }
+    });
+    return this.store.updateLiquidation(liquidation.liquidationId, { phase: liquidation.method });
+  }
+
+  // Sell immediately into the order book down to maxSlippage below the oracle price
+  async sellOnDex(liquidation) {
+    await this.ensureHoldings(liquidation);
+    const price = liquidation.referencePrice * (1 - this.config.maxSlippage);
+    const sale = await this.submitSellOffer(liquidation, liquidation.remainingAmount, price, TF_SELL | TF_IMMEDIATE_OR_CANCEL);
+    const remainingAmount = roundTokens(liquidation.remainingAmount - sale.sold);
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'collateral_sold', {
+      xrplTxHash: sale.hash,
+      details: { venue: 'dex', result: sale.result, minPrice: price, sold: sale.sold, proceedsXrp: sale.proceedsXrp, remainingAmount }
+    });
+    console.log(`🔨 ${liquidation.liquidationId}: sold ${sale.sold} ${liquidation.collateralCurrency} on the DEX for ${sale.proceedsXrp} XRP`);
+
+    // Whatever the book could not absorb goes to the dutch auction
+    return this.store.updateLiquidation(liquidation.liquidationId, {
+      phase: remainingAmount > 0 ? 'auction' : 'settling',
+      remainingAmount,
+      currentPrice: price,
+      proceedsXrp: roundXrp(liquidation.proceedsXrp + sale.proceedsXrp)
+    });
+  }
+
+  /**
+   * Dutch auction: a sell offer starting above the oracle price that is replaced at a
+   * lower price every stepIntervalMs until it fills or the floor price has been offered.
+   */
+  async runAuctionStep(liquidation) {
+    const now = this.clock();
+    if (liquidation.nextStepAt && new Date(liquidation.nextStepAt) > now) {
+      return null;
+    }
+
+    let { remainingAmount, proceedsXrp } = liquidation;
+
+    // Fills of the open offer since it was placed
+    if (liquidation.offerSequence !== null) {
+      const open = await this.getOffer(liquidation.offerSequence);
+      const left = open ? open.remaining : 0;
+      const filled = roundTokens(liquidation.offerRemaining - left);
+
+      if (filled > 0) {
+        const received = roundXrp(filled * liquidation.currentPrice);
+        remainingAmount = roundTokens(remainingAmount - filled);
+        proceedsXrp = roundXrp(proceedsXrp + received);
+        await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'auction_fill', {
+          details: { step: liquidation.step, price: liquidation.currentPrice, sold: filled, proceedsXrp: received, remainingAmount }
+        });
+      }
+
+      const lastStep = liquidation.step >= this.config.auction.steps;
+      if (remainingAmount <= 0 || lastStep) {
+        if (open) {
+          const cancel = await this.submit({ TransactionType: 'OfferCancel', Account: this.wallet.address, OfferSequence: liquidation.offerSequence });
+          await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'auction_offer_cancelled', {
+            xrplTxHash: cancel.hash,
+            details: { step: liquidation.step, unsold: remainingAmount }
+          });
+        }
+        return this.store.updateLiquidation(liquidation.liquidationId, {
+          phase: 'settling', remainingAmount: Math.max(0, remainingAmount), proceedsXrp,
+          offerSequence: null, offerRemaining: null, nextStepAt: null
+        });
+      }
+    } else {
+      await this.ensureHoldings(liquidation);
+    }
+
+    const step = liquidation.offerSequence === null ? liquidation.step : liquidation.step + 1;
+    const { steps, stepIntervalMs } = this.config.auction;
+    const price = liquidation.startPrice - ((liquidation.startPrice - liquidation.floorPrice) * Math.min(step, steps)) / steps;
+
+    // Replacing the previous offer (OfferSequence) keeps a single offer on the book
+    const offer = await this.submitSellOffer(liquidation, remainingAmount, price, TF_SELL, liquidation.offerSequence);
+    remainingAmount = roundTokens(remainingAmount - offer.sold);
+    proceedsXrp = roundXrp(proceedsXrp + offer.proceedsXrp);
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'auction_offer_placed', {
+      xrplTxHash: offer.hash,
+      details: { step, price, offered: liquidation.remainingAmount, sold: offer.sold, proceedsXrp: offer.proceedsXrp, remainingAmount }
+    });
+    console.log(`🔨 ${liquidation.liquidationId}: auction step ${step}/${steps} at ${price} XRP`);
+
+    if (remainingAmount <= 0 || offer.remaining === 0) {
+      return this.store.updateLiquidation(liquidation.liquidationId, {
+        phase: 'settling', step, currentPrice: price, remainingAmount: Math.max(0, remainingAmount), proceedsXrp,
+        offerSequence: null, offerRemaining: null, nextStepAt: null
+      });
+    }
+
+    await this.store.updateLiquidation(liquidation.liquidationId, {
+      step,
+      currentPrice: price,
+      remainingAmount,
+      proceedsXrp,
+      offerSequence: offer.sequence,
+      offerRemaining: offer.remaining,
+      nextStepAt: new Date(now.getTime() + stepIntervalMs).toISOString()
+    });
+    return null;
+  }
+
+  // Apply the proceeds to the loan; anything above the payoff amount is surplus
+  async settle(liquidation) {
+    const xrpPrice = await oracleService.getXRPPrice();
+    const recoveredUsd = roundMoney(liquidation.proceedsXrp * xrpPrice);
+    const schedule = await loanEngine.getSchedule(liquidation.positionId);
+    const applied = Math.min(recoveredUsd, schedule.payoffAmount);
+
+    if (applied > 0) {
+      await loanEngine.recordPayment(liquidation.positionId, {
+        amount: applied,
+        reference: `liquidation ${liquidation.liquidationId}`
+      });
+    }
+
+    const shortfallUsd = roundMoney(schedule.payoffAmount - applied);
+    const surplusXrp = roundXrp(Math.max(0, Math.min(liquidation.proceedsXrp, (recoveredUsd - applied) / xrpPrice)));
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'proceeds_applied', {
+      debt: schedule.payoffAmount,
+      details: { proceedsXrp: liquidation.proceedsXrp, xrpPrice, recoveredUsd, applied, shortfallUsd, surplusXrp }
+    });
+
+    return this.store.updateLiquidation(liquidation.liquidationId, {
+      phase: surplusXrp > 0 ? 'surplus' : 'done',
+      recoveredUsd,
+      shortfallUsd,
+      surplusXrp
+    });
+  }
+
+  // Send proceeds above the payoff amount back to the borrower
+  async returnSurplus(liquidation) {
+    const position = await loanEngine.getPositionOrThrow(liquidation.positionId);
+    const payment = await this.submit({
+      TransactionType: 'Payment',
+      Account: this.wallet.address,
+      Destination: position.userWallet,
+      Amount: xrpToDrops(liquidation.surplusXrp.toFixed(6))
+    });
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'surplus_returned', {
+      xrplTxHash: payment.hash,
+      details: { surplusXrp: liquidation.surplusXrp, destination: position.userWallet }
+    });
+    return this.store.updateLiquidation(liquidation.liquidationId, { phase: 'done' });
+  }
+
+  async complete(liquidation) {
+    await loanEngine.updatePosition(liquidation.positionId, { status: 'liquidated', marginCallAt: null });
+    const completed = await this.store.updateLiquidation(liquidation.liquidationId, {
+      status: 'completed',
+      completedAt: this.clock().toISOString()
+    });
+
+    await this.recordEvent(liquidation.positionId, liquidation.liquidationId, 'liquidation_completed', {
+      details: {
+        sold: roundTokens(liquidation.collateralAmount - liquidation.remainingAmount),
+        unsold: liquidation.remainingAmount,
+        proceedsXrp: liquidation.proceedsXrp,
+        recoveredUsd: liquidation.recoveredUsd,
+        shortfallUsd: liquidation.shortfallUsd
+      }
+    });
+    metricsService.increment('liquidations_total', { trigger: liquidation.trigger, result: 'completed' });
+    console.log(`🔨 Liquidation of ${liquidation.positionId} completed: recovered ${liquidation.recoveredUsd} USD, shortfall ${liquidation.shortfallUsd}`);
+    return completed;
+  }
+
+  // The liquidation account must hold the collateral before it can be sold
+  async ensureHoldings(liquidation) {
+    await xrplNativeService.ensureConnection();
+    const response = await xrplNativeService.client.request({
+      command: 'account_lines',
+      account: this.wallet.address,
+      peer: liquidation.collateralIssuer
+    });
+
+    const line = response.result.lines.find(entry => entry.currency === liquidation.collateralCurrency);
+    const balance = line ? parseFloat(line.balance) : 0;
+    if (balance < liquidation.remainingAmount) {
+      throw new Error(`Liquidation account holds ${balance} ${liquidation.collateralCurrency}, ${liquidation.remainingAmount} required`);
+    }
+  }
+
+  /**
+   * Place a sell offer for `amount` tokens at no less than `price` XRP each.
+   * Returns { hash, result, sequence, sold, proceedsXrp, remaining } where sold/proceeds
+   * are what crossed immediately and remaining is what rests on the book.
+   */
+  async submitSellOffer(liquidation, amount, price, flags, replaceSequence = null) {
+    const tx = {
+      TransactionType: 'OfferCreate',
+      Account: this.wallet.address,
+      TakerGets: { currency: liquidation.collateralCurrency, issuer: liquidation.collateralIssuer, value: tokenValue(amount) },
+      TakerPays: xrpToDrops(Math.max(0.000001, roundXrp(amount * price)).toFixed(6)),
+      Flags: flags
+    };
+    if (replaceSequence !== null) {
+      tx.OfferSequence = replaceSequence;
+    }
+
+    const submitted = await this.submit(tx, ['tecKILLED']);
+    const changes = getBalanceChanges(submitted.meta).find(entry => entry.account === this.wallet.address);
+    const balances = changes ? changes.balances : [];
+    const token = balances.find(balance => balance.currency === liquidation.collateralCurrency && balance.issuer === liquidation.collateralIssuer);
+    const xrp = balances.find(balance => balance.currency === 'XRP');
+
+    // The XRP balance change includes the transaction fee
+    const fee = Number(dropsToXrp(submitted.fee));
+    const created = (submitted.meta.AffectedNodes || [])
+      .map(node => node.CreatedNode)
+      .find(node => node && node.LedgerEntryType === 'Offer' && node.NewFields.Account === this.wallet.address);
+
+    return {
+      hash: submitted.hash,
+      result: submitted.result,
+      sequence: submitted.sequence,
+      sold: token ? roundTokens(Math.max(0, -parseFloat(token.value))) : 0,
+      proceedsXrp: xrp ? roundXrp(Math.max(0, parseFloat(xrp.value) + fee)) : 0,
+      remaining: created ? parseFloat(created.NewFields.TakerGets.value) : 0
+    };
+  }
+
+  // Tokens still offered by an open offer, or null once it is gone
+  async getOffer(sequence) {
+    await xrplNativeService.ensureConnection();
+    try {
+      const response = await xrplNativeService.client.request({
+        command: 'ledger_entry',
+        offer: { account: this.wallet.address, seq: sequence }
+      });
+      return { remaining: parseFloat(response.result.node.TakerGets.value) };
+    } catch (error) {
+      if (error.data && error.data.error === 'entryNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Sign and submit as the liquidation account; `allowed` lists acceptable tec codes
+  async submit(tx, allowed = []) {
+    await xrplNativeService.ensureConnection();
+    const prepared = await xrplNativeService.client.autofill(tx);
+    const signed = this.wallet.sign(prepared);
+    const response = await xrplNativeService.client.submitAndWait(signed.tx_blob);
+    const result = response.result.meta.TransactionResult;
+
+    if (result !== 'tesSUCCESS' && !allowed.includes(result)) {
+      throw new Error(`${tx.TransactionType} failed: ${result}`);
+    }
+    return { hash: response.result.hash, result, meta: response.result.meta, sequence: prepared.Sequence, fee: prepared.Fee };
+  }
+
+  async recordEvent(positionId, liquidationId, eventType, event = {}) {
+    await this.store.addEvent({
+      positionId,
+      liquidationId,
+      eventType,
+      ltv: event.ltv === undefined ? null : event.ltv,
+      collateralValue: event.collateralValue === undefined ? null : event.collateralValue,
+      debt: event.debt === undefined ? null : event.debt,
+      xrplTxHash: event.xrplTxHash || null,
+      details: event.details || null,
+      createdAt: this.clock().toISOString()
+    });
+  }
+
+  // Monitoring state, latest liquidation and event log of a position
+  async getPositionLiquidation(positionId) {
+    const position = await loanEngine.getPositionOrThrow(positionId);
+    return {
+      positionId,
+      status: position.status,
+      lastLtv: position.lastLtv,
+      lastValuedAt: position.lastValuedAt,
+      marginCallAt: position.marginCallAt,
+      liquidation: await this.store.getLatestLiquidation(positionId),
+      events: await this.store.getEvents(positionId)
+    };
+  }
+
+  async listLiquidations(filter = {}) {
+    return this.store.listLiquidations(filter);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`🔨 LTV monitoring started (every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('🔨 LTV monitoring stopped');
+    }
+  }
+
+  // Advance running auctions, then check every active position; overlapping runs are skipped
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const startedAt = this.clock().toISOString();
+    const summary = { checked: 0, marginCalls: 0, liquidations: 0, auctionsAdvanced: 0, errors: [] };
+
+    try {
+      const running = await this.store.listLiquidations({ status: 'running' });
+      for (const liquidation of running) {
+        await this.advanceLiquidation(liquidation.liquidationId);
+        summary.auctionsAdvanced++;
+      }
+
+      const positions = (await loanEngine.store.listPositions({ status: 'active' }))
+        .filter(position => position.assetType && position.collateralAmount > 0);
+
+      for (const position of positions) {
+        try {
+          const result = await this.checkPosition(position, this.clock());
+          summary.checked++;
+          if (result.action === 'margin_call') summary.marginCalls++;
+          if (result.action === 'liquidation') summary.liquidations++;
+        } catch (error) {
+          console.error(`❌ LTV check of ${position.positionId} failed:`, error.message);
+          summary.errors.push({ positionId: position.positionId, error: error.message });
+        }
+      }
+
+      metricsService.increment('liquidation_monitor_runs_total', { result: summary.errors.length > 0 ? 'partial' : 'success' });
+      this.lastRun = { startedAt, completedAt: this.clock().toISOString(), ...summary };
+    } catch (error) {
+      console.error('❌ LTV monitor run failed:', error.message);
+      metricsService.increment('liquidation_monitor_runs_total', { result: 'error' });
+      this.lastRun = { startedAt, completedAt: this.clock().toISOString(), error: error.message };
+    } finally {
+      metricsService.set('liquidation_monitor_last_run_timestamp_seconds', Math.floor(this.clock().getTime() / 1000));
+      this.isRunning = false;
+    }
+
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      store: this.store.name,
+      liquidator: this.wallet ? this.wallet.address : null,
+      method: this.config.method,
+      checkIntervalMs: this.config.checkIntervalMs,
+      maxSlippage: this.config.maxSlippage,
+      auction: this.config.auction,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LiquidationService();
@@ -0,0 +1,242 @@
+/**
+ * Liquidation Store
+ * Collateral sales of liquidity positions and the margin call / liquidation event log.
+ * Uses the liquidations and liquidation_events tables when DATABASE_URL is set,
+ * otherwise an in-memory store (development only).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+// Liquidation fields that change while it runs, and their columns
+const LIQUIDATION_COLUMNS = {
+  phase: 'phase',
+  status: 'status',
+  remainingAmount: 'remaining_amount',
+  currentPrice: 'current_price',
+  step: 'step',
+  offerSequence: 'offer_sequence',
+  offerRemaining: 'offer_remaining',
+  nextStepAt: 'next_step_at',
+  proceedsXrp: 'proceeds_xrp',
+  recoveredUsd: 'recovered_usd',
+  shortfallUsd: 'shortfall_usd',
+  surplusXrp: 'surplus_xrp',
+  error: 'error',
+  completedAt: 'completed_at'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresLiquidationStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/liquidation_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  liquidationFromRow(row) {
+    return {
+      liquidationId: row.liquidation_id,
+      positionId: row.position_id,
+      method: row.method,
+      phase: row.phase,
+      status: row.status,
+      trigger: row.trigger_type,
+      triggeredBy: row.triggered_by,
+      triggerLtv: toNumber(row.trigger_ltv),
+      collateralCurrency: row.collateral_currency,
+      collateralIssuer: row.collateral_issuer,
+      collateralAmount: toNumber(row.collateral_amount),
+      remainingAmount: toNumber(row.remaining_amount),
+      referencePrice: toNumber(row.reference_price),
+      startPrice: toNumber(row.start_price),
+      floorPrice: toNumber(row.floor_price),
+      currentPrice: toNumber(row.current_price),
+      step: row.step,
+      offerSequence: row.offer_sequence === null ? null : Number(row.offer_sequence),
+      offerRemaining: toNumber(row.offer_remaining),
+      nextStepAt: toIso(row.next_step_at),
+      proceedsXrp: toNumber(row.proceeds_xrp),
+      recoveredUsd: toNumber(row.recovered_usd),
+      shortfallUsd: toNumber(row.shortfall_usd),
+      surplusXrp: toNumber(row.surplus_xrp),
+      error: row.error,
+      startedAt: toIso(row.started_at),
+      completedAt: toIso(row.completed_at),
+      updatedAt: toIso(row.updated_at)
+    };
+  }
+
+  eventFromRow(row) {
+    return {
+      positionId: row.position_id,
+      liquidationId: row.liquidation_id,
+      eventType: row.event_type,
+      ltv: toNumber(row.ltv),
+      collateralValue: toNumber(row.collateral_value),
+      debt: toNumber(row.debt),
+      xrplTxHash: row.xrpl_tx_hash,
+      details: row.details,
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  async insertLiquidation(liquidation) {
+    const rows = await query(`
+      INSERT INTO liquidations (
+        liquidation_id, position_id, method, phase, status, trigger_type, triggered_by, trigger_ltv,
+        collateral_currency, collateral_issuer, collateral_amount, remaining_amount,
+        reference_price, start_price, floor_price, started_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *
+    `, [
+      liquidation.liquidationId, liquidation.positionId, liquidation.method, liquidation.phase, liquidation.status,
+      liquidation.trigger, liquidation.triggeredBy, liquidation.triggerLtv, liquidation.collateralCurrency,
+      liquidation.collateralIssuer, liquidation.collateralAmount, liquidation.remainingAmount,
+      liquidation.referencePrice, liquidation.startPrice, liquidation.floorPrice, liquidation.startedAt
+    ]);
+    return this.liquidationFromRow(rows[0]);
+  }
+
+  async updateLiquidation(liquidationId, changes) {
+    const fields = Object.keys(changes).filter(field => LIQUIDATION_COLUMNS[field]);
+    const assignments = fields.map((field, index) => `${LIQUIDATION_COLUMNS[field]} = $${index + 2}`);
+    const rows = await query(`
+      UPDATE liquidations SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE liquidation_id = $1
+      RETURNING *
+    `, [liquidationId, ...fields.map(field => changes[field])]);
+
+    if (rows.length === 0) {
+      throw new Error(`Liquidation ${liquidationId} not found`);
+    }
+    return this.liquidationFromRow(rows[0]);
+  }
+
+  async getLiquidation(liquidationId) {
+    const rows = await query('SELECT * FROM liquidations WHERE liquidation_id = $1', [liquidationId]);
+    return rows.length > 0 ? this.liquidationFromRow(rows[0]) : null;
+  }
+
+  // Most recent liquidation of a position
+  async getLatestLiquidation(positionId) {
+    const rows = await query('SELECT * FROM liquidations WHERE position_id = $1 ORDER BY id DESC LIMIT 1', [positionId]);
+    return rows.length > 0 ? this.liquidationFromRow(rows[0]) : null;
+  }
+
+  async listLiquidations(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM liquidations
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY id DESC
+      LIMIT $2
+    `, [filter.status || null, filter.limit || 100]);
+    return rows.map(row => this.liquidationFromRow(row));
+  }
+
+  async addEvent(event) {
+    await query(`
+      INSERT INTO liquidation_events (
+        position_id, liquidation_id, event_type, ltv, collateral_value, debt, xrpl_tx_hash, details, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      event.positionId, event.liquidationId, event.eventType, event.ltv, event.collateralValue, event.debt,
+      event.xrplTxHash, event.details ? JSON.stringify(event.details) : null, event.createdAt
+    ]);
+  }
+
+  async getEvents(positionId) {
+    const rows = await query('SELECT * FROM liquidation_events WHERE position_id = $1 ORDER BY id ASC', [positionId]);
+    return rows.map(row => this.eventFromRow(row));
+  }
+}
+
+class MemoryLiquidationStore {
+  constructor() {
+    this.name = 'memory';
+    this.liquidations = []; // In insertion order
+    this.events = [];
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - liquidations are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insertLiquidation(liquidation) {
+    const stored = {
+      ...this.clone(liquidation),
+      currentPrice: null,
+      step: 0,
+      offerSequence: null,
+      offerRemaining: null,
+      nextStepAt: null,
+      proceedsXrp: 0,
+      recoveredUsd: null,
+      shortfallUsd: null,
+      surplusXrp: null,
+      error: null,
+      completedAt: null,
+      updatedAt: new Date().toISOString()
+    };
+    this.liquidations.push(stored);
+    return this.clone(stored);
+  }
+
+  async updateLiquidation(liquidationId, changes) {
+    const liquidation = this.liquidations.find(row => row.liquidationId === liquidationId);
+    if (!liquidation) {
+      throw new Error(`Liquidation ${liquidationId} not found`);
+    }
+
+    Object.keys(changes)
+      .filter(field => LIQUIDATION_COLUMNS[field])
+      .forEach(field => { liquidation[field] = this.clone(changes[field]); });
+    liquidation.updatedAt = new Date().toISOString();
+    return this.clone(liquidation);
+  }
+
+  async getLiquidation(liquidationId) {
+    const liquidation = this.liquidations.find(row => row.liquidationId === liquidationId);
+    return liquidation ? this.clone(liquidation) : null;
+  }
+
+  async getLatestLiquidation(positionId) {
+    const matches = this.liquidations.filter(row => row.positionId === positionId);
+    return matches.length > 0 ? this.clone(matches[matches.length - 1]) : null;
+  }
+
+  async listLiquidations(filter = {}) {
+    return this.clone(this.liquidations
+      .filter(row => !filter.status || row.status === filter.status)
+      .reverse()
+      .slice(0, filter.limit || 100));
+  }
+
+  async addEvent(event) {
+    this.events.push(this.clone(event));
+  }
+
+  async getEvents(positionId) {
+    return this.clone(this.events.filter(event => event.positionId === positionId));
+  }
+}
+
+const createLiquidationStore = () => {
+  return isDatabaseConfigured() ? new PostgresLiquidationStore() : new MemoryLiquidationStore();
+};
+
+module.exports = {
+  createLiquidationStore,
+  PostgresLiquidationStore,
+  MemoryLiquidationStore
+};
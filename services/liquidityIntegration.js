@@ -7,10 +7,17 @@
 
 'use strict';
 
-const Redis = require('redis');
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const outboxService = require('./outboxService');
+const messageBus = require('./messageBus');
+const messageContracts = require('./messageContracts');
+const {
+  CHANNELS,
+  assetPledgedMessage,
+  tokenMintedMessage,
+  trustlineCreatedMessage
+} = require('./liquidityNotifications');
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -34,25 +41,16 @@ const logger = winston.createLogger({
 class LiquidityIntegrationService {
   constructor() {
     this.isInitialized = false;
-    this.redisClient = null;
     this.liquidityEngineClient = null;
     
     // Configuration
     this.config = {
       liquidityEngineUrl: process.env.LIQUIDITY_ENGINE_URL || 'http://localhost:4000',
-      redisUrl: process.env.SHARED_REDIS_URL || 'redis://localhost:6379/1',
       enabled: process.env.LIQUIDITY_INTEGRATION_ENABLED !== 'false'
     };
     
     // Communication channels (match Project 2)
-    this.channels = {
-      ASSET_PLEDGED: 'asset_pledged',
-      TOKEN_MINTED: 'token_minted',
-      TRUSTLINE_CREATED: 'trustline_created',
-      VERIFICATION_COMPLETE: 'verification_complete',
-      LIQUIDITY_AVAILABLE: 'liquidity_available',
-      COUNTERPARTY_MATCHED: 'counterparty_matched'
-    };
+    this.channels = CHANNELS;
     
     // Event tracking
     this.stats = {
@@ -78,8 +76,8 @@ class LiquidityIntegrationService {
 
       logger.info('Initializing Liquidity Integration Service...');
       
-      // Initialize Redis connection
-      await this.initializeRedis();
+      // Connect the message bus (falls back to an in-process transport without Redis)
+      await messageBus.connect();
       
       // Initialize HTTP client for Liquidity Engine
       this.initializeLiquidityEngineClient();
@@ -94,7 +92,8 @@ class LiquidityIntegrationService {
       
       logger.info('Liquidity Integration Service initialized successfully', {
         liquidityEngineUrl: this.config.liquidityEngineUrl,
-        redisConnected: !!this.redisClient
+        transport: messageBus.getStatus().transport.type,
+        degraded: messageBus.isDegraded()
       });
 
     } catch (error) {
@@ -105,31 +104,6 @@ class LiquidityIntegrationService {
     }
   }
 
-  async initializeRedis() {
-    try {
-      this.redisClient = Redis.createClient({
-        url: this.config.redisUrl,
-        retryDelayOnFailover: 100,
-        maxRetriesPerRequest: 3
-      });
-
-      this.redisClient.on('error', (err) => {
-        logger.error('Redis connection error', { error: err.message });
-        this.stats.errors++;
-      });
-
-      this.redisClient.on('connect', () => {
-        logger.info('Connected to shared Redis for liquidity integration');
-      });
-
-      await this.redisClient.connect();
-
-    } catch (error) {
-      logger.error('Redis initialization failed', { error: error.message });
-      throw error;
-    }
-  }
-
   initializeLiquidityEngineClient() {
     this.liquidityEngineClient = axios.create({
       baseURL: this.config.liquidityEngineUrl,
@@ -161,24 +135,16 @@ class LiquidityIntegrationService {
 
   async subscribeToResponseChannels() {
     try {
-      // Create separate Redis client for subscriptions
-      this.redisSubscriber = Redis.createClient({
-        url: this.config.redisUrl
-      });
-
-      await this.redisSubscriber.connect();
-
-      // Subscribe to response channels
-      await this.redisSubscriber.subscribe(this.channels.VERIFICATION_COMPLETE, (message) => {
-        this.handleVerificationResult(JSON.parse(message));
+      await messageBus.subscribe(this.channels.VERIFICATION_COMPLETE, (message) => {
+        this.handleVerificationResult(message);
       });
 
-      await this.redisSubscriber.subscribe(this.channels.LIQUIDITY_AVAILABLE, (message) => {
-        this.handleLiquidityAvailable(JSON.parse(message));
+      await messageBus.subscribe(this.channels.LIQUIDITY_AVAILABLE, (message) => {
+        this.handleLiquidityAvailable(message);
       });
 
-      await this.redisSubscriber.subscribe(this.channels.COUNTERPARTY_MATCHED, (message) => {
-        this.handleCounterpartyMatched(JSON.parse(message));
+      await messageBus.subscribe(this.channels.COUNTERPARTY_MATCHED, (message) => {
+        this.handleCounterpartyMatched(message);
       });
 
       logger.info('Subscribed to liquidity response channels');
@@ -188,44 +154,20 @@ class LiquidityIntegrationService {
     }
   }
 
+  // Notifications go through the outbox (services/outboxService.js), which delivers them
+  // to the message bus and HTTP with retries, so they do not depend on Redis being up right now.
+  // Records with their own store write the outbox in their transaction instead (services/pledgeService.js).
+
   async notifyAssetPledged(assetData) {
     try {
-      if (!this.isInitialized || !this.config.enabled) {
+      if (!this.config.enabled) {
         logger.debug('Liquidity integration not available for asset pledge');
         return;
       }
 
-      const pledgeNotification = {
-        id: uuidv4(),
-        type: 'ASSET_PLEDGED',
-        assetId: assetData.assetId,
-        assetType: assetData.assetType,
-        pledgedValue: assetData.pledgedValue,
-        ownerWallet: assetData.ownerWallet,
-        metadata: {
-          description: assetData.description,
-          location: assetData.location,
-          appraisalDate: assetData.appraisalDate,
-          documents: assetData.documents
-        },
-        pledgedAt: new Date().toISOString(),
-        source: 'tokenization_platform'
-      };
-
-      // Send via Redis for real-time notification
-      await this.redisClient.publish(
-        this.channels.ASSET_PLEDGED, 
-        JSON.stringify(pledgeNotification)
-      );
-
-      // Also send via HTTP for reliability
-      try {
-        await this.liquidityEngineClient.post('/api/v1/pledges/new', pledgeNotification);
-      } catch (httpError) {
-        logger.warn('HTTP notification failed, Redis notification sent', { 
-          error: httpError.message 
-        });
-      }
+      const message = assetPledgedMessage(assetData);
+      const pledgeNotification = message.payload;
+      await outboxService.enqueue(outboxService.prepareMessages([message], 'asset', assetData.assetId));
 
       // Track pending asset
       this.pendingAssets.set(assetData.assetId, {
@@ -236,7 +178,7 @@ class LiquidityIntegrationService {
       this.stats.assetsSent++;
       this.stats.lastCommunication = new Date().toISOString();
 
-      logger.info('Asset pledge notified to Liquidity Engine', {
+      logger.info('Asset pledge queued for Liquidity Engine', {
         assetId: assetData.assetId,
         assetType: assetData.assetType,
         pledgedValue: assetData.pledgedValue
@@ -256,27 +198,11 @@ class LiquidityIntegrationService {
 
   async notifyTokenMinted(tokenData) {
     try {
-      if (!this.isInitialized || !this.config.enabled) return;
+      if (!this.config.enabled) return;
 
-      const mintNotification = {
-        id: uuidv4(),
-        type: 'TOKEN_MINTED',
-        tokenId: tokenData.tokenId,
-        assetId: tokenData.assetId,
-        tokenSymbol: tokenData.tokenSymbol,
-        issuerAddress: tokenData.issuerAddress,
-        totalSupply: tokenData.totalSupply,
-        xrplTxHash: tokenData.xrplTxHash,
-        appraisedValue: tokenData.appraisedValue,
-        mintedAt: new Date().toISOString(),
-        source: 'tokenization_platform'
-      };
-
-      // Notify Liquidity Engine
-      await this.redisClient.publish(
-        this.channels.TOKEN_MINTED,
-        JSON.stringify(mintNotification)
-      );
+      const message = tokenMintedMessage(tokenData);
+      const mintNotification = message.payload;
+      await outboxService.enqueue(outboxService.prepareMessages([message], 'token', tokenData.tokenId));
 
       // Update pending asset status
       const pendingAsset = this.pendingAssets.get(tokenData.assetId);
@@ -285,7 +211,7 @@ class LiquidityIntegrationService {
         pendingAsset.tokenInfo = mintNotification;
       }
 
-      logger.info('Token minting notified to Liquidity Engine', {
+      logger.info('Token minting queued for Liquidity Engine', {
         tokenId: tokenData.tokenId,
         assetId: tokenData.assetId
       });
@@ -298,26 +224,11 @@ class LiquidityIntegrationService {
 
   async notifyTrustlineCreated(trustlineData) {
     try {
-      if (!this.isInitialized || !this.config.enabled) return;
+      if (!this.config.enabled) return;
 
-      const trustlineNotification = {
-        id: uuidv4(),
-        type: 'TRUSTLINE_CREATED',
-        walletAddress: trustlineData.walletAddress,
-        tokenId: trustlineData.tokenId,
-        assetId: trustlineData.assetId,
-        issuerAddress: trustlineData.issuerAddress,
-        limitAmount: trustlineData.limitAmount,
-        xrplTxHash: trustlineData.xrplTxHash,
-        createdAt: new Date().toISOString(),
-        source: 'tokenization_platform'
-      };
-
-      // Notify Liquidity Engine
-      await this.redisClient.publish(
-        this.channels.TRUSTLINE_CREATED,
-        JSON.stringify(trustlineNotification)
-      );
+      const message = trustlineCreatedMessage(trustlineData);
+      const trustlineNotification = message.payload;
+      await outboxService.enqueue(outboxService.prepareMessages([message], 'trust_line', trustlineData.xrplTxHash));
 
       // Update pending asset status
       const pendingAsset = this.pendingAssets.get(trustlineData.assetId);
@@ -326,7 +237,7 @@ class LiquidityIntegrationService {
         pendingAsset.trustlineInfo = trustlineNotification;
       }
 
-      logger.info('Trustline creation notified to Liquidity Engine', {
+      logger.info('Trustline creation queued for Liquidity Engine', {
         tokenId: trustlineData.tokenId,
         walletAddress: trustlineData.walletAddress
       });
@@ -433,6 +344,7 @@ class LiquidityIntegrationService {
           liquidity_callback: `${process.env.PLATFORM_BASE_URL || 'http://localhost:3000'}/api/v1/liquidity/callback`,
           counterparty_callback: `${process.env.PLATFORM_BASE_URL || 'http://localhost:3000'}/api/v1/counterparty/callback`
         },
+        messageContracts: messageContracts.listContracts(),
         registeredAt: new Date().toISOString()
       };
 
@@ -466,7 +378,8 @@ class LiquidityIntegrationService {
       pendingAssets: this.pendingAssets.size,
       verificationResults: this.verificationResults.size,
       liquidityStatuses: this.liquidityStatus.size,
-      liquidityEngineUrl: this.config.liquidityEngineUrl
+      liquidityEngineUrl: this.config.liquidityEngineUrl,
+      messageBus: messageBus.getStatus()
     };
   }
 
@@ -488,12 +401,7 @@ class LiquidityIntegrationService {
 
   async close() {
     try {
-      if (this.redisClient) {
-        await this.redisClient.quit();
-      }
-      if (this.redisSubscriber) {
-        await this.redisSubscriber.quit();
-      }
+      await messageBus.close();
       
       logger.info('Liquidity Integration Service closed');
     } catch (error) {
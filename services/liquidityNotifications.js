@@ -0,0 +1,81 @@
+/**
+ * Liquidity Notifications
+ * Channels shared with the Liquidity Engine (Project 2) and the notifications the
+ * tokenization platform publishes on them. Outbound notifications are delivered through
+ * services/outboxService.js; `id` is unique per notification so consumers can de-duplicate.
+ * Payloads follow the channel's contract at CURRENT_VERSIONS (services/contracts).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CURRENT_VERSIONS } = require('./contracts');
+
+const CHANNELS = {
+  ASSET_PLEDGED: 'asset_pledged',
+  TOKEN_MINTED: 'token_minted',
+  TRUSTLINE_CREATED: 'trustline_created',
+  VERIFICATION_COMPLETE: 'verification_complete',
+  LIQUIDITY_AVAILABLE: 'liquidity_available',
+  COUNTERPARTY_MATCHED: 'counterparty_matched'
+};
+
+// Outbound message: { messageId, channel, payload }
+const message = (channel, payload) => ({ messageId: payload.id, channel, payload });
+
+// Optional fields the caller has no value for are left out; contracts take a value or nothing
+const present = (fields) => Object.fromEntries(
+  Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+);
+
+const assetPledgedMessage = (assetData) => message(CHANNELS.ASSET_PLEDGED, {
+  id: uuidv4(),
+  type: 'ASSET_PLEDGED',
+  schemaVersion: CURRENT_VERSIONS[CHANNELS.ASSET_PLEDGED],
+  assetId: assetData.assetId,
+  assetType: assetData.assetType,
+  pledgedValue: assetData.pledgedValue,
+  ownerWallet: assetData.ownerWallet,
+  metadata: present({
+    description: assetData.description,
+    location: assetData.location,
+    appraisalDate: assetData.appraisalDate,
+    documents: assetData.documents
+  }),
+  pledgedAt: new Date().toISOString(),
+  source: 'tokenization_platform'
+});
+
+const tokenMintedMessage = (tokenData) => message(CHANNELS.TOKEN_MINTED, {
+  id: uuidv4(),
+  type: 'TOKEN_MINTED',
+  schemaVersion: CURRENT_VERSIONS[CHANNELS.TOKEN_MINTED],
+  tokenId: tokenData.tokenId,
+  assetId: tokenData.assetId,
+  tokenSymbol: tokenData.tokenSymbol,
+  issuerAddress: tokenData.issuerAddress,
+  totalSupply: tokenData.totalSupply,
+  xrplTxHash: tokenData.xrplTxHash,
+  appraisedValue: tokenData.appraisedValue,
+  mintedAt: new Date().toISOString(),
+  source: 'tokenization_platform'
+});
+
+const trustlineCreatedMessage = (trustlineData) => message(CHANNELS.TRUSTLINE_CREATED, {
+  id: uuidv4(),
+  type: 'TRUSTLINE_CREATED',
+  schemaVersion: CURRENT_VERSIONS[CHANNELS.TRUSTLINE_CREATED],
+  walletAddress: trustlineData.walletAddress,
+  tokenId: trustlineData.tokenId,
+  assetId: trustlineData.assetId,
+  issuerAddress: trustlineData.issuerAddress,
+  limitAmount: trustlineData.limitAmount,
+  xrplTxHash: trustlineData.xrplTxHash,
+  createdAt: new Date().toISOString(),
+  source: 'tokenization_platform'
+});
+
+module.exports = {
+  CHANNELS,
+  assetPledgedMessage,
+  tokenMintedMessage,
+  trustlineCreatedMessage
+};
@@ -0,0 +1,106 @@
+/**
+ * Base Liquidity Provider
+ * Common quote normalization and status tracking shared by every liquidity provider
+ */
+
+/**
+ * Providers extend this class and implement:
+ *   fetchQuote(request)       -> { available, maxAmount, feeRate?, interestRate?, priceImpact?,
+ *                                  processingSeconds?, details? }
+ *   request(request, amount)  -> { positionId, liquidityPosition?, ... } or throws
+ *   status(positionId)        -> provider state of a position
+ *   cancel(positionId)        -> cancellation result, or throws if it cannot be cancelled
+ * request: { userWalletAddress, rwaTokenId, requestedAmount, assetDetails, userKYCStatus }
+ * Amounts are USD. interestRate is annual (loans); priceImpact is the discount to the
+ * oracle value the borrower gives up (sales).
+ */
+class LiquidityProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.label = options.label || name;
+    this.lastQuoteAt = null;
+    this.lastError = null;
+  }
+
+  // Providers without credentials or endpoints are skipped by the router
+  isConfigured() {
+    return true;
+  }
+
+  // Fetch and normalize one quote; errors are recorded and rethrown
+  async quote(request) {
+    const startedAt = Date.now();
+
+    try {
+      const quote = await this.fetchQuote(request);
+      const maxAmount = parseFloat(quote.maxAmount) || 0;
+      const number = (value) => (value === undefined || value === null ? 0 : parseFloat(value));
+
+      const normalized = {
+        provider: this.name,
+        label: this.label,
+        available: Boolean(quote.available) && maxAmount > 0,
+        maxAmount,
+        feeRate: number(quote.feeRate),
+        interestRate: number(quote.interestRate),
+        priceImpact: number(quote.priceImpact),
+        processingSeconds: number(quote.processingSeconds),
+        latencyMs: Date.now() - startedAt,
+        details: quote.details || null
+      };
+
+      if (['feeRate', 'interestRate', 'priceImpact', 'processingSeconds'].some(field => !Number.isFinite(normalized[field]) || normalized[field] < 0)) {
+        throw new Error('invalid quote figures');
+      }
+
+      this.lastQuoteAt = new Date().toISOString();
+      this.lastError = null;
+      return normalized;
+    } catch (error) {
+      this.lastError = { message: error.message, at: new Date().toISOString() };
+      throw new Error(`${this.name}: ${error.message}`);
+    }
+  }
+
+  async fetchQuote() {
+    throw new Error(`${this.name} liquidity provider must implement fetchQuote()`);
+  }
+
+  async request() {
+    throw new Error(`${this.name} liquidity provider must implement request()`);
+  }
+
+  async status() {
+    throw new Error(`${this.name} liquidity provider must implement status()`);
+  }
+
+  async cancel() {
+    throw new Error(`${this.name} liquidity provider must implement cancel()`);
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      configured: this.isConfigured(),
+      lastQuoteAt: this.lastQuoteAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Upper bound of a processing time such as "5-10 minutes" or "1-2 hours", in seconds
+const parseProcessingTime = (text) => {
+  const match = /([\d.]+)\s*(second|minute|hour|day)/i.exec(String(text || '').split('-').pop());
+  if (!match) {
+    return 0;
+  }
+
+  const unitSeconds = { second: 1, minute: 60, hour: 3600, day: 86400 };
+  return parseFloat(match[1]) * unitSeconds[match[2].toLowerCase()];
+};
+
+module.exports = {
+  LiquidityProvider,
+  parseProcessingTime
+};
@@ -0,0 +1,81 @@
+/**
+ * Circle Liquidity Provider
+ * Instant USDC liquidity through the Circle API (services/liquidityService.js).
+ * Unavailable when CIRCLE_API_KEY / CIRCLE_ENTITY_SECRET are not set, unless CIRCLE_MODE=mock.
+ */
+
+const CircleLiquidityService = require('../liquidityService');
+const { LiquidityProvider, parseProcessingTime } = require('./baseProvider');
+
+class CircleLiquidityProvider extends LiquidityProvider {
+  constructor(options = {}) {
+    super('circle', { label: 'Circle', ...options });
+
+    this.service = null;
+    this.configError = null;
+    try {
+      this.service = options.service || new CircleLiquidityService();
+    } catch (error) {
+      this.configError = error.message;
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.service);
+  }
+
+  async fetchQuote(request) {
+    const { assetDetails } = request;
+    const availability = await this.service.checkLiquidityAvailability({
+      tokenId: request.rwaTokenId,
+      amount: request.requestedAmount,
+      assetType: assetDetails.type,
+      valuation: assetDetails.valuation,
+      exposure: request.exposure
+    });
+
+    return {
+      available: availability.available,
+      maxAmount: availability.maxAmount,
+      feeRate: availability.fees.rate,
+      interestRate: this.service.calculateInterestRate(assetDetails.type),
+      processingSeconds: parseProcessingTime(availability.estimatedProcessingTime),
+      details: {
+        processingTime: availability.estimatedProcessingTime,
+        haircut: availability.haircut,
+        collateralValue: availability.collateralValue,
+        policyVersion: availability.policyVersion
+      }
+    };
+  }
+
+  async request(request, amount) {
+    const result = await this.service.requestInstantLiquidity({
+      userWalletAddress: request.userWalletAddress,
+      rwaTokenId: request.rwaTokenId,
+      requestedAmount: amount,
+      assetDetails: request.assetDetails,
+      userKYCStatus: request.userKYCStatus
+    });
+
+    return {
+      ...result,
+      provider: this.name,
+      positionId: result.liquidityPosition.positionId
+    };
+  }
+
+  async status(positionId) {
+    return this.service.monitorLiquidityPosition(positionId);
+  }
+
+  async cancel(positionId) {
+    throw new Error(`Circle transfer ${positionId} cannot be cancelled once created`);
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), mode: this.service ? this.service.mode : null, configError: this.configError };
+  }
+}
+
+module.exports = CircleLiquidityProvider;
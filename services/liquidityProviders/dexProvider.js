@@ -0,0 +1,170 @@
+/**
+ * DEX Liquidity Provider
+ * Liquidity from selling the collateral tokens into the XRPL order book for a USD
+ * stablecoin. Nothing is custodied: the sale is an immediate-or-cancel OfferCreate
+ * prepared for the borrower to sign (clientSigningService, operation 'liquidity_dex_sale'),
+ * and the position id is its prepareId.
+ *
+ * The token is read from the RWA token metadata ({ currency, issuer, amount }); priceImpact
+ * compares the order book with the token's share of the asset valuation.
+ *
+ * Options:
+ *   currency, issuer - stablecoin received (USDC_CURRENCY_CODE / USDC_ISSUER_ADDRESS)
+ *   maxSlippage      - minimum proceeds below the quoted amount (default 0.02)
+ *   getClient        - async () => connected xrpl Client
+ */
+
+const clientSigningService = require('../clientSigningService');
+const { createMemo } = require('../../utils/xrplHelpers');
+const { LiquidityProvider } = require('./baseProvider');
+
+const TF_SELL = 0x00080000;
+const TF_IMMEDIATE_OR_CANCEL = 0x00020000;
+
+// XRPL token amounts carry at most 15 significant digits
+const tokenValue = (amount) => String(parseFloat(amount.toPrecision(15)));
+
+class DexLiquidityProvider extends LiquidityProvider {
+  constructor(options = {}) {
+    super('dex', { label: 'XRPL DEX', ...options });
+
+    this.currency = options.currency || 'USD';
+    this.issuer = options.issuer;
+    this.maxSlippage = options.maxSlippage || 0.02;
+    this.getClient = options.getClient;
+  }
+
+  isConfigured() {
+    return Boolean(this.issuer && this.getClient);
+  }
+
+  getToken(assetDetails) {
+    const metadata = assetDetails.metadata || {};
+    if (!metadata.currency || !metadata.issuer || !(parseFloat(metadata.amount) > 0)) {
+      throw new Error(`RWA token ${assetDetails.tokenId} has no on-ledger token in its metadata`);
+    }
+    return { currency: metadata.currency, issuer: metadata.issuer, amount: parseFloat(metadata.amount) };
+  }
+
+  /**
+   * Walk the offers buying the token for the stablecoin until the requested amount is
+   * raised or the tokens run out. Returns { proceeds, tokensSold, worstPrice, ledgerIndex }.
+   */
+  async walkOrderBook(token, requestedAmount) {
+    const client = await this.getClient();
+    const response = await client.request({
+      command: 'book_offers',
+      taker_gets: { currency: this.currency, issuer: this.issuer },
+      taker_pays: { currency: token.currency, issuer: token.issuer },
+      ledger_index: 'validated',
+      limit: 50
+    });
+
+    let proceeds = 0;
+    let tokensSold = 0;
+    let worstPrice = null;
+    for (const offer of response.result.offers) {
+      if (proceeds >= requestedAmount || tokensSold >= token.amount) {
+        break;
+      }
+
+      const gets = parseFloat((offer.taker_gets_funded || offer.TakerGets).value);
+      const pays = parseFloat((offer.taker_pays_funded || offer.TakerPays).value);
+      if (!(gets > 0 && pays > 0)) {
+        continue;
+      }
+
+      const price = gets / pays; // Stablecoin per token
+      const tokens = Math.min(pays, token.amount - tokensSold, (requestedAmount - proceeds) / price);
+      proceeds += tokens * price;
+      tokensSold += tokens;
+      worstPrice = price;
+    }
+
+    return { proceeds, tokensSold, worstPrice, ledgerIndex: response.result.ledger_index };
+  }
+
+  async fetchQuote(request) {
+    const token = this.getToken(request.assetDetails);
+    const book = await this.walkOrderBook(token, request.requestedAmount);
+
+    const referencePrice = request.assetDetails.valuation / token.amount;
+    const averagePrice = book.tokensSold > 0 ? book.proceeds / book.tokensSold : null;
+
+    return {
+      available: book.proceeds > 0,
+      maxAmount: Math.floor(book.proceeds * 100) / 100,
+      feeRate: 0,
+      interestRate: 0,
+      priceImpact: averagePrice && referencePrice > 0 ? Math.max(0, 1 - averagePrice / referencePrice) : 0,
+      processingSeconds: 5, // One ledger close
+      details: {
+        currency: this.currency,
+        issuer: this.issuer,
+        tokensToSell: book.tokensSold,
+        averagePrice,
+        worstPrice: book.worstPrice,
+        referencePrice,
+        ledgerIndex: book.ledgerIndex
+      }
+    };
+  }
+
+  // Prepare the borrower's immediate-or-cancel sale of enough tokens to raise `amount`
+  async request(request, amount) {
+    const token = this.getToken(request.assetDetails);
+    const book = await this.walkOrderBook(token, amount);
+    if (book.proceeds <= 0) {
+      throw new Error(`no bids for ${token.currency} in the order book`);
+    }
+
+    const proceeds = Math.min(amount, book.proceeds);
+    const prepared = await clientSigningService.prepareTransaction({
+      TransactionType: 'OfferCreate',
+      Account: request.userWalletAddress,
+      TakerGets: { currency: token.currency, issuer: token.issuer, value: tokenValue(book.tokensSold) },
+      TakerPays: { currency: this.currency, issuer: this.issuer, value: tokenValue(proceeds * (1 - this.maxSlippage)) },
+      Flags: TF_SELL | TF_IMMEDIATE_OR_CANCEL,
+      Memos: [createMemo('LiquiditySale', { rwaTokenId: request.rwaTokenId })]
+    }, 'liquidity_dex_sale', { rwaTokenId: request.rwaTokenId, amount: proceeds });
+
+    return {
+      success: true,
+      provider: this.name,
+      positionId: prepared.prepareId,
+      liquidityPosition: null, // A sale, not a loan
+      sale: {
+        ...prepared,
+        tokensToSell: book.tokensSold,
+        expectedProceeds: proceeds,
+        minimumProceeds: proceeds * (1 - this.maxSlippage)
+      },
+      instructions: 'Sign txJson with your wallet and submit it via /api/native/submit to sell on the XRPL DEX'
+    };
+  }
+
+  async status(positionId) {
+    const record = clientSigningService.getPreparedTransaction(positionId);
+    if (!record) {
+      throw new Error(`DEX sale ${positionId} not found or expired`);
+    }
+
+    return {
+      positionId,
+      status: record.status,
+      account: record.account,
+      txHash: record.txHash || null,
+      transactionResult: record.transactionResult || null
+    };
+  }
+
+  async cancel(positionId) {
+    return clientSigningService.discardPreparedTransaction(positionId);
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), currency: this.currency, issuer: this.issuer || null };
+  }
+}
+
+module.exports = DexLiquidityProvider;
@@ -0,0 +1,33 @@
+/**
+ * Liquidity Provider Factory
+ * Builds the liquidity providers named in LIQUIDITY_PROVIDERS
+ */
+
+const CircleLiquidityProvider = require('./circleProvider');
+const LegacyEngineLiquidityProvider = require('./legacyEngineProvider');
+const DexLiquidityProvider = require('./dexProvider');
+const { LiquidityProvider, parseProcessingTime } = require('./baseProvider');
+
+const LIQUIDITY_PROVIDER_TYPES = {
+  circle: () => new CircleLiquidityProvider(),
+  legacy_engine: (config) => new LegacyEngineLiquidityProvider(config.legacyEngine),
+  dex: (config, dependencies) => new DexLiquidityProvider({ ...config.dex, getClient: dependencies.getXrplClient })
+};
+
+// config: getLiquidityRoutingConfig(); dependencies: { getXrplClient } for the DEX provider
+const createLiquidityProviders = (config, dependencies = {}) => {
+  return config.providers.map(name => {
+    const create = LIQUIDITY_PROVIDER_TYPES[name];
+    if (!create) {
+      throw new Error(`Unknown liquidity provider '${name}'. Use one of: ${Object.keys(LIQUIDITY_PROVIDER_TYPES).join(', ')}`);
+    }
+    return create(config, dependencies);
+  });
+};
+
+module.exports = {
+  createLiquidityProviders,
+  LiquidityProvider,
+  parseProcessingTime,
+  LIQUIDITY_PROVIDER_TYPES
+};
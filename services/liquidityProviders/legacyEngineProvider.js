@@ -0,0 +1,92 @@
+/**
+ * Legacy Liquidity Engine Provider
+ * Liquidity from the existing Liquidity Engine service over HTTP
+ *
+ * Options:
+ *   url       - engine base URL (LIQUIDITY_ENGINE_URL)
+ *   apiKey    - bearer token (LIQUIDITY_ENGINE_API_KEY)
+ *   timeoutMs - request timeout (default 10000)
+ */
+
+const axios = require('axios');
+const { LiquidityProvider, parseProcessingTime } = require('./baseProvider');
+
+class LegacyEngineLiquidityProvider extends LiquidityProvider {
+  constructor(options = {}) {
+    super('legacy_engine', { label: 'Legacy Engine', ...options });
+
+    this.url = options.url;
+    this.client = axios.create({
+      baseURL: options.url,
+      timeout: options.timeoutMs || 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.apiKey ? { 'Authorization': `Bearer ${options.apiKey}` } : {})
+      }
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  async call(method, path, data) {
+    try {
+      const response = await this.client.request({ method, url: path, data });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error || error.response?.data?.message;
+      throw new Error(error.response ? `HTTP ${error.response.status}${message ? ` - ${message}` : ''}` : error.message);
+    }
+  }
+
+  async fetchQuote(request) {
+    const data = await this.call('post', '/api/liquidity/check', {
+      tokenId: request.rwaTokenId,
+      amount: request.requestedAmount,
+      assetType: request.assetDetails.type
+    });
+
+    const processingTime = data.processingTime || '1-2 hours';
+    return {
+      available: data.available || false,
+      maxAmount: data.maxAmount || 0,
+      feeRate: data.fees ? data.fees.rate : 0.03,
+      interestRate: data.interestRate,
+      processingSeconds: parseProcessingTime(processingTime),
+      details: { processingTime }
+    };
+  }
+
+  async request(request, amount) {
+    const data = await this.call('post', '/api/liquidity/request', {
+      userWalletAddress: request.userWalletAddress,
+      rwaTokenId: request.rwaTokenId,
+      requestedAmount: amount,
+      assetDetails: request.assetDetails
+    });
+
+    return {
+      success: true,
+      provider: this.name,
+      positionId: data.positionId || data.id,
+      processingTime: data.processingTime || '1-2 hours',
+      liquidityPosition: data,
+      instructions: 'Liquidity request submitted to legacy engine'
+    };
+  }
+
+  async status(positionId) {
+    return this.call('get', `/api/liquidity/position/${encodeURIComponent(positionId)}`);
+  }
+
+  async cancel(positionId) {
+    return this.call('post', `/api/liquidity/position/${encodeURIComponent(positionId)}/cancel`);
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), url: this.url || null };
+  }
+}
+
+module.exports = LegacyEngineLiquidityProvider;
@@ -0,0 +1,258 @@
+/**
+ * Liquidity Router
+ * Routes liquidity requests across the configured providers (services/liquidityProviders):
+ * quotes are collected in parallel, scored on price, fees, latency and limit, and the
+ * request goes to the best quote. If that provider fails the next one is tried.
+ * A loan funded only after its collateral lock validates is quoted up front
+ * (selectProvider) and later executed with that provider alone (execute).
+ *
+ * Each criterion is scored 0-1 against the other quotes (best = 1) and weighted by
+ * LIQUIDITY_SCORE_WEIGHTS:
+ *   price   - interest over the default loan term plus the sale discount (lower is better)
+ *   fees    - upfront fee rate (lower is better)
+ *   latency - quote latency plus the provider's processing time (lower is better)
+ *   limit   - how much of the requested amount the provider can fill (higher is better)
+ */
+
+const xrplNativeService = require('./xrplNativeService');
+const loanEngine = require('./loanEngine');
+const metricsService = require('./metricsService');
+const { createLiquidityProviders } = require('./liquidityProviders');
+const { getLiquidityRoutingConfig } = require('../config/xrplConfig');
+
+const SCORE_CRITERIA = {
+  price: { value: (quote, context) => quote.interestRate * context.termYears + quote.priceImpact, higherIsBetter: false },
+  fees: { value: (quote) => quote.feeRate, higherIsBetter: false },
+  latency: { value: (quote) => quote.latencyMs / 1000 + quote.processingSeconds, higherIsBetter: false },
+  limit: { value: (quote, context) => Math.min(quote.maxAmount, context.requestedAmount), higherIsBetter: true }
+};
+
+metricsService.register('liquidity_quotes_total', 'counter', 'Liquidity quotes by provider and result');
+metricsService.register('liquidity_requests_total', 'counter', 'Liquidity requests by provider and result');
+metricsService.register('liquidity_failovers_total', 'counter', 'Liquidity requests retried with the next provider');
+
+class LiquidityRouter {
+  constructor() {
+    this.config = getLiquidityRoutingConfig();
+    this.providers = createLiquidityProviders(this.config, {
+      getXrplClient: async () => {
+        await xrplNativeService.ensureConnection();
+        return xrplNativeService.client;
+      }
+    });
+    this.lastRoute = null;
+  }
+
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  getProviderOrThrow(name) {
+    const provider = this.getProvider(name);
+    if (!provider) {
+      throw new Error(`Liquidity provider ${name} not found`);
+    }
+    if (!provider.isConfigured()) {
+      throw new Error(`Liquidity provider ${name} not configured`);
+    }
+    return provider;
+  }
+
+  // Configured providers, optionally restricted to the given names
+  selectProviders(names) {
+    return this.providers.filter(provider => provider.isConfigured() && (!names || names.includes(provider.name)));
+  }
+
+  async quoteWithTimeout(provider, request) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${provider.name}: quote timed out after ${this.config.quoteTimeoutMs}ms`)), this.config.quoteTimeoutMs);
+    });
+
+    try {
+      return await Promise.race([provider.quote(request), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Quote every selected provider in parallel and rank the quotes.
+   * options: { providers?: names to consider, allowPartial?: accept quotes below the requested amount }
+   * Returns { quotes (best first, ineligible last with score null), best }
+   */
+  async getQuotes(request, options = {}) {
+    const providers = this.selectProviders(options.providers);
+    if (providers.length === 0) {
+      throw new Error('No liquidity providers configured');
+    }
+
+    const results = await Promise.allSettled(providers.map(provider => this.quoteWithTimeout(provider, request)));
+    const quotes = results.map((result, index) => {
+      const provider = providers[index];
+      if (result.status === 'rejected') {
+        metricsService.increment('liquidity_quotes_total', { provider: provider.name, result: 'error' });
+        return { provider: provider.name, label: provider.label, available: false, error: result.reason.message };
+      }
+
+      metricsService.increment('liquidity_quotes_total', { provider: provider.name, result: result.value.available ? 'available' : 'unavailable' });
+      return result.value;
+    });
+
+    const ranked = this.scoreQuotes(quotes, request.requestedAmount, options);
+    return { quotes: ranked, best: ranked.find(quote => quote.score !== null) || null };
+  }
+
+  /**
+   * Score eligible quotes against each other and sort them best first.
+   * Ties keep the LIQUIDITY_PROVIDERS order.
+   */
+  scoreQuotes(quotes, requestedAmount, options = {}) {
+    const context = { termYears: loanEngine.config.termDays / 365, requestedAmount };
+    const eligible = quotes.filter(quote => quote.available && (options.allowPartial || quote.maxAmount >= requestedAmount));
+    const totalWeight = Object.values(this.config.weights).reduce((sum, weight) => sum + weight, 0);
+
+    const ranges = {};
+    Object.entries(SCORE_CRITERIA).forEach(([criterion, { value }]) => {
+      const values = eligible.map(quote => value(quote, context));
+      ranges[criterion] = { min: Math.min(...values), max: Math.max(...values) };
+    });
+
+    const scored = quotes.map((quote, index) => {
+      if (!eligible.includes(quote)) {
+        return {
+          ...quote,
+          score: null,
+          reason: quote.error || (quote.available ? 'below the requested amount' : 'liquidity not available'),
+          order: index
+        };
+      }
+
+      const components = {};
+      Object.entries(SCORE_CRITERIA).forEach(([criterion, { value, higherIsBetter }]) => {
+        const { min, max } = ranges[criterion];
+        if (max === min) {
+          components[criterion] = 1; // No spread between the quotes
+          return;
+        }
+        const position = (value(quote, context) - min) / (max - min);
+        components[criterion] = Math.round((higherIsBetter ? position : 1 - position) * 10000) / 10000;
+      });
+
+      const score = Object.entries(this.config.weights)
+        .reduce((sum, [criterion, weight]) => sum + weight * components[criterion], 0) / totalWeight;
+
+      return { ...quote, score: Math.round(score * 10000) / 10000, components, order: index };
+    });
+
+    return scored
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.order - b.order)
+      .map(({ order, ...quote }) => quote);
+  }
+
+  /**
+   * Choose the provider for a request that is executed later with execute(), e.g. a loan
+   * funded only once its collateral lock validates. Throws like route() when no quote is eligible.
+   * Returns { quotes, best }
+   */
+  async selectProvider(request, options = {}) {
+    const quoted = await this.getQuotes(request, options);
+    if (!quoted.best) {
+      const error = new Error('No liquidity provider can fill this request');
+      error.routing = { quotes: quoted.quotes, attempts: [] };
+      throw error;
+    }
+    return quoted;
+  }
+
+  // One provider request, recorded in attempts; rethrows the provider's error
+  async attempt(provider, request, amount, attempts) {
+    const startedAt = Date.now();
+    try {
+      const result = await provider.request(request, amount);
+      attempts.push({ provider: provider.name, success: true, amount, durationMs: Date.now() - startedAt });
+      metricsService.increment('liquidity_requests_total', { provider: provider.name, result: 'success' });
+      this.lastRoute = { at: new Date().toISOString(), rwaTokenId: request.rwaTokenId, provider: provider.name, attempts };
+      return { ...result, provider: provider.name, amount };
+    } catch (error) {
+      attempts.push({ provider: provider.name, success: false, amount, error: error.message, durationMs: Date.now() - startedAt });
+      metricsService.increment('liquidity_requests_total', { provider: provider.name, result: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a liquidity request with the best provider, failing over to the next
+   * eligible quote when a provider errors.
+   * request: { userWalletAddress, rwaTokenId, requestedAmount, assetDetails, userKYCStatus }
+   * Returns the provider result with routing: { quotes, attempts }
+   */
+  async route(request, options = {}) {
+    const { quotes } = await this.getQuotes(request, options);
+    const candidates = quotes.filter(quote => quote.score !== null);
+    const attempts = [];
+
+    for (const quote of candidates) {
+      const provider = this.getProvider(quote.provider);
+      try {
+        const result = await this.attempt(provider, request, Math.min(request.requestedAmount, quote.maxAmount), attempts);
+        console.log(`💧 Liquidity for ${request.rwaTokenId} routed to ${provider.name} (score ${quote.score}, ${attempts.length} attempt(s))`);
+        return { ...result, routing: { quotes, attempts } };
+      } catch (error) {
+        if (attempts.length < candidates.length) {
+          metricsService.increment('liquidity_failovers_total', { from: provider.name });
+          console.warn(`⚠️ Liquidity provider ${provider.name} failed, trying the next quote: ${error.message}`);
+        }
+      }
+    }
+
+    this.lastRoute = { at: new Date().toISOString(), rwaTokenId: request.rwaTokenId, provider: null, attempts };
+    const error = new Error(candidates.length === 0
+      ? 'No liquidity provider can fill this request'
+      : `All liquidity providers failed: ${attempts.map(attempt => `${attempt.provider} (${attempt.error})`).join(', ')}`);
+    error.routing = { quotes, attempts };
+    throw error;
+  }
+
+  /**
+   * Execute a request with the provider chosen by selectProvider(). There is no failover:
+   * the borrower accepted that provider's quote.
+   * Returns the provider result with routing: { attempts }
+   */
+  async execute(providerName, request, amount) {
+    const provider = this.getProviderOrThrow(providerName);
+    const attempts = [];
+
+    try {
+      const result = await this.attempt(provider, request, amount, attempts);
+      console.log(`💧 Liquidity for ${request.rwaTokenId} executed with ${provider.name}`);
+      return { ...result, routing: { attempts } };
+    } catch (error) {
+      this.lastRoute = { at: new Date().toISOString(), rwaTokenId: request.rwaTokenId, provider: null, attempts };
+      error.routing = { attempts };
+      throw error;
+    }
+  }
+
+  async status(providerName, positionId) {
+    return this.getProviderOrThrow(providerName).status(positionId);
+  }
+
+  async cancel(providerName, positionId) {
+    const result = await this.getProviderOrThrow(providerName).cancel(positionId);
+    console.log(`💧 Liquidity position ${positionId} cancelled with ${providerName}`);
+    return result;
+  }
+
+  getStatus() {
+    return {
+      providers: this.providers.map(provider => provider.getStatus()),
+      weights: this.config.weights,
+      quoteTimeoutMs: this.config.quoteTimeoutMs,
+      lastRoute: this.lastRoute
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LiquidityRouter();
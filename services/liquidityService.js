@@ -2,12 +2,18 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const riskPolicyService = require('./riskPolicyService');
+const loanEngine = require('./loanEngine');
+const { getCircleConfig } = require('../config/xrplConfig');
 
 class CircleLiquidityService {
     constructor() {
-        this.baseURL = process.env.CIRCLE_API_BASE_URL || 'https://api.circle.com';
-        this.apiKey = process.env.CIRCLE_API_KEY;
-        this.entitySecret = process.env.CIRCLE_ENTITY_SECRET;
+        // CIRCLE_MODE=mock points at the in-process mock server with its own credentials
+        const config = getCircleConfig();
+        this.mode = config.mode;
+        this.baseURL = config.baseUrl;
+        this.apiKey = config.apiKey;
+        this.entitySecret = config.entitySecret;
         this.publicKey = process.env.CIRCLE_PUBLIC_KEY;
         
         if (!this.apiKey || !this.entitySecret) {
@@ -51,7 +57,8 @@ class CircleLiquidityService {
 
         try {
             const response = await axios(config);
-            return response.data;
+            // Circle wraps resources in { data }
+            return response.data && response.data.data !== undefined ? response.data.data : response.data;
         } catch (error) {
             console.error('Circle API Error:', error.response?.data || error.message);
             throw new Error(`Circle API request failed: ${error.response?.data?.message || error.message}`);
@@ -60,27 +67,36 @@ class CircleLiquidityService {
 
     /**
      * Check liquidity availability for RWA token
+     * Limits come from the risk policy in effect (services/riskPolicyService.js).
+     * exposure (optional): { current, total } outstanding USD for this asset and the whole book
      */
     async checkLiquidityAvailability(rwaTokenDetails) {
-        const { tokenId, amount, assetType, valuation } = rwaTokenDetails;
-        
-        // Calculate liquidity ratio based on asset type
-        const liquidityRatios = {
-            'real_estate': 0.7,
-            'vehicle': 0.8,
-            'precious_metals': 0.9,
-            'bonds': 0.95,
-            'stocks': 0.85,
-            'commodities': 0.75
-        };
+        const { tokenId, amount, valuation, exposure } = rwaTokenDetails;
+        const assetType = riskPolicyService.normalizeAssetType(rwaTokenDetails.assetType);
+        const policy = riskPolicyService.getPolicy(assetType, { assetId: tokenId });
+
+        const { collateralValue, maxAdvance } = riskPolicyService.applyPolicy(policy, valuation);
+        let maxLiquidity = maxAdvance;
+        let concentration = null;
+
+        if (exposure) {
+            concentration = riskPolicyService.checkConcentration(policy, exposure, Math.min(amount, maxLiquidity));
+            maxLiquidity = Math.min(maxLiquidity, concentration.headroom);
+        }
 
-        const maxLiquidity = valuation * (liquidityRatios[assetType] || 0.6);
         const availableLiquidity = Math.min(amount, maxLiquidity);
+        const meetsMinimum = availableLiquidity >= policy.minLiquidityUsd;
 
         return {
-            available: availableLiquidity > 0,
-            maxAmount: availableLiquidity,
-            liquidityRatio: liquidityRatios[assetType] || 0.6,
+            available: availableLiquidity > 0 && meetsMinimum,
+            maxAmount: meetsMinimum ? availableLiquidity : 0,
+            liquidityRatio: policy.ltv,
+            haircut: policy.haircut,
+            collateralValue,
+            minLiquidityUsd: policy.minLiquidityUsd,
+            concentration,
+            policyVersion: policy.version,
+            policySource: policy.source,
             estimatedProcessingTime: this.getProcessingTime(assetType),
             fees: this.calculateFees(availableLiquidity, assetType)
         };
@@ -158,12 +174,9 @@ class CircleLiquidityService {
             };
 
         } catch (error) {
+            // Other providers are tried by the liquidity router (services/liquidityRouter.js)
             console.error('Liquidity request failed:', error);
-            return {
-                success: false,
-                error: error.message,
-                fallbackOptions: await this.suggestFallbackOptions(liquidityRequest)
-            };
+            throw new Error(`Circle liquidity request failed: ${error.message}`);
         }
     }
 
@@ -223,14 +236,16 @@ class CircleLiquidityService {
     async monitorLiquidityPosition(positionId) {
         try {
             const position = await this.makeRequest(`/v1/transfers/${positionId}`);
+            const loan = await loanEngine.getSchedule(positionId);
             
             return {
                 positionId,
                 status: position.status,
                 amount: position.amount,
-                interestAccrued: this.calculateAccruedInterest(position),
-                nextPaymentDue: this.getNextPaymentDate(position),
-                totalOwed: this.calculateTotalOwed(position)
+                loanStatus: loan.position.status,
+                interestAccrued: this.calculateAccruedInterest(loan),
+                nextPaymentDue: this.getNextPaymentDate(loan),
+                totalOwed: this.calculateTotalOwed(loan)
             };
         } catch (error) {
             throw new Error(`Failed to monitor position: ${error.message}`);
@@ -241,15 +256,15 @@ class CircleLiquidityService {
     async assessRWAAssetRisk(assetDetails) {
         // Implement risk assessment logic
         const baseRisk = {
-            'real_estate': 0.3,
+            'real-estate': 0.3,
             'vehicle': 0.4,
-            'precious_metals': 0.2,
+            'precious-metals': 0.2,
             'bonds': 0.1,
             'stocks': 0.5,
             'commodities': 0.6
         };
 
-        return baseRisk[assetDetails.type] || 0.7;
+        return baseRisk[riskPolicyService.normalizeAssetType(assetDetails.type)] || 0.7;
     }
 
     async getOrCreateCircleWallet(xrpAddress) {
@@ -265,28 +280,28 @@ class CircleLiquidityService {
 
     getProcessingTime(assetType) {
         const processingTimes = {
-            'real_estate': '5-10 minutes',
+            'real-estate': '5-10 minutes',
             'vehicle': '2-5 minutes',
-            'precious_metals': '1-3 minutes',
+            'precious-metals': '1-3 minutes',
             'bonds': '1-2 minutes',
             'stocks': '30 seconds - 2 minutes',
             'commodities': '2-5 minutes'
         };
 
-        return processingTimes[assetType] || '5-10 minutes';
+        return processingTimes[riskPolicyService.normalizeAssetType(assetType)] || '5-10 minutes';
     }
 
     calculateFees(amount, assetType) {
         const baseFeeRates = {
-            'real_estate': 0.02,
+            'real-estate': 0.02,
             'vehicle': 0.025,
-            'precious_metals': 0.015,
+            'precious-metals': 0.015,
             'bonds': 0.01,
             'stocks': 0.02,
             'commodities': 0.03
         };
 
-        const feeRate = baseFeeRates[assetType] || 0.025;
+        const feeRate = baseFeeRates[riskPolicyService.normalizeAssetType(assetType)] || 0.025;
         return {
             rate: feeRate,
             amount: amount * feeRate,
@@ -296,21 +311,21 @@ class CircleLiquidityService {
 
     calculateInterestRate(assetType) {
         const interestRates = {
-            'real_estate': 0.08,
+            'real-estate': 0.08,
             'vehicle': 0.12,
-            'precious_metals': 0.06,
+            'precious-metals': 0.06,
             'bonds': 0.05,
             'stocks': 0.10,
             'commodities': 0.15
         };
 
-        return interestRates[assetType] || 0.10;
+        return interestRates[riskPolicyService.normalizeAssetType(assetType)] || 0.10;
     }
 
     calculateMaturityDate() {
-        // Default 30-day liquidity term
+        // Default liquidity term (LOAN_TERM_DAYS, 30 days)
         const maturityDate = new Date();
-        maturityDate.setDate(maturityDate.getDate() + 30);
+        maturityDate.setDate(maturityDate.getDate() + loanEngine.config.termDays);
         return maturityDate.toISOString();
     }
 
@@ -320,36 +335,18 @@ class CircleLiquidityService {
         return 1.0; // Placeholder
     }
 
-    calculateAccruedInterest(position) {
-        // Calculate interest based on position age and rate
-        return 0; // Placeholder
-    }
-
-    getNextPaymentDate(position) {
-        // Calculate next payment due date
-        return new Date().toISOString(); // Placeholder
+    // Loan figures come from the loan engine schedule (loanEngine.getSchedule)
+    calculateAccruedInterest(loan) {
+        return loan.accruedInterest || 0;
     }
 
-    calculateTotalOwed(position) {
-        // Calculate total amount owed including interest
-        return position.amount; // Placeholder
+    getNextPaymentDate(loan) {
+        return loan.nextPayment ? loan.nextPayment.dueDate : null;
     }
 
-    async suggestFallbackOptions(liquidityRequest) {
-        return [
-            {
-                provider: 'Anchorage Digital',
-                processingTime: '1-24 hours',
-                liquidityRatio: 0.6,
-                note: 'Institutional-grade lending with KYC verification'
-            },
-            {
-                provider: 'Maple Finance Pool',
-                processingTime: '2-7 days',
-                liquidityRatio: 0.8,
-                note: 'DeFi lending pool - requires bridging to Ethereum'
-            }
-        ];
+    calculateTotalOwed(loan) {
+        // Payoff amount: outstanding principal, accrued interest and unpaid fees
+        return loan.payoffAmount !== undefined ? loan.payoffAmount : loan.position.principal;
     }
 }
 
@@ -0,0 +1,345 @@
+/**
+ * Loan Engine
+ * Lifecycle of liquidity positions: activation with a payment schedule, daily
+ * interest accrual, repayments and late fees (schedule math in services/loanSchedule.js).
+ *
+ * The engine reads time from `this.clock`, so tests can replace it with a fake clock;
+ * every read also accepts an explicit `at`.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createLoanStore } = require('./loanStore');
+const { buildSchedule, summarizeLoan, allocatePayment, addMonths, addDays, roundMoney } = require('./loanSchedule');
+const metricsService = require('./metricsService');
+const { getLoanConfig } = require('../config/xrplConfig');
+
+metricsService.register('loan_payments_total', 'counter', 'Loan repayments recorded by kind');
+metricsService.register('loan_late_fees_total', 'counter', 'Late fees assessed on overdue installments');
+metricsService.register('loan_engine_runs_total', 'counter', 'Late fee runs by result');
+metricsService.register('loan_engine_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed late fee run');
+
+class LoanEngine {
+  constructor() {
+    this.config = getLoanConfig();
+    this.store = createLoanStore();
+    this.clock = () => new Date();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+    this.statusHandlers = new Map(); // status -> handlers run after a position moves to it
+  }
+
+  /**
+   * Register a handler that runs after a position moves to the given status
+   * (e.g. 'repaid'). Receives the updated position; failures are logged, not thrown.
+   */
+  registerStatusHandler(status, handler) {
+    this.statusHandlers.set(status, [...(this.statusHandlers.get(status) || []), handler]);
+  }
+
+  async notifyStatus(position) {
+    for (const handler of this.statusHandlers.get(position.status) || []) {
+      try {
+        await handler(position);
+      } catch (error) {
+        console.error(`❌ Loan ${position.positionId} ${position.status} handler failed:`, error.message);
+      }
+    }
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`💵 Loan engine using ${this.store.name} store`);
+  }
+
+  // Record a new position awaiting activation (funds not yet delivered)
+  async createPosition(position) {
+    await this.store.insertPosition({
+      positionId: position.positionId,
+      userWallet: position.userWallet,
+      rwaTokenId: position.rwaTokenId,
+      principal: position.principal,
+      collateralValue: position.collateralValue,
+      ltvRatio: position.ltvRatio,
+      provider: position.provider || 'circle',
+      interestRate: position.interestRate,
+      status: 'pending',
+      metadata: position.metadata || null,
+      assetType: position.assetType || null,
+      collateralCurrency: position.collateralCurrency || null,
+      collateralIssuer: position.collateralIssuer || null,
+      collateralAmount: position.collateralAmount || null
+    });
+    return this.store.getPosition(position.positionId);
+  }
+
+  /**
+   * Activate a pending position and generate its payment schedule.
+   * terms (all optional, defaults from LOAN_*): { repaymentType, paymentFrequency, dayCount,
+   *   termMonths | termDays | maturityDate, lateFeeRate, lateFeeGraceDays, activatedAt,
+   *   collateral: { assetType, currency, issuer, amount } }
+   */
+  async activatePosition(positionId, terms = {}) {
+    const position = await this.getPositionOrThrow(positionId);
+    if (position.status !== 'pending') {
+      throw new Error(`Loan ${positionId} is ${position.status}, only pending loans can be activated`);
+    }
+
+    // Positions with a collateral lock only activate once the tokens are locked on-ledger
+    if (position.collateralLockStatus && position.collateralLockStatus !== 'locked') {
+      throw new Error(`Collateral of loan ${positionId} is not locked (${position.collateralLockStatus})`);
+    }
+    if (position.collateralLockStatus && terms.collateral) {
+      throw new Error(`Invalid terms: collateral of loan ${positionId} is locked and cannot be changed`);
+    }
+
+    const activatedAt = terms.activatedAt ? new Date(terms.activatedAt) : this.clock();
+    const maturityDate = this.resolveMaturity(activatedAt, terms);
+    if (position.collateralLockCancelAfter && maturityDate >= new Date(position.collateralLockCancelAfter)) {
+      throw new Error(`Invalid terms: loan ${positionId} would mature after its collateral escrow can be cancelled`);
+    }
+
+    const loanTerms = {
+      activatedAt: activatedAt.toISOString(),
+      maturityDate: maturityDate.toISOString(),
+      repaymentType: terms.repaymentType || this.config.repaymentType,
+      paymentFrequency: terms.paymentFrequency || this.config.paymentFrequency,
+      dayCount: terms.dayCount || this.config.dayCount,
+      lateFeeRate: terms.lateFeeRate !== undefined ? terms.lateFeeRate : this.config.lateFeeRate,
+      lateFeeGraceDays: terms.lateFeeGraceDays !== undefined ? terms.lateFeeGraceDays : this.config.lateFeeGraceDays,
+      // Collateral given at activation replaces what was recorded with the position
+      assetType: terms.collateral ? terms.collateral.assetType : position.assetType,
+      collateralCurrency: terms.collateral ? terms.collateral.currency : position.collateralCurrency,
+      collateralIssuer: terms.collateral ? terms.collateral.issuer : position.collateralIssuer,
+      collateralAmount: terms.collateral ? terms.collateral.amount : position.collateralAmount
+    };
+
+    const installments = buildSchedule({
+      principal: position.principal,
+      annualRate: position.interestRate,
+      startDate: loanTerms.activatedAt,
+      maturityDate: loanTerms.maturityDate,
+      repaymentType: loanTerms.repaymentType,
+      paymentFrequency: loanTerms.paymentFrequency,
+      dayCount: loanTerms.dayCount
+    }).map(installment => ({
+      positionId,
+      paymentId: `${positionId}-installment-${installment.installmentNumber}`,
+      paymentType: 'installment',
+      installmentNumber: installment.installmentNumber,
+      amount: installment.amount,
+      principalAmount: installment.principalAmount,
+      interestAmount: installment.interestAmount,
+      amountPaid: 0,
+      status: 'pending',
+      periodStart: installment.periodStart,
+      dueDate: installment.dueDate,
+      paidDate: null,
+      xrplTxHash: null,
+      metadata: null
+    }));
+
+    await this.store.activatePosition(positionId, loanTerms, installments);
+    console.log(`💵 Loan ${positionId} activated: ${loanTerms.repaymentType}, ${installments.length} installment(s), matures ${loanTerms.maturityDate}`);
+    return this.getSchedule(positionId, { at: activatedAt });
+  }
+
+  // Maturity from termMonths, termDays or maturityDate (default LOAN_TERM_DAYS)
+  resolveMaturity(activatedAt, terms = {}) {
+    if (terms.maturityDate) {
+      return new Date(terms.maturityDate);
+    }
+    if (terms.termMonths) {
+      return addMonths(activatedAt, terms.termMonths);
+    }
+    return addDays(activatedAt, terms.termDays || this.config.termDays);
+  }
+
+  async getPositionOrThrow(positionId) {
+    const position = await this.store.getPosition(positionId);
+    if (!position) {
+      throw new Error(`Loan ${positionId} not found`);
+    }
+    return position;
+  }
+
+  /**
+   * Position, schedule and balances as of `at` (default now): outstanding principal,
+   * accrued interest, unpaid fees, payoff amount and the next payment due.
+   */
+  async getSchedule(positionId, options = {}) {
+    const at = options.at ? new Date(options.at) : this.clock();
+    const position = await this.getPositionOrThrow(positionId);
+    const payments = await this.store.getPayments(positionId);
+
+    if (!position.activatedAt) {
+      return { position, asOf: at.toISOString(), schedule: [], fees: [], repayments: [] };
+    }
+
+    const summary = summarizeLoan(position, payments, at);
+    return {
+      position,
+      asOf: at.toISOString(),
+      ...summary,
+      repayments: payments.filter(payment => payment.paymentType === 'repayment')
+    };
+  }
+
+  /**
+   * Record money received against a loan. Paying the payoff amount repays the loan;
+   * smaller amounts cover fees, then installments in order.
+   * payment: { amount, paidAt?, xrplTxHash?, reference? }
+   */
+  async recordPayment(positionId, payment) {
+    const paidAt = payment.paidAt ? new Date(payment.paidAt) : this.clock();
+    const position = await this.getPositionOrThrow(positionId);
+    // Liquidation proceeds are recorded while the collateral is being sold
+    if (!['active', 'liquidating'].includes(position.status)) {
+      throw new Error(`Loan ${positionId} is ${position.status}, payments are only accepted for active loans`);
+    }
+
+    const payments = await this.store.getPayments(positionId);
+    const allocation = allocatePayment(position, payments, payment.amount, paidAt);
+
+    const receipt = {
+      positionId,
+      paymentId: `pay_${uuidv4()}`,
+      paymentType: 'repayment',
+      installmentNumber: null,
+      amount: roundMoney(payment.amount),
+      principalAmount: null,
+      interestAmount: null,
+      amountPaid: roundMoney(payment.amount),
+      status: 'completed',
+      periodStart: null,
+      dueDate: null,
+      paidDate: paidAt.toISOString(),
+      xrplTxHash: payment.xrplTxHash || null,
+      metadata: {
+        reference: payment.reference || null,
+        payoff: allocation.payoff,
+        allocation: allocation.updates.map(update => ({ paymentId: update.paymentId, applied: roundMoney(update.amountPaid - update.previousAmountPaid) }))
+      }
+    };
+
+    // Repaid once nothing is left on the schedule
+    const updated = new Map(allocation.updates.map(update => [update.paymentId, update]));
+    const settled = payments
+      .filter(row => row.paymentType === 'installment' || row.paymentType === 'fee')
+      .every(row => (updated.has(row.paymentId) ? updated.get(row.paymentId).completed : row.status === 'completed'));
+
+    await this.store.applyPayment(positionId, receipt, allocation.updates, settled ? 'repaid' : null);
+    metricsService.increment('loan_payments_total', { kind: allocation.payoff ? 'payoff' : 'partial' });
+    console.log(`💵 Loan ${positionId} payment of ${receipt.amount} recorded${settled ? ' - loan repaid' : ''}`);
+
+    const result = { payment: receipt, repaid: settled, ...(await this.getSchedule(positionId, { at: paidAt })) };
+    if (settled) {
+      await this.notifyStatus(result.position);
+    }
+    return result;
+  }
+
+  // Update tracking fields of a position (status, margin call and valuation state)
+  async updatePosition(positionId, changes, expectedStatus = null) {
+    const position = await this.store.updatePosition(positionId, changes, expectedStatus);
+    if (changes.status) {
+      await this.notifyStatus(position);
+    }
+    return position;
+  }
+
+  // Charge a late fee once per installment still unpaid after the grace period
+  async assessLateFees(at = this.clock()) {
+    const positions = await this.store.listPositions({ status: 'active' });
+    const assessed = [];
+
+    for (const position of positions) {
+      const payments = await this.store.getPayments(position.positionId);
+      const charged = new Set(payments.filter(payment => payment.paymentType === 'fee').map(payment => payment.installmentNumber));
+      const summary = summarizeLoan(position, payments, at);
+
+      const fees = summary.schedule
+        .filter(installment => installment.lateFeeEligible && !charged.has(installment.installmentNumber))
+        .map(installment => ({
+          positionId: position.positionId,
+          paymentId: `${position.positionId}-late-fee-${installment.installmentNumber}`,
+          paymentType: 'fee',
+          installmentNumber: installment.installmentNumber,
+          amount: roundMoney(installment.remaining * position.lateFeeRate),
+          principalAmount: null,
+          interestAmount: null,
+          amountPaid: 0,
+          status: 'pending',
+          periodStart: null,
+          dueDate: new Date(at).toISOString(),
+          paidDate: null,
+          xrplTxHash: null,
+          metadata: { reason: 'late_fee', overdueAmount: installment.remaining, rate: position.lateFeeRate }
+        }))
+        .filter(fee => fee.amount > 0);
+
+      if (fees.length > 0) {
+        await this.store.addFees(fees);
+        metricsService.increment('loan_late_fees_total', {}, fees.length);
+        fees.forEach(fee => console.log(`⚠️ Late fee of ${fee.amount} charged on ${fee.positionId} installment ${fee.installmentNumber}`));
+        assessed.push(...fees);
+      }
+    }
+
+    return assessed;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`💵 Loan late fee checks started (every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('💵 Loan late fee checks stopped');
+    }
+  }
+
+  // Assess late fees once; overlapping runs are skipped
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const startedAt = this.clock().toISOString();
+
+    try {
+      const fees = await this.assessLateFees(this.clock());
+      metricsService.increment('loan_engine_runs_total', { result: 'success' });
+      this.lastRun = { startedAt, completedAt: this.clock().toISOString(), lateFees: fees.length };
+    } catch (error) {
+      console.error('❌ Loan late fee run failed:', error.message);
+      metricsService.increment('loan_engine_runs_total', { result: 'error' });
+      this.lastRun = { startedAt, completedAt: this.clock().toISOString(), error: error.message };
+    } finally {
+      metricsService.set('loan_engine_last_run_timestamp_seconds', Math.floor(this.clock().getTime() / 1000));
+      this.isRunning = false;
+    }
+
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      store: this.store.name,
+      defaults: this.config,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LoanEngine();
@@ -0,0 +1,294 @@
+/**
+ * Loan Schedule Math
+ * Day-count conventions, payment schedules (bullet, interest-only, amortizing),
+ * daily interest accrual and repayment allocation for liquidity positions.
+ * Every function takes the valuation time explicitly, so results only depend on
+ * their inputs (no clock reads).
+ *
+ * Interest accrues per whole elapsed day on the scheduled balance of the current
+ * period. Amounts are rounded to cents.
+ */
+
+const { LOAN_PAYMENT_FREQUENCIES } = require('../config/xrplConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 0.005; // Half a cent
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const toTime = (date) => new Date(date).getTime();
+
+// Add calendar months (UTC), clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const start = new Date(date);
+  const target = new Date(start.getTime());
+  target.setUTCDate(1);
+  target.setUTCMonth(start.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target;
+};
+
+const addDays = (date, days) => new Date(toTime(date) + days * DAY_MS);
+
+const wholeDaysBetween = (from, to) => Math.floor((toTime(to) - toTime(from)) / DAY_MS);
+
+// Fraction of a year between two dates under a day-count convention
+const yearFraction = (from, to, dayCount) => {
+  const days = wholeDaysBetween(from, to);
+  if (days <= 0) {
+    return 0;
+  }
+
+  switch (dayCount) {
+    case 'ACT/365':
+      return days / 365;
+    case 'ACT/360':
+      return days / 360;
+    case '30/360': {
+      // US (bond basis) 30/360
+      const start = new Date(from);
+      const end = new Date(to);
+      const d1 = Math.min(start.getUTCDate(), 30);
+      const d2 = end.getUTCDate() === 31 && d1 === 30 ? 30 : end.getUTCDate();
+      return (360 * (end.getUTCFullYear() - start.getUTCFullYear()) +
+        30 * (end.getUTCMonth() - start.getUTCMonth()) + (d2 - d1)) / 360;
+    }
+    default:
+      throw new Error(`Unsupported day count ${dayCount}`);
+  }
+};
+
+// Interest on a balance from `from` to the start of the last whole day before `at`
+const accrueInterest = (balance, annualRate, from, at, dayCount) => {
+  const days = wholeDaysBetween(from, at);
+  if (days <= 0) {
+    return 0;
+  }
+  return balance * annualRate * yearFraction(from, addDays(from, days), dayCount);
+};
+
+// Due dates from start to maturity; the last period ends at maturity (possibly short)
+const getDueDates = (startDate, maturityDate, repaymentType, paymentFrequency) => {
+  const maturity = new Date(maturityDate);
+  if (repaymentType === 'bullet') {
+    return [maturity];
+  }
+
+  const months = LOAN_PAYMENT_FREQUENCIES[paymentFrequency];
+  if (!months) {
+    throw new Error(`Unsupported payment frequency ${paymentFrequency}`);
+  }
+
+  const dates = [];
+  for (let period = 1; ; period++) {
+    const due = addMonths(startDate, period * months);
+    if (due.getTime() >= maturity.getTime()) {
+      break;
+    }
+    dates.push(due);
+  }
+  dates.push(maturity);
+  return dates;
+};
+
+/**
+ * terms: { principal, annualRate, startDate, maturityDate, repaymentType, paymentFrequency, dayCount }
+ * Returns installments: { installmentNumber, periodStart, dueDate, openingBalance, principalAmount, interestAmount, amount }
+ *
+ * Amortizing loans pay a level amount computed at the nominal periodic rate; each
+ * period's interest uses the day count, and the last installment clears the balance.
+ */
+const buildSchedule = (terms) => {
+  const { principal, annualRate, startDate, maturityDate, repaymentType, paymentFrequency, dayCount } = terms;
+
+  if (!(principal > 0)) {
+    throw new Error('Invalid loan terms: principal must be positive');
+  }
+  if (!(toTime(maturityDate) > toTime(startDate))) {
+    throw new Error('Invalid loan terms: maturity must be after the start date');
+  }
+
+  const dueDates = getDueDates(startDate, maturityDate, repaymentType, paymentFrequency);
+  const periodicRate = annualRate * (LOAN_PAYMENT_FREQUENCIES[paymentFrequency] || 12) / 12;
+  const levelPayment = periodicRate > 0
+    ? principal * periodicRate / (1 - Math.pow(1 + periodicRate, -dueDates.length))
+    : principal / dueDates.length;
+
+  let balance = roundMoney(principal);
+  let periodStart = new Date(startDate);
+
+  return dueDates.map((dueDate, index) => {
+    const isLast = index === dueDates.length - 1;
+    const interestAmount = roundMoney(balance * annualRate * yearFraction(periodStart, dueDate, dayCount));
+
+    let principalAmount = 0;
+    if (isLast) {
+      principalAmount = balance;
+    } else if (repaymentType === 'amortizing') {
+      principalAmount = Math.min(balance, Math.max(0, roundMoney(levelPayment - interestAmount)));
+    }
+
+    const installment = {
+      installmentNumber: index + 1,
+      periodStart: periodStart.toISOString(),
+      dueDate: dueDate.toISOString(),
+      openingBalance: balance,
+      principalAmount,
+      interestAmount,
+      amount: roundMoney(principalAmount + interestAmount)
+    };
+
+    balance = roundMoney(balance - principalAmount);
+    periodStart = dueDate;
+    return installment;
+  });
+};
+
+// Paid amounts go to an installment's interest first, then its principal
+const splitPaid = (installment) => {
+  const interestPaid = Math.min(installment.amountPaid, installment.interestAmount);
+  return { interestPaid, principalPaid: roundMoney(installment.amountPaid - interestPaid) };
+};
+
+const remainingOf = (payment) => roundMoney(payment.amount - payment.amountPaid);
+
+/**
+ * Loan position at time `at`.
+ * loan:     { principal, interestRate, dayCount, lateFeeGraceDays }
+ * payments: installment and fee rows ({ paymentType, installmentNumber, amount, principalAmount, interestAmount, amountPaid, periodStart, dueDate })
+ */
+const summarizeLoan = (loan, payments, at) => {
+  const time = toTime(at);
+  const installments = payments
+    .filter(payment => payment.paymentType === 'installment')
+    .sort((a, b) => a.installmentNumber - b.installmentNumber);
+  const fees = payments.filter(payment => payment.paymentType === 'fee');
+
+  let scheduledBalance = loan.principal;
+  let principalPaid = 0;
+  let accruedInterest = 0;
+
+  const schedule = installments.map(installment => {
+    const split = splitPaid(installment);
+    const remaining = remainingOf(installment);
+    const openingBalance = roundMoney(scheduledBalance);
+    principalPaid += split.principalPaid;
+    scheduledBalance -= installment.principalAmount;
+
+    let status = 'upcoming';
+    if (remaining <= EPSILON) {
+      status = 'paid';
+    } else if (toTime(installment.dueDate) <= time) {
+      status = 'overdue';
+      accruedInterest += installment.interestAmount - split.interestPaid;
+    } else if (toTime(installment.periodStart) <= time) {
+      status = 'current';
+      const earned = accrueInterest(openingBalance, loan.interestRate, installment.periodStart, at, loan.dayCount);
+      accruedInterest += Math.max(0, Math.min(earned, installment.interestAmount) - split.interestPaid);
+    }
+
+    const graceEnds = addDays(installment.dueDate, loan.lateFeeGraceDays || 0);
+    return {
+      ...installment,
+      openingBalance,
+      interestPaid: roundMoney(split.interestPaid),
+      principalPaid: split.principalPaid,
+      remaining,
+      status,
+      lateFeeEligible: status === 'overdue' && graceEnds.getTime() < time
+    };
+  });
+
+  const unpaidFees = roundMoney(fees.reduce((sum, fee) => sum + remainingOf(fee), 0));
+  const outstandingPrincipal = roundMoney(loan.principal - principalPaid);
+  const next = schedule.find(installment => installment.status !== 'paid');
+
+  return {
+    outstandingPrincipal,
+    accruedInterest: roundMoney(accruedInterest),
+    unpaidFees,
+    payoffAmount: roundMoney(outstandingPrincipal + accruedInterest + unpaidFees),
+    scheduledRemaining: roundMoney(schedule.reduce((sum, installment) => sum + installment.remaining, 0) + unpaidFees),
+    overdueAmount: roundMoney(schedule.filter(installment => installment.status === 'overdue')
+      .reduce((sum, installment) => sum + installment.remaining, 0)),
+    nextPayment: next ? { installmentNumber: next.installmentNumber, dueDate: next.dueDate, amountDue: next.remaining } : null,
+    schedule,
+    fees: fees.map(fee => ({ ...fee, remaining: remainingOf(fee) }))
+  };
+};
+
+/**
+ * Allocate a repayment received at `at`.
+ * Paying at least the payoff amount settles the loan: interest for the current period
+ * is cut to what has accrued and future interest is waived. Smaller payments go to
+ * fees first, then to installments in order (interest before principal).
+ * Returns { payoff, updates: [{ paymentId, amountPaid, previousAmountPaid, amount, interestAmount, completed }] }
+ */
+const allocatePayment = (loan, payments, amount, at) => {
+  const summary = summarizeLoan(loan, payments, at);
+  const paid = roundMoney(amount);
+
+  if (!(paid > 0)) {
+    throw new Error('Invalid payment: amount must be positive');
+  }
+  if (paid > summary.payoffAmount + EPSILON) {
+    throw new Error(`Invalid payment: ${paid} exceeds the payoff amount ${summary.payoffAmount}`);
+  }
+
+  const update = (payment, fields) => ({
+    paymentId: payment.paymentId,
+    previousAmountPaid: payment.amountPaid,
+    amount: payment.amount,
+    interestAmount: payment.interestAmount,
+    ...fields
+  });
+
+  if (paid >= summary.payoffAmount - EPSILON) {
+    const updates = summary.fees.filter(fee => fee.remaining > 0)
+      .map(fee => update(fee, { amountPaid: fee.amount, completed: true }));
+
+    summary.schedule.filter(installment => installment.status !== 'paid').forEach(installment => {
+      let interestAmount = installment.interestAmount;
+      if (installment.status === 'current') {
+        const earned = accrueInterest(installment.openingBalance, loan.interestRate, installment.periodStart, at, loan.dayCount);
+        interestAmount = roundMoney(Math.max(installment.interestPaid, Math.min(earned, installment.interestAmount)));
+      } else if (installment.status === 'upcoming') {
+        interestAmount = installment.interestPaid;
+      }
+      const restated = roundMoney(installment.principalAmount + interestAmount);
+      updates.push(update(installment, { amount: restated, interestAmount, amountPaid: restated, completed: true }));
+    });
+
+    return { payoff: true, updates };
+  }
+
+  let left = paid;
+  const updates = [];
+  const apply = (payment, remaining) => {
+    if (left <= 0 || remaining <= 0) {
+      return;
+    }
+    const applied = roundMoney(Math.min(left, remaining));
+    left = roundMoney(left - applied);
+    const amountPaid = roundMoney(payment.amountPaid + applied);
+    updates.push(update(payment, { amountPaid, completed: amountPaid >= payment.amount - EPSILON }));
+  };
+
+  summary.fees.forEach(fee => apply(fee, fee.remaining));
+  summary.schedule.forEach(installment => apply(installment, installment.remaining));
+
+  return { payoff: false, updates };
+};
+
+module.exports = {
+  DAY_MS,
+  roundMoney,
+  addMonths,
+  addDays,
+  yearFraction,
+  accrueInterest,
+  buildSchedule,
+  summarizeLoan,
+  allocatePayment
+};
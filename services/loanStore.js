@@ -0,0 +1,366 @@
+/**
+ * Loan Store
+ * Liquidity positions and their payment rows (schedule installments, late fees and
+ * repayments). Uses the liquidity_positions and liquidity_payments tables when
+ * DATABASE_URL is set, otherwise an in-memory store (development only).
+ *
+ * Payment updates carry the amount paid they were computed from, so two repayments
+ * allocated at the same time cannot both apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+
+const concurrentUpdate = (positionId) => new Error(`Loan ${positionId} was modified concurrently, retry the request`);
+
+// Position fields other services may update, and their columns
+const POSITION_COLUMNS = {
+  status: 'status',
+  marginCallAt: 'margin_call_at',
+  lastLtv: 'last_ltv',
+  lastValuedAt: 'last_valued_at',
+  assetType: 'asset_type',
+  collateralCurrency: 'collateral_currency',
+  collateralIssuer: 'collateral_issuer',
+  collateralAmount: 'collateral_amount',
+  collateralLockMethod: 'collateral_lock_method',
+  collateralLockStatus: 'collateral_lock_status',
+  collateralLockAccount: 'collateral_lock_account',
+  collateralLockTxHash: 'collateral_lock_tx_hash',
+  collateralLockSequence: 'collateral_lock_sequence',
+  collateralLockCondition: 'collateral_lock_condition',
+  collateralLockCancelAfter: 'collateral_lock_cancel_after',
+  collateralFrozen: 'collateral_frozen',
+  collateralReleaseTxHash: 'collateral_release_tx_hash',
+  collateralSeizeTxHash: 'collateral_seize_tx_hash',
+  collateralSeizedTo: 'collateral_seized_to',
+  collateralLockError: 'collateral_lock_error',
+  providerPositionId: 'provider_position_id',
+  fundingStatus: 'funding_status',
+  fundedAt: 'funded_at',
+  usdcAmount: 'usdc_amount'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresLoanStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/loan_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  positionFromRow(row) {
+    return {
+      positionId: row.position_id,
+      userWallet: row.user_wallet,
+      rwaTokenId: row.rwa_token_id,
+      principal: toNumber(row.liquidity_amount),
+      collateralValue: toNumber(row.collateral_value),
+      ltvRatio: toNumber(row.ltv_ratio),
+      provider: row.provider,
+      interestRate: toNumber(row.interest_rate),
+      status: row.status,
+      repaymentType: row.repayment_type,
+      paymentFrequency: row.payment_frequency,
+      dayCount: row.day_count,
+      lateFeeRate: toNumber(row.late_fee_rate),
+      lateFeeGraceDays: row.late_fee_grace_days,
+      assetType: row.asset_type,
+      collateralCurrency: row.collateral_currency,
+      collateralIssuer: row.collateral_issuer,
+      collateralAmount: toNumber(row.collateral_amount),
+      marginCallAt: toIso(row.margin_call_at),
+      lastLtv: toNumber(row.last_ltv),
+      lastValuedAt: toIso(row.last_valued_at),
+      collateralLockMethod: row.collateral_lock_method,
+      collateralLockStatus: row.collateral_lock_status,
+      collateralLockAccount: row.collateral_lock_account,
+      collateralLockTxHash: row.collateral_lock_tx_hash,
+      collateralLockSequence: row.collateral_lock_sequence === null ? null : Number(row.collateral_lock_sequence),
+      collateralLockCondition: row.collateral_lock_condition,
+      collateralLockCancelAfter: toIso(row.collateral_lock_cancel_after),
+      collateralFrozen: row.collateral_frozen,
+      collateralReleaseTxHash: row.collateral_release_tx_hash,
+      collateralSeizeTxHash: row.collateral_seize_tx_hash,
+      collateralSeizedTo: row.collateral_seized_to,
+      collateralLockError: row.collateral_lock_error,
+      providerPositionId: row.provider_position_id,
+      fundingStatus: row.funding_status,
+      fundedAt: toIso(row.funded_at),
+      usdcAmount: toNumber(row.usdc_amount),
+      createdAt: toIso(row.created_at),
+      activatedAt: toIso(row.activated_at),
+      maturityDate: toIso(row.maturity_date),
+      metadata: row.metadata
+    };
+  }
+
+  paymentFromRow(row) {
+    return {
+      paymentId: row.payment_id,
+      positionId: row.position_id,
+      paymentType: row.payment_type,
+      installmentNumber: row.installment_number,
+      amount: toNumber(row.amount),
+      principalAmount: toNumber(row.principal_amount),
+      interestAmount: toNumber(row.interest_amount),
+      amountPaid: toNumber(row.amount_paid),
+      currency: row.currency,
+      status: row.status,
+      periodStart: toIso(row.period_start),
+      dueDate: toIso(row.due_date),
+      paidDate: toIso(row.paid_date),
+      xrplTxHash: row.xrpl_tx_hash,
+      metadata: row.metadata
+    };
+  }
+
+  async insertPayments(client, payments) {
+    for (const payment of payments) {
+      await client.query(`
+        INSERT INTO liquidity_payments (
+          position_id, payment_id, payment_type, installment_number, amount, principal_amount, interest_amount,
+          amount_paid, currency, status, period_start, due_date, paid_date, xrpl_tx_hash, metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      `, [
+        payment.positionId, payment.paymentId, payment.paymentType, payment.installmentNumber, payment.amount,
+        payment.principalAmount, payment.interestAmount, payment.amountPaid, payment.currency || 'USD', payment.status,
+        payment.periodStart, payment.dueDate, payment.paidDate, payment.xrplTxHash,
+        payment.metadata ? JSON.stringify(payment.metadata) : null
+      ]);
+    }
+  }
+
+  async insertPosition(position) {
+    await query(`
+      INSERT INTO liquidity_positions (
+        position_id, user_wallet, rwa_token_id, liquidity_amount, collateral_value, ltv_ratio,
+        provider, interest_rate, status, metadata, asset_type, collateral_currency, collateral_issuer, collateral_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      position.positionId, position.userWallet, position.rwaTokenId, position.principal, position.collateralValue,
+      position.ltvRatio, position.provider, position.interestRate, position.status,
+      position.metadata ? JSON.stringify(position.metadata) : null,
+      position.assetType, position.collateralCurrency, position.collateralIssuer, position.collateralAmount
+    ]);
+  }
+
+  async getPosition(positionId) {
+    const rows = await query('SELECT * FROM liquidity_positions WHERE position_id = $1', [positionId]);
+    return rows.length > 0 ? this.positionFromRow(rows[0]) : null;
+  }
+
+  // Position funded by the provider's transfer / position (e.g. a Circle transfer id)
+  async getPositionByProviderId(providerPositionId) {
+    const rows = await query('SELECT * FROM liquidity_positions WHERE provider_position_id = $1', [providerPositionId]);
+    return rows.length > 0 ? this.positionFromRow(rows[0]) : null;
+  }
+
+  // filter: { status?, collateralLockStatus? }
+  async listPositions(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM liquidity_positions
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR collateral_lock_status = $2)
+      ORDER BY id ASC
+    `, [filter.status || null, filter.collateralLockStatus || null]);
+    return rows.map(row => this.positionFromRow(row));
+  }
+
+  async getPayments(positionId) {
+    const rows = await query(`
+      SELECT * FROM liquidity_payments WHERE position_id = $1
+      ORDER BY due_date ASC NULLS LAST, id ASC
+    `, [positionId]);
+    return rows.map(row => this.paymentFromRow(row));
+  }
+
+  // Store the terms and schedule of a pending position and mark it active
+  async activatePosition(positionId, terms, installments) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        UPDATE liquidity_positions SET
+          status = 'active', activated_at = $2, maturity_date = $3, repayment_type = $4,
+          payment_frequency = $5, day_count = $6, late_fee_rate = $7, late_fee_grace_days = $8,
+          asset_type = $9, collateral_currency = $10, collateral_issuer = $11, collateral_amount = $12
+        WHERE position_id = $1 AND status = 'pending'
+        RETURNING *
+      `, [positionId, terms.activatedAt, terms.maturityDate, terms.repaymentType, terms.paymentFrequency,
+        terms.dayCount, terms.lateFeeRate, terms.lateFeeGraceDays, terms.assetType, terms.collateralCurrency,
+        terms.collateralIssuer, terms.collateralAmount]);
+
+      if (rows.length === 0) {
+        throw concurrentUpdate(positionId);
+      }
+
+      await this.insertPayments(client, installments);
+      return this.positionFromRow(rows[0]);
+    });
+  }
+
+  /**
+   * Update tracking fields of a position (see POSITION_COLUMNS); with `expectedStatus`
+   * the update only applies while the position still has that status.
+   */
+  async updatePosition(positionId, changes, expectedStatus = null) {
+    const fields = Object.keys(changes).filter(field => POSITION_COLUMNS[field]);
+    const assignments = fields.map((field, index) => `${POSITION_COLUMNS[field]} = $${index + 3}`);
+    const rows = await query(`
+      UPDATE liquidity_positions SET ${assignments.join(', ')}
+      WHERE position_id = $1 AND ($2::text IS NULL OR status = $2)
+      RETURNING *
+    `, [positionId, expectedStatus, ...fields.map(field => changes[field])]);
+
+    if (rows.length === 0) {
+      throw concurrentUpdate(positionId);
+    }
+    return this.positionFromRow(rows[0]);
+  }
+
+  async addFees(fees) {
+    return withTransaction(async (client) => {
+      await this.insertPayments(client, fees);
+    });
+  }
+
+  // Record a repayment, apply its allocation and optionally change the position status
+  async applyPayment(positionId, receipt, updates, status) {
+    return withTransaction(async (client) => {
+      await this.insertPayments(client, [receipt]);
+
+      for (const update of updates) {
+        const { rows } = await client.query(`
+          UPDATE liquidity_payments SET
+            amount_paid = $3, amount = $4, interest_amount = $5,
+            status = CASE WHEN $6 THEN 'completed' ELSE status END,
+            paid_date = CASE WHEN $6 THEN $7::timestamptz ELSE paid_date END
+          WHERE payment_id = $1 AND amount_paid = $2
+          RETURNING payment_id
+        `, [update.paymentId, update.previousAmountPaid, update.amountPaid, update.amount, update.interestAmount,
+          update.completed, receipt.paidDate]);
+
+        if (rows.length === 0) {
+          throw concurrentUpdate(positionId);
+        }
+      }
+
+      if (status) {
+        await client.query('UPDATE liquidity_positions SET status = $2 WHERE position_id = $1', [positionId, status]);
+      }
+    });
+  }
+}
+
+class MemoryLoanStore {
+  constructor() {
+    this.name = 'memory';
+    this.positions = new Map();
+    this.payments = new Map(); // positionId -> payment rows
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - loan positions and payments are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insertPosition(position) {
+    if (this.positions.has(position.positionId)) {
+      throw new Error(`Loan ${position.positionId} already exists`);
+    }
+    this.positions.set(position.positionId, { ...this.clone(position), createdAt: new Date().toISOString() });
+    this.payments.set(position.positionId, []);
+  }
+
+  async getPosition(positionId) {
+    const position = this.positions.get(positionId);
+    return position ? this.clone(position) : null;
+  }
+
+  async getPositionByProviderId(providerPositionId) {
+    const position = Array.from(this.positions.values()).find(entry => entry.providerPositionId === providerPositionId);
+    return position ? this.clone(position) : null;
+  }
+
+  async listPositions(filter = {}) {
+    return this.clone(Array.from(this.positions.values()).filter(position =>
+      (!filter.status || position.status === filter.status) &&
+      (!filter.collateralLockStatus || position.collateralLockStatus === filter.collateralLockStatus)));
+  }
+
+  async getPayments(positionId) {
+    return this.clone(this.payments.get(positionId) || []);
+  }
+
+  async activatePosition(positionId, terms, installments) {
+    const position = this.positions.get(positionId);
+    if (!position || position.status !== 'pending') {
+      throw concurrentUpdate(positionId);
+    }
+
+    Object.assign(position, this.clone(terms), { status: 'active' });
+    this.payments.get(positionId).push(...this.clone(installments));
+    return this.clone(position);
+  }
+
+  async updatePosition(positionId, changes, expectedStatus = null) {
+    const position = this.positions.get(positionId);
+    if (!position || (expectedStatus && position.status !== expectedStatus)) {
+      throw concurrentUpdate(positionId);
+    }
+
+    Object.keys(changes)
+      .filter(field => POSITION_COLUMNS[field])
+      .forEach(field => { position[field] = this.clone(changes[field]); });
+    return this.clone(position);
+  }
+
+  async addFees(fees) {
+    fees.forEach(fee => {
+      const payments = this.payments.get(fee.positionId);
+      if (payments.some(payment => payment.paymentType === 'fee' && payment.installmentNumber === fee.installmentNumber)) {
+        throw new Error(`Late fee for installment ${fee.installmentNumber} of ${fee.positionId} already exists`);
+      }
+    });
+    fees.forEach(fee => this.payments.get(fee.positionId).push(this.clone(fee)));
+  }
+
+  async applyPayment(positionId, receipt, updates, status) {
+    const payments = this.payments.get(positionId);
+    const targets = updates.map(update => payments.find(payment => payment.paymentId === update.paymentId));
+
+    if (targets.some((payment, index) => !payment || payment.amountPaid !== updates[index].previousAmountPaid)) {
+      throw concurrentUpdate(positionId);
+    }
+
+    targets.forEach((payment, index) => {
+      const update = updates[index];
+      Object.assign(payment, { amountPaid: update.amountPaid, amount: update.amount, interestAmount: update.interestAmount });
+      if (update.completed) {
+        Object.assign(payment, { status: 'completed', paidDate: receipt.paidDate });
+      }
+    });
+    payments.push(this.clone(receipt));
+
+    if (status) {
+      this.positions.get(positionId).status = status;
+    }
+  }
+}
+
+const createLoanStore = () => {
+  return isDatabaseConfigured() ? new PostgresLoanStore() : new MemoryLoanStore();
+};
+
+module.exports = {
+  createLoanStore,
+  PostgresLoanStore,
+  MemoryLoanStore
+};
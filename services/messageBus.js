@@ -0,0 +1,176 @@
+/**
+ * Message Bus
+ * The channels shared with the Liquidity Engine (services/liquidityNotifications.js),
+ * carried by the transport chosen with LIQUIDITY_TRANSPORT (services/transports):
+ *   redis   - Redis pub/sub; only connected subscribers receive a message
+ *   streams - Redis Streams with a consumer group; acknowledged after the handler succeeds
+ *   memory  - in this process only (single node, tests)
+ *   file    - in this process, with undelivered messages kept on disk
+ *
+ * If a Redis transport cannot connect, the bus runs on LIQUIDITY_TRANSPORT_FALLBACK
+ * (memory or file) and retries Redis every LIQUIDITY_TRANSPORT_RECONNECT_MS, moving the
+ * subscriptions back once it connects. While degraded, nothing published here reaches
+ * other services; the outbox holds its messages until Redis is back. With the fallback
+ * set to none, connect() fails instead and Redis is retried on the same interval.
+ */
+
+const { createTransport } = require('./transports');
+const messageContracts = require('./messageContracts');
+const metricsService = require('./metricsService');
+const { getMessagingConfig } = require('../config/xrplConfig');
+
+metricsService.register('message_bus_degraded', 'gauge', '1 while the message bus runs on its local fallback transport');
+
+class MessageBus {
+  constructor() {
+    this.config = getMessagingConfig();
+    this.transport = null;
+    this.fallback = null;
+    this.handlers = new Map(); // channel -> subscribers
+    this.dispatchers = new Map(); // channel -> transport handler, re-applied when the transport changes
+    this.reconnectTimer = null;
+    this.degradedSince = null;
+    this.closed = false;
+  }
+
+  async connect() {
+    if (this.transport) {
+      return;
+    }
+    this.closed = false;
+
+    const primary = createTransport(this.config.transport, this.config);
+    try {
+      await primary.connect();
+      this.transport = primary;
+      console.log(`📨 Message bus connected (${primary.type} transport)`);
+      return;
+    } catch (error) {
+      if (primary.type === 'memory' || primary.type === 'file') {
+        throw error;
+      }
+      if (this.config.fallback === 'none') {
+        this.scheduleReconnect();
+        throw error;
+      }
+      console.warn(`⚠️ ${primary.type} transport unavailable (${error.message}); using ${this.config.fallback} fallback`);
+    }
+
+    this.fallback = createTransport(this.config.fallback, this.config);
+    await this.fallback.connect();
+    this.transport = this.fallback;
+    this.degradedSince = new Date();
+    metricsService.set('message_bus_degraded', 1);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    this.reconnectTimer = setTimeout(() => this.reconnect(), this.config.reconnectMs);
+  }
+
+  // Try the configured transport again and move the subscriptions onto it
+  async reconnect() {
+    this.reconnectTimer = null;
+    const primary = createTransport(this.config.transport, this.config);
+
+    try {
+      await primary.connect();
+      for (const [channel, dispatcher] of this.dispatchers) {
+        await primary.subscribe(channel, dispatcher);
+      }
+    } catch (error) {
+      await primary.close().catch(() => {});
+      if (!this.closed) {
+        this.scheduleReconnect();
+      }
+      return false;
+    }
+
+    if (this.closed) {
+      await primary.close();
+      return false;
+    }
+
+    const fallback = this.fallback;
+    this.transport = primary;
+    this.fallback = null;
+    this.degradedSince = null;
+    metricsService.set('message_bus_degraded', 0);
+    console.log(`📨 Message bus ${fallback ? 'reconnected' : 'connected'} (${primary.type} transport)`);
+
+    if (fallback) {
+      const stranded = fallback.pendingCount();
+      if (stranded > 0) {
+        console.warn(`⚠️ ${stranded} undelivered message(s) left on the ${fallback.type} fallback`);
+      }
+      await fallback.close();
+    }
+    return true;
+  }
+
+  isConnected() {
+    return Boolean(this.transport && this.transport.connected);
+  }
+
+  // True while running on the local fallback instead of the configured transport
+  isDegraded() {
+    return Boolean(this.fallback);
+  }
+
+  async publish(channel, message) {
+    if (!this.transport) {
+      throw new Error('Message bus is not connected');
+    }
+    await this.transport.publish(channel, message);
+  }
+
+  /**
+   * Remembered while disconnected and applied once the bus connects. Handlers only
+   * receive messages that satisfy the channel's contract; the rest are quarantined.
+   * A channel's handlers run in subscription order, and if one throws, durable
+   * transports deliver the message to all of them again, so handlers must be idempotent.
+   */
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      this.dispatchers.set(channel, messageContracts.guardInbound(channel, async (message, meta) => {
+        for (const subscriber of this.handlers.get(channel)) {
+          await subscriber(message, meta);
+        }
+      }));
+    }
+    this.handlers.get(channel).push(handler);
+
+    if (!this.transport) {
+      throw new Error('Message bus is not connected');
+    }
+    await this.transport.subscribe(channel, this.dispatchers.get(channel));
+  }
+
+  getStatus() {
+    return {
+      configured: this.config.transport,
+      fallback: this.config.fallback,
+      degraded: this.isDegraded(),
+      degradedSince: this.degradedSince ? this.degradedSince.toISOString() : null,
+      transport: this.transport ? this.transport.getStatus() : null
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.transport) {
+      await this.transport.close();
+      this.transport = null;
+      this.fallback = null;
+      console.log('📨 Message bus closed');
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageBus();
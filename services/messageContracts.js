@@ -0,0 +1,156 @@
+/**
+ * Message Contracts Service
+ * Validates Liquidity Engine messages against their channel's versioned JSON Schema
+ * (services/contracts) and quarantines the ones that fail:
+ *   outbound - checked when the outbox is written; invalid messages are not sent
+ *   inbound  - checked before the subscriber runs; invalid messages never reach it
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { CONTRACTS, CURRENT_VERSIONS } = require('./contracts');
+const { createQuarantineStore } = require('./quarantineStore');
+const metricsService = require('./metricsService');
+
+metricsService.register('message_contract_rejections_total', 'counter', 'Liquidity Engine messages quarantined by channel and direction');
+
+const formatErrors = (errors) => (errors || []).map(error => `${error.instancePath || '/'} ${error.message}`);
+
+class MessageContractsService {
+  constructor() {
+    this.store = createQuarantineStore();
+    this.clock = () => new Date();
+    this.validators = this.compile();
+  }
+
+  // { channel: { version: validate } }
+  compile() {
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+
+    return Object.values(CONTRACTS).reduce((validators, contract) => ({
+      ...validators,
+      [contract.channel]: Object.entries(contract.versions).reduce((versions, [version, schema]) => ({
+        ...versions,
+        [version]: ajv.compile(schema)
+      }), {})
+    }), {});
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`📜 Message contracts loaded for ${Object.keys(CONTRACTS).length} channels (quarantine using ${this.store.name} store)`);
+  }
+
+  // Inbound messages without a schemaVersion predate contracts and are version 1
+  resolveVersion(channel, message) {
+    if (message && typeof message === 'object' && message.schemaVersion !== undefined) {
+      return message.schemaVersion;
+    }
+    return CONTRACTS[channel] && CONTRACTS[channel].direction === 'inbound' ? 1 : undefined;
+  }
+
+  // { valid, version, errors }
+  validate(channel, message) {
+    const contract = CONTRACTS[channel];
+    if (!contract) {
+      return { valid: false, version: null, errors: [`No contract for channel ${channel}`] };
+    }
+
+    const version = this.resolveVersion(channel, message);
+    const validator = Number.isInteger(version) ? this.validators[channel][version] : undefined;
+    if (!validator) {
+      return {
+        valid: false,
+        version: null,
+        errors: [`Unsupported schemaVersion ${JSON.stringify(version)} for ${channel}; supported: ${Object.keys(contract.versions).join(', ')}`]
+      };
+    }
+
+    const valid = validator(message);
+    return { valid, version, errors: valid ? [] : formatErrors(validator.errors) };
+  }
+
+  async quarantine(channel, direction, message, result, source) {
+    metricsService.increment('message_contract_rejections_total', { channel, direction });
+    console.error(`❌ ${direction === 'inbound' ? 'Received' : 'Outbound'} ${channel} message ${(message && message.id) || ''} quarantined: ${result.errors.join('; ')}`);
+
+    return this.store.insert({
+      channel,
+      direction,
+      schemaVersion: result.version,
+      messageId: message && message.id ? String(message.id) : null,
+      source,
+      payload: message,
+      errors: result.errors,
+      quarantinedAt: this.clock()
+    });
+  }
+
+  /**
+   * Outbound messages ({ messageId, channel, payload }) that satisfy their contract.
+   * The others are quarantined in the background so the caller's write is not held up.
+   */
+  filterOutbound(messages) {
+    return messages.filter(message => {
+      const result = this.validate(message.channel, message.payload);
+      if (!result.valid) {
+        this.quarantine(message.channel, 'outbound', message.payload, result, 'outbox')
+          .catch(error => console.error(`❌ Failed to quarantine ${message.channel} message ${message.messageId}:`, error.message));
+      }
+      return result.valid;
+    });
+  }
+
+  /**
+   * Wrap a subscriber so it only sees messages that satisfy the channel's contract. A
+   * failed quarantine write is rethrown, so durable transports deliver the message again.
+   */
+  guardInbound(channel, handler) {
+    return async (message, meta = {}) => {
+      const result = this.validate(channel, message);
+      if (!result.valid) {
+        await this.quarantine(channel, 'inbound', message, result, meta.transport || 'unknown');
+        return;
+      }
+      await handler(message, { ...meta, schemaVersion: result.version });
+    };
+  }
+
+  // Channels with their direction and supported versions, for the Liquidity Engine to negotiate against
+  listContracts() {
+    return Object.values(CONTRACTS).map(contract => ({
+      channel: contract.channel,
+      direction: contract.direction,
+      versions: Object.keys(contract.versions).map(Number),
+      currentVersion: contract.direction === 'outbound' ? CURRENT_VERSIONS[contract.channel] : null
+    }));
+  }
+
+  getSchema(channel, version) {
+    const contract = CONTRACTS[channel];
+    if (!contract) {
+      throw new Error(`Contract for channel ${channel} not found`);
+    }
+    const schema = contract.versions[version];
+    if (!schema) {
+      throw new Error(`Contract ${channel} v${version} not found`);
+    }
+    return schema;
+  }
+
+  async listQuarantined(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  async getStatus() {
+    return {
+      store: this.store.name,
+      contracts: this.listContracts(),
+      quarantined: await this.store.countByChannel()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageContractsService();
@@ -0,0 +1,74 @@
+/**
+ * Metrics Service
+ * In-process counters and gauges, exported in Prometheus text format at /api/metrics
+ */
+
+class MetricsService {
+  constructor() {
+    this.metrics = new Map(); // name -> { type, help, values: Map(labelKey -> { labels, value }) }
+  }
+
+  // Register a metric (idempotent); type is 'counter' or 'gauge'
+  register(name, type, help) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { type, help, values: new Map() });
+    }
+    return this.metrics.get(name);
+  }
+
+  labelKey(labels) {
+    return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+  }
+
+  getEntry(name, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Metric ${name} is not registered`);
+    }
+
+    const key = this.labelKey(labels);
+    if (!metric.values.has(key)) {
+      metric.values.set(key, { labels, value: 0 });
+    }
+    return metric.values.get(key);
+  }
+
+  increment(name, labels = {}, amount = 1) {
+    this.getEntry(name, labels).value += amount;
+  }
+
+  set(name, value, labels = {}) {
+    this.getEntry(name, labels).value = value;
+  }
+
+  // Plain object view for JSON endpoints
+  snapshot() {
+    const result = {};
+
+    for (const [name, metric] of this.metrics.entries()) {
+      result[name] = Array.from(metric.values.values()).map(({ labels, value }) => ({ labels, value }));
+    }
+    return result;
+  }
+
+  toPrometheus() {
+    const lines = [];
+
+    for (const [name, metric] of this.metrics.entries()) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      for (const { labels, value } of metric.values.values()) {
+        const labelText = Object.keys(labels)
+          .map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+          .join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Export singleton instance
+module.exports = new MetricsService();
@@ -1,26 +1,195 @@
 /**
  * Oracle Service for Asset Valuation
- * Provides real-time asset pricing for Hummingbot integration
+ * Provides asset pricing for Hummingbot integration, aggregated from the
+ * configured price feeds (services/priceFeeds). Every accepted price is
+ * recorded in the price history store for TWAP and OHLC queries.
+ * LTV and haircut come from the risk policy engine (services/riskPolicyService.js).
  */
 
 const xrplNativeService = require('./xrplNativeService');
+const riskPolicyService = require('./riskPolicyService');
+const { createPriceFeeds, aggregateQuotes } = require('./priceFeeds');
+const { createPriceHistoryStore } = require('./priceHistoryStore');
+const { parseInterval, computeTwap, buildCandles } = require('./priceHistory');
+const { getOracleConfig } = require('../config/xrplConfig');
+
+const DEFAULT_HISTORY_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_CANDLES = 1000;
 
 class OracleService {
   constructor() {
-    this.assetPrices = new Map(); // In-memory price cache
-    this.priceFeeds = new Map(); // External price feed connections
-    this.lastUpdated = new Map(); // Price update timestamps
-    this.LTV_RATIO = 0.70; // 70% Loan-to-Value ratio for Hummingbot
+    this.config = getOracleConfig();
+    this.assetPrices = new Map(); // asset -> last aggregated price (with provenance)
+    this.pendingPrices = new Map(); // asset -> in-flight aggregation
+    this.priceFeeds = createPriceFeeds(this.config.feeds, {
+      getXrplClient: async () => {
+        await xrplNativeService.ensureConnection();
+        return xrplNativeService.client;
+      }
+    });
+    this.history = createPriceHistoryStore({ memoryLimit: this.config.historyMemoryLimit });
+  }
+
+  async initialize() {
+    await this.history.initialize();
+    console.log(`📈 Oracle price history using ${this.history.name} store`);
   }
 
   /**
-   * Get current asset valuation for Hummingbot
+   * Get the aggregated USD price of an asset with per-source provenance.
+   * Results are cached for ORACLE_CACHE_TTL_MS and concurrent callers share one
+   * aggregation, so every valuation within a request sees the same price.
+   */
+  async getPrice(asset) {
+    const cached = this.assetPrices.get(asset);
+    if (cached && Date.now() - new Date(cached.asOf).getTime() < this.config.cacheTtlMs) {
+      return cached;
+    }
+
+    if (!this.pendingPrices.has(asset)) {
+      const pending = this.aggregatePrice(asset).finally(() => this.pendingPrices.delete(asset));
+      this.pendingPrices.set(asset, pending);
+    }
+    return this.pendingPrices.get(asset);
+  }
+
+  async aggregatePrice(asset) {
+    const feeds = this.priceFeeds.filter(feed => feed.supports(asset));
+    if (feeds.length === 0) {
+      throw new Error(`No price feeds configured for ${asset}`);
+    }
+
+    const results = await Promise.allSettled(feeds.map(feed => feed.getQuote(asset)));
+    const quotes = results.map((result, index) => result.status === 'fulfilled'
+      ? result.value
+      : { source: feeds[index].id, type: feeds[index].type, error: result.reason.message });
+
+    const price = aggregateQuotes(asset, quotes, {
+      now: new Date(),
+      maxAgeSeconds: this.config.maxAgeSeconds,
+      maxDeviation: this.config.maxDeviation,
+      minSources: this.config.minSources
+    });
+
+    this.assetPrices.set(asset, price);
+
+    // A history outage must not stop pricing
+    try {
+      await this.history.record(price);
+    } catch (error) {
+      console.error(`❌ Failed to record ${asset} price history:`, error.message);
+    }
+
+    return price;
+  }
+
+  // Recorded prices in a time range (defaults to the last 24h)
+  async getPriceHistory(asset, range = {}) {
+    const { from, to } = this.resolveRange(range);
+    const points = await this.history.find(asset, { from, to, limit: range.limit });
+
+    return { asset, from, to, count: points.length, points };
+  }
+
+  // Time-weighted average price over [from, to]
+  async getTwap(asset, range = {}) {
+    const { from, to } = this.resolveRange(range);
+    const [points, previous] = await Promise.all([
+      this.history.find(asset, { from, to }),
+      this.history.getLatestBefore(asset, from)
+    ]);
+
+    const twap = computeTwap(points, previous, from, to);
+    if (!twap) {
+      throw new Error(`No price history for ${asset} between ${from} and ${to}`);
+    }
+
+    return { asset, currency: 'USD', requestedFrom: from, ...twap };
+  }
+
+  // OHLC candles at the given interval ('5m', '1h', ...)
+  async getCandles(asset, interval, range = {}) {
+    const { from, to } = this.resolveRange(range);
+    const intervalSeconds = parseInterval(interval);
+
+    const candleCount = Math.ceil((new Date(to) - new Date(from)) / (intervalSeconds * 1000));
+    if (candleCount > MAX_CANDLES) {
+      throw new Error(`Invalid range: ${candleCount} candles requested, at most ${MAX_CANDLES} allowed`);
+    }
+
+    const points = await this.history.find(asset, { from, to });
+    return { asset, currency: 'USD', interval, from, to, candles: buildCandles(points, intervalSeconds) };
+  }
+
+  // Price in effect at a time, or the first one recorded after it
+  async getHistoricalPrice(asset, time) {
+    const previous = await this.history.getLatestBefore(asset, time);
+    if (previous) {
+      return previous;
+    }
+
+    const [first] = await this.history.find(asset, { from: time });
+    return first || null;
+  }
+
+  resolveRange(range) {
+    const to = range.to ? new Date(range.to) : new Date();
+    const from = range.from
+      ? new Date(range.from)
+      : new Date(to.getTime() - (range.windowSeconds || DEFAULT_HISTORY_WINDOW_SECONDS) * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw new Error('Invalid range: from must be before to');
+    }
+
+    return { from: from.toISOString(), to: to.toISOString() };
+  }
+
+  // Record an operator quote on a manual feed (the first manual feed unless feedId is given)
+  setManualQuote(asset, price, details = {}) {
+    const feed = this.priceFeeds.find(candidate =>
+      candidate.type === 'manual' && (!details.feedId || candidate.id === details.feedId));
+
+    if (!feed) {
+      throw new Error(details.feedId ? `Manual price feed ${details.feedId} not found` : 'No manual price feed configured');
+    }
+
+    const quote = feed.setQuote(asset, price, details);
+    this.assetPrices.delete(asset);
+    return quote;
+  }
+
+  getFeedStatus() {
+    return this.priceFeeds.map(feed => feed.getStatus());
+  }
+
+  // Provenance attached to valuations
+  describePrice(price) {
+    return {
+      asOf: price.asOf,
+      sourcesUsed: price.sourcesUsed,
+      sources: price.sources.map(source => ({
+        source: source.source,
+        type: source.type,
+        price: source.price,
+        timestamp: source.timestamp,
+        status: source.status,
+        reason: source.reason
+      }))
+    };
+  }
+
+  /**
+   * Get current asset valuation for Hummingbot.
+   * ltvValue = totalValue * (1 - haircut) * ltv, using the policy in effect for the asset type.
    */
   async getAssetValuation(assetType, assetAmount, tokenSymbol = 'RWA') {
     try {
-      const basePrice = await this.getAssetBasePrice(assetType);
+      const price = await this.getPrice(assetType);
+      const basePrice = price.price;
       const totalValue = parseFloat(assetAmount) * basePrice;
-      const ltvValue = totalValue * this.LTV_RATIO;
+      const policy = riskPolicyService.getPolicy(assetType);
+      const { collateralValue, maxAdvance: ltvValue } = riskPolicyService.applyPolicy(policy, totalValue);
 
       return {
         assetType,
@@ -28,11 +197,15 @@ class OracleService {
         tokenSymbol,
         basePrice,
         totalValue,
+        haircut: policy.haircut,
+        collateralValue,
         ltvValue,
-        ltvRatio: this.LTV_RATIO,
+        ltvRatio: policy.ltv,
+        policyVersion: policy.version,
         currency: 'USD',
         timestamp: new Date().toISOString(),
-        source: 'IME_Oracle'
+        source: 'IME_Oracle',
+        provenance: this.describePrice(price)
       };
     } catch (error) {
       throw new Error(`Failed to get asset valuation: ${error.message}`);
@@ -44,18 +217,7 @@ class OracleService {
    */
   async getXRPPrice() {
     try {
-      // In production, connect to real price feeds (CoinGecko, Binance, etc.)
-      // For demo, using mock price with realistic volatility
-      const mockPrice = 0.52 + (Math.random() - 0.5) * 0.02; // ~$0.52 ± $0.01
-      
-      this.assetPrices.set('XRP', {
-        price: mockPrice,
-        currency: 'USD',
-        timestamp: new Date().toISOString(),
-        source: 'Mock_Feed'
-      });
-
-      return mockPrice;
+      return (await this.getPrice('XRP')).price;
     } catch (error) {
       throw new Error(`Failed to get XRP price: ${error.message}`);
     }
@@ -67,7 +229,8 @@ class OracleService {
   async getRWAToXRPRate(assetType, assetAmount, tokenSymbol = 'RWA') {
     try {
       const assetValuation = await this.getAssetValuation(assetType, assetAmount, tokenSymbol);
-      const xrpPrice = await this.getXRPPrice();
+      const xrpQuote = await this.getPrice('XRP');
+      const xrpPrice = xrpQuote.price;
       
       // LTV value in USD / XRP price = XRP amount
       const xrpAmount = assetValuation.ltvValue / xrpPrice;
@@ -79,12 +242,19 @@ class OracleService {
         assetAmount,
         assetValueUSD: assetValuation.totalValue,
         ltvValueUSD: assetValuation.ltvValue,
+        ltvRatio: assetValuation.ltvRatio,
+        haircut: assetValuation.haircut,
+        policyVersion: assetValuation.policyVersion,
         xrpPrice,
         xrpAmount,
         exchangeRate, // XRP per token
         inverseRate: 1 / exchangeRate, // Tokens per XRP
         timestamp: new Date().toISOString(),
-        hummingbotReady: true
+        hummingbotReady: true,
+        provenance: {
+          asset: assetValuation.provenance,
+          xrp: this.describePrice(xrpQuote)
+        }
       };
     } catch (error) {
       throw new Error(`Failed to calculate RWA/XRP rate: ${error.message}`);
@@ -95,35 +265,7 @@ class OracleService {
    * Get base price for different asset types
    */
   async getAssetBasePrice(assetType) {
-    // In production, connect to real asset price feeds
-    const basePrices = {
-      'real-estate': 250, // $250 per sq ft
-      'commodities': 2100, // $2100 per oz (gold)
-      'art': 5000, // $5000 per piece (average)
-      'equipment': 15000, // $15000 per unit
-      'inventory': 50, // $50 per unit
-      'intellectual-property': 25000, // $25000 per patent
-      'securities': 100, // $100 per share
-      'other': 1000 // $1000 per unit
-    };
-
-    const basePrice = basePrices[assetType] || basePrices['other'];
-    
-    // Add realistic market volatility (±5%)
-    const volatility = (Math.random() - 0.5) * 0.1; // ±5%
-    const currentPrice = basePrice * (1 + volatility);
-
-    // Cache the price
-    this.assetPrices.set(assetType, {
-      price: currentPrice,
-      basePrice,
-      volatility,
-      currency: 'USD',
-      timestamp: new Date().toISOString(),
-      source: 'IME_Oracle'
-    });
-
-    return currentPrice;
+    return (await this.getPrice(assetType)).price;
   }
 
   /**
@@ -145,14 +287,15 @@ class OracleService {
           assetType,
           exchangeRate: rate.exchangeRate,
           xrpAmount: rate.xrpAmount,
-          usdValue: rate.ltvValueUSD
+          usdValue: rate.ltvValueUSD,
+          ltvRatio: rate.ltvRatio
         };
       }
 
       return {
         timestamp: new Date().toISOString(),
         prices,
-        ltvRatio: this.LTV_RATIO,
+        policyVersion: riskPolicyService.getEffectiveVersion().version,
         source: 'IME_Oracle'
       };
     } catch (error) {
@@ -167,15 +310,18 @@ class OracleService {
     try {
       // For Hummingbot, we need to provide a consistent price feed format
       const rate = await this.getRWAToXRPRate('real-estate', '1', tokenSymbol);
+      const { volume24h, priceChange24h } = await this.get24hStats('real-estate');
       
       return {
         trading_pair: `${tokenSymbol}-${baseCurrency}`,
         price: rate.exchangeRate.toFixed(6),
         timestamp: Math.floor(Date.now() / 1000),
-        volume_24h: '10000', // Mock volume
-        price_change_24h: '0.02', // Mock 2% change
+        volume_24h: volume24h.toFixed(2), // USD, as reported by the price sources
+        price_change_24h: priceChange24h.toFixed(6), // Fraction, 0.02 = +2%
         source: 'IME_Oracle',
-        ltv_ratio: this.LTV_RATIO,
+        ltv_ratio: rate.ltvRatio,
+        haircut: rate.haircut,
+        policy_version: rate.policyVersion,
         asset_backing: 'real_world_assets'
       };
     } catch (error) {
@@ -183,6 +329,32 @@ class OracleService {
     }
   }
 
+  /**
+   * 24h volume and change of an asset's XRP rate, from price history.
+   * The change compares asset/XRP price ratios, so risk policy changes do not show as price moves.
+   */
+  async get24hStats(assetType) {
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - DEFAULT_HISTORY_WINDOW_SECONDS * 1000).toISOString();
+
+    const [assetNow, xrpNow, assetThen, xrpThen, recent] = await Promise.all([
+      this.getPrice(assetType),
+      this.getPrice('XRP'),
+      this.getHistoricalPrice(assetType, dayAgo),
+      this.getHistoricalPrice('XRP', dayAgo),
+      this.history.find(assetType, { from: dayAgo, limit: 1 })
+    ]);
+
+    const priceChange24h = assetThen && xrpThen
+      ? (assetNow.price / xrpNow.price) / (assetThen.price / xrpThen.price) - 1
+      : 0;
+
+    return {
+      volume24h: recent.length > 0 && recent[0].volume24h !== null ? recent[0].volume24h : 0,
+      priceChange24h
+    };
+  }
+
   /**
    * Webhook endpoint data for Hummingbot notifications
    */
@@ -194,7 +366,7 @@ class OracleService {
         platform: 'IME_XRPL_RWA',
         data: {
           ...data,
-          ltv_ratio: this.LTV_RATIO,
+          policy_version: riskPolicyService.getEffectiveVersion().version,
           oracle_source: 'IME_Oracle'
         }
       };
@@ -208,36 +380,40 @@ class OracleService {
     }
   }
 
-  /**
-   * Update LTV ratio (for dynamic adjustment)
-   */
-  updateLTVRatio(newRatio) {
-    if (newRatio < 0.1 || newRatio > 0.9) {
-      throw new Error('LTV ratio must be between 10% and 90%');
-    }
-    
-    this.LTV_RATIO = newRatio;
-    console.log(`LTV ratio updated to ${(newRatio * 100).toFixed(1)}%`);
-    
-    return {
-      newLTVRatio: this.LTV_RATIO,
-      timestamp: new Date().toISOString(),
-      message: 'LTV ratio updated successfully'
-    };
-  }
-
   /**
    * Get oracle health status
    */
   getOracleStatus() {
+    const feeds = this.getFeedStatus();
+
     return {
-      status: 'healthy',
-      ltvRatio: this.LTV_RATIO,
+      status: feeds.some(feed => feed.lastError) ? 'degraded' : 'healthy',
+      policyVersion: riskPolicyService.getEffectiveVersion().version,
       cachedPrices: this.assetPrices.size,
+      historyStore: this.history.name,
       lastUpdate: new Date().toISOString(),
       hummingbotIntegration: 'ready',
+      feeds,
+      aggregation: {
+        maxAgeSeconds: this.config.maxAgeSeconds,
+        maxDeviation: this.config.maxDeviation,
+        minSources: this.config.minSources,
+        cacheTtlMs: this.config.cacheTtlMs
+      },
       endpoints: [
         '/api/oracle/prices',
+        '/api/oracle/price/:asset',
+        '/api/oracle/feeds',
+        '/api/oracle/history/:asset',
+        '/api/oracle/history/:asset/twap',
+        '/api/oracle/history/:asset/ohlc',
+        '/api/oracle/keys',
+        '/api/oracle/ledger',
+        '/api/oracle/ledger/aggregate',
+        '/api/oracle/ledger/object',
+        '/api/oracle/ledger/publish',
+        '/api/oracle/attestations/verify',
+        '/api/oracle/quotes',
         '/api/oracle/rwa-xrp-rate',
         '/api/oracle/hummingbot-feed',
         '/api/oracle/webhook'
@@ -0,0 +1,231 @@
+/**
+ * Outbox Service
+ * Relays Liquidity Engine notifications from the outbox to their destinations:
+ *   redis - published on the notification's channel through services/messageBus.js
+ *           (whichever transport LIQUIDITY_TRANSPORT selects)
+ *   http  - POSTed to the Liquidity Engine (LIQUIDITY_ENGINE_URL) for channels in HTTP_ROUTES
+ *
+ * Callers write messages in the same transaction as the record they announce
+ * (prepareMessages + their store), then kick() the relay. Delivery is at least once:
+ * a failed attempt is retried after OUTBOX_RETRY_BASE_MS, doubling up to
+ * OUTBOX_RETRY_MAX_MS, until it succeeds. Consumers de-duplicate on the payload id.
+ */
+
+const axios = require('axios');
+const { createOutboxStore } = require('./outboxStore');
+const { CHANNELS } = require('./liquidityNotifications');
+const messageBus = require('./messageBus');
+const messageContracts = require('./messageContracts');
+const metricsService = require('./metricsService');
+const { getOutboxConfig } = require('../config/xrplConfig');
+const { isDatabaseConfigured, withTransaction } = require('../config/database');
+
+// Liquidity Engine endpoint for each channel delivered over HTTP as well as Redis
+const HTTP_ROUTES = {
+  [CHANNELS.ASSET_PLEDGED]: '/api/v1/pledges/new'
+};
+
+metricsService.register('outbox_deliveries_total', 'counter', 'Outbox delivery attempts by destination and result');
+metricsService.register('outbox_pending_messages', 'gauge', 'Undelivered outbox messages by destination');
+metricsService.register('outbox_relay_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed outbox relay run');
+
+class OutboxService {
+  constructor() {
+    this.config = getOutboxConfig();
+    this.store = createOutboxStore();
+    this.clock = () => new Date();
+    this.http = null;
+    this.deliverers = {
+      redis: (message) => this.publishToRedis(message),
+      http: (message) => this.postToLiquidityEngine(message)
+    };
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`📤 Outbox using ${this.store.name} store${this.config.enabled ? '' : ' (Liquidity Engine notifications disabled)'}`);
+  }
+
+  destinationsFor(channel) {
+    return HTTP_ROUTES[channel] ? ['redis', 'http'] : ['redis'];
+  }
+
+  /**
+   * Outbox rows for notifications about one record ({ messageId, channel, payload } from
+   * services/liquidityNotifications.js). Empty when LIQUIDITY_INTEGRATION_ENABLED=false;
+   * messages that fail their contract are quarantined instead (services/messageContracts.js).
+   */
+  prepareMessages(messages, aggregateType, aggregateId) {
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    return messageContracts.filterOutbound(messages).map(message => ({
+      ...message,
+      aggregateType,
+      aggregateId,
+      destinations: this.destinationsFor(message.channel)
+    }));
+  }
+
+  // Write prepared messages on their own, for notifications that have no record to share a transaction with
+  async enqueue(messages) {
+    if (messages.length === 0) {
+      return;
+    }
+
+    if (isDatabaseConfigured()) {
+      await withTransaction(client => this.store.insertMessages(client, messages, this.clock()));
+    } else {
+      await this.store.insertMessages(null, messages, this.clock());
+    }
+    this.kick();
+  }
+
+  // Deliver new messages now instead of at the next interval
+  kick() {
+    if (this.timer) {
+      setImmediate(() => this.runOnce());
+    }
+  }
+
+  // A degraded bus only reaches this process, so the message waits for Redis instead
+  async publishToRedis(message) {
+    if (!messageBus.isConnected()) {
+      throw new Error('Message bus is not connected');
+    }
+    if (messageBus.isDegraded()) {
+      throw new Error(`Message bus degraded to ${messageBus.config.fallback} fallback; waiting for ${messageBus.config.transport}`);
+    }
+    await messageBus.publish(message.channel, message.payload);
+  }
+
+  async postToLiquidityEngine(message) {
+    if (!this.http) {
+      this.http = axios.create({
+        baseURL: this.config.liquidityEngineUrl,
+        timeout: this.config.httpTimeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Source-Service': 'tokenization-platform',
+          'Authorization': `Bearer ${this.config.apiKey}`
+        }
+      });
+    }
+
+    try {
+      await this.http.post(HTTP_ROUTES[message.channel], message.payload, {
+        headers: { 'Idempotency-Key': message.messageId }
+      });
+    } catch (error) {
+      throw new Error(`Liquidity Engine ${error.response ? `returned ${error.response.status}` : `unreachable: ${error.message}`}`);
+    }
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), this.config.retryMaxMs);
+  }
+
+  // One delivery attempt; returns the updated message, or null if another relay claimed it
+  async deliver(message) {
+    const at = this.clock();
+    const claimed = await this.store.claimMessage(message, at, new Date(at.getTime() + this.config.leaseMs));
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      await this.deliverers[claimed.destination](claimed);
+      metricsService.increment('outbox_deliveries_total', { destination: claimed.destination, result: 'delivered' });
+      return this.store.markDelivered(claimed, this.clock());
+    } catch (error) {
+      const delay = this.getRetryDelay(claimed.attempts);
+      metricsService.increment('outbox_deliveries_total', { destination: claimed.destination, result: 'failed' });
+      console.warn(`⚠️ Outbox ${claimed.channel} message ${claimed.messageId} to ${claimed.destination} failed (attempt ${claimed.attempts}, retry in ${Math.round(delay / 1000)}s): ${error.message}`);
+      return this.store.markFailed(claimed, error.message, new Date(this.clock().getTime() + delay));
+    }
+  }
+
+  async listMessages(filter = {}) {
+    return this.store.listMessages(filter);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`📤 Outbox relay started (every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('📤 Outbox relay stopped');
+    }
+  }
+
+  // Deliver every due message
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const at = this.clock();
+    const summary = { at: at.toISOString(), attempted: 0, delivered: 0, failed: 0, errors: [] };
+
+    try {
+      const due = await this.store.listDueMessages(at, this.config.batchSize);
+      for (const message of due) {
+        try {
+          const result = await this.deliver(message);
+          if (!result) {
+            continue;
+          }
+          summary.attempted += 1;
+          if (result.status === 'delivered') summary.delivered += 1;
+          else summary.failed += 1;
+        } catch (error) {
+          summary.errors.push({ messageId: message.messageId, destination: message.destination, error: error.message });
+        }
+      }
+
+      const destinations = await this.store.summarizeByDestination();
+      Object.entries(destinations).forEach(([destination, counts]) => {
+        metricsService.set('outbox_pending_messages', counts.pending, { destination });
+      });
+      metricsService.set('outbox_relay_last_run_timestamp_seconds', Math.floor(this.clock().getTime() / 1000));
+    } catch (error) {
+      console.error('❌ Outbox relay run failed:', error.message);
+      summary.errors.push({ error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.lastRun = summary;
+    return summary;
+  }
+
+  async getStatus() {
+    return {
+      enabled: this.config.enabled,
+      store: this.store.name,
+      running: Boolean(this.timer),
+      messageBus: messageBus.getStatus(),
+      liquidityEngineUrl: this.config.liquidityEngineUrl,
+      httpRoutes: HTTP_ROUTES,
+      destinations: await this.store.summarizeByDestination(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OutboxService();
+module.exports.HTTP_ROUTES = HTTP_ROUTES;
@@ -0,0 +1,250 @@
+/**
+ * Outbox Store
+ * Liquidity Engine notifications waiting for delivery, one row per destination. Uses the
+ * outbox_messages table when DATABASE_URL is set, otherwise an in-memory store (development only).
+ *
+ * insertMessages takes the transaction client of the record being announced, so a
+ * notification exists exactly when its record does. An attempt is claimed by bumping
+ * the attempt count and leasing the row until next_attempt_at, so a crashed attempt is
+ * retried and two relays cannot deliver the same row at the same time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// One row per destination of each message: { messageId, channel, aggregateType, aggregateId, payload, destinations }
+const expandMessages = (messages, at) => messages.flatMap(message => message.destinations.map(destination => ({
+  messageId: message.messageId,
+  destination,
+  channel: message.channel,
+  aggregateType: message.aggregateType,
+  aggregateId: message.aggregateId,
+  payload: message.payload,
+  createdAt: at
+})));
+
+class PostgresOutboxStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/outbox_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  messageFromRow(row) {
+    return {
+      id: parseInt(row.id),
+      messageId: row.message_id,
+      destination: row.destination,
+      channel: row.channel,
+      aggregateType: row.aggregate_type,
+      aggregateId: row.aggregate_id,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: toIso(row.next_attempt_at),
+      lastAttemptAt: toIso(row.last_attempt_at),
+      lastError: row.last_error,
+      createdAt: toIso(row.created_at),
+      deliveredAt: toIso(row.delivered_at)
+    };
+  }
+
+  // Write messages with the caller's transaction client
+  async insertMessages(client, messages, at = new Date()) {
+    for (const row of expandMessages(messages, at)) {
+      await client.query(`
+        INSERT INTO outbox_messages (
+          message_id, destination, channel, aggregate_type, aggregate_id, payload, status, next_attempt_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $7)
+      `, [row.messageId, row.destination, row.channel, row.aggregateType, row.aggregateId,
+        JSON.stringify(row.payload), row.createdAt]);
+    }
+  }
+
+  async listDueMessages(at, limit = 50) {
+    const rows = await query(`
+      SELECT * FROM outbox_messages
+      WHERE status = 'pending' AND next_attempt_at <= $1
+      ORDER BY id ASC
+      LIMIT $2
+    `, [at, limit]);
+    return rows.map(row => this.messageFromRow(row));
+  }
+
+  // filter: { status?, destination?, aggregateId?, limit? }; oldest first
+  async listMessages(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM outbox_messages
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR destination = $2)
+        AND ($3::text IS NULL OR aggregate_id = $3)
+      ORDER BY id ASC
+      LIMIT $4
+    `, [filter.status || null, filter.destination || null, filter.aggregateId || null, filter.limit || 100]);
+    return rows.map(row => this.messageFromRow(row));
+  }
+
+  // { destination: { pending, delivered, oldestPendingAt, maxAttempts } }
+  async summarizeByDestination() {
+    const rows = await query(`
+      SELECT destination, status, COUNT(*) AS count, MIN(created_at) AS oldest, MAX(attempts) AS max_attempts
+      FROM outbox_messages
+      GROUP BY destination, status
+    `);
+
+    const summary = {};
+    rows.forEach(row => {
+      const entry = summary[row.destination] || { pending: 0, delivered: 0, oldestPendingAt: null, maxAttempts: 0 };
+      entry[row.status] = parseInt(row.count);
+      if (row.status === 'pending') {
+        entry.oldestPendingAt = toIso(row.oldest);
+        entry.maxAttempts = parseInt(row.max_attempts);
+      }
+      summary[row.destination] = entry;
+    });
+    return summary;
+  }
+
+  // Start an attempt if no other relay has since; null otherwise
+  async claimMessage(message, at, leaseUntil) {
+    const rows = await query(`
+      UPDATE outbox_messages SET attempts = attempts + 1, last_attempt_at = $2, next_attempt_at = $3
+      WHERE id = $1 AND status = 'pending' AND attempts = $4
+      RETURNING *
+    `, [message.id, at, leaseUntil, message.attempts]);
+    return rows.length > 0 ? this.messageFromRow(rows[0]) : null;
+  }
+
+  async markDelivered(message, at) {
+    const rows = await query(`
+      UPDATE outbox_messages SET status = 'delivered', delivered_at = $2, last_error = NULL
+      WHERE id = $1 AND status = 'pending' AND attempts = $3
+      RETURNING *
+    `, [message.id, at, message.attempts]);
+    return rows.length > 0 ? this.messageFromRow(rows[0]) : null;
+  }
+
+  async markFailed(message, error, nextAttemptAt) {
+    const rows = await query(`
+      UPDATE outbox_messages SET last_error = $2, next_attempt_at = $3
+      WHERE id = $1 AND status = 'pending' AND attempts = $4
+      RETURNING *
+    `, [message.id, error, nextAttemptAt, message.attempts]);
+    return rows.length > 0 ? this.messageFromRow(rows[0]) : null;
+  }
+}
+
+class MemoryOutboxStore {
+  constructor() {
+    this.name = 'memory';
+    this.messages = []; // In insertion order
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - outbox messages are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // client is ignored; the memory stores write without transactions
+  async insertMessages(client, messages, at = new Date()) {
+    const rows = expandMessages(messages, at);
+    if (rows.some(row => this.messages.some(existing => existing.messageId === row.messageId && existing.destination === row.destination))) {
+      throw new Error('Outbox message already exists');
+    }
+
+    rows.forEach(row => this.messages.push({
+      ...this.clone(row),
+      id: this.messages.length + 1,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: toIso(at),
+      lastAttemptAt: null,
+      lastError: null,
+      createdAt: toIso(at),
+      deliveredAt: null
+    }));
+  }
+
+  async listDueMessages(at, limit = 50) {
+    return this.clone(this.messages
+      .filter(message => message.status === 'pending' && new Date(message.nextAttemptAt) <= at)
+      .slice(0, limit));
+  }
+
+  async listMessages(filter = {}) {
+    return this.clone(this.messages
+      .filter(message => (!filter.status || message.status === filter.status) &&
+        (!filter.destination || message.destination === filter.destination) &&
+        (!filter.aggregateId || message.aggregateId === filter.aggregateId))
+      .slice(0, filter.limit || 100));
+  }
+
+  async summarizeByDestination() {
+    const summary = {};
+    this.messages.forEach(message => {
+      const entry = summary[message.destination] || { pending: 0, delivered: 0, oldestPendingAt: null, maxAttempts: 0 };
+      entry[message.status] += 1;
+      if (message.status === 'pending') {
+        entry.oldestPendingAt = entry.oldestPendingAt || message.createdAt;
+        entry.maxAttempts = Math.max(entry.maxAttempts, message.attempts);
+      }
+      summary[message.destination] = entry;
+    });
+    return summary;
+  }
+
+  // The stored row if it is still pending at the expected attempt count
+  current(expected) {
+    const message = this.messages.find(entry => entry.id === expected.id);
+    return message && message.status === 'pending' && message.attempts === expected.attempts ? message : null;
+  }
+
+  async claimMessage(expected, at, leaseUntil) {
+    const message = this.current(expected);
+    if (!message) {
+      return null;
+    }
+
+    Object.assign(message, { attempts: message.attempts + 1, lastAttemptAt: toIso(at), nextAttemptAt: toIso(leaseUntil) });
+    return this.clone(message);
+  }
+
+  async markDelivered(expected, at) {
+    const message = this.current(expected);
+    if (!message) {
+      return null;
+    }
+
+    Object.assign(message, { status: 'delivered', deliveredAt: toIso(at), lastError: null });
+    return this.clone(message);
+  }
+
+  async markFailed(expected, error, nextAttemptAt) {
+    const message = this.current(expected);
+    if (!message) {
+      return null;
+    }
+
+    Object.assign(message, { lastError: error, nextAttemptAt: toIso(nextAttemptAt) });
+    return this.clone(message);
+  }
+}
+
+const createOutboxStore = () => {
+  return isDatabaseConfigured() ? new PostgresOutboxStore() : new MemoryOutboxStore();
+};
+
+module.exports = {
+  createOutboxStore,
+  PostgresOutboxStore,
+  MemoryOutboxStore
+};
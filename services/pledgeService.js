@@ -0,0 +1,556 @@
+/**
+ * Pledge Service
+ * Runs the pledge workflow and records RWA token trust lines. A pledge is created in
+ * PENDING_VERIFICATION and announced to the Liquidity Engine (asset_pledged); its tokens
+ * are minted only once a verification_complete message approves it or an admin overrides.
+ * Rejected and expired pledges can be resubmitted. Notifications are written to the
+ * outbox, and the pledged asset to the registry (services/registryService.js), in the
+ * same transaction as the change they follow. The asset's uploaded documents are
+ * anchored in the mint memo (services/documentService.js).
+ *
+ * The worker expires pledges left unverified past PLEDGE_VERIFICATION_TIMEOUT_MS and
+ * retries failed mints. It reads time from `this.clock`, so tests can replace it with a fake clock.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createPledgeStore } = require('./pledgeStore');
+const outboxService = require('./outboxService');
+const registryService = require('./registryService');
+const documentService = require('./documentService');
+const messageBus = require('./messageBus');
+const clientSigningService = require('./clientSigningService');
+const xrplNativeService = require('./xrplNativeService');
+const metricsService = require('./metricsService');
+const { getPledgeConfig } = require('../config/xrplConfig');
+const { validateAssetDetails } = require('../utils/assetSchemas');
+const { CHANNELS, assetPledgedMessage, tokenMintedMessage, trustlineCreatedMessage } = require('./liquidityNotifications');
+const { PLEDGE_STATUS, OVERRIDABLE_STATUSES, RESUBMITTABLE_STATUSES, createTransition } = require('./pledgeStateMachine');
+
+metricsService.register('pledge_transitions_total', 'counter', 'Pledge status changes by target status');
+metricsService.register('pledge_worker_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed pledge worker run');
+
+class PledgeService {
+  constructor() {
+    this.config = getPledgeConfig();
+    this.store = createPledgeStore(outboxService.store, registryService.store);
+    this.clock = () => new Date();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+
+    // Trust lines the client signed through POST /api/native/prepare/trustline
+    clientSigningService.registerSubmitHandler('create_trustline', async (submission, context) => {
+      try {
+        const trustLine = await this.recordTrustLine({
+          txHash: submission.txHash,
+          account: submission.account,
+          currency: context.tokenSymbol,
+          issuer: context.issuer,
+          limit: context.limit,
+          ledgerIndex: submission.ledgerIndex
+        });
+        return { trustLineRecorded: true, trustLine };
+      } catch (error) {
+        console.error(`❌ Trust line ${submission.txHash} validated but not recorded:`, error.message);
+        return { trustLineRecorded: false, error: error.message };
+      }
+    });
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`🏠 Pledge registry using ${this.store.name} store${this.config.requireVerification ? '' : ' (verification not required)'}`);
+
+    try {
+      await messageBus.subscribe(CHANNELS.VERIFICATION_COMPLETE, (message) => this.handleVerificationResult(message));
+    } catch (error) {
+      // Applied once the bus connects
+      console.warn(`⚠️ Verification results not received yet: ${error.message}`);
+    }
+  }
+
+  // documents: the asset's anchor entries ({ type, version, sha256 }), once any are uploaded
+  assetPledgedFor(pledge, documents) {
+    return assetPledgedMessage({
+      assetId: pledge.assetId,
+      assetType: pledge.assetType,
+      pledgedValue: pledge.assetAmount,
+      ownerWallet: pledge.ownerWallet,
+      description: pledge.assetDescription,
+      location: pledge.assetDetails && typeof pledge.assetDetails.location === 'string' ? pledge.assetDetails.location : undefined,
+      documents
+    });
+  }
+
+  /**
+   * Apply a transition if the pledge is still in fromStatus; null if it moved on. The
+   * registered asset follows the pledge's status and details; registryChanges adds an
+   * appraisal or token batch.
+   */
+  async transition(pledge, toStatus, details = {}, changes = {}, messages = [], registryChanges = {}) {
+    const transition = createTransition(pledge.status, toStatus, { ...details, at: this.clock() });
+    const asset = { status: registryService.assetStatusFor(toStatus) };
+    if (changes.assetDescription !== undefined) {
+      asset.description = changes.assetDescription;
+    }
+    if (changes.metadata) {
+      asset.metadata = changes.metadata;
+    }
+
+    const updated = await this.store.transitionPledge(pledge.pledgeId, transition, changes,
+      outboxService.prepareMessages(messages, 'pledge', pledge.pledgeId), { ...registryChanges, asset });
+
+    if (updated) {
+      metricsService.increment('pledge_transitions_total', { status: toStatus });
+      outboxService.kick();
+      console.log(`🏠 Pledge ${pledge.pledgeId} ${pledge.status} -> ${toStatus}${details.reason ? ` (${details.reason})` : ''}`);
+    }
+    return updated;
+  }
+
+  async transitionOrThrow(pledge, toStatus, details, changes, messages, registryChanges) {
+    const updated = await this.transition(pledge, toStatus, details, changes, messages, registryChanges);
+    if (!updated) {
+      throw new Error(`Pledge ${pledge.pledgeId} was modified concurrently, retry the request`);
+    }
+    return updated;
+  }
+
+  verificationWindow() {
+    const submittedAt = this.clock();
+    return {
+      submittedAt,
+      verificationDeadline: new Date(submittedAt.getTime() + this.config.verificationTimeoutMs)
+    };
+  }
+
+  /**
+   * Create a pledge and send it for verification. With PLEDGE_REQUIRE_VERIFICATION=false
+   * it is approved and minted straight away.
+   * asset: { userAddress, assetType, assetAmount, assetDescription, tokenSymbol, assetDetails, assetSchemaVersion, metadata }
+   * assetDetails must already be valid for the asset type (middleware/assetValidation.js).
+   */
+  async submitPledge(asset) {
+    const { submittedAt, verificationDeadline } = this.verificationWindow();
+    const pledge = {
+      pledgeId: uuidv4(),
+      assetId: uuidv4(),
+      assetType: asset.assetType,
+      ownerWallet: asset.userAddress,
+      assetAmount: parseFloat(asset.assetAmount),
+      assetDescription: asset.assetDescription || null,
+      assetDetails: asset.assetDetails || {},
+      assetSchemaVersion: asset.assetSchemaVersion || null,
+      tokenSymbol: asset.tokenSymbol,
+      issuerAddress: null,
+      metadata: asset.metadata || {},
+      status: PLEDGE_STATUS.PENDING_VERIFICATION,
+      submissionCount: 1,
+      submittedAt,
+      verificationDeadline,
+      createdAt: submittedAt
+    };
+
+    const registered = {
+      assetId: pledge.assetId,
+      assetType: pledge.assetType,
+      ownerWallet: pledge.ownerWallet,
+      description: pledge.assetDescription,
+      tokenSymbol: pledge.tokenSymbol,
+      status: registryService.assetStatusFor(pledge.status),
+      declaredValue: pledge.assetAmount,
+      metadata: pledge.metadata,
+      createdAt: submittedAt
+    };
+
+    const transition = createTransition(null, PLEDGE_STATUS.PENDING_VERIFICATION, { reason: 'Submitted for verification', at: submittedAt });
+    const created = await this.store.createPledge(pledge, transition,
+      outboxService.prepareMessages([this.assetPledgedFor(pledge)], 'pledge', pledge.pledgeId), registered);
+    metricsService.increment('pledge_transitions_total', { status: PLEDGE_STATUS.PENDING_VERIFICATION });
+    outboxService.kick();
+    console.log(`🏠 Pledge ${created.pledgeId} submitted: ${created.assetAmount} ${created.tokenSymbol} for ${created.ownerWallet}`);
+
+    if (this.config.requireVerification) {
+      return created;
+    }
+
+    const approved = await this.transitionOrThrow(created, PLEDGE_STATUS.APPROVED, { reason: 'Verification not required' });
+    return this.mintPledgeForRequest(approved);
+  }
+
+  // verification_complete from the Liquidity Engine; results for pledges no longer pending are ignored
+  async handleVerificationResult(message) {
+    const pledge = await this.store.getPledgeByAssetId(message.assetId);
+    if (!pledge) {
+      console.warn(`⚠️ Verification result for unknown asset ${message.assetId} ignored`);
+      return;
+    }
+    if (pledge.status !== PLEDGE_STATUS.PENDING_VERIFICATION) {
+      console.warn(`⚠️ Verification result for pledge ${pledge.pledgeId} ignored: pledge is ${pledge.status}`);
+      return;
+    }
+
+    const changes = {
+      verificationId: message.verificationId || null,
+      verificationResult: message.result,
+      verifiedAt: this.clock()
+    };
+    const details = { actor: 'liquidity_engine', metadata: { verificationId: message.verificationId || null } };
+
+    // The consensus value is the asset's appraisal, whatever the decision
+    const registryChanges = {};
+    if (message.result.consensusValue !== undefined) {
+      registryChanges.appraisal = {
+        assetId: pledge.assetId,
+        value: parseFloat(message.result.consensusValue),
+        currency: 'USD',
+        source: 'liquidity_engine',
+        appraiser: message.verificationId || null,
+        notes: null,
+        appraisedAt: changes.verifiedAt
+      };
+    }
+
+    if (!message.result.approved) {
+      await this.transition(pledge, PLEDGE_STATUS.REJECTED,
+        { ...details, reason: message.result.reason || 'Rejected by Liquidity Engine verification' }, changes, [], registryChanges);
+      return;
+    }
+
+    const approved = await this.transition(pledge, PLEDGE_STATUS.APPROVED,
+      { ...details, reason: 'Approved by Liquidity Engine verification' }, changes, [], registryChanges);
+    if (approved) {
+      await this.mintPledge(approved);
+    }
+  }
+
+  // Admin override: approve without (or against) verification and mint
+  async approvePledge(pledgeId, admin, reason) {
+    const pledge = await this.getPledgeOrThrow(pledgeId);
+    if (!OVERRIDABLE_STATUSES.includes(pledge.status)) {
+      throw new Error(`Pledge ${pledgeId} is ${pledge.status} and cannot be approved`);
+    }
+
+    const approved = await this.transitionOrThrow(pledge, PLEDGE_STATUS.APPROVED, {
+      actor: `admin:${admin}`,
+      reason: reason || 'Approved by admin override'
+    }, { mintAttempts: 0, mintError: null });
+    return this.mintPledgeForRequest(approved);
+  }
+
+  async rejectPledge(pledgeId, admin, reason) {
+    const pledge = await this.getPledgeOrThrow(pledgeId);
+    if (![PLEDGE_STATUS.PENDING_VERIFICATION, PLEDGE_STATUS.APPROVED].includes(pledge.status)) {
+      throw new Error(`Pledge ${pledgeId} is ${pledge.status} and cannot be rejected`);
+    }
+
+    return this.transitionOrThrow(pledge, PLEDGE_STATUS.REJECTED, { actor: `admin:${admin}`, reason });
+  }
+
+  // Send a rejected or expired pledge for verification again, optionally with corrected description, details or metadata
+  async resubmitPledge(pledgeId, updates = {}) {
+    const pledge = await this.getPledgeOrThrow(pledgeId);
+    if (!RESUBMITTABLE_STATUSES.includes(pledge.status)) {
+      throw new Error(`Pledge ${pledgeId} is ${pledge.status} and cannot be resubmitted`);
+    }
+
+    const { submittedAt, verificationDeadline } = this.verificationWindow();
+    const changes = {
+      submissionCount: pledge.submissionCount + 1,
+      submittedAt,
+      verificationDeadline,
+      verificationId: null,
+      verificationResult: null,
+      verifiedAt: null
+    };
+    if (updates.assetDescription !== undefined) {
+      changes.assetDescription = updates.assetDescription;
+    }
+    if (updates.metadata) {
+      changes.metadata = { ...pledge.metadata, ...updates.metadata };
+    }
+    if (updates.assetDetails) {
+      // Replaced as a whole and checked against the asset type's current schema
+      const details = validateAssetDetails(pledge.assetType, updates.assetDetails);
+      if (!details.valid) {
+        throw new Error(`Invalid asset details for ${pledge.assetType}: ${details.errors.join('; ')}`);
+      }
+      changes.assetDetails = updates.assetDetails;
+      changes.assetSchemaVersion = details.schemaVersion;
+    }
+
+    const documents = await documentService.listAnchorEntries(pledge.assetId);
+    return this.transitionOrThrow(pledge, PLEDGE_STATUS.PENDING_VERIFICATION,
+      { reason: `Resubmitted for verification (submission ${changes.submissionCount})` },
+      changes, [this.assetPledgedFor({ ...pledge, ...changes }, documents.length > 0 ? documents : undefined)]);
+  }
+
+  /**
+   * Mint for an HTTP request. An issuer signer that waits for vault approval can take up
+   * to SIGNER_APPROVAL_TIMEOUT_MS, so the mint then carries on in the background and the
+   * pledge is returned MINTING with mintSigning: { signRequestId } or { queuedBehind }.
+   */
+  async mintPledgeForRequest(pledge) {
+    const signer = xrplNativeService.issuerSigner;
+    if (!signer || !signer.requiresApproval) {
+      return this.mintPledge(pledge);
+    }
+
+    let signing;
+    const started = new Promise(resolve => { signing = resolve; });
+    const minting = this.mintPledge(pledge, {
+      onSignRequest: (request) => signing({ signRequestId: request.requestId }),
+      onQueued: (ahead) => signing({ queuedBehind: ahead })
+    }).catch(error => console.error(`❌ Mint for pledge ${pledge.pledgeId} failed:`, error.message));
+
+    const mintSigning = await Promise.race([started, minting.then(() => null)]);
+    const current = await this.getPledgeOrThrow(pledge.pledgeId);
+    return mintSigning && current.status === PLEDGE_STATUS.MINTING ? { ...current, mintSigning } : current;
+  }
+
+  /**
+   * Mint an APPROVED pledge's tokens. The pledge is claimed (MINTING) first so it is
+   * minted once. A failed mint returns it to APPROVED with the error for the worker to retry,
+   * but only once a submitted mint transaction is known not to have applied: if its outcome
+   * cannot be established the pledge is left MINT_UNKNOWN for an admin (resolveMint).
+   * signing: callbacks for the issuer signer (see mintPledgeForRequest)
+   */
+  async mintPledge(pledge, signing = {}) {
+    const claimed = await this.transition(pledge, PLEDGE_STATUS.MINTING, { reason: `Mint attempt ${pledge.mintAttempts + 1}` },
+      { mintAttempts: pledge.mintAttempts + 1 });
+    if (!claimed) {
+      return this.getPledgeOrThrow(pledge.pledgeId);
+    }
+
+    let mint;
+    try {
+      // Latest version of each uploaded document, anchored in the mint memo
+      const documents = await documentService.listAnchorEntries(claimed.assetId);
+      mint = await xrplNativeService.pledgeAssetEnhanced(
+        claimed.ownerWallet,
+        claimed.assetType,
+        String(claimed.assetAmount),
+        claimed.assetDescription,
+        claimed.tokenSymbol,
+        claimed.metadata,
+        documents,
+        signing
+      );
+    } catch (error) {
+      console.error(`❌ Mint for pledge ${claimed.pledgeId} failed (attempt ${claimed.mintAttempts}):`, error.message);
+      const { submission } = error;
+      const outcome = submission ? await xrplNativeService.getTransactionOutcome(submission) : null;
+
+      if (outcome && outcome.status === 'success') {
+        mint = { ...submission, ledgerIndex: outcome.ledgerIndex };
+      } else if (outcome && outcome.status === 'unknown') {
+        return this.markMintUnknown(claimed, submission, `${error.message}; outcome unknown: ${outcome.reason}`);
+      } else {
+        const reason = outcome ? `Mint failed (${outcome.transactionResult || 'not included by its LastLedgerSequence'})` : 'Mint failed';
+        return (await this.transition(claimed, PLEDGE_STATUS.APPROVED, { reason, txHash: submission ? submission.txHash : null }, { mintError: error.message })) ||
+          this.getPledgeOrThrow(claimed.pledgeId);
+      }
+    }
+
+    try {
+      return await this.recordMint(claimed, mint, { reason: 'Tokens minted' });
+    } catch (error) {
+      // Left MINTING so it is never minted again automatically
+      console.error(`❌ Mint ${mint.txHash} succeeded but pledge ${claimed.pledgeId} was not updated:`, error.message);
+      throw new Error(`Tokens minted (${mint.txHash}) but pledge ${claimed.pledgeId} was not updated: ${error.message}`);
+    }
+  }
+
+  // Park a pledge whose submitted mint may or may not have applied; it is never retried automatically
+  async markMintUnknown(pledge, submission, mintError) {
+    console.error(`❌ Mint ${submission.txHash} of pledge ${pledge.pledgeId} has an unknown outcome - resolve it manually`);
+    return (await this.transition(pledge, PLEDGE_STATUS.MINT_UNKNOWN, {
+      reason: 'Mint outcome unknown',
+      txHash: submission.txHash,
+      metadata: { submission }
+    }, { mintTxHash: submission.txHash, mintError })) || this.getPledgeOrThrow(pledge.pledgeId);
+  }
+
+  // Record a validated mint: MINTED, token_minted and the registry's token batch
+  async recordMint(pledge, mint, details) {
+    const mintedAt = this.clock();
+    return this.transitionOrThrow(pledge, PLEDGE_STATUS.MINTED, { ...details, txHash: mint.txHash }, {
+      issuerAddress: mint.issuerAddress,
+      mintTxHash: mint.txHash,
+      mintLedgerIndex: mint.ledgerIndex || null,
+      mintedAt,
+      mintError: null
+    }, [tokenMintedMessage({
+      tokenId: pledge.pledgeId,
+      assetId: pledge.assetId,
+      tokenSymbol: pledge.tokenSymbol,
+      issuerAddress: mint.issuerAddress,
+      totalSupply: pledge.assetAmount,
+      xrplTxHash: mint.txHash
+    })], {
+      tokenBatch: {
+        txHash: mint.txHash,
+        assetId: pledge.assetId,
+        pledgeId: pledge.pledgeId,
+        tokenSymbol: pledge.tokenSymbol,
+        issuerAddress: mint.issuerAddress,
+        recipient: pledge.ownerWallet,
+        amount: pledge.assetAmount,
+        ledgerIndex: mint.ledgerIndex || null,
+        documents: mint.documentAnchor || null,
+        mintedAt
+      }
+    });
+  }
+
+  /**
+   * Resolve a MINT_UNKNOWN pledge (admin): its mint transaction is looked up again and the
+   * pledge becomes MINTED if it applied, or APPROVED (retried by the worker) if it cannot.
+   */
+  async resolveMint(pledgeId, admin) {
+    const pledge = await this.getPledgeOrThrow(pledgeId);
+    if (pledge.status !== PLEDGE_STATUS.MINT_UNKNOWN) {
+      throw new Error(`Pledge ${pledgeId} is ${pledge.status} and cannot be resolved`);
+    }
+
+    const history = await this.store.listTransitions(pledgeId);
+    const parked = history.filter(transition => transition.toStatus === PLEDGE_STATUS.MINT_UNKNOWN).pop();
+    const submission = parked.metadata.submission;
+    const outcome = await xrplNativeService.getTransactionOutcome(submission);
+    const actor = `admin:${admin}`;
+
+    if (outcome.status === 'success') {
+      return this.recordMint(pledge, { ...submission, ledgerIndex: outcome.ledgerIndex }, { actor, reason: 'Mint found on ledger' });
+    }
+    if (outcome.status === 'unknown') {
+      throw new Error(`Mint outcome of pledge ${pledgeId} is still unknown: ${outcome.reason}`);
+    }
+
+    return this.transitionOrThrow(pledge, PLEDGE_STATUS.APPROVED, {
+      actor,
+      reason: `Mint ${submission.txHash} did not apply (${outcome.transactionResult || 'not included by its LastLedgerSequence'})`,
+      txHash: submission.txHash
+    }, { mintTxHash: null });
+  }
+
+  // The pledge with its status history
+  async getPledgeStatus(pledgeId) {
+    const pledge = await this.getPledgeOrThrow(pledgeId);
+    return { ...pledge, history: await this.store.listTransitions(pledgeId) };
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`🏠 Pledge worker started (every ${this.config.checkIntervalMs / 1000}s, verification timeout ${Math.round(this.config.verificationTimeoutMs / 3600000)}h)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('🏠 Pledge worker stopped');
+    }
+  }
+
+  // Expire pledges past their verification deadline and retry failed mints
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const at = this.clock();
+    const summary = { at: at.toISOString(), expired: 0, minted: 0, mintFailed: 0, errors: [] };
+
+    try {
+      for (const pledge of await this.store.listExpiredPledges(at)) {
+        try {
+          const hours = Math.round(this.config.verificationTimeoutMs / 3600000);
+          if (await this.transition(pledge, PLEDGE_STATUS.EXPIRED, { reason: `No verification result within ${hours}h` })) {
+            summary.expired += 1;
+          }
+        } catch (error) {
+          summary.errors.push({ pledgeId: pledge.pledgeId, error: error.message });
+        }
+      }
+
+      const approved = await this.store.listPledgesByStatus(PLEDGE_STATUS.APPROVED);
+      for (const pledge of approved.filter(candidate => candidate.mintAttempts < this.config.maxMintAttempts)) {
+        try {
+          const result = await this.mintPledge(pledge);
+          if (result.status === PLEDGE_STATUS.MINTED) summary.minted += 1;
+          else summary.mintFailed += 1;
+        } catch (error) {
+          summary.errors.push({ pledgeId: pledge.pledgeId, error: error.message });
+        }
+      }
+
+      metricsService.set('pledge_worker_last_run_timestamp_seconds', Math.floor(this.clock().getTime() / 1000));
+    } catch (error) {
+      console.error('❌ Pledge worker run failed:', error.message);
+      summary.errors.push({ error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.lastRun = summary;
+    return summary;
+  }
+
+  /**
+   * Record a validated TrustSet; a transaction hash is recorded once.
+   * trustLine: { txHash, account, currency, issuer, limit, ledgerIndex }
+   */
+  async recordTrustLine(trustLine) {
+    const record = {
+      txHash: trustLine.txHash,
+      account: trustLine.account,
+      currency: trustLine.currency,
+      issuerAddress: trustLine.issuer,
+      limitAmount: parseFloat(trustLine.limit),
+      ledgerIndex: trustLine.ledgerIndex || null,
+      createdAt: new Date().toISOString()
+    };
+
+    const messages = outboxService.prepareMessages([
+      trustlineCreatedMessage({
+        walletAddress: record.account,
+        tokenId: record.currency,
+        issuerAddress: record.issuerAddress,
+        limitAmount: record.limitAmount,
+        xrplTxHash: record.txHash
+      })
+    ], 'trust_line', record.txHash);
+
+    const recorded = await this.store.recordTrustLine(record, messages);
+    if (recorded) {
+      outboxService.kick();
+    }
+    return recorded || record;
+  }
+
+  async getPledge(pledgeId) {
+    return this.store.getPledge(pledgeId);
+  }
+
+  // The pledge for a registered asset with its status history; null if there is none
+  async getPledgeForAsset(assetId) {
+    const pledge = await this.store.getPledgeByAssetId(assetId);
+    return pledge ? { ...pledge, history: await this.store.listTransitions(pledge.pledgeId) } : null;
+  }
+
+  async getPledgeOrThrow(pledgeId) {
+    const pledge = await this.store.getPledge(pledgeId);
+    if (!pledge) {
+      throw new Error(`Pledge ${pledgeId} not found`);
+    }
+    return pledge;
+  }
+}
+
+// Export singleton instance
+module.exports = new PledgeService();
@@ -0,0 +1,72 @@
+/**
+ * Pledge State Machine
+ * Declares the legal pledge status transitions; every status change in pledgeService
+ * goes through assertTransition() and is recorded in the pledge's history.
+ */
+
+const PLEDGE_STATUS = {
+  PENDING_VERIFICATION: 'PENDING_VERIFICATION', // asset_pledged sent, waiting for verification_complete
+  APPROVED: 'APPROVED', // Verified or overridden; tokens not minted yet
+  MINTING: 'MINTING', // Mint transaction in flight
+  MINT_UNKNOWN: 'MINT_UNKNOWN', // Mint submitted but its outcome could not be established; resolved by an admin
+  MINTED: 'MINTED',
+  REJECTED: 'REJECTED',
+  EXPIRED: 'EXPIRED' // No verification result before the deadline
+};
+
+// from -> allowed targets
+const PLEDGE_TRANSITIONS = {
+  [PLEDGE_STATUS.PENDING_VERIFICATION]: [PLEDGE_STATUS.APPROVED, PLEDGE_STATUS.REJECTED, PLEDGE_STATUS.EXPIRED],
+  [PLEDGE_STATUS.APPROVED]: [PLEDGE_STATUS.MINTING, PLEDGE_STATUS.REJECTED],
+  [PLEDGE_STATUS.MINTING]: [PLEDGE_STATUS.MINTED, PLEDGE_STATUS.APPROVED, PLEDGE_STATUS.MINT_UNKNOWN], // Back to APPROVED when the mint failed
+  [PLEDGE_STATUS.MINT_UNKNOWN]: [PLEDGE_STATUS.MINTED, PLEDGE_STATUS.APPROVED],
+  [PLEDGE_STATUS.REJECTED]: [PLEDGE_STATUS.PENDING_VERIFICATION, PLEDGE_STATUS.APPROVED], // Resubmitted or overridden
+  [PLEDGE_STATUS.EXPIRED]: [PLEDGE_STATUS.PENDING_VERIFICATION, PLEDGE_STATUS.APPROVED],
+  [PLEDGE_STATUS.MINTED]: []
+};
+
+// Statuses an admin override may approve from
+const OVERRIDABLE_STATUSES = [PLEDGE_STATUS.PENDING_VERIFICATION, PLEDGE_STATUS.REJECTED, PLEDGE_STATUS.EXPIRED];
+
+// Statuses a pledge may be resubmitted for verification from
+const RESUBMITTABLE_STATUSES = [PLEDGE_STATUS.REJECTED, PLEDGE_STATUS.EXPIRED];
+
+const canTransition = (fromStatus, toStatus) => {
+  return (PLEDGE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`Invalid pledge transition from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+// Build a history record for a status change (fromStatus is null on creation)
+const createTransition = (fromStatus, toStatus, details = {}) => {
+  if (fromStatus === null && toStatus !== PLEDGE_STATUS.PENDING_VERIFICATION) {
+    throw new Error(`Pledges cannot be created in status ${toStatus}`);
+  }
+  if (fromStatus !== null) {
+    assertTransition(fromStatus, toStatus);
+  }
+
+  return {
+    fromStatus,
+    toStatus,
+    actor: details.actor || 'system',
+    reason: details.reason || null,
+    txHash: details.txHash || null,
+    metadata: details.metadata || null,
+    createdAt: details.at ? new Date(details.at).toISOString() : new Date().toISOString()
+  };
+};
+
+module.exports = {
+  PLEDGE_STATUS,
+  PLEDGE_TRANSITIONS,
+  OVERRIDABLE_STATUSES,
+  RESUBMITTABLE_STATUSES,
+  canTransition,
+  assertTransition,
+  createTransition
+};
@@ -0,0 +1,340 @@
+/**
+ * Pledge Store
+ * Tokenized asset pledges and RWA token trust lines. Uses the asset_pledges and
+ * trust_lines tables when DATABASE_URL is set, otherwise an in-memory store
+ * (development only).
+ *
+ * Each record is written in one transaction with its Liquidity Engine notifications
+ * in the outbox, so a notification is never lost or sent for a record that was not stored.
+ * Pledges update the asset registry (services/registryStore.js) in the same transaction.
+ * A pledge's status changes only if it is still in the status the change was decided
+ * from, so two workers cannot both act on it (for example, mint it twice).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+
+// Pledge fields that change after creation, and their columns
+const PLEDGE_COLUMNS = {
+  assetDescription: 'asset_description',
+  assetDetails: 'asset_details',
+  assetSchemaVersion: 'asset_schema_version',
+  metadata: 'metadata',
+  issuerAddress: 'issuer_address',
+  mintTxHash: 'mint_tx_hash',
+  mintLedgerIndex: 'mint_ledger_index',
+  mintedAt: 'minted_at',
+  submissionCount: 'submission_count',
+  submittedAt: 'submitted_at',
+  verificationDeadline: 'verification_deadline',
+  verificationId: 'verification_id',
+  verificationResult: 'verification_result',
+  verifiedAt: 'verified_at',
+  mintAttempts: 'mint_attempts',
+  mintError: 'mint_error'
+};
+
+const JSON_COLUMNS = ['metadata', 'verification_result', 'asset_details'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Registry changes made with a pledge transition: { asset?: asset field changes, appraisal?, tokenBatch? }
+const applyRegistryChanges = async (registry, client, assetId, changes, at) => {
+  if (changes.asset) {
+    await registry.updateAsset(client, assetId, changes.asset, at);
+  }
+  if (changes.appraisal) {
+    await registry.insertAppraisal(client, changes.appraisal);
+  }
+  if (changes.tokenBatch) {
+    await registry.insertTokenBatch(client, changes.tokenBatch);
+  }
+};
+
+class PostgresPledgeStore {
+  constructor(outbox, registry) {
+    this.name = 'postgres';
+    this.outbox = outbox;
+    this.registry = registry;
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/pledge_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  pledgeFromRow(row) {
+    return {
+      pledgeId: row.pledge_id,
+      assetId: row.asset_id,
+      assetType: row.asset_type,
+      ownerWallet: row.owner_wallet,
+      assetAmount: toNumber(row.asset_amount),
+      assetDescription: row.asset_description,
+      assetDetails: row.asset_details,
+      assetSchemaVersion: row.asset_schema_version,
+      tokenSymbol: row.token_symbol,
+      issuerAddress: row.issuer_address,
+      metadata: row.metadata,
+      status: row.status,
+      submissionCount: row.submission_count,
+      submittedAt: toIso(row.submitted_at),
+      verificationDeadline: toIso(row.verification_deadline),
+      verificationId: row.verification_id,
+      verificationResult: row.verification_result,
+      verifiedAt: toIso(row.verified_at),
+      mintAttempts: row.mint_attempts,
+      mintError: row.mint_error,
+      mintTxHash: row.mint_tx_hash,
+      mintLedgerIndex: row.mint_ledger_index === null ? null : parseInt(row.mint_ledger_index),
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at),
+      mintedAt: toIso(row.minted_at)
+    };
+  }
+
+  transitionFromRow(row) {
+    return {
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      txHash: row.tx_hash,
+      metadata: row.metadata,
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  async insertTransition(client, pledgeId, transition) {
+    await client.query(`
+      INSERT INTO pledge_transitions (pledge_id, from_status, to_status, actor, reason, tx_hash, metadata, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [pledgeId, transition.fromStatus, transition.toStatus, transition.actor, transition.reason,
+      transition.txHash, transition.metadata ? JSON.stringify(transition.metadata) : null, transition.createdAt]);
+  }
+
+  trustLineFromRow(row) {
+    return {
+      txHash: row.tx_hash,
+      account: row.account,
+      currency: row.currency,
+      issuerAddress: row.issuer_address,
+      limitAmount: toNumber(row.limit_amount),
+      ledgerIndex: row.ledger_index === null ? null : parseInt(row.ledger_index),
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  // Create a pledge and register its asset, with the first transition and notifications
+  async createPledge(pledge, transition, messages, asset) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO asset_pledges (
+          pledge_id, asset_id, asset_type, owner_wallet, asset_amount, asset_description, token_symbol,
+          issuer_address, metadata, status, submission_count, submitted_at, verification_deadline,
+          created_at, updated_at, asset_details, asset_schema_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14, $15, $16)
+        RETURNING *
+      `, [
+        pledge.pledgeId, pledge.assetId, pledge.assetType, pledge.ownerWallet, pledge.assetAmount,
+        pledge.assetDescription, pledge.tokenSymbol, pledge.issuerAddress, JSON.stringify(pledge.metadata || {}),
+        pledge.status, pledge.submissionCount, pledge.submittedAt, pledge.verificationDeadline, pledge.createdAt,
+        JSON.stringify(pledge.assetDetails || {}), pledge.assetSchemaVersion
+      ]);
+
+      await this.registry.insertAsset(client, asset);
+      await this.insertTransition(client, pledge.pledgeId, transition);
+      await this.outbox.insertMessages(client, messages);
+      return this.pledgeFromRow(rows[0]);
+    });
+  }
+
+  /**
+   * Apply a transition and field changes if the pledge is still in transition.fromStatus,
+   * with its registry changes and notifications. Returns the updated pledge, or null if
+   * its status moved on.
+   */
+  async transitionPledge(pledgeId, transition, changes = {}, messages = [], registryChanges = {}) {
+    return withTransaction(async (client) => {
+      const assignments = ['status = $3', 'updated_at = $4'];
+      const values = [pledgeId, transition.fromStatus, transition.toStatus, transition.createdAt];
+      Object.entries(changes).forEach(([field, value]) => {
+        const column = PLEDGE_COLUMNS[field];
+        values.push(JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+        assignments.push(`${column} = $${values.length}`);
+      });
+
+      const { rows } = await client.query(`
+        UPDATE asset_pledges SET ${assignments.join(', ')}
+        WHERE pledge_id = $1 AND status = $2
+        RETURNING *
+      `, values);
+
+      if (rows.length === 0) {
+        return null;
+      }
+      await applyRegistryChanges(this.registry, client, rows[0].asset_id, registryChanges, transition.createdAt);
+      await this.insertTransition(client, pledgeId, transition);
+      await this.outbox.insertMessages(client, messages);
+      return this.pledgeFromRow(rows[0]);
+    });
+  }
+
+  async getPledge(pledgeId) {
+    const rows = await query('SELECT * FROM asset_pledges WHERE pledge_id = $1', [pledgeId]);
+    return rows.length > 0 ? this.pledgeFromRow(rows[0]) : null;
+  }
+
+  async getPledgeByAssetId(assetId) {
+    const rows = await query('SELECT * FROM asset_pledges WHERE asset_id = $1 ORDER BY id DESC LIMIT 1', [assetId]);
+    return rows.length > 0 ? this.pledgeFromRow(rows[0]) : null;
+  }
+
+  async listTransitions(pledgeId) {
+    const rows = await query('SELECT * FROM pledge_transitions WHERE pledge_id = $1 ORDER BY id ASC', [pledgeId]);
+    return rows.map(row => this.transitionFromRow(row));
+  }
+
+  // Oldest first
+  async listPledgesByStatus(status, limit = 100) {
+    const rows = await query(`
+      SELECT * FROM asset_pledges WHERE status = $1 ORDER BY id ASC LIMIT $2
+    `, [status, limit]);
+    return rows.map(row => this.pledgeFromRow(row));
+  }
+
+  // Pending pledges whose verification deadline has passed
+  async listExpiredPledges(at, limit = 100) {
+    const rows = await query(`
+      SELECT * FROM asset_pledges
+      WHERE status = 'PENDING_VERIFICATION' AND verification_deadline <= $1
+      ORDER BY verification_deadline ASC
+      LIMIT $2
+    `, [at, limit]);
+    return rows.map(row => this.pledgeFromRow(row));
+  }
+
+  // A trust line is recorded (and announced) once per transaction hash; returns null if it already was
+  async recordTrustLine(trustLine, messages) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO trust_lines (tx_hash, account, currency, issuer_address, limit_amount, ledger_index, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (tx_hash) DO NOTHING
+        RETURNING *
+      `, [trustLine.txHash, trustLine.account, trustLine.currency, trustLine.issuerAddress,
+        trustLine.limitAmount, trustLine.ledgerIndex, trustLine.createdAt]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+      await this.outbox.insertMessages(client, messages);
+      return this.trustLineFromRow(rows[0]);
+    });
+  }
+}
+
+class MemoryPledgeStore {
+  constructor(outbox, registry) {
+    this.name = 'memory';
+    this.outbox = outbox;
+    this.registry = registry;
+    this.pledges = new Map(); // In creation order
+    this.transitions = new Map(); // pledgeId -> transitions
+    this.trustLines = new Map(); // txHash -> trust line
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - pledges and trust lines are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async createPledge(pledge, transition, messages, asset) {
+    if (this.pledges.has(pledge.pledgeId)) {
+      throw new Error(`Pledge ${pledge.pledgeId} already exists`);
+    }
+
+    await this.registry.insertAsset(null, asset);
+    await this.outbox.insertMessages(null, messages);
+    const stored = {
+      mintAttempts: 0,
+      mintError: null,
+      mintTxHash: null,
+      mintLedgerIndex: null,
+      mintedAt: null,
+      verificationId: null,
+      verificationResult: null,
+      verifiedAt: null,
+      ...this.clone(pledge),
+      updatedAt: pledge.createdAt
+    };
+    this.pledges.set(pledge.pledgeId, stored);
+    this.transitions.set(pledge.pledgeId, [this.clone(transition)]);
+    return this.clone(stored);
+  }
+
+  async transitionPledge(pledgeId, transition, changes = {}, messages = [], registryChanges = {}) {
+    const pledge = this.pledges.get(pledgeId);
+    if (!pledge || pledge.status !== transition.fromStatus) {
+      return null;
+    }
+
+    await applyRegistryChanges(this.registry, null, pledge.assetId, registryChanges, transition.createdAt);
+    await this.outbox.insertMessages(null, messages);
+    Object.assign(pledge, this.clone(changes), { status: transition.toStatus, updatedAt: transition.createdAt });
+    this.transitions.get(pledgeId).push(this.clone(transition));
+    return this.clone(pledge);
+  }
+
+  async getPledge(pledgeId) {
+    const pledge = this.pledges.get(pledgeId);
+    return pledge ? this.clone(pledge) : null;
+  }
+
+  async getPledgeByAssetId(assetId) {
+    const pledge = Array.from(this.pledges.values()).reverse().find(candidate => candidate.assetId === assetId);
+    return pledge ? this.clone(pledge) : null;
+  }
+
+  async listTransitions(pledgeId) {
+    return this.clone(this.transitions.get(pledgeId) || []);
+  }
+
+  async listPledgesByStatus(status, limit = 100) {
+    return this.clone(Array.from(this.pledges.values())
+      .filter(pledge => pledge.status === status)
+      .slice(0, limit));
+  }
+
+  async listExpiredPledges(at, limit = 100) {
+    return this.clone(Array.from(this.pledges.values())
+      .filter(pledge => pledge.status === 'PENDING_VERIFICATION' && new Date(pledge.verificationDeadline) <= at)
+      .sort((a, b) => new Date(a.verificationDeadline) - new Date(b.verificationDeadline))
+      .slice(0, limit));
+  }
+
+  async recordTrustLine(trustLine, messages) {
+    if (this.trustLines.has(trustLine.txHash)) {
+      return null;
+    }
+
+    await this.outbox.insertMessages(null, messages);
+    this.trustLines.set(trustLine.txHash, this.clone(trustLine));
+    return this.clone(trustLine);
+  }
+}
+
+const createPledgeStore = (outbox, registry) => {
+  return isDatabaseConfigured() ? new PostgresPledgeStore(outbox, registry) : new MemoryPledgeStore(outbox, registry);
+};
+
+module.exports = {
+  createPledgeStore,
+  PostgresPledgeStore,
+  MemoryPledgeStore
+};
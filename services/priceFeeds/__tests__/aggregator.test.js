@@ -0,0 +1,86 @@
+/**
+ * Price Aggregator tests
+ */
+
+const { median, aggregateQuotes } = require('../aggregator');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const OPTIONS = { now: NOW, maxAgeSeconds: 300, maxDeviation: 0.05, minSources: 1 };
+
+const quote = (source, price, ageSeconds = 0, extra = {}) => ({
+  source,
+  type: 'http',
+  price,
+  timestamp: new Date(NOW.getTime() - ageSeconds * 1000).toISOString(),
+  ...extra
+});
+
+const statuses = (result) => Object.fromEntries(result.sources.map(source => [source.source, source.status]));
+
+describe('median', () => {
+  test('odd and even counts', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+});
+
+describe('aggregateQuotes', () => {
+  test('uses the median of fresh quotes and records provenance', () => {
+    const result = aggregateQuotes('gold', [quote('b', 101), quote('a', 100), quote('c', 102)], OPTIONS);
+
+    expect(result).toMatchObject({ asset: 'gold', price: 101, currency: 'USD', asOf: NOW.toISOString(), sourcesUsed: 3 });
+    expect(result.sources.map(source => source.source)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('drops stale quotes, honouring per-feed max age and static quotes', () => {
+    const result = aggregateQuotes('gold', [
+      quote('fresh', 100, 10),
+      quote('stale', 90, 301),
+      quote('slow', 101, 600, { maxAgeSeconds: 900 }),
+      quote('static', 99, 86400, { static: true })
+    ], OPTIONS);
+
+    expect(statuses(result)).toEqual({ fresh: 'accepted', stale: 'stale', slow: 'accepted', static: 'accepted' });
+    expect(result.price).toBe(100);
+  });
+
+  test('rejects outliers only when there are more than two fresh quotes', () => {
+    const three = aggregateQuotes('gold', [quote('a', 100), quote('b', 101), quote('c', 150)], OPTIONS);
+    expect(statuses(three)).toEqual({ a: 'accepted', b: 'accepted', c: 'outlier' });
+    expect(three.price).toBe(100.5);
+
+    const two = aggregateQuotes('gold', [quote('a', 100), quote('c', 150)], OPTIONS);
+    expect(statuses(two)).toEqual({ a: 'accepted', c: 'accepted' });
+    expect(two.price).toBe(125);
+  });
+
+  test('keeps failed feeds in the sources', () => {
+    const result = aggregateQuotes('gold', [quote('a', 100), { source: 'down', type: 'http', error: 'timeout' }], OPTIONS);
+
+    expect(result.sources.find(source => source.source === 'down')).toMatchObject({ status: 'error', reason: 'timeout' });
+    expect(result.sourcesUsed).toBe(1);
+  });
+
+  test('volume is the median of accepted sources that report one', () => {
+    const result = aggregateQuotes('gold', [
+      quote('a', 100, 0, { volume24h: 10 }),
+      quote('b', 100, 0, { volume24h: 30 }),
+      quote('c', 100)
+    ], OPTIONS);
+    expect(result.volume24h).toBe(20);
+
+    expect(aggregateQuotes('gold', [quote('a', 100)], OPTIONS).volume24h).toBeNull();
+  });
+
+  test('throws with the sources when too few are accepted', () => {
+    let thrown;
+    try {
+      aggregateQuotes('gold', [quote('a', 100), quote('b', 100, 1000)], { ...OPTIONS, minSources: 2 });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toBe('Insufficient price sources for gold: 1 accepted, 2 required');
+    expect(thrown.sources.map(source => source.status)).toEqual(['accepted', 'stale']);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Price Aggregator
+ * Combines feed quotes into one price: stale quotes are dropped, quotes too far
+ * from the median are rejected as outliers, and the median of the rest is used.
+ * The result depends only on the quotes and the evaluation time.
+ */
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * quotes:   normalized feed quotes (PriceFeed.getQuote) or { source, type, error } for failed feeds
+ * options:  { now: Date, maxAgeSeconds, maxDeviation, minSources }
+ * Returns { asset, price, currency, volume24h, asOf, sourcesUsed, sources } where sources
+ * records what happened to every quote. volume24h is the median volume of the accepted
+ * sources that report one (null if none do).
+ */
+const aggregateQuotes = (asset, quotes, options) => {
+  const now = options.now.getTime();
+
+  const sources = [...quotes]
+    .sort((a, b) => a.source.localeCompare(b.source))
+    .map(quote => {
+      if (quote.error) {
+        return { ...quote, status: 'error', reason: quote.error };
+      }
+
+      const maxAgeSeconds = quote.static ? null : (quote.maxAgeSeconds || options.maxAgeSeconds);
+      const ageSeconds = (now - new Date(quote.timestamp).getTime()) / 1000;
+
+      if (maxAgeSeconds && ageSeconds > maxAgeSeconds) {
+        return { ...quote, ageSeconds, status: 'stale', reason: `older than ${maxAgeSeconds}s` };
+      }
+      return { ...quote, ageSeconds, status: 'accepted' };
+    });
+
+  const fresh = sources.filter(source => source.status === 'accepted');
+  if (fresh.length > 0) {
+    const freshMedian = median(fresh.map(source => source.price));
+
+    // With two quotes or fewer there is no majority to say which one is wrong
+    fresh.forEach(source => {
+      const deviation = Math.abs(source.price - freshMedian) / freshMedian;
+      source.deviation = deviation;
+      if (fresh.length > 2 && deviation > options.maxDeviation) {
+        source.status = 'outlier';
+        source.reason = `${(deviation * 100).toFixed(2)}% from median ${freshMedian}`;
+      }
+    });
+  }
+
+  const accepted = sources.filter(source => source.status === 'accepted');
+  const minSources = Math.max(1, options.minSources || 1);
+  if (accepted.length < minSources) {
+    const error = new Error(`Insufficient price sources for ${asset}: ${accepted.length} accepted, ${minSources} required`);
+    error.sources = sources;
+    throw error;
+  }
+
+  const volumes = accepted.filter(source => source.volume24h !== null && source.volume24h !== undefined);
+
+  return {
+    asset,
+    price: median(accepted.map(source => source.price)),
+    currency: 'USD',
+    volume24h: volumes.length > 0 ? median(volumes.map(source => source.volume24h)) : null,
+    asOf: options.now.toISOString(),
+    sourcesUsed: accepted.length,
+    sources
+  };
+};
+
+module.exports = {
+  median,
+  aggregateQuotes
+};
@@ -0,0 +1,100 @@
+/**
+ * Base Price Feed
+ * Common quote validation and status tracking shared by every feed adapter
+ */
+
+/**
+ * Adapters extend this class and implement:
+ *   fetchQuote(asset) -> { price, timestamp?, volume24h?, details? }
+ * Prices are USD per unit of the asset; timestamp is when the source observed
+ * the price (ISO string, Date or Unix ms); volume24h is the source's 24h USD volume. Missing timestamps fall back to the
+ * time the quote was received and are flagged in the provenance.
+ */
+class PriceFeed {
+  constructor(type, options = {}) {
+    if (!options.id) {
+      throw new Error(`${type} price feed requires an id`);
+    }
+
+    this.id = options.id;
+    this.type = type;
+    this.assets = Array.isArray(options.assets) ? options.assets : Object.keys(options.assets || {});
+    this.maxAgeSeconds = options.maxAgeSeconds || null; // Overrides ORACLE_MAX_QUOTE_AGE_SECONDS
+    this.lastQuoteAt = null;
+    this.lastError = null;
+  }
+
+  supports(asset) {
+    return this.assets.includes(asset);
+  }
+
+  // Fetch and normalize one quote; errors are recorded and rethrown
+  async getQuote(asset) {
+    const receivedAt = new Date();
+
+    try {
+      const quote = await this.fetchQuote(asset);
+      const price = parseFloat(quote.price);
+
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`invalid price ${quote.price}`);
+      }
+
+      const timestamp = quote.timestamp !== undefined && quote.timestamp !== null ? new Date(quote.timestamp) : receivedAt;
+      if (isNaN(timestamp.getTime())) {
+        throw new Error(`invalid timestamp ${quote.timestamp}`);
+      }
+
+      const volume24h = quote.volume24h !== undefined && quote.volume24h !== null ? parseFloat(quote.volume24h) : null;
+      if (volume24h !== null && (!Number.isFinite(volume24h) || volume24h < 0)) {
+        throw new Error(`invalid volume ${quote.volume24h}`);
+      }
+
+      this.lastQuoteAt = receivedAt.toISOString();
+      this.lastError = null;
+
+      return {
+        asset,
+        price,
+        currency: 'USD',
+        source: this.id,
+        type: this.type,
+        timestamp: timestamp.toISOString(),
+        timestampSource: quote.timestamp !== undefined && quote.timestamp !== null ? 'feed' : 'received',
+        receivedAt: receivedAt.toISOString(),
+        volume24h,
+        maxAgeSeconds: quote.static ? null : this.maxAgeSeconds,
+        static: Boolean(quote.static),
+        details: quote.details || null
+      };
+    } catch (error) {
+      this.lastError = { message: error.message, at: receivedAt.toISOString() };
+      throw new Error(`${this.id} feed: ${error.message}`);
+    }
+  }
+
+  async fetchQuote() {
+    throw new Error(`${this.type} price feed must implement fetchQuote()`);
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      type: this.type,
+      assets: this.assets,
+      maxAgeSeconds: this.maxAgeSeconds,
+      lastQuoteAt: this.lastQuoteAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Read a dotted path ("data.0.price") from a JSON document
+const getPath = (document, path) => {
+  return String(path).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), document);
+};
+
+module.exports = {
+  PriceFeed,
+  getPath
+};
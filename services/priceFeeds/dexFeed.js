@@ -0,0 +1,74 @@
+/**
+ * DEX Mid-Price Feed
+ * Mid-price between the best bid and best ask of an XRPL order book
+ *
+ * Options:
+ *   pairs     - { XRP: { base: { currency: 'XRP' }, quote: { currency: 'USD', issuer: 'r...' } } }
+ *               the quote currency must be USD-denominated
+ *   getClient - async () => connected xrpl Client
+ *   maxSpread - reject books whose spread exceeds this fraction of mid (default 0.1)
+ */
+
+const { PriceFeed } = require('./baseFeed');
+
+// XRP amounts are drops strings, issued amounts are { currency, issuer, value }
+const amountValue = (amount) => {
+  return typeof amount === 'string' ? parseFloat(amount) / 1000000 : parseFloat(amount.value);
+};
+
+class DexPriceFeed extends PriceFeed {
+  constructor(options = {}) {
+    super('dex', { ...options, assets: options.pairs });
+
+    if (!options.getClient) {
+      throw new Error(`DEX price feed ${options.id} requires an XRPL client`);
+    }
+
+    this.pairs = options.pairs || {};
+    this.getClient = options.getClient;
+    this.maxSpread = options.maxSpread || 0.1;
+  }
+
+  async getBestOffer(client, takerGets, takerPays) {
+    const response = await client.request({
+      command: 'book_offers',
+      taker_gets: takerGets,
+      taker_pays: takerPays,
+      ledger_index: 'validated',
+      limit: 1
+    });
+
+    return { offer: response.result.offers[0] || null, ledgerIndex: response.result.ledger_index };
+  }
+
+  async fetchQuote(asset) {
+    const { base, quote } = this.pairs[asset];
+    const client = await this.getClient();
+
+    // Asks sell base for quote; bids sell quote for base
+    const [asks, bids] = await Promise.all([
+      this.getBestOffer(client, base, quote),
+      this.getBestOffer(client, quote, base)
+    ]);
+
+    if (!asks.offer || !bids.offer) {
+      throw new Error(`order book for ${asset} has no ${!asks.offer ? 'asks' : 'bids'}`);
+    }
+
+    const bestAsk = amountValue(asks.offer.TakerPays) / amountValue(asks.offer.TakerGets);
+    const bestBid = amountValue(bids.offer.TakerGets) / amountValue(bids.offer.TakerPays);
+    const mid = (bestAsk + bestBid) / 2;
+    const spread = (bestAsk - bestBid) / mid;
+
+    if (spread > this.maxSpread) {
+      throw new Error(`spread ${(spread * 100).toFixed(2)}% exceeds ${(this.maxSpread * 100).toFixed(2)}%`);
+    }
+
+    return {
+      price: mid,
+      details: { bestBid, bestAsk, spread, ledgerIndex: asks.ledgerIndex }
+    };
+  }
+}
+
+module.exports = DexPriceFeed;
@@ -0,0 +1,47 @@
+/**
+ * File Price Feed
+ * Reads prices from a JSON file written by an external job (e.g. an appraisal export)
+ *
+ * File format: { "XRP": { "price": 0.52, "timestamp": "2024-01-01T00:00:00Z" }, "art": { "price": 5000 } }
+ * Quotes without a timestamp use the file's modification time.
+ */
+
+const fs = require('fs');
+const { PriceFeed } = require('./baseFeed');
+
+class FilePriceFeed extends PriceFeed {
+  constructor(options = {}) {
+    super('file', options);
+
+    if (!options.path) {
+      throw new Error(`File price feed ${options.id} requires a path`);
+    }
+
+    this.path = options.path;
+  }
+
+  // The file is re-read on every quote so updates are picked up without a restart
+  async fetchQuote(asset) {
+    const [content, stats] = await Promise.all([
+      fs.promises.readFile(this.path, 'utf8'),
+      fs.promises.stat(this.path)
+    ]);
+
+    const entry = JSON.parse(content)[asset];
+    if (!entry) {
+      throw new Error(`no price for ${asset} in ${this.path}`);
+    }
+
+    return {
+      price: entry.price,
+      timestamp: entry.timestamp || stats.mtime,
+      details: { path: this.path }
+    };
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), path: this.path };
+  }
+}
+
+module.exports = FilePriceFeed;
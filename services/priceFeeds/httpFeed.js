@@ -0,0 +1,71 @@
+/**
+ * HTTP JSON Price Feed
+ * Reads prices from a JSON endpoint (CoinGecko-style or an internal pricing service)
+ *
+ * Options:
+ *   url        - endpoint; "{asset}" is replaced with the asset code
+ *   assets     - { XRP: { path: 'ripple.usd', timestampPath: 'ripple.last_updated_at', timestampUnit: 's',
+ *                         volumePath: 'ripple.usd_24h_vol' } }
+ *   headers    - extra request headers (API keys)
+ *   timeoutMs  - request timeout (default 5000)
+ */
+
+const axios = require('axios');
+const { PriceFeed, getPath } = require('./baseFeed');
+
+// Convert a feed timestamp to something Date understands
+const TIMESTAMP_UNITS = {
+  s: (value) => Number(value) * 1000,
+  ms: (value) => Number(value),
+  iso: (value) => value
+};
+
+class HttpPriceFeed extends PriceFeed {
+  constructor(options = {}) {
+    super('http', options);
+
+    if (!options.url) {
+      throw new Error(`HTTP price feed ${options.id} requires a url`);
+    }
+
+    this.url = options.url;
+    this.assetConfig = options.assets || {};
+    this.client = axios.create({
+      timeout: options.timeoutMs || 5000,
+      headers: { 'Accept': 'application/json', ...(options.headers || {}) }
+    });
+  }
+
+  async fetchQuote(asset) {
+    const config = this.assetConfig[asset];
+    const url = this.url.replace('{asset}', encodeURIComponent(asset));
+
+    let response;
+    try {
+      response = await this.client.get(url);
+    } catch (error) {
+      throw new Error(error.response ? `HTTP ${error.response.status}` : error.message);
+    }
+
+    const price = getPath(response.data, config.path);
+    if (price === undefined) {
+      throw new Error(`no value at ${config.path}`);
+    }
+
+    const rawTimestamp = config.timestampPath ? getPath(response.data, config.timestampPath) : undefined;
+    const toTimestamp = TIMESTAMP_UNITS[config.timestampUnit || 'iso'];
+
+    return {
+      price,
+      timestamp: rawTimestamp !== undefined ? toTimestamp(rawTimestamp) : undefined,
+      volume24h: config.volumePath ? getPath(response.data, config.volumePath) : undefined,
+      details: { url }
+    };
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), url: this.url };
+  }
+}
+
+module.exports = HttpPriceFeed;
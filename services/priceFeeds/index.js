@@ -0,0 +1,50 @@
+/**
+ * Price Feed Factory
+ * Builds the oracle's feed adapters from configuration (ORACLE_FEEDS / ORACLE_FEEDS_PATH)
+ */
+
+const HttpPriceFeed = require('./httpFeed');
+const FilePriceFeed = require('./fileFeed');
+const ManualPriceFeed = require('./manualFeed');
+const DexPriceFeed = require('./dexFeed');
+const { PriceFeed } = require('./baseFeed');
+const { aggregateQuotes, median } = require('./aggregator');
+
+const PRICE_FEED_TYPES = {
+  http: HttpPriceFeed,
+  file: FilePriceFeed,
+  manual: ManualPriceFeed,
+  dex: DexPriceFeed
+};
+
+// dependencies: { getXrplClient } for DEX feeds
+const createPriceFeed = (definition, dependencies = {}) => {
+  const FeedClass = PRICE_FEED_TYPES[definition.type];
+
+  if (!FeedClass) {
+    throw new Error(`Unknown price feed type '${definition.type}'. Use one of: ${Object.keys(PRICE_FEED_TYPES).join(', ')}`);
+  }
+
+  return new FeedClass({ ...definition, getClient: dependencies.getXrplClient });
+};
+
+const createPriceFeeds = (definitions, dependencies = {}) => {
+  const feeds = definitions.map(definition => createPriceFeed(definition, dependencies));
+
+  const ids = feeds.map(feed => feed.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate price feed id '${duplicate}'`);
+  }
+
+  return feeds;
+};
+
+module.exports = {
+  createPriceFeed,
+  createPriceFeeds,
+  aggregateQuotes,
+  median,
+  PriceFeed,
+  PRICE_FEED_TYPES
+};
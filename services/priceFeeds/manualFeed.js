@@ -0,0 +1,70 @@
+/**
+ * Manual Price Feed
+ * Operator-entered quotes, for assets without a market (appraised property, art).
+ *
+ * Options:
+ *   quotes - initial quotes { 'art': { price: 5000, operator: 'ops', static: true } };
+ *            static quotes are reference values that never go stale
+ */
+
+const { PriceFeed } = require('./baseFeed');
+
+class ManualPriceFeed extends PriceFeed {
+  constructor(options = {}) {
+    super('manual', { ...options, assets: Object.keys(options.quotes || {}) });
+
+    this.quotes = new Map();
+    Object.entries(options.quotes || {}).forEach(([asset, quote]) => {
+      this.quotes.set(asset, {
+        price: quote.price,
+        operator: quote.operator || 'config',
+        note: quote.note || null,
+        static: Boolean(quote.static),
+        timestamp: quote.timestamp || new Date().toISOString()
+      });
+    });
+  }
+
+  supports(asset) {
+    return this.quotes.has(asset);
+  }
+
+  // Record an operator quote; replaces the previous quote for the asset
+  setQuote(asset, price, details = {}) {
+    if (!details.operator) {
+      throw new Error('Manual quotes require an operator');
+    }
+
+    const quote = {
+      price: parseFloat(price),
+      operator: details.operator,
+      note: details.note || null,
+      static: false,
+      timestamp: new Date().toISOString()
+    };
+
+    this.quotes.set(asset, quote);
+    if (!this.assets.includes(asset)) {
+      this.assets.push(asset);
+    }
+
+    console.log(`✍️ Manual quote for ${asset} set to ${quote.price} by ${quote.operator}`);
+    return { asset, ...quote, source: this.id };
+  }
+
+  async fetchQuote(asset) {
+    const quote = this.quotes.get(asset);
+    if (!quote) {
+      throw new Error(`no manual quote for ${asset}`);
+    }
+
+    return {
+      price: quote.price,
+      timestamp: quote.timestamp,
+      static: quote.static,
+      details: { operator: quote.operator, note: quote.note }
+    };
+  }
+}
+
+module.exports = ManualPriceFeed;
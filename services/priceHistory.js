@@ -0,0 +1,92 @@
+/**
+ * Price History Analytics
+ * Time-weighted average price and OHLC candles over recorded oracle prices.
+ * Each recorded price is treated as in effect until the next one.
+ */
+
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// '30s', '5m', '1h', '1d' or plain seconds -> seconds
+const parseInterval = (interval) => {
+  const match = /^(\d+)([smhd]?)$/.exec(String(interval));
+  const seconds = match ? parseInt(match[1]) * INTERVAL_UNITS[match[2] || 's'] : 0;
+
+  if (!seconds) {
+    throw new Error(`Invalid interval ${interval} (use e.g. 30s, 5m, 1h, 1d)`);
+  }
+  return seconds;
+};
+
+/**
+ * points:   recorded prices in [from, to], oldest first
+ * previous: the last price recorded before from, if any
+ * Returns null when no price was in effect during the window. Without a previous
+ * price the window effectively starts at the first recorded point.
+ */
+const computeTwap = (points, previous, from, to) => {
+  const end = new Date(to).getTime();
+  const segments = [];
+
+  if (previous) {
+    segments.push({ price: previous.price, start: new Date(from).getTime() });
+  }
+  points.forEach(point => segments.push({ price: point.price, start: new Date(point.asOf).getTime() }));
+
+  if (segments.length === 0) {
+    return null;
+  }
+
+  let weighted = 0;
+  let duration = 0;
+  segments.forEach((segment, index) => {
+    const segmentEnd = index + 1 < segments.length ? segments[index + 1].start : end;
+    const seconds = Math.max(0, segmentEnd - segment.start) / 1000;
+    weighted += segment.price * seconds;
+    duration += seconds;
+  });
+
+  return {
+    twap: duration > 0 ? weighted / duration : segments[segments.length - 1].price,
+    from: new Date(segments[0].start).toISOString(),
+    to: new Date(end).toISOString(),
+    coveredSeconds: duration,
+    points: points.length
+  };
+};
+
+// Candles aligned to the interval (UTC epoch); intervals without prices are omitted
+const buildCandles = (points, intervalSeconds) => {
+  const intervalMs = intervalSeconds * 1000;
+  const candles = new Map();
+
+  points.forEach(point => {
+    const openTime = Math.floor(new Date(point.asOf).getTime() / intervalMs) * intervalMs;
+    const candle = candles.get(openTime);
+
+    if (!candle) {
+      candles.set(openTime, {
+        openTime: new Date(openTime).toISOString(),
+        closeTime: new Date(openTime + intervalMs).toISOString(),
+        open: point.price,
+        high: point.price,
+        low: point.price,
+        close: point.price,
+        points: 1
+      });
+      return;
+    }
+
+    candle.high = Math.max(candle.high, point.price);
+    candle.low = Math.min(candle.low, point.price);
+    candle.close = point.price;
+    candle.points++;
+  });
+
+  return Array.from(candles.values());
+};
+
+module.exports = {
+  parseInterval,
+  computeTwap,
+  buildCandles
+};
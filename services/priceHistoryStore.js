@@ -0,0 +1,149 @@
+/**
+ * Price History Store
+ * Persistence for accepted oracle prices. Uses PostgreSQL when DATABASE_URL is set,
+ * otherwise keeps the most recent ORACLE_HISTORY_MEMORY_LIMIT prices per asset in memory.
+ *
+ * Points are { asset, price, currency, volume24h, sourcesUsed, sources, asOf }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+const toPoint = (price) => ({
+  asset: price.asset,
+  price: price.price,
+  currency: price.currency || 'USD',
+  volume24h: price.volume24h ?? null,
+  sourcesUsed: price.sourcesUsed,
+  sources: price.sources,
+  asOf: new Date(price.asOf).toISOString()
+});
+
+class PostgresPriceHistoryStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/price_history_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  fromRow(row) {
+    return {
+      asset: row.asset,
+      price: parseFloat(row.price),
+      currency: row.currency,
+      volume24h: row.volume_24h === null ? null : parseFloat(row.volume_24h),
+      sourcesUsed: row.sources_used,
+      sources: row.sources,
+      asOf: new Date(row.as_of).toISOString()
+    };
+  }
+
+  async record(price) {
+    const point = toPoint(price);
+
+    await query(`
+      INSERT INTO oracle_prices (asset, price, currency, volume_24h, sources_used, sources, as_of)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      point.asset, point.price, point.currency, point.volume24h, point.sourcesUsed,
+      JSON.stringify(point.sources), point.asOf
+    ]);
+
+    return point;
+  }
+
+  // Points in [from, to], oldest first; with a limit only the most recent points are returned
+  async find(asset, range = {}) {
+    const params = [asset];
+    const conditions = ['asset = $1'];
+
+    if (range.from) {
+      params.push(range.from);
+      conditions.push(`as_of >= $${params.length}`);
+    }
+    if (range.to) {
+      params.push(range.to);
+      conditions.push(`as_of <= $${params.length}`);
+    }
+
+    let sql = `SELECT * FROM oracle_prices WHERE ${conditions.join(' AND ')} ORDER BY as_of DESC, id DESC`;
+    if (range.limit) {
+      params.push(range.limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+
+    const rows = await query(sql, params);
+    return rows.reverse().map(row => this.fromRow(row));
+  }
+
+  // Latest point strictly before a time (the price in effect when a window opens)
+  async getLatestBefore(asset, time) {
+    const rows = await query(`
+      SELECT * FROM oracle_prices
+      WHERE asset = $1 AND as_of < $2
+      ORDER BY as_of DESC, id DESC
+      LIMIT 1
+    `, [asset, time]);
+
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+}
+
+class MemoryPriceHistoryStore {
+  constructor(limit) {
+    this.name = 'memory';
+    this.limit = limit;
+    this.points = new Map(); // asset -> points, oldest first
+  }
+
+  async initialize() {
+    console.warn(`⚠️ DATABASE_URL not set - price history is kept in memory (last ${this.limit} prices per asset)`);
+  }
+
+  async record(price) {
+    const point = toPoint(price);
+    const points = this.points.get(point.asset) || [];
+
+    // Aggregations finish in order, but keep the list sorted if one is recorded late
+    let index = points.length;
+    while (index > 0 && points[index - 1].asOf > point.asOf) index--;
+    points.splice(index, 0, point);
+
+    if (points.length > this.limit) {
+      points.splice(0, points.length - this.limit);
+    }
+
+    this.points.set(point.asset, points);
+    return { ...point };
+  }
+
+  async find(asset, range = {}) {
+    const from = range.from ? new Date(range.from).toISOString() : null;
+    const to = range.to ? new Date(range.to).toISOString() : null;
+
+    const points = (this.points.get(asset) || [])
+      .filter(point => (!from || point.asOf >= from) && (!to || point.asOf <= to));
+
+    return (range.limit ? points.slice(-range.limit) : points).map(point => ({ ...point }));
+  }
+
+  async getLatestBefore(asset, time) {
+    const before = new Date(time).toISOString();
+    const points = (this.points.get(asset) || []).filter(point => point.asOf < before);
+    return points.length > 0 ? { ...points[points.length - 1] } : null;
+  }
+}
+
+const createPriceHistoryStore = (options = {}) => {
+  return isDatabaseConfigured() ? new PostgresPriceHistoryStore() : new MemoryPriceHistoryStore(options.memoryLimit || 10000);
+};
+
+module.exports = {
+  createPriceHistoryStore,
+  PostgresPriceHistoryStore,
+  MemoryPriceHistoryStore
+};
@@ -0,0 +1,114 @@
+/**
+ * Quarantine Store
+ * Liquidity Engine messages that failed their contract. Uses the quarantined_messages
+ * table when DATABASE_URL is set, otherwise an in-memory store (development only).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresQuarantineStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/quarantine_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  recordFromRow(row) {
+    return {
+      id: parseInt(row.id),
+      channel: row.channel,
+      direction: row.direction,
+      schemaVersion: row.schema_version,
+      messageId: row.message_id,
+      source: row.source,
+      payload: row.payload,
+      errors: row.errors,
+      quarantinedAt: toIso(row.quarantined_at)
+    };
+  }
+
+  // record: { channel, direction, schemaVersion, messageId, source, payload, errors, quarantinedAt }
+  async insert(record) {
+    const rows = await query(`
+      INSERT INTO quarantined_messages (
+        channel, direction, schema_version, message_id, source, payload, errors, quarantined_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [record.channel, record.direction, record.schemaVersion, record.messageId, record.source,
+      JSON.stringify(record.payload), JSON.stringify(record.errors), record.quarantinedAt]);
+    return this.recordFromRow(rows[0]);
+  }
+
+  // filter: { channel?, direction?, limit? }; newest first
+  async list(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM quarantined_messages
+      WHERE ($1::text IS NULL OR channel = $1)
+        AND ($2::text IS NULL OR direction = $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [filter.channel || null, filter.direction || null, filter.limit || 100]);
+    return rows.map(row => this.recordFromRow(row));
+  }
+
+  // { channel: count }
+  async countByChannel() {
+    const rows = await query('SELECT channel, COUNT(*) AS count FROM quarantined_messages GROUP BY channel');
+    return rows.reduce((counts, row) => ({ ...counts, [row.channel]: parseInt(row.count) }), {});
+  }
+}
+
+class MemoryQuarantineStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = []; // In insertion order
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - quarantined messages are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insert(record) {
+    const stored = {
+      ...this.clone(record),
+      id: this.records.length + 1,
+      quarantinedAt: toIso(record.quarantinedAt)
+    };
+    this.records.push(stored);
+    return this.clone(stored);
+  }
+
+  async list(filter = {}) {
+    return this.clone(this.records
+      .filter(record => !filter.channel || record.channel === filter.channel)
+      .filter(record => !filter.direction || record.direction === filter.direction)
+      .slice()
+      .reverse()
+      .slice(0, filter.limit || 100));
+  }
+
+  async countByChannel() {
+    return this.records.reduce((counts, record) => ({ ...counts, [record.channel]: (counts[record.channel] || 0) + 1 }), {});
+  }
+}
+
+const createQuarantineStore = () => {
+  return isDatabaseConfigured() ? new PostgresQuarantineStore() : new MemoryQuarantineStore();
+};
+
+module.exports = {
+  createQuarantineStore,
+  PostgresQuarantineStore,
+  MemoryQuarantineStore
+};
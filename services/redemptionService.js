@@ -0,0 +1,418 @@
+/**
+ * Redemption Service
+ * Runs the redemption workflow that releases a registered asset. A holder requests to
+ * redeem some of an asset's tokens (REQUESTED); a custodian approves or rejects the
+ * request; the holder then burns the tokens, signed by the server or by the client
+ * through /api/redemptions/:id/prepare-burn. A validated burn completes the request,
+ * lowers the asset's outstanding supply in the registry (services/registryService.js)
+ * in the same transaction, and issues a signed release certificate for the custodian
+ * to release against (services/attestationService.js).
+ *
+ * A request is only created once the holder has signed and submitted its request
+ * transaction from the holding wallet, and a wallet may have at most
+ * REDEMPTION_MAX_OPEN_PER_HOLDER open requests.
+ *
+ * The tokens of open requests are reserved: requests for an asset cannot add up to more
+ * than its outstanding supply, or a holder's requests to more than their balance.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Wallet } = require('xrpl');
+const { createRedemptionStore } = require('./redemptionStore');
+const registryService = require('./registryService');
+const attestationService = require('./attestationService');
+const clientSigningService = require('./clientSigningService');
+const xrplNativeService = require('./xrplNativeService');
+const metricsService = require('./metricsService');
+const { createMemo } = require('../utils/xrplHelpers');
+const { getRedemptionConfig } = require('../config/xrplConfig');
+const { REDEMPTION_STATUS, canTransition, createTransition } = require('./redemptionStateMachine');
+
+metricsService.register('redemption_transitions_total', 'counter', 'Redemption request status changes by target status');
+
+class RedemptionService {
+  constructor() {
+    this.config = getRedemptionConfig();
+    this.store = createRedemptionStore(registryService.store);
+    this.clock = () => new Date();
+
+    // Requests the holder signed from holderWallet (prepared by requestRedemption)
+    clientSigningService.registerSubmitHandler('redemption_request', async (submission, context) => {
+      try {
+        const redemption = await this.createRedemption(context.redemptionId, context.request, submission.txHash);
+        return { redemptionRequested: true, redemption };
+      } catch (error) {
+        console.error(`❌ Redemption request ${submission.txHash} validated but not recorded:`, error.message);
+        return { redemptionRequested: false, error: error.message };
+      }
+    });
+
+    // Burns the holder signed through POST /api/redemptions/:id/prepare-burn
+    clientSigningService.registerSubmitHandler('redemption_burn', async (submission, context) => {
+      try {
+        const redemption = await this.getRedemptionOrThrow(context.redemptionId);
+        const completed = await this.completeRedemption(redemption, {
+          txHash: submission.txHash,
+          ledgerIndex: submission.ledgerIndex,
+          signing: 'client'
+        });
+        return { redemptionCompleted: completed.status === REDEMPTION_STATUS.COMPLETED, redemption: completed };
+      } catch (error) {
+        console.error(`❌ Burn ${submission.txHash} for redemption ${context.redemptionId} validated but not recorded:`, error.message);
+        return { redemptionCompleted: false, error: error.message };
+      }
+    });
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`🔓 Redemption requests using ${this.store.name} store`);
+  }
+
+  // Apply a transition if the request is still in its current status; null if it moved on
+  async transition(redemption, toStatus, details = {}, changes = {}, burn = null) {
+    const transition = createTransition(redemption.status, toStatus, { ...details, at: this.clock() });
+    const updated = await this.store.transitionRedemption(redemption.redemptionId, transition, changes, burn);
+
+    if (updated) {
+      metricsService.increment('redemption_transitions_total', { status: toStatus });
+      console.log(`🔓 Redemption ${redemption.redemptionId} ${redemption.status} -> ${toStatus}${details.reason ? ` (${details.reason})` : ''}`);
+    }
+    return updated;
+  }
+
+  async transitionOrThrow(redemption, toStatus, details, changes, burn) {
+    const updated = await this.transition(redemption, toStatus, details, changes, burn);
+    if (!updated) {
+      throw new Error(`Redemption ${redemption.redemptionId} was modified concurrently, retry the request`);
+    }
+    return updated;
+  }
+
+  /**
+   * Check that an asset can release `amount` more tokens and that the holder owns them,
+   * counting the tokens reserved by other open requests (excludeId: the request being checked)
+   */
+  async assertRedeemableBy(assetId, holderWallet, amount, excludeId = null) {
+    const asset = await registryService.getAssetOrThrow(assetId);
+    await registryService.assertRedeemable(assetId, asset.tokenSymbol, amount);
+
+    const reserved = await this.store.sumOpenAmount({ assetId, excludeId });
+    if (amount + reserved > asset.outstandingSupply) {
+      throw new Error(`Redemption of ${amount} ${asset.tokenSymbol} exceeds the ${asset.outstandingSupply - reserved} outstanding for asset ${assetId} not already reserved by open requests`);
+    }
+
+    const balance = await xrplNativeService.getTokenBalance(holderWallet, asset.tokenSymbol, asset.issuerAddress);
+    const holderReserved = await this.store.sumOpenAmount({ assetId, holderWallet, excludeId });
+    if (balance - holderReserved < amount) {
+      throw new Error(`Wallet ${holderWallet} holds ${balance} ${asset.tokenSymbol}${holderReserved > 0 ? ` (${holderReserved} in open requests)` : ''}, less than the ${amount} requested`);
+    }
+    return asset;
+  }
+
+  // A holder's open requests are capped, then the asset and their balance are checked
+  async assertRequestable(request) {
+    const open = await this.store.countOpen({ holderWallet: request.holderWallet });
+    if (open >= this.config.maxOpenPerHolder) {
+      throw new Error(`Wallet ${request.holderWallet} already has ${open} open redemption requests (at most ${this.config.maxOpenPerHolder})`);
+    }
+    return this.assertRedeemableBy(request.assetId, request.holderWallet, parseFloat(request.amount));
+  }
+
+  /**
+   * Ask to redeem an asset's tokens. Nothing is recorded yet: the returned AccountSet from
+   * holderWallet (memo RedemptionRequest) is signed by the holder and submitted to
+   * /api/native/submit, and the request is created once it validates.
+   * request: { assetId, holderWallet, amount, releaseInstructions? }
+   */
+  async requestRedemption(request) {
+    await this.assertRequestable(request);
+
+    const redemptionId = uuidv4();
+    const tx = {
+      TransactionType: 'AccountSet',
+      Account: request.holderWallet,
+      Memos: [createMemo('RedemptionRequest', { redemptionId, assetId: request.assetId, amount: String(request.amount) })]
+    };
+    const prepared = await clientSigningService.prepareTransaction(tx, 'redemption_request', { redemptionId, request });
+    return { redemptionId, ...prepared };
+  }
+
+  // Record a request once its holder-signed request transaction has validated; waits for custodian approval
+  async createRedemption(redemptionId, request, txHash) {
+    const existing = await this.store.getRedemption(redemptionId);
+    if (existing) {
+      return existing;
+    }
+
+    const asset = await this.assertRequestable(request);
+    const amount = parseFloat(request.amount);
+    const redemption = {
+      redemptionId,
+      assetId: asset.assetId,
+      holderWallet: request.holderWallet,
+      tokenSymbol: asset.tokenSymbol,
+      issuerAddress: asset.issuerAddress,
+      amount,
+      releaseInstructions: request.releaseInstructions || null,
+      status: REDEMPTION_STATUS.REQUESTED,
+      createdAt: this.clock()
+    };
+
+    const created = await this.store.createRedemption(redemption, createTransition(null, REDEMPTION_STATUS.REQUESTED, {
+      actor: 'holder',
+      reason: `Redemption of ${amount} ${asset.tokenSymbol} requested`,
+      txHash,
+      at: redemption.createdAt
+    }));
+    metricsService.increment('redemption_transitions_total', { status: REDEMPTION_STATUS.REQUESTED });
+    console.log(`🔓 Redemption ${created.redemptionId} requested: ${amount} ${asset.tokenSymbol} of asset ${asset.assetId} by ${request.holderWallet}`);
+    return created;
+  }
+
+  // Custodian approval; the asset and the holder's balance are checked again first
+  async approveRedemption(redemptionId, admin, reason) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    if (redemption.status !== REDEMPTION_STATUS.REQUESTED) {
+      throw new Error(`Redemption ${redemptionId} is ${redemption.status} and cannot be approved`);
+    }
+
+    await this.assertRedeemableBy(redemption.assetId, redemption.holderWallet, redemption.amount, redemptionId);
+    return this.transitionOrThrow(redemption, REDEMPTION_STATUS.APPROVED, {
+      actor: `admin:${admin}`,
+      reason: reason || 'Approved for release'
+    }, { decidedBy: `admin:${admin}`, decidedAt: this.clock(), decisionReason: reason || null });
+  }
+
+  async rejectRedemption(redemptionId, admin, reason) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    if (![REDEMPTION_STATUS.REQUESTED, REDEMPTION_STATUS.APPROVED].includes(redemption.status)) {
+      throw new Error(`Redemption ${redemptionId} is ${redemption.status} and cannot be rejected`);
+    }
+
+    return this.transitionOrThrow(redemption, REDEMPTION_STATUS.REJECTED, { actor: `admin:${admin}`, reason },
+      { decidedBy: `admin:${admin}`, decidedAt: this.clock(), decisionReason: reason });
+  }
+
+  assertBurnable(redemption) {
+    if (redemption.status !== REDEMPTION_STATUS.APPROVED) {
+      throw new Error(`Redemption ${redemption.redemptionId} is ${redemption.status} and cannot be burned`);
+    }
+  }
+
+  burnMemo(redemption) {
+    return { redemptionId: redemption.redemptionId, assetId: redemption.assetId };
+  }
+
+  /**
+   * Burn an APPROVED request's tokens with the holder's seed (server signing). The request
+   * is claimed (BURNING) first so it is burned once. When the burn errors its transaction is
+   * looked up on the ledger: the request completes if it applied, returns to APPROVED only if
+   * it did not, and is parked as BURN_UNKNOWN when that cannot be established.
+   */
+  async burnRedemption(redemptionId, walletSeed) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    this.assertBurnable(redemption);
+    if (Wallet.fromSeed(walletSeed).address !== redemption.holderWallet) {
+      throw new Error(`Redemption ${redemptionId} must be burned by the holder ${redemption.holderWallet}`);
+    }
+
+    const attempt = redemption.burnAttempts + 1;
+    const claimed = await this.transitionOrThrow(redemption, REDEMPTION_STATUS.BURNING,
+      { actor: 'holder', reason: `Burn attempt ${attempt}` }, { burnAttempts: attempt });
+
+    let burn;
+    try {
+      burn = await xrplNativeService.redeemTokens(walletSeed, String(claimed.amount), claimed.tokenSymbol, this.burnMemo(claimed));
+    } catch (error) {
+      console.error(`❌ Burn for redemption ${redemptionId} failed (attempt ${attempt}):`, error.message);
+      const { submission } = error;
+      const outcome = submission ? await xrplNativeService.getTransactionOutcome(submission) : null;
+
+      if (outcome && outcome.status === 'success') {
+        burn = { txHash: submission.txHash, ledgerIndex: outcome.ledgerIndex };
+      } else if (outcome && outcome.status === 'unknown') {
+        return this.markBurnUnknown(claimed, submission, `${error.message}; outcome unknown: ${outcome.reason}`);
+      } else {
+        const reason = outcome ? `Burn failed (${outcome.transactionResult || 'not included by its LastLedgerSequence'})` : 'Burn failed';
+        await this.transition(claimed, REDEMPTION_STATUS.APPROVED, { reason, txHash: submission ? submission.txHash : null }, { burnError: error.message });
+        throw error;
+      }
+    }
+
+    return this.completeRedemption(claimed, { txHash: burn.txHash, ledgerIndex: burn.ledgerIndex, signing: 'server' });
+  }
+
+  // Park a request whose submitted burn may or may not have applied; it cannot be burned again until resolved
+  async markBurnUnknown(redemption, submission, burnError) {
+    console.error(`❌ Burn ${submission.txHash} of redemption ${redemption.redemptionId} has an unknown outcome - resolve it manually`);
+    return (await this.transition(redemption, REDEMPTION_STATUS.BURN_UNKNOWN, {
+      reason: 'Burn outcome unknown',
+      txHash: submission.txHash
+    }, { burnSubmission: submission, burnError })) || this.getRedemptionOrThrow(redemption.redemptionId);
+  }
+
+  /**
+   * Resolve a BURN_UNKNOWN request (admin): its burn transaction is looked up again and the
+   * request completes if it applied, or returns to APPROVED if it cannot have.
+   */
+  async resolveBurn(redemptionId, admin) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    if (redemption.status !== REDEMPTION_STATUS.BURN_UNKNOWN) {
+      throw new Error(`Redemption ${redemptionId} is ${redemption.status} and cannot be resolved`);
+    }
+
+    const submission = redemption.burnSubmission;
+    const outcome = await xrplNativeService.getTransactionOutcome(submission);
+    const actor = `admin:${admin}`;
+
+    if (outcome.status === 'success') {
+      return this.completeRedemption(redemption, { txHash: submission.txHash, ledgerIndex: outcome.ledgerIndex, signing: 'server' }, actor);
+    }
+    if (outcome.status === 'unknown') {
+      throw new Error(`Burn outcome of redemption ${redemptionId} is still unknown: ${outcome.reason}`);
+    }
+
+    return this.transitionOrThrow(redemption, REDEMPTION_STATUS.APPROVED, {
+      actor,
+      reason: `Burn ${submission.txHash} did not apply (${outcome.transactionResult || 'not included by its LastLedgerSequence'})`,
+      txHash: submission.txHash
+    }, { burnSubmission: null });
+  }
+
+  // Prepare the burn of an APPROVED request for the holder to sign (submitted to /api/native/submit)
+  async prepareBurn(redemptionId) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    this.assertBurnable(redemption);
+
+    const payment = xrplNativeService.buildRedeemTx(redemption.holderWallet, String(redemption.amount),
+      redemption.tokenSymbol, this.burnMemo(redemption));
+    return clientSigningService.prepareTransaction(payment, 'redemption_burn', { redemptionId });
+  }
+
+  // The signed release certificate for a request whose burn has validated
+  async issueCertificate(redemption, burn) {
+    const asset = await registryService.getAssetOrThrow(redemption.assetId);
+    const outstandingSupply = Math.max(asset.outstandingSupply - redemption.amount, 0);
+
+    return attestationService.certify({
+      certificateId: uuidv4(),
+      type: 'ASSET_RELEASE',
+      redemptionId: redemption.redemptionId,
+      asset: {
+        assetId: asset.assetId,
+        assetType: asset.assetType,
+        description: asset.description,
+        tokenSymbol: asset.tokenSymbol,
+        issuerAddress: asset.issuerAddress
+      },
+      holderWallet: redemption.holderWallet,
+      amount: redemption.amount,
+      releasedShare: asset.mintedSupply > 0 ? redemption.amount / asset.mintedSupply : null,
+      fullRelease: outstandingSupply === 0,
+      outstandingSupply,
+      releaseInstructions: redemption.releaseInstructions,
+      burn: { txHash: burn.txHash, ledgerIndex: burn.ledgerIndex || null, signing: burn.signing },
+      approvedBy: redemption.decidedBy,
+      issuedAt: this.clock().toISOString()
+    });
+  }
+
+  /**
+   * Complete a request whose burn validated: record the burn in the registry and store
+   * the release certificate. A burn for a request that was no longer burnable (e.g.
+   * rejected meanwhile) is still recorded against the asset.
+   */
+  async completeRedemption(redemption, burn, actor = 'system') {
+    const burnRecord = registryService.redemptionRecord({
+      txHash: burn.txHash,
+      assetId: redemption.assetId,
+      walletAddress: redemption.holderWallet,
+      tokenSymbol: redemption.tokenSymbol,
+      amount: redemption.amount,
+      ledgerIndex: burn.ledgerIndex,
+      signing: burn.signing,
+      redemptionId: redemption.redemptionId
+    });
+
+    try {
+      if (!canTransition(redemption.status, REDEMPTION_STATUS.COMPLETED)) {
+        return this.recordStrayBurn(redemption, burn, burnRecord);
+      }
+
+      const certificate = await this.issueCertificate(redemption, burn);
+      const completed = await this.transition(redemption, REDEMPTION_STATUS.COMPLETED, { actor, reason: 'Tokens burned', txHash: burn.txHash }, {
+        burnTxHash: burn.txHash,
+        burnLedgerIndex: burn.ledgerIndex || null,
+        burnSigning: burn.signing,
+        burnError: null,
+        burnSubmission: null,
+        certificate,
+        completedAt: this.clock()
+      }, burnRecord);
+
+      if (!completed) {
+        return this.recordStrayBurn(await this.getRedemptionOrThrow(redemption.redemptionId), burn, burnRecord);
+      }
+
+      console.log(`🔓 Redemption ${redemption.redemptionId} completed: ${redemption.amount} ${redemption.tokenSymbol} burned (${burn.txHash})`);
+      return completed;
+    } catch (error) {
+      // Left as it is so it is never burned again automatically
+      console.error(`❌ Burn ${burn.txHash} succeeded but redemption ${redemption.redemptionId} was not updated:`, error.message);
+      throw new Error(`Tokens burned (${burn.txHash}) but redemption ${redemption.redemptionId} was not updated: ${error.message}`);
+    }
+  }
+
+  // Record a burn whose request can no longer complete against the asset alone
+  async recordStrayBurn(redemption, burn, burnRecord) {
+    console.warn(`⚠️ Burn ${burn.txHash} validated for redemption ${redemption.redemptionId}, which is ${redemption.status}`);
+    await registryService.recordRedemption(burnRecord);
+    return redemption;
+  }
+
+  // The request with its status history
+  async getRedemption(redemptionId) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    return { ...redemption, history: await this.store.listTransitions(redemptionId) };
+  }
+
+  // filter: { status?, assetId?, holderWallet?, limit? }
+  async listRedemptions(filter = {}) {
+    return this.store.listRedemptions(filter);
+  }
+
+  async getCertificate(redemptionId) {
+    const redemption = await this.getRedemptionOrThrow(redemptionId);
+    if (!redemption.certificate) {
+      throw new Error(`Redemption ${redemptionId} is ${redemption.status} and has no release certificate`);
+    }
+    return redemption.certificate;
+  }
+
+  // Check a release certificate's signature and that it matches the completed request
+  async verifyCertificate(certificate) {
+    const verification = attestationService.verify(certificate);
+    const redemption = certificate.redemptionId ? await this.store.getRedemption(certificate.redemptionId) : null;
+    const issued = redemption && redemption.certificate &&
+      redemption.certificate.certificateId === certificate.certificateId;
+
+    return {
+      ...verification,
+      valid: verification.valid && Boolean(issued),
+      reason: verification.valid && !issued ? 'Certificate was not issued for this redemption' : verification.reason,
+      redemptionStatus: redemption ? redemption.status : null
+    };
+  }
+
+  async getRedemptionOrThrow(redemptionId) {
+    const redemption = await this.store.getRedemption(redemptionId);
+    if (!redemption) {
+      throw new Error(`Redemption ${redemptionId} not found`);
+    }
+    return redemption;
+  }
+}
+
+// Export singleton instance
+module.exports = new RedemptionService();
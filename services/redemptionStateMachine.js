@@ -0,0 +1,65 @@
+/**
+ * Redemption State Machine
+ * Declares the legal redemption request status transitions; every status change in
+ * redemptionService goes through assertTransition() and is recorded in the request's history.
+ */
+
+const REDEMPTION_STATUS = {
+  REQUESTED: 'REQUESTED', // Waiting for custodian approval
+  APPROVED: 'APPROVED', // Approved; waiting for the holder's burn
+  BURNING: 'BURNING', // Server-signed burn in flight
+  BURN_UNKNOWN: 'BURN_UNKNOWN', // Burn submitted but its outcome could not be established; resolved by an admin
+  COMPLETED: 'COMPLETED', // Tokens burned and release certificate issued
+  REJECTED: 'REJECTED'
+};
+
+// from -> allowed targets
+const REDEMPTION_TRANSITIONS = {
+  [REDEMPTION_STATUS.REQUESTED]: [REDEMPTION_STATUS.APPROVED, REDEMPTION_STATUS.REJECTED],
+  [REDEMPTION_STATUS.APPROVED]: [REDEMPTION_STATUS.BURNING, REDEMPTION_STATUS.COMPLETED, REDEMPTION_STATUS.REJECTED], // COMPLETED by a client-signed burn
+  [REDEMPTION_STATUS.BURNING]: [REDEMPTION_STATUS.COMPLETED, REDEMPTION_STATUS.APPROVED, REDEMPTION_STATUS.BURN_UNKNOWN], // Back to APPROVED when the burn did not apply
+  [REDEMPTION_STATUS.BURN_UNKNOWN]: [REDEMPTION_STATUS.COMPLETED, REDEMPTION_STATUS.APPROVED],
+  [REDEMPTION_STATUS.COMPLETED]: [],
+  [REDEMPTION_STATUS.REJECTED]: []
+};
+
+// Requests still holding part of their asset's outstanding supply
+const OPEN_STATUSES = [REDEMPTION_STATUS.REQUESTED, REDEMPTION_STATUS.APPROVED, REDEMPTION_STATUS.BURNING, REDEMPTION_STATUS.BURN_UNKNOWN];
+
+const canTransition = (fromStatus, toStatus) => {
+  return (REDEMPTION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`Invalid redemption transition from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+// Build a history record for a status change (fromStatus is null on creation)
+const createTransition = (fromStatus, toStatus, details = {}) => {
+  if (fromStatus === null && toStatus !== REDEMPTION_STATUS.REQUESTED) {
+    throw new Error(`Redemptions cannot be created in status ${toStatus}`);
+  }
+  if (fromStatus !== null) {
+    assertTransition(fromStatus, toStatus);
+  }
+
+  return {
+    fromStatus,
+    toStatus,
+    actor: details.actor || 'system',
+    reason: details.reason || null,
+    txHash: details.txHash || null,
+    createdAt: details.at ? new Date(details.at).toISOString() : new Date().toISOString()
+  };
+};
+
+module.exports = {
+  REDEMPTION_STATUS,
+  REDEMPTION_TRANSITIONS,
+  OPEN_STATUSES,
+  canTransition,
+  assertTransition,
+  createTransition
+};
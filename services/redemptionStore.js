@@ -0,0 +1,284 @@
+/**
+ * Redemption Store
+ * Requests to redeem an asset's tokens. Uses the redemption_requests and
+ * redemption_transitions tables when DATABASE_URL is set, otherwise an in-memory store
+ * (development only).
+ *
+ * A request's status changes only if it is still in the status the change was decided
+ * from, so a request cannot be burned twice. The burn completing a request is recorded
+ * in the asset registry (services/registryStore.js) in the same transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+const { OPEN_STATUSES } = require('./redemptionStateMachine');
+
+// Request fields that change after creation, and their columns
+const REDEMPTION_COLUMNS = {
+  decidedBy: 'decided_by',
+  decidedAt: 'decided_at',
+  decisionReason: 'decision_reason',
+  burnAttempts: 'burn_attempts',
+  burnError: 'burn_error',
+  burnTxHash: 'burn_tx_hash',
+  burnLedgerIndex: 'burn_ledger_index',
+  burnSigning: 'burn_signing',
+  burnSubmission: 'burn_submission',
+  certificate: 'certificate',
+  completedAt: 'completed_at'
+};
+
+const JSON_COLUMNS = ['certificate', 'burn_submission'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresRedemptionStore {
+  constructor(registry) {
+    this.name = 'postgres';
+    this.registry = registry;
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/redemption_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  redemptionFromRow(row) {
+    return {
+      redemptionId: row.redemption_id,
+      assetId: row.asset_id,
+      holderWallet: row.holder_wallet,
+      tokenSymbol: row.token_symbol,
+      issuerAddress: row.issuer_address,
+      amount: toNumber(row.amount),
+      releaseInstructions: row.release_instructions,
+      status: row.status,
+      decidedBy: row.decided_by,
+      decidedAt: toIso(row.decided_at),
+      decisionReason: row.decision_reason,
+      burnAttempts: row.burn_attempts,
+      burnError: row.burn_error,
+      burnTxHash: row.burn_tx_hash,
+      burnLedgerIndex: row.burn_ledger_index === null ? null : parseInt(row.burn_ledger_index),
+      burnSigning: row.burn_signing,
+      burnSubmission: row.burn_submission,
+      certificate: row.certificate,
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at),
+      completedAt: toIso(row.completed_at)
+    };
+  }
+
+  transitionFromRow(row) {
+    return {
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      txHash: row.tx_hash,
+      createdAt: toIso(row.created_at)
+    };
+  }
+
+  async insertTransition(client, redemptionId, transition) {
+    await client.query(`
+      INSERT INTO redemption_transitions (redemption_id, from_status, to_status, actor, reason, tx_hash, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [redemptionId, transition.fromStatus, transition.toStatus, transition.actor, transition.reason,
+      transition.txHash, transition.createdAt]);
+  }
+
+  async createRedemption(redemption, transition) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO redemption_requests (
+          redemption_id, asset_id, holder_wallet, token_symbol, issuer_address, amount,
+          release_instructions, status, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+        RETURNING *
+      `, [
+        redemption.redemptionId, redemption.assetId, redemption.holderWallet, redemption.tokenSymbol,
+        redemption.issuerAddress, redemption.amount, redemption.releaseInstructions, redemption.status,
+        redemption.createdAt
+      ]);
+
+      await this.insertTransition(client, redemption.redemptionId, transition);
+      return this.redemptionFromRow(rows[0]);
+    });
+  }
+
+  /**
+   * Apply a transition and field changes if the request is still in transition.fromStatus,
+   * recording `burn` (a registry redemption) with it. Returns the updated request, or null
+   * if its status moved on.
+   */
+  async transitionRedemption(redemptionId, transition, changes = {}, burn = null) {
+    return withTransaction(async (client) => {
+      const assignments = ['status = $3', 'updated_at = $4'];
+      const values = [redemptionId, transition.fromStatus, transition.toStatus, transition.createdAt];
+      Object.entries(changes).forEach(([field, value]) => {
+        const column = REDEMPTION_COLUMNS[field];
+        values.push(JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+        assignments.push(`${column} = $${values.length}`);
+      });
+
+      const { rows } = await client.query(`
+        UPDATE redemption_requests SET ${assignments.join(', ')}
+        WHERE redemption_id = $1 AND status = $2
+        RETURNING *
+      `, values);
+
+      if (rows.length === 0) {
+        return null;
+      }
+      if (burn) {
+        await this.registry.insertRedemption(client, burn);
+      }
+      await this.insertTransition(client, redemptionId, transition);
+      return this.redemptionFromRow(rows[0]);
+    });
+  }
+
+  async getRedemption(redemptionId) {
+    const rows = await query('SELECT * FROM redemption_requests WHERE redemption_id = $1', [redemptionId]);
+    return rows.length > 0 ? this.redemptionFromRow(rows[0]) : null;
+  }
+
+  async listTransitions(redemptionId) {
+    const rows = await query('SELECT * FROM redemption_transitions WHERE redemption_id = $1 ORDER BY id ASC', [redemptionId]);
+    return rows.map(row => this.transitionFromRow(row));
+  }
+
+  // filter: { status?, assetId?, holderWallet?, limit? }; newest first
+  async listRedemptions(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM redemption_requests
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR asset_id = $2)
+        AND ($3::text IS NULL OR holder_wallet = $3)
+      ORDER BY id DESC
+      LIMIT $4
+    `, [filter.status || null, filter.assetId || null, filter.holderWallet || null, filter.limit || 100]);
+    return rows.map(row => this.redemptionFromRow(row));
+  }
+
+  // Tokens of an asset held by open requests; filter: { assetId, holderWallet?, excludeId? }
+  async sumOpenAmount(filter) {
+    const rows = await query(`
+      SELECT COALESCE(SUM(amount), 0) AS total FROM redemption_requests
+      WHERE asset_id = $1 AND status = ANY($2)
+        AND ($3::text IS NULL OR holder_wallet = $3)
+        AND ($4::text IS NULL OR redemption_id <> $4)
+    `, [filter.assetId, OPEN_STATUSES, filter.holderWallet || null, filter.excludeId || null]);
+    return toNumber(rows[0].total);
+  }
+
+  // Open requests of a holder across all assets
+  async countOpen(filter) {
+    const rows = await query(`
+      SELECT COUNT(*) AS total FROM redemption_requests
+      WHERE holder_wallet = $1 AND status = ANY($2)
+    `, [filter.holderWallet, OPEN_STATUSES]);
+    return parseInt(rows[0].total);
+  }
+}
+
+class MemoryRedemptionStore {
+  constructor(registry) {
+    this.name = 'memory';
+    this.registry = registry;
+    this.redemptions = new Map(); // In creation order
+    this.transitions = new Map(); // redemptionId -> transitions
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - redemption requests are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async createRedemption(redemption, transition) {
+    if (this.redemptions.has(redemption.redemptionId)) {
+      throw new Error(`Redemption ${redemption.redemptionId} already exists`);
+    }
+
+    const stored = {
+      decidedBy: null,
+      decidedAt: null,
+      decisionReason: null,
+      burnAttempts: 0,
+      burnError: null,
+      burnTxHash: null,
+      burnLedgerIndex: null,
+      burnSigning: null,
+      burnSubmission: null,
+      certificate: null,
+      completedAt: null,
+      ...this.clone(redemption),
+      updatedAt: toIso(redemption.createdAt)
+    };
+    this.redemptions.set(redemption.redemptionId, stored);
+    this.transitions.set(redemption.redemptionId, [this.clone(transition)]);
+    return this.clone(stored);
+  }
+
+  async transitionRedemption(redemptionId, transition, changes = {}, burn = null) {
+    const redemption = this.redemptions.get(redemptionId);
+    if (!redemption || redemption.status !== transition.fromStatus) {
+      return null;
+    }
+
+    if (burn) {
+      await this.registry.insertRedemption(null, burn);
+    }
+    Object.assign(redemption, this.clone(changes), { status: transition.toStatus, updatedAt: transition.createdAt });
+    this.transitions.get(redemptionId).push(this.clone(transition));
+    return this.clone(redemption);
+  }
+
+  async getRedemption(redemptionId) {
+    const redemption = this.redemptions.get(redemptionId);
+    return redemption ? this.clone(redemption) : null;
+  }
+
+  async listTransitions(redemptionId) {
+    return this.clone(this.transitions.get(redemptionId) || []);
+  }
+
+  async listRedemptions(filter = {}) {
+    return this.clone(Array.from(this.redemptions.values())
+      .reverse()
+      .filter(redemption => (!filter.status || redemption.status === filter.status) &&
+        (!filter.assetId || redemption.assetId === filter.assetId) &&
+        (!filter.holderWallet || redemption.holderWallet === filter.holderWallet))
+      .slice(0, filter.limit || 100));
+  }
+
+  async sumOpenAmount(filter) {
+    return Array.from(this.redemptions.values())
+      .filter(redemption => redemption.assetId === filter.assetId && OPEN_STATUSES.includes(redemption.status) &&
+        (!filter.holderWallet || redemption.holderWallet === filter.holderWallet) &&
+        redemption.redemptionId !== filter.excludeId)
+      .reduce((total, redemption) => total + redemption.amount, 0);
+  }
+
+  async countOpen(filter) {
+    return Array.from(this.redemptions.values())
+      .filter(redemption => redemption.holderWallet === filter.holderWallet && OPEN_STATUSES.includes(redemption.status))
+      .length;
+  }
+}
+
+const createRedemptionStore = (registry) => {
+  return isDatabaseConfigured() ? new PostgresRedemptionStore(registry) : new MemoryRedemptionStore(registry);
+};
+
+module.exports = {
+  createRedemptionStore,
+  PostgresRedemptionStore,
+  MemoryRedemptionStore
+};
@@ -0,0 +1,178 @@
+/**
+ * Registry Service
+ * The asset registry: every pledged asset with its owner, appraisals, the token batches
+ * minted for it and the redemptions that burned them, linked to their XRPL transactions.
+ * Pledges register their asset and keep its status in step (services/pledgeService.js);
+ * redemptions are recorded here once their burn validates, by redemption requests
+ * (services/redemptionService.js) or direct burns.
+ */
+
+const clientSigningService = require('./clientSigningService');
+const { createRegistryStore } = require('./registryStore');
+const { PLEDGE_STATUS } = require('./pledgeStateMachine');
+
+const ASSET_STATUS = {
+  PLEDGED: 'PLEDGED',
+  TOKENIZED: 'TOKENIZED',
+  REDEEMED: 'REDEEMED',
+  REJECTED: 'REJECTED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Asset status for each pledge status
+const PLEDGE_ASSET_STATUS = {
+  [PLEDGE_STATUS.PENDING_VERIFICATION]: ASSET_STATUS.PLEDGED,
+  [PLEDGE_STATUS.APPROVED]: ASSET_STATUS.PLEDGED,
+  [PLEDGE_STATUS.MINTING]: ASSET_STATUS.PLEDGED,
+  [PLEDGE_STATUS.MINT_UNKNOWN]: ASSET_STATUS.PLEDGED,
+  [PLEDGE_STATUS.MINTED]: ASSET_STATUS.TOKENIZED,
+  [PLEDGE_STATUS.REJECTED]: ASSET_STATUS.REJECTED,
+  [PLEDGE_STATUS.EXPIRED]: ASSET_STATUS.EXPIRED
+};
+
+class RegistryService {
+  constructor() {
+    this.store = createRegistryStore();
+    this.clock = () => new Date();
+
+    // Redemptions the client signed through POST /api/native/prepare/redeem
+    clientSigningService.registerSubmitHandler('redeem_tokens', async (submission, context) => {
+      try {
+        const redemption = await this.recordRedemption({
+          txHash: submission.txHash,
+          walletAddress: submission.account,
+          tokenSymbol: context.tokenSymbol,
+          amount: context.tokenAmount,
+          ledgerIndex: submission.ledgerIndex,
+          signing: 'client'
+        });
+        return { redemptionRecorded: true, redemption };
+      } catch (error) {
+        console.error(`❌ Redemption ${submission.txHash} validated but not recorded:`, error.message);
+        return { redemptionRecorded: false, error: error.message };
+      }
+    });
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`🗂️ Asset registry using ${this.store.name} store`);
+  }
+
+  assetStatusFor(pledgeStatus) {
+    return PLEDGE_ASSET_STATUS[pledgeStatus];
+  }
+
+  async getAsset(assetId) {
+    return this.store.getAsset(assetId);
+  }
+
+  async getAssetOrThrow(assetId) {
+    const asset = await this.store.getAsset(assetId);
+    if (!asset) {
+      throw new Error(`Asset ${assetId} not found`);
+    }
+    return asset;
+  }
+
+  // filter: { status?, assetType?, ownerWallet?, tokenSymbol?, search?, limit?, offset? }
+  async listAssets(filter = {}) {
+    return this.store.listAssets(filter);
+  }
+
+  // The asset with its appraisals, token batches, redemptions and every XRPL transaction involved
+  async getAssetDetail(assetId) {
+    const asset = await this.getAssetOrThrow(assetId);
+    const [appraisals, tokenBatches, redemptions] = await Promise.all([
+      this.store.listAppraisals(assetId),
+      this.store.listTokenBatches(assetId),
+      this.store.listRedemptions({ assetId, limit: 1000 })
+    ]);
+
+    const transactions = [
+      ...tokenBatches.map(batch => ({ type: 'mint', txHash: batch.txHash, amount: batch.amount, ledgerIndex: batch.ledgerIndex, at: batch.mintedAt })),
+      ...redemptions.map(redemption => ({ type: 'redemption', txHash: redemption.txHash, amount: redemption.amount, ledgerIndex: redemption.ledgerIndex, at: redemption.redeemedAt }))
+    ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return { ...asset, appraisals, tokenBatches, redemptions, transactions };
+  }
+
+  // Admin appraisal; becomes the asset's appraised value
+  async recordAppraisal(assetId, appraisal, admin) {
+    await this.getAssetOrThrow(assetId);
+    const recorded = await this.store.recordAppraisal({
+      assetId,
+      value: parseFloat(appraisal.value),
+      currency: appraisal.currency || 'USD',
+      source: 'admin',
+      appraiser: `admin:${admin}`,
+      notes: appraisal.notes || null,
+      appraisedAt: this.clock()
+    });
+
+    console.log(`🗂️ Asset ${assetId} appraised at ${recorded.value} ${recorded.currency} by ${admin}`);
+    return recorded;
+  }
+
+  // Check a redemption against an asset before its tokens are burned
+  async assertRedeemable(assetId, tokenSymbol, amount) {
+    const asset = await this.getAssetOrThrow(assetId);
+    if (asset.status !== ASSET_STATUS.TOKENIZED) {
+      throw new Error(`Asset ${assetId} is ${asset.status} and cannot be redeemed`);
+    }
+    if (asset.tokenSymbol !== tokenSymbol) {
+      throw new Error(`Asset ${assetId} is backed by ${asset.tokenSymbol} tokens, not ${tokenSymbol}`);
+    }
+    if (parseFloat(amount) > asset.outstandingSupply) {
+      throw new Error(`Redemption of ${amount} ${tokenSymbol} exceeds the ${asset.outstandingSupply} outstanding for asset ${assetId}`);
+    }
+    return asset;
+  }
+
+  /**
+   * The registry record of a validated burn.
+   * redemption: { txHash, assetId?, walletAddress, tokenSymbol, amount, ledgerIndex, signing, redemptionId? }
+   */
+  redemptionRecord(redemption) {
+    return {
+      txHash: redemption.txHash,
+      assetId: redemption.assetId || null,
+      walletAddress: redemption.walletAddress,
+      tokenSymbol: redemption.tokenSymbol,
+      amount: parseFloat(redemption.amount),
+      ledgerIndex: redemption.ledgerIndex || null,
+      signing: redemption.signing,
+      redemptionId: redemption.redemptionId || null,
+      redeemedAt: this.clock()
+    };
+  }
+
+  // Record a validated burn (see redemptionRecord); a transaction hash is recorded once
+  async recordRedemption(redemption) {
+    const record = this.redemptionRecord(redemption);
+    const recorded = await this.store.recordRedemption(record);
+    if (recorded) {
+      console.log(`🗂️ Redemption ${record.txHash} recorded: ${record.amount} ${record.tokenSymbol}${record.assetId ? ` against asset ${record.assetId}` : ''}`);
+    }
+    return recorded || { ...record, redeemedAt: record.redeemedAt.toISOString() };
+  }
+
+  async listRedemptions(filter = {}) {
+    return this.store.listRedemptions(filter);
+  }
+
+  // The mint or redemption behind a transaction hash, with its asset
+  async findTransaction(txHash) {
+    const transaction = await this.store.findTransaction(txHash);
+    if (!transaction) {
+      throw new Error(`Transaction ${txHash} not found in the registry`);
+    }
+
+    const asset = transaction.record.assetId ? await this.store.getAsset(transaction.record.assetId) : null;
+    return { ...transaction, asset };
+  }
+}
+
+// Export singleton instance
+module.exports = new RegistryService();
+module.exports.ASSET_STATUS = ASSET_STATUS;
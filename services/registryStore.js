@@ -0,0 +1,396 @@
+/**
+ * Registry Store
+ * Pledged assets, appraisals, minted token batches and redemptions. Uses the assets,
+ * asset_appraisals, token_batches and asset_redemptions tables when DATABASE_URL is set,
+ * otherwise an in-memory store (development only).
+ *
+ * Methods taking a client write inside the caller's transaction, so an asset changes
+ * together with the pledge that changes it (services/pledgeStore.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+
+// Asset fields that change after registration, and their columns
+const ASSET_COLUMNS = {
+  status: 'status',
+  description: 'description',
+  metadata: 'metadata'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// A fully redeemed asset has nothing left outstanding
+const outstanding = (asset) => Math.max(asset.mintedSupply - asset.redeemedSupply, 0);
+
+class PostgresRegistryStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/registry_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  assetFromRow(row) {
+    const asset = {
+      assetId: row.asset_id,
+      assetType: row.asset_type,
+      ownerWallet: row.owner_wallet,
+      description: row.description,
+      tokenSymbol: row.token_symbol,
+      issuerAddress: row.issuer_address,
+      status: row.status,
+      declaredValue: toNumber(row.declared_value),
+      appraisedValue: toNumber(row.appraised_value),
+      appraisedAt: toIso(row.appraised_at),
+      mintedSupply: toNumber(row.minted_supply),
+      redeemedSupply: toNumber(row.redeemed_supply),
+      metadata: row.metadata,
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at)
+    };
+    return { ...asset, outstandingSupply: outstanding(asset) };
+  }
+
+  appraisalFromRow(row) {
+    return {
+      assetId: row.asset_id,
+      value: toNumber(row.value),
+      currency: row.currency,
+      source: row.source,
+      appraiser: row.appraiser,
+      notes: row.notes,
+      appraisedAt: toIso(row.appraised_at)
+    };
+  }
+
+  batchFromRow(row) {
+    return {
+      txHash: row.tx_hash,
+      assetId: row.asset_id,
+      pledgeId: row.pledge_id,
+      tokenSymbol: row.token_symbol,
+      issuerAddress: row.issuer_address,
+      recipient: row.recipient,
+      amount: toNumber(row.amount),
+      ledgerIndex: row.ledger_index === null ? null : parseInt(row.ledger_index),
+      documents: row.documents,
+      mintedAt: toIso(row.minted_at)
+    };
+  }
+
+  redemptionFromRow(row) {
+    return {
+      txHash: row.tx_hash,
+      assetId: row.asset_id,
+      walletAddress: row.wallet_address,
+      tokenSymbol: row.token_symbol,
+      amount: toNumber(row.amount),
+      ledgerIndex: row.ledger_index === null ? null : parseInt(row.ledger_index),
+      signing: row.signing,
+      redemptionId: row.redemption_id,
+      redeemedAt: toIso(row.redeemed_at)
+    };
+  }
+
+  // asset: { assetId, assetType, ownerWallet, description, tokenSymbol, status, declaredValue, metadata, createdAt }
+  async insertAsset(client, asset) {
+    await client.query(`
+      INSERT INTO assets (
+        asset_id, asset_type, owner_wallet, description, token_symbol, status, declared_value, metadata, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+    `, [asset.assetId, asset.assetType, asset.ownerWallet, asset.description, asset.tokenSymbol, asset.status,
+      asset.declaredValue, JSON.stringify(asset.metadata || {}), asset.createdAt]);
+  }
+
+  async updateAsset(client, assetId, changes, at) {
+    const assignments = ['updated_at = $2'];
+    const values = [assetId, at];
+    Object.entries(changes).forEach(([field, value]) => {
+      const column = ASSET_COLUMNS[field];
+      values.push(column === 'metadata' ? JSON.stringify(value) : value);
+      assignments.push(`${column} = $${values.length}`);
+    });
+
+    await client.query(`UPDATE assets SET ${assignments.join(', ')} WHERE asset_id = $1`, values);
+  }
+
+  // The latest appraisal is the asset's appraised value
+  async insertAppraisal(client, appraisal) {
+    const { rows } = await client.query(`
+      INSERT INTO asset_appraisals (asset_id, value, currency, source, appraiser, notes, appraised_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [appraisal.assetId, appraisal.value, appraisal.currency, appraisal.source, appraisal.appraiser,
+      appraisal.notes, appraisal.appraisedAt]);
+
+    await client.query(`
+      UPDATE assets SET appraised_value = $2, appraised_at = $3, updated_at = $3 WHERE asset_id = $1
+    `, [appraisal.assetId, appraisal.value, appraisal.appraisedAt]);
+    return this.appraisalFromRow(rows[0]);
+  }
+
+  async insertTokenBatch(client, batch) {
+    await client.query(`
+      INSERT INTO token_batches (
+        tx_hash, asset_id, pledge_id, token_symbol, issuer_address, recipient, amount, ledger_index, documents, minted_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [batch.txHash, batch.assetId, batch.pledgeId, batch.tokenSymbol, batch.issuerAddress, batch.recipient,
+      batch.amount, batch.ledgerIndex, batch.documents ? JSON.stringify(batch.documents) : null, batch.mintedAt]);
+
+    await client.query(`
+      UPDATE assets SET minted_supply = minted_supply + $2, issuer_address = $3, updated_at = $4 WHERE asset_id = $1
+    `, [batch.assetId, batch.amount, batch.issuerAddress, batch.mintedAt]);
+  }
+
+  async recordAppraisal(appraisal) {
+    return withTransaction(client => this.insertAppraisal(client, appraisal));
+  }
+
+  /**
+   * A burn is recorded once per transaction hash; returns null if it already was.
+   * Redemptions naming an asset reduce its outstanding supply, and an asset with
+   * nothing left outstanding becomes REDEEMED.
+   */
+  async insertRedemption(client, redemption) {
+    const { rows } = await client.query(`
+      INSERT INTO asset_redemptions (tx_hash, asset_id, wallet_address, token_symbol, amount, ledger_index, signing, redemption_id, redeemed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (tx_hash) DO NOTHING
+      RETURNING *
+    `, [redemption.txHash, redemption.assetId, redemption.walletAddress, redemption.tokenSymbol, redemption.amount,
+      redemption.ledgerIndex, redemption.signing, redemption.redemptionId || null, redemption.redeemedAt]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+    if (redemption.assetId) {
+      await client.query(`
+        UPDATE assets SET
+          status = CASE WHEN minted_supply <= redeemed_supply + $2 THEN 'REDEEMED' ELSE status END,
+          redeemed_supply = redeemed_supply + $2,
+          updated_at = $3
+        WHERE asset_id = $1
+      `, [redemption.assetId, redemption.amount, redemption.redeemedAt]);
+    }
+    return this.redemptionFromRow(rows[0]);
+  }
+
+  async recordRedemption(redemption) {
+    return withTransaction(client => this.insertRedemption(client, redemption));
+  }
+
+  async getAsset(assetId) {
+    const rows = await query('SELECT * FROM assets WHERE asset_id = $1', [assetId]);
+    return rows.length > 0 ? this.assetFromRow(rows[0]) : null;
+  }
+
+  // filter: { status?, assetType?, ownerWallet?, tokenSymbol?, search?, limit?, offset? }; newest first
+  async listAssets(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM assets
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR asset_type = $2)
+        AND ($3::text IS NULL OR owner_wallet = $3)
+        AND ($4::text IS NULL OR token_symbol = $4)
+        AND ($5::text IS NULL OR asset_id = $5 OR description ILIKE '%' || $5 || '%')
+      ORDER BY id DESC
+      LIMIT $6 OFFSET $7
+    `, [filter.status || null, filter.assetType || null, filter.ownerWallet || null, filter.tokenSymbol || null,
+      filter.search || null, filter.limit || 100, filter.offset || 0]);
+    return rows.map(row => this.assetFromRow(row));
+  }
+
+  // Oldest first
+  async listAppraisals(assetId) {
+    const rows = await query('SELECT * FROM asset_appraisals WHERE asset_id = $1 ORDER BY id ASC', [assetId]);
+    return rows.map(row => this.appraisalFromRow(row));
+  }
+
+  async listTokenBatches(assetId) {
+    const rows = await query('SELECT * FROM token_batches WHERE asset_id = $1 ORDER BY id ASC', [assetId]);
+    return rows.map(row => this.batchFromRow(row));
+  }
+
+  async listRedemptions(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM asset_redemptions
+      WHERE ($1::text IS NULL OR asset_id = $1)
+        AND ($2::text IS NULL OR wallet_address = $2)
+      ORDER BY id ASC
+      LIMIT $3
+    `, [filter.assetId || null, filter.walletAddress || null, filter.limit || 100]);
+    return rows.map(row => this.redemptionFromRow(row));
+  }
+
+  // The mint or redemption recorded for a transaction hash: { type, record }, or null
+  async findTransaction(txHash) {
+    const batches = await query('SELECT * FROM token_batches WHERE tx_hash = $1', [txHash]);
+    if (batches.length > 0) {
+      return { type: 'mint', record: this.batchFromRow(batches[0]) };
+    }
+
+    const redemptions = await query('SELECT * FROM asset_redemptions WHERE tx_hash = $1', [txHash]);
+    return redemptions.length > 0 ? { type: 'redemption', record: this.redemptionFromRow(redemptions[0]) } : null;
+  }
+}
+
+class MemoryRegistryStore {
+  constructor() {
+    this.name = 'memory';
+    this.assets = new Map(); // In registration order
+    this.appraisals = [];
+    this.batches = [];
+    this.redemptions = [];
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - the asset registry is kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  view(asset) {
+    return this.clone({ ...asset, outstandingSupply: outstanding(asset) });
+  }
+
+  async insertAsset(client, asset) {
+    if (this.assets.has(asset.assetId)) {
+      throw new Error(`Asset ${asset.assetId} already exists`);
+    }
+
+    const createdAt = toIso(asset.createdAt);
+    this.assets.set(asset.assetId, {
+      ...this.clone(asset),
+      metadata: asset.metadata || {},
+      issuerAddress: null,
+      appraisedValue: null,
+      appraisedAt: null,
+      mintedSupply: 0,
+      redeemedSupply: 0,
+      createdAt,
+      updatedAt: createdAt
+    });
+  }
+
+  async updateAsset(client, assetId, changes, at) {
+    const asset = this.assets.get(assetId);
+    if (asset) {
+      Object.assign(asset, this.clone(changes), { updatedAt: toIso(at) });
+    }
+  }
+
+  async insertAppraisal(client, appraisal) {
+    const stored = this.clone({ ...appraisal, appraisedAt: toIso(appraisal.appraisedAt) });
+    this.appraisals.push(stored);
+    Object.assign(this.assets.get(appraisal.assetId), {
+      appraisedValue: stored.value,
+      appraisedAt: stored.appraisedAt,
+      updatedAt: stored.appraisedAt
+    });
+    return this.clone(stored);
+  }
+
+  async insertTokenBatch(client, batch) {
+    if (this.batches.some(existing => existing.txHash === batch.txHash)) {
+      throw new Error(`Token batch ${batch.txHash} already exists`);
+    }
+
+    this.batches.push(this.clone({ ...batch, documents: batch.documents || null, mintedAt: toIso(batch.mintedAt) }));
+    const asset = this.assets.get(batch.assetId);
+    Object.assign(asset, {
+      mintedSupply: asset.mintedSupply + batch.amount,
+      issuerAddress: batch.issuerAddress,
+      updatedAt: toIso(batch.mintedAt)
+    });
+  }
+
+  async recordAppraisal(appraisal) {
+    if (!this.assets.has(appraisal.assetId)) {
+      throw new Error(`Asset ${appraisal.assetId} not found`);
+    }
+    return this.insertAppraisal(null, appraisal);
+  }
+
+  async insertRedemption(client, redemption) {
+    if (this.redemptions.some(existing => existing.txHash === redemption.txHash)) {
+      return null;
+    }
+
+    const stored = this.clone({ ...redemption, redemptionId: redemption.redemptionId || null, redeemedAt: toIso(redemption.redeemedAt) });
+    this.redemptions.push(stored);
+    const asset = redemption.assetId ? this.assets.get(redemption.assetId) : null;
+    if (asset) {
+      asset.redeemedSupply += redemption.amount;
+      asset.updatedAt = stored.redeemedAt;
+      if (asset.mintedSupply <= asset.redeemedSupply) {
+        asset.status = 'REDEEMED';
+      }
+    }
+    return this.clone(stored);
+  }
+
+  async recordRedemption(redemption) {
+    return this.insertRedemption(null, redemption);
+  }
+
+  async getAsset(assetId) {
+    const asset = this.assets.get(assetId);
+    return asset ? this.view(asset) : null;
+  }
+
+  async listAssets(filter = {}) {
+    const search = filter.search ? filter.search.toLowerCase() : null;
+    const offset = filter.offset || 0;
+    return Array.from(this.assets.values())
+      .filter(asset => (!filter.status || asset.status === filter.status) &&
+        (!filter.assetType || asset.assetType === filter.assetType) &&
+        (!filter.ownerWallet || asset.ownerWallet === filter.ownerWallet) &&
+        (!filter.tokenSymbol || asset.tokenSymbol === filter.tokenSymbol) &&
+        (!search || asset.assetId === filter.search || (asset.description || '').toLowerCase().includes(search)))
+      .reverse()
+      .slice(offset, offset + (filter.limit || 100))
+      .map(asset => this.view(asset));
+  }
+
+  async listAppraisals(assetId) {
+    return this.clone(this.appraisals.filter(appraisal => appraisal.assetId === assetId));
+  }
+
+  async listTokenBatches(assetId) {
+    return this.clone(this.batches.filter(batch => batch.assetId === assetId));
+  }
+
+  async listRedemptions(filter = {}) {
+    return this.clone(this.redemptions
+      .filter(redemption => (!filter.assetId || redemption.assetId === filter.assetId) &&
+        (!filter.walletAddress || redemption.walletAddress === filter.walletAddress))
+      .slice(0, filter.limit || 100));
+  }
+
+  async findTransaction(txHash) {
+    const batch = this.batches.find(candidate => candidate.txHash === txHash);
+    if (batch) {
+      return { type: 'mint', record: this.clone(batch) };
+    }
+
+    const redemption = this.redemptions.find(candidate => candidate.txHash === txHash);
+    return redemption ? { type: 'redemption', record: this.clone(redemption) } : null;
+  }
+}
+
+const createRegistryStore = () => {
+  return isDatabaseConfigured() ? new PostgresRegistryStore() : new MemoryRegistryStore();
+};
+
+module.exports = {
+  createRegistryStore,
+  PostgresRegistryStore,
+  MemoryRegistryStore
+};
@@ -0,0 +1,275 @@
+/**
+ * Risk Policy Service
+ * One source of LTV, haircut, concentration and minimum-liquidity limits per asset
+ * type and per individual asset, used by the oracle and the liquidity service.
+ *
+ * Policies are versioned. An admin proposes a complete policy document with an
+ * effective date, a different admin approves (or rejects) it, and every action is
+ * written to the audit trail. The version in effect at a time is the latest approved
+ * version whose effective date has passed; version 0 is the built-in default.
+ */
+
+const { createRiskPolicyStore } = require('./riskPolicyStore');
+const { getRiskPolicyConfig } = require('../config/xrplConfig');
+
+const POLICY_STATUS = {
+  PROPOSED: 'proposed',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const POLICY_FIELDS = ['ltv', 'haircut', 'maxConcentration', 'minLiquidityUsd'];
+
+// 'real_estate', 'Real Estate' and 'real-estate' are the same asset type
+const normalizeAssetType = (assetType) => {
+  return String(assetType || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+};
+
+class RiskPolicyService {
+  constructor() {
+    this.config = getRiskPolicyConfig();
+    this.store = createRiskPolicyStore();
+    this.versions = []; // Stored versions, refreshed after every change
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    await this.refresh();
+    console.log(`📐 Risk policy version ${this.getEffectiveVersion().version} in effect (${this.store.name} store)`);
+  }
+
+  async refresh() {
+    this.versions = await this.store.list();
+  }
+
+  normalizeAssetType(assetType) {
+    return normalizeAssetType(assetType);
+  }
+
+  getBaseVersion() {
+    return {
+      version: 0,
+      status: POLICY_STATUS.APPROVED,
+      policy: this.config.defaultPolicy,
+      effectiveFrom: new Date(0).toISOString(),
+      reason: 'Built-in default policy',
+      proposedBy: 'system'
+    };
+  }
+
+  // Latest approved version whose effective date has passed
+  getEffectiveVersion(at = new Date()) {
+    const time = new Date(at).toISOString();
+
+    return this.versions
+      .filter(version => version.status === POLICY_STATUS.APPROVED && version.effectiveFrom <= time)
+      .reduce((latest, version) => (
+        !latest || version.effectiveFrom > latest.effectiveFrom ||
+        (version.effectiveFrom === latest.effectiveFrom && version.version > latest.version) ? version : latest
+      ), null) || this.getBaseVersion();
+  }
+
+  /**
+   * Limits for an asset: the asset's own overrides, then its asset type, then the default.
+   * Returns { ltv, haircut, maxConcentration, minLiquidityUsd, marginCallLtv, liquidationLtv,
+   *   assetType, assetId, source, version, effectiveFrom }
+   */
+  getPolicy(assetType, options = {}) {
+    const effective = this.getEffectiveVersion(options.at);
+    const { policy } = effective;
+    const type = normalizeAssetType(assetType);
+    const typePolicy = (policy.assetTypes || {})[type];
+    const assetPolicy = options.assetId ? (policy.assets || {})[options.assetId] : null;
+
+    let source = 'default';
+    if (typePolicy) source = 'asset-type';
+    if (assetPolicy) source = 'asset';
+
+    // Built-in defaults fill limits that older stored versions do not define
+    return {
+      ...this.config.defaultPolicy.default,
+      ...policy.default,
+      ...(typePolicy || {}),
+      ...(assetPolicy || {}),
+      assetType: type,
+      assetId: options.assetId || null,
+      source,
+      version: effective.version,
+      effectiveFrom: effective.effectiveFrom
+    };
+  }
+
+  /**
+   * Apply a policy to a market valuation: the haircut discounts the valuation and the
+   * LTV caps the advance against what is left.
+   */
+  applyPolicy(policy, marketValue) {
+    const collateralValue = marketValue * (1 - policy.haircut);
+    return { collateralValue, maxAdvance: collateralValue * policy.ltv };
+  }
+
+  /**
+   * Concentration check: after the advance, the asset's share of all outstanding
+   * liquidity must stay within maxConcentration.
+   * exposure: { current (this asset or type), total (whole book) } in USD
+   */
+  checkConcentration(policy, exposure, amount) {
+    const total = exposure.total + amount;
+    const share = total > 0 ? (exposure.current + amount) / total : 0;
+    const headroom = policy.maxConcentration >= 1
+      ? Infinity
+      : Math.max(0, (policy.maxConcentration * exposure.total - exposure.current) / (1 - policy.maxConcentration));
+
+    return { withinLimit: share <= policy.maxConcentration, share, maxConcentration: policy.maxConcentration, headroom };
+  }
+
+  // Propose a complete policy document; it takes effect only once approved
+  async proposeVersion(proposal, actor) {
+    const now = new Date().toISOString();
+    const policy = {
+      default: proposal.policy.default,
+      assetTypes: Object.fromEntries(Object.entries(proposal.policy.assetTypes || {})
+        .map(([assetType, limits]) => [normalizeAssetType(assetType), limits])),
+      assets: proposal.policy.assets || {}
+    };
+
+    const missing = POLICY_FIELDS.filter(field => policy.default[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Invalid policy: default is missing ${missing.join(', ')}`);
+    }
+
+    // For every asset type and asset, the advance must start below the margin call
+    // level, and margin calls must come before liquidation. Limits are resolved as getPolicy
+    // does (default, asset type, asset); an asset can be of any type, so its override is
+    // checked on top of each asset type and of the default alone.
+    const base = { ...this.config.defaultPolicy.default, ...policy.default };
+    const typeEntries = Object.entries(policy.assetTypes).map(([type, limits]) => [type, { ...base, ...limits }]);
+    const limitsByKey = [
+      ['default', base],
+      ...typeEntries,
+      ...Object.entries(policy.assets).flatMap(([assetId, limits]) => [
+        [assetId, { ...base, ...limits }],
+        ...typeEntries.map(([type, typeLimits]) => [`${assetId} (${type})`, { ...typeLimits, ...limits }])
+      ])
+    ];
+
+    const overAdvanced = limitsByKey
+      .filter(([, resolved]) => resolved.ltv * (1 - resolved.haircut) >= resolved.marginCallLtv)
+      .map(([key]) => key);
+    if (overAdvanced.length > 0) {
+      throw new Error(`Invalid policy: ltv × (1 − haircut) must be below marginCallLtv for ${overAdvanced.join(', ')}`);
+    }
+
+    const inverted = limitsByKey
+      .filter(([, resolved]) => resolved.marginCallLtv >= resolved.liquidationLtv)
+      .map(([key]) => key);
+    if (inverted.length > 0) {
+      throw new Error(`Invalid policy: marginCallLtv must be below liquidationLtv for ${inverted.join(', ')}`);
+    }
+
+    const version = await this.store.insert({
+      status: POLICY_STATUS.PROPOSED,
+      policy,
+      effectiveFrom: proposal.effectiveFrom ? new Date(proposal.effectiveFrom).toISOString() : now,
+      reason: proposal.reason,
+      proposedBy: actor,
+      proposedAt: now
+    }, {
+      action: POLICY_STATUS.PROPOSED,
+      actor,
+      reason: proposal.reason,
+      details: { effectiveFrom: proposal.effectiveFrom || null },
+      createdAt: now
+    });
+
+    await this.refresh();
+    console.log(`📐 Risk policy version ${version.version} proposed by ${actor}`);
+    return version;
+  }
+
+  async approveVersion(versionNumber, actor, reason = null) {
+    const version = this.getProposedVersion(versionNumber);
+
+    if (this.config.requireDistinctApprover && version.proposedBy === actor) {
+      throw new Error(`Policy version ${versionNumber} must be approved by a different admin than its proposer`);
+    }
+
+    // Approval never back-dates a policy: a past effective date becomes the approval time
+    const now = new Date().toISOString();
+    const effectiveFrom = version.effectiveFrom > now ? version.effectiveFrom : now;
+
+    const approved = await this.store.decide(versionNumber, POLICY_STATUS.PROPOSED, {
+      status: POLICY_STATUS.APPROVED,
+      effectiveFrom,
+      decidedBy: actor,
+      decidedAt: now,
+      decisionReason: reason
+    }, {
+      action: POLICY_STATUS.APPROVED,
+      actor,
+      reason,
+      details: { effectiveFrom, requestedEffectiveFrom: version.effectiveFrom },
+      createdAt: now
+    });
+
+    await this.refresh();
+    console.log(`📐 Risk policy version ${versionNumber} approved by ${actor}, effective ${effectiveFrom}`);
+    return approved;
+  }
+
+  async rejectVersion(versionNumber, actor, reason) {
+    const version = this.getProposedVersion(versionNumber);
+    const now = new Date().toISOString();
+
+    const rejected = await this.store.decide(versionNumber, POLICY_STATUS.PROPOSED, {
+      status: POLICY_STATUS.REJECTED,
+      effectiveFrom: version.effectiveFrom,
+      decidedBy: actor,
+      decidedAt: now,
+      decisionReason: reason
+    }, {
+      action: POLICY_STATUS.REJECTED,
+      actor,
+      reason,
+      details: null,
+      createdAt: now
+    });
+
+    await this.refresh();
+    console.log(`📐 Risk policy version ${versionNumber} rejected by ${actor}`);
+    return rejected;
+  }
+
+  getProposedVersion(versionNumber) {
+    const version = this.getVersion(versionNumber);
+    if (version.status !== POLICY_STATUS.PROPOSED) {
+      throw new Error(`Policy version ${versionNumber} is not awaiting approval (status ${version.status})`);
+    }
+    return version;
+  }
+
+  getVersion(versionNumber) {
+    if (versionNumber === 0) {
+      return this.getBaseVersion();
+    }
+
+    const version = this.versions.find(candidate => candidate.version === versionNumber);
+    if (!version) {
+      throw new Error(`Policy version ${versionNumber} not found`);
+    }
+    return version;
+  }
+
+  listVersions() {
+    const effective = this.getEffectiveVersion().version;
+    return [this.getBaseVersion(), ...this.versions].map(version => ({ ...version, inEffect: version.version === effective }));
+  }
+
+  async getAuditTrail(filter = {}) {
+    return this.store.getAudit(filter);
+  }
+}
+
+// Export singleton instance
+module.exports = new RiskPolicyService();
+module.exports.POLICY_STATUS = POLICY_STATUS;
@@ -0,0 +1,152 @@
+/**
+ * Risk Policy Store
+ * Persistence for risk policy versions and their audit trail. Uses PostgreSQL when
+ * DATABASE_URL is set, otherwise an in-memory store (development only).
+ *
+ * Decisions only apply to versions still in the expected status, so a version
+ * cannot be approved twice or approved after being rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+
+const statusConflict = (version, status) => new Error(`Policy version ${version} is not ${status} (modified concurrently)`);
+
+class PostgresRiskPolicyStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/risk_policy_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  fromRow(row) {
+    return {
+      version: row.version,
+      status: row.status,
+      policy: row.policy,
+      effectiveFrom: new Date(row.effective_from).toISOString(),
+      reason: row.reason,
+      proposedBy: row.proposed_by,
+      proposedAt: new Date(row.proposed_at).toISOString(),
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at ? new Date(row.decided_at).toISOString() : null,
+      decisionReason: row.decision_reason
+    };
+  }
+
+  async insertAudit(client, entry) {
+    await client.query(`
+      INSERT INTO risk_policy_audit (version, action, actor, reason, details, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [entry.version, entry.action, entry.actor, entry.reason, entry.details ? JSON.stringify(entry.details) : null, entry.createdAt]);
+  }
+
+  // Insert a proposal as the next version number
+  async insert(proposal, audit) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO risk_policy_versions (version, status, policy, effective_from, reason, proposed_by, proposed_at)
+        SELECT COALESCE(MAX(version), 0) + 1, $1, $2::jsonb, $3::timestamptz, $4, $5, $6::timestamptz FROM risk_policy_versions
+        RETURNING *
+      `, [proposal.status, JSON.stringify(proposal.policy), proposal.effectiveFrom, proposal.reason, proposal.proposedBy, proposal.proposedAt]);
+
+      const stored = this.fromRow(rows[0]);
+      await this.insertAudit(client, { ...audit, version: stored.version });
+      return stored;
+    });
+  }
+
+  async decide(version, expectedStatus, decision, audit) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        UPDATE risk_policy_versions SET
+          status = $3, effective_from = $4, decided_by = $5, decided_at = $6, decision_reason = $7
+        WHERE version = $1 AND status = $2
+        RETURNING *
+      `, [version, expectedStatus, decision.status, decision.effectiveFrom, decision.decidedBy, decision.decidedAt, decision.decisionReason]);
+
+      if (rows.length === 0) {
+        throw statusConflict(version, expectedStatus);
+      }
+
+      await this.insertAudit(client, { ...audit, version });
+      return this.fromRow(rows[0]);
+    });
+  }
+
+  async list() {
+    const rows = await query('SELECT * FROM risk_policy_versions ORDER BY version ASC');
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async getAudit(filter = {}) {
+    const rows = filter.version !== undefined
+      ? await query('SELECT * FROM risk_policy_audit WHERE version = $1 ORDER BY id ASC', [filter.version])
+      : await query('SELECT * FROM risk_policy_audit ORDER BY id ASC');
+
+    return rows.map(row => ({
+      version: row.version,
+      action: row.action,
+      actor: row.actor,
+      reason: row.reason,
+      details: row.details,
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+  }
+}
+
+class MemoryRiskPolicyStore {
+  constructor() {
+    this.name = 'memory';
+    this.versions = [];
+    this.audit = [];
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - risk policy versions are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insert(proposal, audit) {
+    const stored = { ...this.clone(proposal), version: this.versions.length + 1, decidedBy: null, decidedAt: null, decisionReason: null };
+    this.versions.push(stored);
+    this.audit.push({ ...this.clone(audit), version: stored.version });
+    return this.clone(stored);
+  }
+
+  async decide(version, expectedStatus, decision, audit) {
+    const current = this.versions.find(candidate => candidate.version === version);
+    if (!current || current.status !== expectedStatus) {
+      throw statusConflict(version, expectedStatus);
+    }
+
+    Object.assign(current, this.clone(decision));
+    this.audit.push({ ...this.clone(audit), version });
+    return this.clone(current);
+  }
+
+  async list() {
+    return this.clone(this.versions);
+  }
+
+  async getAudit(filter = {}) {
+    return this.clone(this.audit.filter(entry => filter.version === undefined || entry.version === filter.version));
+  }
+}
+
+const createRiskPolicyStore = () => {
+  return isDatabaseConfigured() ? new PostgresRiskPolicyStore() : new MemoryRiskPolicyStore();
+};
+
+module.exports = {
+  createRiskPolicyStore,
+  PostgresRiskPolicyStore,
+  MemoryRiskPolicyStore
+};
@@ -0,0 +1,298 @@
+/**
+ * Base Signer
+ * Common sign-request lifecycle shared by every signing provider
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { encode, encodeForSigning, deriveAddress, hashes } = require('xrpl');
+
+// Sign request lifecycle states
+const SIGN_REQUEST_STATUS = {
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  APPROVED: 'APPROVED',
+  SIGNED: 'SIGNED',
+  REJECTED: 'REJECTED',
+  FAILED: 'FAILED'
+};
+
+const TERMINAL_STATUSES = [
+  SIGN_REQUEST_STATUS.SIGNED,
+  SIGN_REQUEST_STATUS.REJECTED,
+  SIGN_REQUEST_STATUS.FAILED
+];
+
+// Ledgers assumed to close at least this often when sizing a LastLedgerSequence window
+const LEDGER_CLOSE_MS = 3000;
+// Ledgers added on top of the approval window, as xrpl.js autofill does
+const LEDGER_OFFSET = 20;
+
+// Signing algorithms as reported by key providers
+const SIGNING_ALGORITHMS = {
+  ED25519: 'ed25519',
+  SECP256K1: 'secp256k1'
+};
+
+/**
+ * Providers extend this class and implement:
+ *   loadPublicKey()                     -> { publicKey, algorithm }
+ *   submitSignRequest(payload, request) -> provider reference for the request
+ *   pollSignRequest(request)            -> { status, signature?, reason? }
+ */
+class Signer {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.publicKey = null;
+    this.algorithm = null;
+    this.address = null;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.approvalTimeoutMs = options.approvalTimeoutMs || 10 * 60 * 1000;
+    this.requiresApproval = false; // Providers whose requests wait for a human approval set this
+    this.signRequests = new Map();
+    this.queue = Promise.resolve(); // Issuer transactions run one at a time so their Sequences do not collide
+    this.pending = 0; // Transactions queued or in flight
+  }
+
+  async initialize() {
+    const { publicKey, algorithm } = await this.loadPublicKey();
+    this.publicKey = publicKey.toUpperCase();
+    this.algorithm = algorithm;
+    this.address = deriveAddress(this.publicKey);
+    return this;
+  }
+
+  getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Sign a transaction end to end: create the request, wait for approval
+   * and return { tx_blob, hash } like Wallet.sign. An autofilled transaction's
+   * LastLedgerSequence must outlast the approval; use signAndSubmit().
+   */
+  async sign(transaction, options = {}) {
+    const request = await this.createSignRequest(transaction, options);
+    return this.waitForSignature(request.requestId, options.timeoutMs);
+  }
+
+  /**
+   * Autofill, sign and submit a transaction from the signer's account and wait for it to
+   * validate. Transactions are queued so each is filled with the next Sequence, and when
+   * signing waits for an approval its LastLedgerSequence is extended to cover the approval
+   * timeout. options.onSignRequest(request) is called once the sign request exists, and
+   * options.onQueued(ahead) if it has to wait for other transactions first.
+   * Returns { result, signRequestId } where result is the submitAndWait response. If submitting
+   * fails the error carries submission: { txHash, firstLedger, lastLedgerSequence }, since the
+   * transaction may still have applied.
+   */
+  async signAndSubmit(client, transaction, options = {}) {
+    if (this.pending > 0 && options.onQueued) {
+      options.onQueued(this.pending);
+    }
+    this.pending += 1;
+
+    const run = this.queue.then(async () => {
+      const prepared = await client.autofill(transaction);
+      let firstLedger = prepared.LastLedgerSequence - LEDGER_OFFSET; // autofill allows LEDGER_OFFSET ledgers
+      if (this.requiresApproval) {
+        firstLedger = await client.getLedgerIndex();
+        prepared.LastLedgerSequence = firstLedger + this.approvalWindowLedgers();
+      }
+
+      const request = await this.createSignRequest(prepared, options);
+      if (options.onSignRequest) {
+        options.onSignRequest(request);
+      }
+      const signed = await this.waitForSignature(request.requestId, options.timeoutMs);
+      try {
+        const result = await client.submitAndWait(signed.tx_blob);
+        return { result, signRequestId: request.requestId };
+      } catch (error) {
+        error.submission = { txHash: signed.hash, firstLedger, lastLedgerSequence: prepared.LastLedgerSequence };
+        throw error;
+      }
+    });
+
+    this.queue = run.then(() => {}, () => {}).then(() => {
+      this.pending -= 1;
+    });
+    return run;
+  }
+
+  // Ledgers a transaction must stay valid for while its sign request waits for approval
+  approvalWindowLedgers() {
+    return Math.ceil(this.approvalTimeoutMs / LEDGER_CLOSE_MS) + LEDGER_OFFSET;
+  }
+
+  /**
+   * Create an asynchronous sign request; returns immediately with its status
+   */
+  async createSignRequest(transaction, options = {}) {
+    if (!this.publicKey) {
+      throw new Error(`${this.name} signer is not initialized`);
+    }
+
+    if (transaction.Account !== this.address) {
+      throw new Error(`${this.name} signer cannot sign for account ${transaction.Account}`);
+    }
+
+    const unsignedTx = { ...transaction, SigningPubKey: this.publicKey };
+    const signingData = encodeForSigning(unsignedTx);
+
+    const request = {
+      requestId: uuidv4(),
+      signer: this.name,
+      status: SIGN_REQUEST_STATUS.PENDING_APPROVAL,
+      note: options.note || null,
+      transaction: unsignedTx,
+      externalId: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.signRequests.set(request.requestId, request);
+
+    try {
+      request.externalId = await this.submitSignRequest(this.getSigningPayload(signingData), request);
+    } catch (error) {
+      this.updateRequest(request, SIGN_REQUEST_STATUS.FAILED, { reason: error.message });
+      throw new Error(`Failed to create sign request: ${error.message}`);
+    }
+
+    return this.toPublicRequest(request);
+  }
+
+  /**
+   * Poll the provider until the request reaches a terminal state
+   */
+  async waitForSignature(requestId, timeoutMs = this.approvalTimeoutMs) {
+    const request = this.signRequests.get(requestId);
+    if (!request) {
+      throw new Error('Sign request not found');
+    }
+
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      await this.refreshSignRequest(request);
+
+      if (request.status === SIGN_REQUEST_STATUS.SIGNED) {
+        return { tx_blob: request.txBlob, hash: request.txHash };
+      }
+
+      if (request.status === SIGN_REQUEST_STATUS.REJECTED || request.status === SIGN_REQUEST_STATUS.FAILED) {
+        throw new Error(`Sign request ${request.status.toLowerCase()}: ${request.reason || 'no reason given'}`);
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Sign request ${requestId} timed out waiting for approval`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  async refreshSignRequest(request) {
+    if (TERMINAL_STATUSES.includes(request.status)) {
+      return request;
+    }
+
+    const update = await this.pollSignRequest(request);
+
+    if (update.status === SIGN_REQUEST_STATUS.SIGNED) {
+      const signedTx = { ...request.transaction, TxnSignature: update.signature.toUpperCase() };
+      request.txBlob = encode(signedTx);
+      request.txHash = hashes.hashSignedTx(request.txBlob);
+    }
+
+    this.updateRequest(request, update.status, { reason: update.reason });
+    return request;
+  }
+
+  getSignRequest(requestId) {
+    const request = this.signRequests.get(requestId);
+    return request ? this.toPublicRequest(request) : null;
+  }
+
+  listSignRequests(status = null) {
+    return Array.from(this.signRequests.values())
+      .filter(request => !status || request.status === status)
+      .map(request => this.toPublicRequest(request));
+  }
+
+  // ed25519 keys sign the full message; secp256k1 keys sign its SHA-512Half digest
+  getSigningPayload(signingData) {
+    if (this.algorithm === SIGNING_ALGORITHMS.ED25519) {
+      return { message: signingData, isDigest: false };
+    }
+
+    return { message: sha512Half(signingData), isDigest: true };
+  }
+
+  updateRequest(request, status, details = {}) {
+    request.status = status;
+    if (details.reason) {
+      request.reason = details.reason;
+    }
+    request.updatedAt = new Date().toISOString();
+  }
+
+  toPublicRequest(request) {
+    return {
+      requestId: request.requestId,
+      signer: request.signer,
+      status: request.status,
+      note: request.note,
+      externalId: request.externalId,
+      account: request.transaction.Account,
+      transactionType: request.transaction.TransactionType,
+      txHash: request.txHash || null,
+      reason: request.reason || null,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt
+    };
+  }
+}
+
+// SHA-512Half of a hex string, as used for XRPL signing digests
+const sha512Half = (hex) => {
+  return crypto.createHash('sha512').update(Buffer.from(hex, 'hex')).digest('hex').slice(0, 64).toUpperCase();
+};
+
+// secp256k1 curve order, used to canonicalize S values
+const SECP256K1_ORDER = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
+
+/**
+ * Convert a raw 64-byte r||s ECDSA signature into the canonical DER form XRPL expects
+ */
+const rawSignatureToDER = (rawHex) => {
+  if (rawHex.length !== 128) {
+    throw new Error('Raw ECDSA signature must be 64 bytes');
+  }
+
+  const r = BigInt(`0x${rawHex.slice(0, 64)}`);
+  let s = BigInt(`0x${rawHex.slice(64)}`);
+
+  // XRPL requires fully canonical (low-S) signatures
+  if (s > SECP256K1_ORDER / 2n) {
+    s = SECP256K1_ORDER - s;
+  }
+
+  const encodeInteger = (value) => {
+    let hex = value.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    if (parseInt(hex.slice(0, 2), 16) & 0x80) hex = `00${hex}`;
+    return `02${(hex.length / 2).toString(16).padStart(2, '0')}${hex}`;
+  };
+
+  const body = encodeInteger(r) + encodeInteger(s);
+  return `30${(body.length / 2).toString(16).padStart(2, '0')}${body}`.toUpperCase();
+};
+
+module.exports = {
+  Signer,
+  SIGN_REQUEST_STATUS,
+  SIGNING_ALGORITHMS,
+  sha512Half,
+  rawSignatureToDER
+};
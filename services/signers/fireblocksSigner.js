@@ -0,0 +1,153 @@
+/**
+ * Fireblocks Signer
+ * Raw-signs XRPL transactions through a Fireblocks-style MPC vault API.
+ * Requests go through the vault's approval policy before they are signed.
+ *
+ * REST contract (subset of the Fireblocks v1 API):
+ *   GET  /v1/vault/accounts/:vaultAccountId/:assetId/0/0/public_key_info
+ *   POST /v1/transactions   { operation: 'RAW', source, extraParameters.rawMessageData }
+ *   GET  /v1/transactions/:id
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { Signer, SIGN_REQUEST_STATUS, SIGNING_ALGORITHMS, rawSignatureToDER } = require('./baseSigner');
+
+const VAULT_ALGORITHMS = {
+  MPC_EDDSA_ED25519: SIGNING_ALGORITHMS.ED25519,
+  MPC_ECDSA_SECP256K1: SIGNING_ALGORITHMS.SECP256K1
+};
+
+// Vault transaction status -> sign request status
+const VAULT_STATUS_MAP = {
+  SUBMITTED: SIGN_REQUEST_STATUS.PENDING_APPROVAL,
+  QUEUED: SIGN_REQUEST_STATUS.PENDING_APPROVAL,
+  PENDING_AUTHORIZATION: SIGN_REQUEST_STATUS.PENDING_APPROVAL,
+  PENDING_SIGNATURE: SIGN_REQUEST_STATUS.APPROVED,
+  BROADCASTING: SIGN_REQUEST_STATUS.APPROVED,
+  COMPLETED: SIGN_REQUEST_STATUS.SIGNED,
+  REJECTED: SIGN_REQUEST_STATUS.REJECTED,
+  BLOCKED: SIGN_REQUEST_STATUS.REJECTED,
+  CANCELLED: SIGN_REQUEST_STATUS.REJECTED,
+  FAILED: SIGN_REQUEST_STATUS.FAILED
+};
+
+class FireblocksSigner extends Signer {
+  constructor(options = {}) {
+    super('fireblocks', options);
+    this.requiresApproval = true; // Requests go through the vault's approval policy
+
+    this.apiKey = options.apiKey;
+    this.privateKey = options.privateKey || (options.privateKeyPath ? fs.readFileSync(options.privateKeyPath, 'utf8') : null);
+
+    if (!this.apiKey || !this.privateKey) {
+      throw new Error('Fireblocks signer requires FIREBLOCKS_API_KEY and FIREBLOCKS_API_SECRET(_PATH)');
+    }
+
+    this.vaultAccountId = options.vaultAccountId;
+    this.assetId = options.assetId;
+    this.client = axios.create({
+      baseURL: options.baseUrl,
+      timeout: 30000
+    });
+  }
+
+  // Fireblocks authenticates each call with a short-lived RS256 JWT bound to the URI and body
+  createAuthToken(path, body) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      uri: path,
+      nonce: uuidv4(),
+      iat: now,
+      exp: now + 55,
+      sub: this.apiKey,
+      bodyHash: crypto.createHash('sha256').update(JSON.stringify(body || '')).digest('hex')
+    };
+
+    const encodeSegment = (segment) => Buffer.from(JSON.stringify(segment)).toString('base64url');
+    const unsignedToken = `${encodeSegment({ alg: 'RS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(unsignedToken), this.privateKey).toString('base64url');
+
+    return `${unsignedToken}.${signature}`;
+  }
+
+  async request(method, path, body) {
+    try {
+      const response = await this.client.request({
+        method,
+        url: path,
+        data: body,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': this.apiKey,
+          'Authorization': `Bearer ${this.createAuthToken(path, body)}`
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Vault API request failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async loadPublicKey() {
+    const info = await this.request(
+      'GET',
+      `/v1/vault/accounts/${this.vaultAccountId}/${this.assetId}/0/0/public_key_info`
+    );
+    const algorithm = VAULT_ALGORITHMS[info.algorithm];
+
+    if (!algorithm) {
+      throw new Error(`Unsupported vault signing algorithm ${info.algorithm}`);
+    }
+
+    // Vaults report bare ed25519 keys; XRPL prefixes them with ED
+    const publicKey = algorithm === SIGNING_ALGORITHMS.ED25519 && info.publicKey.length === 64
+      ? `ED${info.publicKey}`
+      : info.publicKey;
+
+    return { publicKey, algorithm };
+  }
+
+  async submitSignRequest(payload, request) {
+    const transaction = await this.request('POST', '/v1/transactions', {
+      operation: 'RAW',
+      assetId: this.assetId,
+      source: {
+        type: 'VAULT_ACCOUNT',
+        id: String(this.vaultAccountId)
+      },
+      note: request.note || `XRPL ${request.transaction.TransactionType} ${request.requestId}`,
+      externalTxId: request.requestId,
+      extraParameters: {
+        rawMessageData: {
+          messages: [{ content: payload.message }]
+        }
+      }
+    });
+
+    return transaction.id;
+  }
+
+  async pollSignRequest(request) {
+    const transaction = await this.request('GET', `/v1/transactions/${request.externalId}`);
+    const status = VAULT_STATUS_MAP[transaction.status] || SIGN_REQUEST_STATUS.PENDING_APPROVAL;
+
+    if (status !== SIGN_REQUEST_STATUS.SIGNED) {
+      return { status, reason: transaction.subStatus };
+    }
+
+    const signedMessage = transaction.signedMessages && transaction.signedMessages[0];
+    if (!signedMessage) {
+      return { status: SIGN_REQUEST_STATUS.FAILED, reason: 'Vault returned no signed message' };
+    }
+
+    const fullSig = signedMessage.signature.fullSig;
+    const signature = this.algorithm === SIGNING_ALGORITHMS.SECP256K1 ? rawSignatureToDER(fullSig) : fullSig;
+
+    return { status, signature };
+  }
+}
+
+module.exports = FireblocksSigner;
@@ -0,0 +1,80 @@
+/**
+ * HSM Signer
+ * Signs through a KMS-style key service; the private key never leaves the HSM
+ *
+ * REST contract:
+ *   GET  /keys/:keyId       -> { keyId, publicKey, keySpec: 'ED25519' | 'ECC_SECG_P256K1' }
+ *   POST /keys/:keyId/sign  { message, messageType: 'RAW' | 'DIGEST' } -> { signature }
+ * ECDSA signatures are returned DER-encoded, as KMS services do.
+ */
+
+const axios = require('axios');
+const { Signer, SIGN_REQUEST_STATUS, SIGNING_ALGORITHMS } = require('./baseSigner');
+
+const KEY_SPECS = {
+  ED25519: SIGNING_ALGORITHMS.ED25519,
+  ECC_SECG_P256K1: SIGNING_ALGORITHMS.SECP256K1
+};
+
+class HsmSigner extends Signer {
+  constructor(options = {}) {
+    super('hsm', options);
+
+    if (!options.url || !options.keyId) {
+      throw new Error('HSM signer requires HSM_API_URL and HSM_KEY_ID');
+    }
+
+    this.keyId = options.keyId;
+    this.client = axios.create({
+      baseURL: options.url,
+      timeout: 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.apiToken ? { 'Authorization': `Bearer ${options.apiToken}` } : {})
+      }
+    });
+    this.signatures = new Map(); // requestId -> signature
+  }
+
+  async loadPublicKey() {
+    try {
+      const response = await this.client.get(`/keys/${encodeURIComponent(this.keyId)}`);
+      const algorithm = KEY_SPECS[response.data.keySpec];
+
+      if (!algorithm) {
+        throw new Error(`Unsupported key spec ${response.data.keySpec}`);
+      }
+
+      return { publicKey: response.data.publicKey, algorithm };
+    } catch (error) {
+      throw new Error(`Failed to load HSM public key: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // HSM signing is synchronous; approval is enforced by the key policy itself
+  async submitSignRequest(payload, request) {
+    try {
+      const response = await this.client.post(`/keys/${encodeURIComponent(this.keyId)}/sign`, {
+        message: payload.message,
+        messageType: payload.isDigest ? 'DIGEST' : 'RAW',
+        requestId: request.requestId
+      });
+
+      this.signatures.set(request.requestId, response.data.signature);
+      return response.data.requestId || null;
+    } catch (error) {
+      throw new Error(`HSM sign request failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async pollSignRequest(request) {
+    const signature = this.signatures.get(request.requestId);
+    this.signatures.delete(request.requestId);
+
+    return signature
+      ? { status: SIGN_REQUEST_STATUS.SIGNED, signature }
+      : { status: SIGN_REQUEST_STATUS.FAILED, reason: 'HSM returned no signature' };
+  }
+}
+
+module.exports = HsmSigner;
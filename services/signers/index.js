@@ -0,0 +1,37 @@
+/**
+ * Signer Factory
+ * Picks the issuer signing provider from configuration (SIGNER_PROVIDER)
+ */
+
+const LocalSigner = require('./localSigner');
+const HsmSigner = require('./hsmSigner');
+const FireblocksSigner = require('./fireblocksSigner');
+const { Signer, SIGN_REQUEST_STATUS, SIGNING_ALGORITHMS } = require('./baseSigner');
+
+const SIGNER_PROVIDERS = {
+  local: LocalSigner,
+  hsm: HsmSigner,
+  fireblocks: FireblocksSigner
+};
+
+const createSigner = (signerConfig) => {
+  const SignerClass = SIGNER_PROVIDERS[signerConfig.provider];
+
+  if (!SignerClass) {
+    throw new Error(`Unknown signer provider '${signerConfig.provider}'. Use one of: ${Object.keys(SIGNER_PROVIDERS).join(', ')}`);
+  }
+
+  return new SignerClass({
+    ...signerConfig[signerConfig.provider],
+    pollIntervalMs: signerConfig.pollIntervalMs,
+    approvalTimeoutMs: signerConfig.approvalTimeoutMs
+  });
+};
+
+module.exports = {
+  createSigner,
+  Signer,
+  SIGNER_PROVIDERS,
+  SIGN_REQUEST_STATUS,
+  SIGNING_ALGORITHMS
+};
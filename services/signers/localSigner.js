@@ -0,0 +1,45 @@
+/**
+ * Local Signer
+ * Signs in-process with a seed held in the environment (development/testnet)
+ */
+
+const { Wallet, decode } = require('xrpl');
+const { Signer, SIGN_REQUEST_STATUS, SIGNING_ALGORITHMS } = require('./baseSigner');
+
+class LocalSigner extends Signer {
+  constructor(options = {}) {
+    super('local', options);
+
+    if (!options.seed) {
+      throw new Error('Local signer requires XRPL_ISSUER_SECRET');
+    }
+
+    this.wallet = Wallet.fromSeed(options.seed);
+    this.signatures = new Map(); // requestId -> signature
+  }
+
+  async loadPublicKey() {
+    return {
+      publicKey: this.wallet.publicKey,
+      algorithm: this.wallet.publicKey.startsWith('ED') ? SIGNING_ALGORITHMS.ED25519 : SIGNING_ALGORITHMS.SECP256K1
+    };
+  }
+
+  // Local keys need no approval, so the request is signed straight away
+  async submitSignRequest(payload, request) {
+    const signed = this.wallet.sign(request.transaction);
+    this.signatures.set(request.requestId, decode(signed.tx_blob).TxnSignature);
+    return null;
+  }
+
+  async pollSignRequest(request) {
+    const signature = this.signatures.get(request.requestId);
+    this.signatures.delete(request.requestId);
+
+    return signature
+      ? { status: SIGN_REQUEST_STATUS.SIGNED, signature }
+      : { status: SIGN_REQUEST_STATUS.FAILED, reason: 'Signature not available' };
+  }
+}
+
+module.exports = LocalSigner;
@@ -0,0 +1,100 @@
+/**
+ * Swap Expiry Scheduler
+ * Periodically retries settlement of LOCKED swaps and refunds swap legs whose
+ * CancelAfter has passed, and reports each run through the metrics service.
+ */
+
+const swapService = require('./swapService');
+const metricsService = require('./metricsService');
+const { getSwapConfig } = require('../config/xrplConfig');
+
+metricsService.register('swap_expiry_runs_total', 'counter', 'Expiry scheduler runs by result');
+metricsService.register('swap_expiry_outcomes_total', 'counter', 'Swap settlements and expired legs processed by outcome');
+metricsService.register('swap_expiry_tec_no_permission_total', 'counter', 'EscrowCancel attempts rejected with tecNO_PERMISSION');
+metricsService.register('swap_expiry_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed expiry run');
+metricsService.register('swap_expiry_last_ledger_close_time', 'gauge', 'Ledger close time (Ripple epoch) used by the last expiry run');
+
+class SwapExpiryScheduler {
+  constructor() {
+    const swapConfig = getSwapConfig();
+    this.intervalMs = swapConfig.expiryIntervalMs;
+    this.maxAttempts = swapConfig.expiryMaxAttempts;
+    this.keeperSeed = swapConfig.keeperSecret || null;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    if (!this.keeperSeed) {
+      console.warn('⚠️ SWAP_KEEPER_SECRET not set - client-signed escrow legs cannot be released or refunded automatically');
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`⏰ Swap expiry scheduler started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏰ Swap expiry scheduler stopped');
+    }
+  }
+
+  // Process expired swaps once; overlapping runs are skipped
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date().toISOString();
+
+    try {
+      const { ledgerCloseTime, results } = await swapService.cleanupExpiredSwaps({
+        keeperSeed: this.keeperSeed,
+        maxAttempts: this.maxAttempts,
+        retryBackoffMs: this.intervalMs
+      });
+
+      results.forEach(result => {
+        metricsService.increment('swap_expiry_outcomes_total', { outcome: result.outcome });
+        if (result.timingEdgeCase) {
+          metricsService.increment('swap_expiry_tec_no_permission_total');
+        }
+      });
+
+      metricsService.increment('swap_expiry_runs_total', { result: 'success' });
+      metricsService.set('swap_expiry_last_ledger_close_time', ledgerCloseTime);
+
+      this.lastRun = { startedAt, completedAt: new Date().toISOString(), ledgerCloseTime, results };
+    } catch (error) {
+      console.error('❌ Swap expiry run failed:', error.message);
+      metricsService.increment('swap_expiry_runs_total', { result: 'error' });
+      this.lastRun = { startedAt, completedAt: new Date().toISOString(), error: error.message };
+    } finally {
+      metricsService.set('swap_expiry_last_run_timestamp_seconds', Math.floor(Date.now() / 1000));
+      this.isRunning = false;
+    }
+
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      intervalMs: this.intervalMs,
+      maxAttempts: this.maxAttempts,
+      keeperConfigured: Boolean(this.keeperSeed),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SwapExpiryScheduler();
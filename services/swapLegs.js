@@ -0,0 +1,192 @@
+/**
+ * Swap Legs
+ * Builders for the two locked legs of an atomic swap. The creator leg carries
+ * fromAsset to the counterparty, the counterparty leg carries toAsset back.
+ * Both legs share the swap's PREIMAGE-SHA-256 condition.
+ *
+ * A leg is locked either in a conditional escrow (XRP, or tokens with the
+ * TokenEscrow amendment) or by paying it into the issuer-controlled holding
+ * account, which releases or refunds it on the swap's behalf.
+ */
+
+const { createMemo, dateToXrplTime } = require('../utils/xrplHelpers');
+
+const LEG_ROLES = ['creator', 'counterparty'];
+
+const LEG_STATUS = {
+  PENDING: 'PENDING',
+  LOCKED: 'LOCKED',
+  RELEASED: 'RELEASED',
+  REFUNDED: 'REFUNDED'
+};
+
+const LOCK_METHOD = {
+  ESCROW: 'escrow',
+  HOLDING: 'holding'
+};
+
+// XRP always uses native escrow; tokens follow SWAP_TOKEN_LEG_MODE
+const getLockMethod = (asset, tokenLegMode) => {
+  return asset === 'XRP' || tokenLegMode === 'escrow' ? LOCK_METHOD.ESCROW : LOCK_METHOD.HOLDING;
+};
+
+// ledgerAmount is the XRPL Amount (drops string or issued currency object)
+const createLeg = (role, { asset, amount, ledgerAmount, from, to, cancelAfter, method }) => {
+  return {
+    role,
+    asset,
+    amount,
+    ledgerAmount,
+    from,
+    to,
+    method,
+    cancelAfter, // Unix seconds
+    status: LEG_STATUS.PENDING,
+    lock: null, // { txHash, ledgerIndex, sequence }
+    release: null, // { txHash, ledgerIndex }
+    refund: null // { status, attempts, txHash, ledgerIndex, lastError }
+  };
+};
+
+const getLeg = (swap, role) => {
+  if (!LEG_ROLES.includes(role)) {
+    throw new Error(`Unknown swap leg ${role}`);
+  }
+
+  const leg = swap.legs?.[role];
+  if (!leg) {
+    throw new Error(`Swap ${swap.swapId} has no ${role} leg`);
+  }
+  return leg;
+};
+
+// The leg whose funds go to the given address
+const getLegPayingTo = (swap, address) => {
+  return LEG_ROLES.map(role => swap.legs?.[role]).find(leg => leg && leg.to === address) || null;
+};
+
+// The leg funded by the given address
+const getLegFundedBy = (swap, address) => {
+  return LEG_ROLES.map(role => swap.legs?.[role]).find(leg => leg && leg.from === address) || null;
+};
+
+// leg.cancelAfter is Unix seconds; escrows and ledger close times use seconds since the Ripple epoch
+const getLegCancelAfter = (leg) => {
+  return dateToXrplTime(new Date(leg.cancelAfter * 1000));
+};
+
+// XRP amounts are limited to drop precision, issued amounts to 15 significant digits
+const formatLegAmount = (asset, amount) => {
+  const value = asset === 'XRP' ? Number(amount.toFixed(6)) : Number(amount.toPrecision(15));
+  if (!(value > 0)) {
+    throw new Error(`${asset} leg amount must be greater than zero`);
+  }
+  return value.toString();
+};
+
+// EscrowFinish with a fulfillment costs 330 drops plus 10 per 16 bytes of fulfillment
+const getFulfillmentFee = (fulfillment) => {
+  return (330 + Math.ceil(fulfillment.length / 2 / 16) * 10).toString();
+};
+
+// Build the unsigned transaction that locks a leg
+const buildLockTx = (swap, role, holdingAddress) => {
+  const leg = getLeg(swap, role);
+
+  if (leg.method === LOCK_METHOD.ESCROW) {
+    return {
+      TransactionType: 'EscrowCreate',
+      Account: leg.from,
+      Destination: leg.to,
+      Amount: leg.ledgerAmount,
+      Condition: swap.condition,
+      CancelAfter: getLegCancelAfter(leg)
+    };
+  }
+
+  if (!holdingAddress) {
+    throw new Error('Swap holding account not configured');
+  }
+
+  return {
+    TransactionType: 'Payment',
+    Account: leg.from,
+    Destination: holdingAddress,
+    Amount: leg.ledgerAmount,
+    Memos: [createMemo('SwapLock', { swapId: swap.swapId, leg: role, condition: swap.condition })]
+  };
+};
+
+// Build the unsigned transaction that pays a locked leg to its recipient
+const buildReleaseTx = (swap, role, submitterAddress, holdingAddress) => {
+  const leg = getLeg(swap, role);
+
+  if (leg.method === LOCK_METHOD.ESCROW) {
+    return {
+      TransactionType: 'EscrowFinish',
+      Account: submitterAddress,
+      Owner: leg.from,
+      OfferSequence: leg.lock.sequence,
+      Condition: swap.condition,
+      Fulfillment: swap.fulfillment,
+      Fee: getFulfillmentFee(swap.fulfillment)
+    };
+  }
+
+  return {
+    TransactionType: 'Payment',
+    Account: holdingAddress,
+    Destination: leg.to,
+    Amount: leg.ledgerAmount,
+    Memos: [createMemo('SwapRelease', { swapId: swap.swapId, leg: role, fulfillment: swap.fulfillment })]
+  };
+};
+
+// Build the unsigned transaction that returns an expired leg to its funder
+const buildRefundTx = (swap, role, submitterAddress, holdingAddress) => {
+  const leg = getLeg(swap, role);
+
+  if (leg.method === LOCK_METHOD.ESCROW) {
+    return {
+      TransactionType: 'EscrowCancel',
+      Account: submitterAddress,
+      Owner: leg.from,
+      OfferSequence: leg.lock.sequence
+    };
+  }
+
+  return {
+    TransactionType: 'Payment',
+    Account: holdingAddress,
+    Destination: leg.from,
+    Amount: leg.ledgerAmount,
+    Memos: [createMemo('SwapRefund', { swapId: swap.swapId, leg: role })]
+  };
+};
+
+// Compare two XRPL Amounts (issued values may be re-formatted by rippled)
+const amountsEqual = (a, b) => {
+  if (typeof a === 'string' || typeof b === 'string') {
+    return a === b;
+  }
+  return Boolean(a && b) && a.currency === b.currency && a.issuer === b.issuer &&
+    parseFloat(a.value) === parseFloat(b.value);
+};
+
+module.exports = {
+  LEG_ROLES,
+  LEG_STATUS,
+  LOCK_METHOD,
+  getLockMethod,
+  createLeg,
+  getLeg,
+  getLegPayingTo,
+  getLegFundedBy,
+  getLegCancelAfter,
+  formatLegAmount,
+  getFulfillmentFee,
+  buildLockTx,
+  buildReleaseTx,
+  buildRefundTx,
+  amountsEqual
+};
@@ -1,12 +1,35 @@
-const { Client, Wallet, EscrowCreate, EscrowFinish, EscrowCancel } = require('xrpl');
+const { Client, Wallet } = require('xrpl');
 const crypto = require('crypto');
+const clientSigningService = require('./clientSigningService');
+const xrplNativeService = require('./xrplNativeService');
+const { getSwapConfig } = require('../config/xrplConfig');
+const { xrplTimeToDate, createMemo, parseMemo } = require('../utils/xrplHelpers');
+const { createSwapStore } = require('./swapStore');
+const { SWAP_STATUS, canTransition, assertTransition, createTransition } = require('./swapStateMachine');
+const {
+  LEG_ROLES,
+  LEG_STATUS,
+  LOCK_METHOD,
+  getLockMethod,
+  createLeg,
+  getLegPayingTo,
+  getLegFundedBy,
+  getLegCancelAfter,
+  formatLegAmount,
+  buildLockTx,
+  buildReleaseTx,
+  buildRefundTx,
+  amountsEqual
+} = require('./swapLegs');
 
 class SwapService {
   constructor() {
     this.client = null;
     this.isConnected = false;
     this.testnetUrl = 'wss://s.altnet.rippletest.net:51234';
-    this.swaps = new Map(); // In-memory storage (use database in production)
+    this.store = createSwapStore();
+    this.swapConfig = getSwapConfig();
+    this.holdingWallet = null;
     this.statistics = {
       totalSwaps: 0,
       totalVolume: '0',
@@ -16,6 +39,51 @@ class SwapService {
       avgCompletionTime: 0,
       successRate: 0
     };
+
+    // Apply swap state changes once client-signed transactions validate
+    clientSigningService.registerSubmitHandler('swap_creator_lock', (submission, context) =>
+      this.applyCreatorLocked(context.swapId, context.counterparty, submission));
+    clientSigningService.registerSubmitHandler('swap_counter_lock', (submission, context) =>
+      this.applyCounterpartyLocked(context.swapId, submission));
+    clientSigningService.registerSubmitHandler('swap_leg_release', (submission, context) =>
+      this.applyLegReleased(context.swapId, context.role, submission));
+    clientSigningService.registerSubmitHandler('swap_leg_refund', (submission, context) =>
+      this.applyLegRefunded(context.swapId, context.role, submission));
+    clientSigningService.registerSubmitHandler('swap_cancel', (submission, context) =>
+      this.applySwapCancelled(context.swapId, submission));
+    clientSigningService.registerSubmitHandler('swap_finish_request', (submission, context) =>
+      this.applyFinishRequested(context.swapId, submission));
+  }
+
+  // Load persisted swaps and reconcile locked escrow legs against the ledger
+  async initialize() {
+    await this.store.initialize();
+
+    const openSwaps = await this.store.find({
+      statuses: [SWAP_STATUS.PENDING_ESCROW, SWAP_STATUS.ACTIVE, SWAP_STATUS.LOCKED, SWAP_STATUS.EXPIRED]
+    });
+    console.log(`📦 Loaded ${openSwaps.length} open swaps from ${this.store.name} store`);
+
+    const escrowSwaps = openSwaps.filter(swap => LEG_ROLES.some(role => {
+      const leg = swap.legs?.[role];
+      return leg && leg.status === LEG_STATUS.LOCKED && leg.method === LOCK_METHOD.ESCROW && leg.lock?.sequence;
+    }));
+    if (escrowSwaps.length > 0) {
+      await this.connect();
+    }
+
+    const results = [];
+    for (const swap of escrowSwaps) {
+      try {
+        results.push(await this.reconcileSwap(swap));
+      } catch (error) {
+        console.error(`❌ Failed to reconcile swap ${swap.swapId}:`, error.message);
+        results.push({ swapId: swap.swapId, outcome: 'ERROR', error: error.message });
+      }
+    }
+
+    await this.updateStatistics();
+    return { loaded: openSwaps.length, reconciled: results };
   }
 
   async connect() {
@@ -66,32 +134,48 @@ class SwapService {
     }
   }
 
-  // Create atomic swap offer
+  // Create atomic swap offer (walletSeed may be null when options.creatorAddress signs client-side)
   async createSwapOffer(walletSeed, fromAsset, toAsset, amount, options = {}) {
     try {
       await this.connect();
-      
-      const wallet = Wallet.fromSeed(walletSeed);
+
+      const wallet = walletSeed ? Wallet.fromSeed(walletSeed) : { address: options.creatorAddress };
+      if (!wallet.address) {
+        throw new Error('Either walletSeed or creatorAddress is required');
+      }
+      if (!options.exchangeRate) {
+        throw new Error('exchangeRate is required to price the counterparty leg');
+      }
       const swapId = this.generateSwapId();
-      
+
       // Generate condition/fulfillment for the swap
       const conditionData = this.generateConditionFulfillment();
-      
-      // Calculate expiration (default 7 days)
+
+      // Calculate expiration (default 7 days). The creator leg expires last so the
+      // creator can never be refunded while the counterparty still can be paid.
       const expirationSeconds = options.expirationSeconds || (7 * 24 * 60 * 60);
       const cancelAfter = Math.floor(Date.now() / 1000) + expirationSeconds;
-      
+      const counterCancelAfter = cancelAfter - this.swapConfig.counterLegMarginSeconds;
+
+      if (counterCancelAfter - Math.floor(Date.now() / 1000) <= this.swapConfig.minLockWindowSeconds) {
+        throw new Error('Swap expiry too short to lock both legs');
+      }
+
+      const requestedAmount = formatLegAmount(toAsset, parseFloat(amount) * parseFloat(options.exchangeRate));
+
       // Create the swap offer object
       const swapOffer = {
         swapId,
         fromAsset,
         toAsset,
         amount: parseFloat(amount),
-        exchangeRate: options.exchangeRate ? parseFloat(options.exchangeRate) : null,
+        requestedAmount,
+        exchangeRate: parseFloat(options.exchangeRate),
         assetType: options.assetType || 'other',
         creator: wallet.address,
-        creatorSeed: walletSeed, // Store encrypted in production
-        status: 'PENDING_ESCROW',
+        creatorSeed: walletSeed || null, // Store encrypted in production
+        signingMode: walletSeed ? 'server' : 'client',
+        status: SWAP_STATUS.PENDING_ESCROW,
         condition: conditionData.condition,
         fulfillment: conditionData.fulfillment,
         preimage: conditionData.preimage,
@@ -101,34 +185,35 @@ class SwapService {
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         hummingbotStrategy: options.hummingbotStrategy || null,
-        escrowDetails: null,
+        legs: {
+          creator: this.createSwapLeg('creator', fromAsset, amount.toString(), cancelAfter, { from: wallet.address }),
+          counterparty: this.createSwapLeg('counterparty', toAsset, requestedAmount, counterCancelAfter, { to: wallet.address })
+        },
         counterparty: null
       };
 
       // Store the swap offer
-      this.swaps.set(swapId, swapOffer);
-      
+      await this.store.insert(swapOffer, createTransition(null, SWAP_STATUS.PENDING_ESCROW, {
+        actor: wallet.address,
+        reason: 'Swap offer created'
+      }));
+
       // Update statistics
-      this.updateStatistics();
-      
+      await this.updateStatistics();
+
       console.log('📋 Swap offer created:', {
         swapId,
         fromAsset,
         toAsset,
         amount,
+        requestedAmount,
         creator: wallet.address
       });
-      
+
       return {
         success: true,
         swapId,
-        swapOffer: {
-          ...swapOffer,
-          creatorSeed: undefined, // Don't return sensitive data
-          fulfillment: undefined,
-          preimage: undefined,
-          secret: undefined
-        }
+        swapOffer: this.sanitizeSwap(swapOffer) // Don't return sensitive data
       };
     } catch (error) {
       console.error('❌ Error creating swap offer:', error);
@@ -136,218 +221,400 @@ class SwapService {
     }
   }
 
-  // Create XRPL escrow for the swap
-  async createEscrow(swapId, destinationAddress) {
+  // Build one leg of a new swap; the other party's address is filled in on acceptance
+  createSwapLeg(role, asset, amount, cancelAfter, parties) {
+    const ledgerAmount = xrplNativeService.parseAsset(asset, amount);
+    if (typeof ledgerAmount === 'object' && !ledgerAmount.issuer) {
+      throw new Error(`No issuer configured for ${asset}`);
+    }
+
+    return createLeg(role, {
+      asset,
+      amount,
+      ledgerAmount,
+      from: parties.from || null,
+      to: parties.to || null,
+      cancelAfter,
+      method: getLockMethod(asset, this.swapConfig.tokenLegMode)
+    });
+  }
+
+  // Copy of the swap with the counterparty assigned to both legs
+  withCounterparty(swap, counterpartyAddress) {
+    if (counterpartyAddress === swap.creator) {
+      throw new Error('Cannot accept your own swap offer');
+    }
+
+    return {
+      ...swap,
+      counterparty: counterpartyAddress,
+      legs: {
+        creator: { ...swap.legs.creator, to: counterpartyAddress },
+        counterparty: { ...swap.legs.counterparty, from: counterpartyAddress }
+      }
+    };
+  }
+
+  // Legs object with one leg changed
+  withLeg(swap, role, changes) {
+    return { ...swap.legs, [role]: { ...swap.legs[role], ...changes } };
+  }
+
+  // The counterparty leg must stay locked long enough for settlement to land
+  assertLockWindow(swap) {
+    const remaining = swap.legs.counterparty.cancelAfter - Math.floor(Date.now() / 1000);
+    if (remaining <= this.swapConfig.minLockWindowSeconds) {
+      throw new Error('Swap expires too soon to lock the counterparty leg');
+    }
+  }
+
+  getHoldingWallet() {
+    if (!this.holdingWallet && this.swapConfig.holdingAccountSecret) {
+      this.holdingWallet = Wallet.fromSeed(this.swapConfig.holdingAccountSecret);
+    }
+    return this.holdingWallet || null;
+  }
+
+  getHoldingAddress() {
+    return this.getHoldingWallet()?.address || null;
+  }
+
+  // Any account may finish or cancel an escrow; prefer the creator's seed, else the keeper
+  getEscrowSigner(swap, keeperSeed = this.swapConfig.keeperSecret) {
+    const seed = swap.creatorSeed || keeperSeed;
+    return seed ? Wallet.fromSeed(seed) : null;
+  }
+
+  // Holding-account legs can only be paid out by the holding wallet
+  getLegSigner(swap, leg, keeperSeed) {
+    return leg.method === LOCK_METHOD.ESCROW ? this.getEscrowSigner(swap, keeperSeed) : this.getHoldingWallet();
+  }
+
+  // Autofill, sign and submit a server-signed transaction
+  async submitTransaction(wallet, transaction, label) {
+    await this.connect();
+
+    const prepared = await this.client.autofill(transaction);
+    const signed = wallet.sign(prepared);
+    const result = await this.client.submitAndWait(signed.tx_blob);
+
+    if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+      throw new Error(`${label} failed: ${result.result.meta.TransactionResult}`);
+    }
+
+    return {
+      txHash: result.result.hash,
+      ledgerIndex: result.result.ledger_index,
+      sequence: prepared.Sequence
+    };
+  }
+
+  // Lock the creator's leg towards the counterparty (server-signed)
+  async lockCreatorLeg(swapId, counterpartyAddress) {
     try {
-      const swap = this.swaps.get(swapId);
+      const swap = await this.store.get(swapId);
       if (!swap) {
         throw new Error('Swap not found');
       }
 
-      if (swap.status !== 'PENDING_ESCROW') {
+      if (swap.status !== SWAP_STATUS.PENDING_ESCROW) {
         throw new Error('Swap is not in pending escrow state');
       }
 
-      await this.connect();
-      
+      if (!swap.creatorSeed) {
+        throw new Error('Swap uses client-side signing; prepare the creator leg via /api/swaps/prepare/escrow');
+      }
+
+      const assigned = this.withCounterparty(swap, counterpartyAddress);
+      this.assertLockWindow(assigned);
+
       const wallet = Wallet.fromSeed(swap.creatorSeed);
-      
-      // Create escrow transaction
-      const escrowTx = {
-        TransactionType: 'EscrowCreate',
-        Account: wallet.address,
-        Destination: destinationAddress,
-        Amount: (swap.amount * 1000000).toString(), // Convert to drops
-        Condition: swap.condition,
-        CancelAfter: swap.cancelAfter,
-        Fee: '12'
+
+      console.log('🔒 Locking creator leg for swap:', swapId);
+
+      const lock = await this.submitTransaction(
+        wallet,
+        buildLockTx(assigned, 'creator', this.getHoldingAddress()),
+        'Creator leg lock'
+      );
+
+      const updatedSwap = await this.transitionSwap(swap, SWAP_STATUS.ACTIVE, {
+        actor: wallet.address,
+        reason: 'Creator leg locked',
+        txHash: lock.txHash,
+        ledgerIndex: lock.ledgerIndex
+      }, {
+        counterparty: counterpartyAddress,
+        legs: this.withLeg(assigned, 'creator', { status: LEG_STATUS.LOCKED, lock })
+      });
+
+      return {
+        success: true,
+        leg: updatedSwap.legs.creator,
+        swap: this.sanitizeSwap(updatedSwap)
       };
+    } catch (error) {
+      console.error('❌ Error locking creator leg:', error);
+      throw new Error(`Failed to lock creator leg: ${error.message}`);
+    }
+  }
 
-      console.log('🔒 Creating XRPL escrow for swap:', swapId);
-      
-      const prepared = await this.client.autofill(escrowTx);
-      const signed = wallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
-      
-      if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-        // Update swap with escrow details
-        swap.status = 'ACTIVE';
-        swap.counterparty = destinationAddress;
-        swap.escrowDetails = {
-          txHash: result.result.hash,
-          sequence: result.result.Sequence,
-          ledgerIndex: result.result.ledger_index,
-          escrowId: `${wallet.address}:${result.result.Sequence}`
-        };
-        swap.updatedAt = new Date().toISOString();
-        
-        this.swaps.set(swapId, swap);
-        this.updateStatistics();
-        
-        return {
-          success: true,
-          escrowDetails: swap.escrowDetails,
-          swap: {
-            ...swap,
-            creatorSeed: undefined,
-            fulfillment: undefined,
-            preimage: undefined,
-            secret: undefined
-          }
-        };
-      } else {
-        throw new Error(`Escrow creation failed: ${result.result.meta.TransactionResult}`);
+  // Lock the counterparty's leg back to the creator (server-signed)
+  async lockCounterpartyLeg(swapId, counterpartyWalletSeed) {
+    try {
+      const swap = await this.store.get(swapId);
+      if (!swap) {
+        throw new Error('Swap not found');
+      }
+
+      if (swap.status !== SWAP_STATUS.ACTIVE || !swap.legs) {
+        throw new Error('Swap is not active');
+      }
+
+      const wallet = Wallet.fromSeed(counterpartyWalletSeed);
+      if (wallet.address !== swap.counterparty) {
+        throw new Error('Only the swap counterparty can lock the counterparty leg');
       }
+
+      this.assertLockWindow(swap);
+
+      // Never lock the second leg against a creator leg that is not on the ledger
+      await this.connect();
+      await this.assertLegLocked(swap, 'creator');
+
+      console.log('🔒 Locking counterparty leg for swap:', swapId);
+
+      const lock = await this.submitTransaction(
+        wallet,
+        buildLockTx(swap, 'counterparty', this.getHoldingAddress()),
+        'Counterparty leg lock'
+      );
+
+      return this.recordCounterpartyLock(swap, lock, wallet.address);
     } catch (error) {
-      console.error('❌ Error creating escrow:', error);
-      throw new Error(`Failed to create escrow: ${error.message}`);
+      console.error('❌ Error locking counterparty leg:', error);
+      throw new Error(`Failed to lock counterparty leg: ${error.message}`);
     }
   }
 
-  // Accept and complete atomic swap
+  // Store the counterparty lock and move to LOCKED once both legs verify on-ledger
+  async recordCounterpartyLock(swap, lock, actor) {
+    const updatedSwap = await this.updateSwap(swap, {
+      legs: this.withLeg(swap, 'counterparty', { status: LEG_STATUS.LOCKED, lock })
+    });
+
+    await this.assertLegLocked(updatedSwap, 'counterparty');
+
+    return this.transitionSwap(updatedSwap, SWAP_STATUS.LOCKED, {
+      actor,
+      reason: 'Both legs locked and verified on ledger',
+      txHash: lock.txHash,
+      ledgerIndex: lock.ledgerIndex
+    }, {
+      lockedAt: new Date().toISOString()
+    });
+  }
+
+  // Accept and complete atomic swap: lock both legs, then settle
   async acceptSwapOffer(swapId, counterpartyWalletSeed) {
     try {
-      const swap = this.swaps.get(swapId);
+      const swap = await this.store.get(swapId);
       if (!swap) {
         throw new Error('Swap offer not found');
       }
 
-      if (swap.status !== 'PENDING_ESCROW') {
+      const counterpartyWallet = Wallet.fromSeed(counterpartyWalletSeed);
+
+      if (swap.status === SWAP_STATUS.PENDING_ESCROW) {
+        await this.lockCreatorLeg(swapId, counterpartyWallet.address);
+      } else if (swap.status !== SWAP_STATUS.ACTIVE || swap.counterparty !== counterpartyWallet.address) {
+        // A client-signed creator leg may already be locked towards this counterparty
         throw new Error('Swap is not available for acceptance');
       }
 
-      const counterpartyWallet = Wallet.fromSeed(counterpartyWalletSeed);
-      
-      // First create the escrow
-      const escrowResult = await this.createEscrow(swapId, counterpartyWallet.address);
-      
-      if (!escrowResult.success) {
-        throw new Error('Failed to create escrow');
-      }
+      await this.lockCounterpartyLeg(swapId, counterpartyWalletSeed);
 
-      // Now finish the escrow to complete the swap
-      const finishResult = await this.finishEscrow(swapId, counterpartyWalletSeed);
-      
-      if (finishResult.success) {
-        swap.status = 'COMPLETED';
-        swap.completedAt = new Date().toISOString();
-        swap.updatedAt = new Date().toISOString();
-        
-        this.swaps.set(swapId, swap);
-        this.updateStatistics();
-        
-        return {
-          success: true,
-          message: 'Atomic swap completed successfully',
-          swap: {
-            ...swap,
-            creatorSeed: undefined,
-            fulfillment: undefined,
-            preimage: undefined,
-            secret: undefined
-          },
-          escrowDetails: escrowResult.escrowDetails,
-          finishDetails: finishResult.finishDetails
-        };
-      } else {
-        throw new Error('Failed to complete swap');
-      }
+      const settled = await this.settleSwap(swapId);
+
+      return {
+        success: true,
+        message: 'Atomic swap completed successfully',
+        swap: settled.swap,
+        legs: settled.swap.legs
+      };
     } catch (error) {
       console.error('❌ Error accepting swap offer:', error);
       throw new Error(`Failed to accept swap offer: ${error.message}`);
     }
   }
 
-  // Finish escrow to complete swap
-  async finishEscrow(swapId, finisherWalletSeed) {
+  /**
+   * Release both legs of a LOCKED swap. The counterparty leg (paying the creator)
+   * is released first, which puts the fulfillment on-ledger for escrow legs;
+   * its shorter CancelAfter guarantees the creator leg is still claimable.
+   */
+  async settleSwap(swapId) {
+    let swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    if (swap.status === SWAP_STATUS.COMPLETED) {
+      return { success: true, swap: this.sanitizeSwap(swap) };
+    }
+
+    if (swap.status !== SWAP_STATUS.LOCKED) {
+      throw new Error('Swap is not locked');
+    }
+
+    try {
+      await this.connect();
+      const ledgerCloseTime = await this.getLedgerCloseTime();
+
+      if (!swap.preimageRevealedAt) {
+        swap = await this.updateSwap(swap, { preimageRevealedAt: new Date().toISOString() });
+      }
+
+      for (const role of ['counterparty', 'creator']) {
+        const leg = swap.legs[role];
+        if (leg.status !== LEG_STATUS.LOCKED) {
+          continue;
+        }
+
+        if (getLegCancelAfter(leg) < ledgerCloseTime) {
+          throw new Error(`Swap ${role} leg expired before it was released`);
+        }
+
+        swap = await this.releaseLeg(swap, role);
+      }
+
+      swap = await this.finalizeSwap(swap, { actor: 'system:settlement' });
+
+      console.log(`🤝 Swap ${swapId} settled: ${swap.status}`);
+      return { success: true, swap: this.sanitizeSwap(swap) };
+    } catch (error) {
+      const latest = await this.store.get(swapId);
+      if (latest && latest.status === SWAP_STATUS.LOCKED) {
+        await this.updateSwap(latest, {
+          settlement: {
+            attempts: (latest.settlement?.attempts || 0) + 1,
+            lastAttemptAt: new Date().toISOString(),
+            lastError: error.message
+          }
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Pay a locked leg to its recipient, or record how it was already closed on-ledger
+  async releaseLeg(swap, role) {
+    const leg = swap.legs[role];
+
+    if (leg.method === LOCK_METHOD.ESCROW) {
+      const escrow = await this.getEscrowEntry(leg.from, leg.lock.sequence);
+      if (!escrow) {
+        const resolution = await this.findEscrowResolution(leg);
+        if (!resolution) {
+          throw new Error(`Escrow for the ${role} leg not found on ledger`);
+        }
+        return this.updateSwap(swap, { legs: this.withLegResolution(swap, role, resolution) });
+      }
+    }
+
+    const signer = this.getLegSigner(swap, leg);
+    if (!signer) {
+      throw new Error(`No signer available to release the ${role} leg`);
+    }
+
+    console.log(`✅ Releasing ${role} leg for swap:`, swap.swapId);
+
+    const release = await this.submitTransaction(
+      signer,
+      buildReleaseTx(swap, role, signer.address, this.getHoldingAddress()),
+      `${role} leg release`
+    );
+
+    return this.updateSwap(swap, {
+      legs: this.withLeg(swap, role, { status: LEG_STATUS.RELEASED, release })
+    });
+  }
+
+  // Return a party's expired leg (server-signed; holding legs always go through here)
+  async reclaimLeg(swapId, address) {
     try {
-      const swap = this.swaps.get(swapId);
+      let swap = await this.store.get(swapId);
       if (!swap) {
         throw new Error('Swap not found');
       }
 
-      if (swap.status !== 'ACTIVE') {
-        throw new Error('Swap is not active');
+      const leg = getLegFundedBy(swap, address);
+      if (!leg) {
+        throw new Error('No leg funded by this address was found');
+      }
+
+      if (leg.status !== LEG_STATUS.LOCKED) {
+        throw new Error(`Swap leg is already ${leg.status}`);
       }
 
       await this.connect();
-      
-      const finisherWallet = Wallet.fromSeed(finisherWalletSeed);
-      
-      const finishTx = {
-        TransactionType: 'EscrowFinish',
-        Account: finisherWallet.address,
-        Owner: swap.creator,
-        OfferSequence: swap.escrowDetails.sequence,
-        Condition: swap.condition,
-        Fulfillment: swap.fulfillment,
-        Fee: (330 + Math.ceil(swap.fulfillment.length / 2 / 16) * 10).toString()
-      };
+      const ledgerCloseTime = await this.getLedgerCloseTime();
 
-      console.log('✅ Finishing escrow for swap:', swapId);
-      
-      const prepared = await this.client.autofill(finishTx);
-      const signed = finisherWallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
-      
-      if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-        return {
-          success: true,
-          finishDetails: {
-            txHash: result.result.hash,
-            ledgerIndex: result.result.ledger_index,
-            delivered: result.result.meta.delivered_amount
-          }
-        };
-      } else {
-        throw new Error(`Escrow finish failed: ${result.result.meta.TransactionResult}`);
+      if (getLegCancelAfter(leg) >= ledgerCloseTime) {
+        throw new Error(`Swap leg has not expired yet (CancelAfter ${new Date(leg.cancelAfter * 1000).toISOString()})`);
+      }
+
+      swap = await this.expireSwap(swap, ledgerCloseTime, [leg.role]);
+
+      const { swap: refundedSwap, result } = await this.refundExpiredLeg(
+        swap, leg.role, ledgerCloseTime, this.swapConfig.keeperSecret, Infinity
+      );
+
+      if (!['REFUNDED', 'RELEASED'].includes(result.outcome)) {
+        throw new Error(result.error || `Swap leg could not be refunded (${result.outcome})`);
       }
+
+      const finalSwap = await this.finalizeSwap(refundedSwap, { actor: address, txHash: result.txHash });
+
+      return {
+        success: true,
+        message: result.outcome === 'REFUNDED' ? 'Swap leg refunded' : 'Swap leg was already released',
+        leg: finalSwap.legs[leg.role],
+        swap: this.sanitizeSwap(finalSwap)
+      };
     } catch (error) {
-      console.error('❌ Error finishing escrow:', error);
-      throw new Error(`Failed to finish escrow: ${error.message}`);
+      console.error('❌ Error reclaiming swap leg:', error);
+      throw new Error(`Failed to reclaim swap leg: ${error.message}`);
     }
   }
 
-  // Cancel swap offer
+  // Cancel swap offer (only before any leg is locked; locked funds are reclaimed after expiry)
   async cancelSwapOffer(swapId, walletSeed) {
     try {
-      const swap = this.swaps.get(swapId);
+      const swap = await this.store.get(swapId);
       if (!swap) {
         throw new Error('Swap offer not found');
       }
 
       const wallet = Wallet.fromSeed(walletSeed);
-      
+
       if (swap.creator !== wallet.address) {
         throw new Error('Only the swap creator can cancel this offer');
       }
 
-      if (swap.status === 'COMPLETED' || swap.status === 'CANCELLED') {
-        throw new Error('Swap is already completed or cancelled');
-      }
+      this.assertCancellable(swap);
 
-      // If escrow was created, cancel it on XRPL
-      if (swap.status === 'ACTIVE' && swap.escrowDetails) {
-        await this.cancelEscrow(swapId, walletSeed);
-      }
+      const cancelledSwap = await this.transitionSwap(swap, SWAP_STATUS.CANCELLED, {
+        actor: wallet.address,
+        reason: 'Cancelled by creator'
+      }, {
+        cancelledAt: new Date().toISOString()
+      });
 
-      swap.status = 'CANCELLED';
-      swap.cancelledAt = new Date().toISOString();
-      swap.updatedAt = new Date().toISOString();
-      
-      this.swaps.set(swapId, swap);
-      this.updateStatistics();
-      
       return {
         success: true,
         message: 'Swap offer cancelled successfully',
-        swap: {
-          ...swap,
-          creatorSeed: undefined,
-          fulfillment: undefined,
-          preimage: undefined,
-          secret: undefined
-        }
+        swap: this.sanitizeSwap(cancelledSwap)
       };
     } catch (error) {
       console.error('❌ Error cancelling swap offer:', error);
@@ -355,69 +622,642 @@ class SwapService {
     }
   }
 
-  // Cancel escrow on XRPL
-  async cancelEscrow(swapId, cancellerWalletSeed) {
-    try {
-      const swap = this.swaps.get(swapId);
-      if (!swap) {
-        throw new Error('Swap not found');
+  assertCancellable(swap) {
+    if (!canTransition(swap.status, SWAP_STATUS.CANCELLED)) {
+      throw new Error('Swap is already completed or cancelled');
+    }
+
+    if (LEG_ROLES.some(role => swap.legs?.[role]?.status === LEG_STATUS.LOCKED)) {
+      throw new Error('Swap has locked funds; reclaim them after expiry via /api/swaps/reclaim');
+    }
+  }
+
+  // Prepare the creator's leg lock for client-side signing
+  async prepareCreatorLock(swapId, counterpartyAddress) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap offer not found');
+    }
+
+    if (swap.status !== SWAP_STATUS.PENDING_ESCROW) {
+      throw new Error('Swap is not available for acceptance');
+    }
+
+    const assigned = this.withCounterparty(swap, counterpartyAddress);
+    this.assertLockWindow(assigned);
+
+    return clientSigningService.prepareTransaction(
+      buildLockTx(assigned, 'creator', this.getHoldingAddress()),
+      'swap_creator_lock',
+      { swapId, counterparty: counterpartyAddress }
+    );
+  }
+
+  // Prepare the counterparty's leg lock for client-side signing
+  async prepareCounterpartyLock(swapId, counterpartyAddress) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    if (swap.status !== SWAP_STATUS.ACTIVE || !swap.legs) {
+      throw new Error('Swap is not active');
+    }
+
+    if (counterpartyAddress !== swap.counterparty) {
+      throw new Error('Only the swap counterparty can lock the counterparty leg');
+    }
+
+    this.assertLockWindow(swap);
+
+    await this.connect();
+    await this.assertLegLocked(swap, 'creator');
+
+    return clientSigningService.prepareTransaction(
+      buildLockTx(swap, 'counterparty', this.getHoldingAddress()),
+      'swap_counter_lock',
+      { swapId }
+    );
+  }
+
+  // Prepare an EscrowFinish of the leg paying finisherAddress, once both legs are locked
+  async prepareEscrowFinish(swapId, finisherAddress) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    if (swap.status !== SWAP_STATUS.LOCKED) {
+      throw new Error('Swap is not locked');
+    }
+
+    const leg = getLegPayingTo(swap, finisherAddress);
+    if (!leg) {
+      throw new Error('Only the recipient of a swap leg can finish it');
+    }
+
+    if (leg.method !== LOCK_METHOD.ESCROW) {
+      throw new Error('Holding account legs are released by the server');
+    }
+
+    if (leg.status !== LEG_STATUS.LOCKED) {
+      throw new Error(`Swap leg is already ${leg.status}`);
+    }
+
+    // The counterparty's leg expires first; with the fulfillment in hand before it is
+    // released, the counterparty could refund its own leg and still take the creator's
+    if (leg.role === 'creator' && swap.legs.counterparty.status !== LEG_STATUS.RELEASED) {
+      throw new Error('The creator leg cannot be finished until the counterparty leg is released');
+    }
+
+    // Finishing the counterparty leg needs the unrevealed fulfillment: the creator first proves
+    // it holds the key with a no-op AccountSet (see applyFinishRequested)
+    if (leg.role === 'counterparty') {
+      return clientSigningService.prepareTransaction({
+        TransactionType: 'AccountSet',
+        Account: finisherAddress,
+        Memos: [createMemo('SwapFinish', { swapId })]
+      }, 'swap_finish_request', { swapId });
+    }
+
+    if (!swap.preimageRevealedAt) {
+      await this.updateSwap(swap, { preimageRevealedAt: new Date().toISOString() });
+    }
+
+    return clientSigningService.prepareTransaction(
+      buildReleaseTx(swap, leg.role, finisherAddress),
+      'swap_leg_release',
+      { swapId, role: leg.role }
+    );
+  }
+
+  /**
+   * The creator's validated finish request: the server releases the counterparty leg when it
+   * has a signer, otherwise the EscrowFinish is prepared for the creator. Either way the
+   * fulfillment only goes to the account that proved it is the creator.
+   */
+  async applyFinishRequested(swapId, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    if (submission.account !== swap.creator) {
+      throw new Error('Only the swap creator can finish the counterparty leg');
+    }
+
+    if (swap.status !== SWAP_STATUS.LOCKED) {
+      throw new Error('Swap is not locked');
+    }
+
+    if (swap.legs.counterparty.status !== LEG_STATUS.LOCKED) {
+      throw new Error(`Swap leg is already ${swap.legs.counterparty.status}`);
+    }
+
+    if (this.getEscrowSigner(swap)) {
+      return this.settleSwap(swapId);
+    }
+
+    if (!swap.preimageRevealedAt) {
+      await this.updateSwap(swap, { preimageRevealedAt: new Date().toISOString() });
+    }
+
+    const finish = await clientSigningService.prepareTransaction(
+      buildReleaseTx(swap, 'counterparty', swap.creator),
+      'swap_leg_release',
+      { swapId, role: 'counterparty' }
+    );
+    return { finish };
+  }
+
+  // Prepare an EscrowCancel of the funder's own expired escrow leg
+  async prepareReclaim(swapId, address) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const leg = getLegFundedBy(swap, address);
+    if (!leg) {
+      throw new Error('No leg funded by this address was found');
+    }
+
+    if (leg.method !== LOCK_METHOD.ESCROW) {
+      throw new Error('Holding account legs are refunded by the server via /api/swaps/reclaim');
+    }
+
+    if (leg.status !== LEG_STATUS.LOCKED) {
+      throw new Error(`Swap leg is already ${leg.status}`);
+    }
+
+    await this.connect();
+    if (getLegCancelAfter(leg) >= await this.getLedgerCloseTime()) {
+      throw new Error(`Swap leg has not expired yet (CancelAfter ${new Date(leg.cancelAfter * 1000).toISOString()})`);
+    }
+
+    return clientSigningService.prepareTransaction(
+      buildRefundTx(swap, leg.role, address),
+      'swap_leg_refund',
+      { swapId, role: leg.role }
+    );
+  }
+
+  // Prepare a cancellation for client-side signing (before any leg is locked)
+  async prepareCancel(swapId, creatorAddress) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap offer not found');
+    }
+
+    if (swap.creator !== creatorAddress) {
+      throw new Error('Only the swap creator can cancel this offer');
+    }
+
+    this.assertCancellable(swap);
+
+    // Nothing is on-ledger yet: a no-op AccountSet proves the creator holds the key
+    const cancelTx = {
+      TransactionType: 'AccountSet',
+      Account: creatorAddress,
+      Memos: [createMemo('SwapCancel', { swapId })]
+    };
+
+    return clientSigningService.prepareTransaction(cancelTx, 'swap_cancel', { swapId });
+  }
+
+  // Record a validated client-signed creator leg lock
+  async applyCreatorLocked(swapId, counterpartyAddress, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const assigned = this.withCounterparty(swap, counterpartyAddress);
+    const updatedSwap = await this.transitionSwap(swap, SWAP_STATUS.ACTIVE, {
+      actor: submission.account,
+      reason: 'Client-signed creator leg locked',
+      txHash: submission.txHash,
+      ledgerIndex: submission.ledgerIndex
+    }, {
+      counterparty: counterpartyAddress,
+      legs: this.withLeg(assigned, 'creator', {
+        status: LEG_STATUS.LOCKED,
+        lock: { txHash: submission.txHash, ledgerIndex: submission.ledgerIndex, sequence: submission.sequence }
+      })
+    });
+
+    return { swap: this.sanitizeSwap(updatedSwap) };
+  }
+
+  // Record a validated client-signed counterparty lock and start settlement
+  async applyCounterpartyLocked(swapId, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const lockedSwap = await this.recordCounterpartyLock(swap, {
+      txHash: submission.txHash,
+      ledgerIndex: submission.ledgerIndex,
+      sequence: submission.sequence
+    }, submission.account);
+
+    // Settlement failures are retried by the expiry scheduler
+    this.settleSwap(swapId).catch(error =>
+      console.error(`❌ Settlement of swap ${swapId} failed:`, error.message));
+
+    return { swap: this.sanitizeSwap(lockedSwap) };
+  }
+
+  // Record a validated client-signed EscrowFinish of one leg
+  async applyLegReleased(swapId, role, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const updatedSwap = await this.updateSwap(swap, {
+      legs: this.withLeg(swap, role, {
+        status: LEG_STATUS.RELEASED,
+        release: { txHash: submission.txHash, ledgerIndex: submission.ledgerIndex }
+      })
+    });
+
+    const finalSwap = await this.finalizeSwap(updatedSwap, {
+      actor: submission.account,
+      txHash: submission.txHash,
+      ledgerIndex: submission.ledgerIndex
+    });
+
+    return { swap: this.sanitizeSwap(finalSwap) };
+  }
+
+  // Record a validated client-signed EscrowCancel of one leg
+  async applyLegRefunded(swapId, role, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const updatedSwap = await this.updateSwap(swap, {
+      legs: this.withLeg(swap, role, {
+        status: LEG_STATUS.REFUNDED,
+        refund: { ...swap.legs[role].refund, status: 'REFUNDED', txHash: submission.txHash, ledgerIndex: submission.ledgerIndex }
+      })
+    });
+
+    const finalSwap = await this.finalizeSwap(updatedSwap, {
+      actor: submission.account,
+      txHash: submission.txHash,
+      ledgerIndex: submission.ledgerIndex
+    });
+
+    return { swap: this.sanitizeSwap(finalSwap) };
+  }
+
+  // Record a validated client-signed cancellation
+  async applySwapCancelled(swapId, submission) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    const updatedSwap = await this.transitionSwap(swap, SWAP_STATUS.CANCELLED, {
+      actor: submission.account,
+      reason: 'Cancelled by creator before any leg was locked',
+      txHash: submission.txHash,
+      ledgerIndex: submission.ledgerIndex
+    }, {
+      cancelledAt: new Date().toISOString()
+    });
+
+    return { swap: this.sanitizeSwap(updatedSwap) };
+  }
+
+  // Move the swap to the status implied by its legs after a release or refund
+  async finalizeSwap(swap, details) {
+    const legs = LEG_ROLES.map(role => swap.legs[role]);
+
+    if (swap.status === SWAP_STATUS.LOCKED && legs.every(leg => leg.status === LEG_STATUS.RELEASED)) {
+      return this.transitionSwap(swap, SWAP_STATUS.COMPLETED, {
+        ...details,
+        reason: 'Both legs released'
+      }, {
+        completedAt: new Date().toISOString()
+      });
+    }
+
+    if (legs.some(leg => leg.status === LEG_STATUS.REFUNDED)) {
+      swap = await this.expireSwap(swap, null, legs.filter(leg => leg.status === LEG_STATUS.REFUNDED).map(leg => leg.role), details.actor);
+
+      if (swap.status === SWAP_STATUS.EXPIRED && !legs.some(leg => leg.status === LEG_STATUS.LOCKED)) {
+        return this.transitionSwap(swap, SWAP_STATUS.CANCELLED, {
+          ...details,
+          reason: 'All locked legs refunded'
+        }, {
+          cancelledAt: new Date().toISOString()
+        });
       }
+    }
 
-      await this.connect();
-      
-      const cancellerWallet = Wallet.fromSeed(cancellerWalletSeed);
-      
-      const cancelTx = {
-        TransactionType: 'EscrowCancel',
-        Account: cancellerWallet.address,
-        Owner: swap.creator,
-        OfferSequence: swap.escrowDetails.sequence,
-        Fee: '12'
-      };
+    return swap;
+  }
 
-      console.log('❌ Cancelling escrow for swap:', swapId);
-      
-      const prepared = await this.client.autofill(cancelTx);
-      const signed = cancellerWallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
-      
-      if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-        return {
-          success: true,
-          cancelDetails: {
-            txHash: result.result.hash,
-            ledgerIndex: result.result.ledger_index,
-            returned: result.result.Amount
-          }
-        };
-      } else {
-        throw new Error(`Escrow cancel failed: ${result.result.meta.TransactionResult}`);
+  // Mark an ACTIVE or LOCKED swap EXPIRED (no-op otherwise)
+  async expireSwap(swap, ledgerCloseTime, roles, actor = 'system:expiry') {
+    if (![SWAP_STATUS.ACTIVE, SWAP_STATUS.LOCKED].includes(swap.status)) {
+      return swap;
+    }
+
+    return this.transitionSwap(swap, SWAP_STATUS.EXPIRED, {
+      actor,
+      reason: ledgerCloseTime
+        ? `CancelAfter of ${roles.join(', ')} leg passed at ledger close time ${xrplTimeToDate(ledgerCloseTime).toISOString()}`
+        : `${roles.join(', ')} leg refunded`,
+      metadata: { ledgerCloseTime, legs: roles }
+    }, {
+      expiredAt: new Date().toISOString()
+    });
+  }
+
+  // Persist changes to a swap; fails if the swap changed since it was read.
+  // Status changes must go through transitionSwap so they are audited.
+  async updateSwap(swap, changes, transition = null) {
+    if (!transition && changes.status && changes.status !== swap.status) {
+      throw new Error('Swap status can only change through transitionSwap');
+    }
+
+    const updatedSwap = await this.store.update({
+      ...swap,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    }, transition);
+
+    await this.updateStatistics();
+    return updatedSwap;
+  }
+
+  // Move a swap to a new status, rejecting illegal transitions and recording the audit entry
+  async transitionSwap(swap, toStatus, details, changes = {}) {
+    assertTransition(swap.status, toStatus);
+
+    return this.updateSwap(swap, { ...changes, status: toStatus }, createTransition(swap.status, toStatus, details));
+  }
+
+  // Get a swap's transition history
+  async getSwapHistory(swapId) {
+    const swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    return {
+      swapId,
+      status: swap.status,
+      version: swap.version,
+      history: await this.store.getHistory(swapId)
+    };
+  }
+
+  // Reveal the fulfillment once the counterparty leg is released (which puts it on-ledger),
+  // so the counterparty can finish the creator's escrow
+  async getSwapFulfillment(swapId) {
+    let swap = await this.store.get(swapId);
+    if (!swap) {
+      throw new Error('Swap not found');
+    }
+
+    if (swap.status !== SWAP_STATUS.COMPLETED &&
+        !(swap.status === SWAP_STATUS.LOCKED && swap.legs.counterparty.status === LEG_STATUS.RELEASED)) {
+      throw new Error('Fulfillment is not revealed until the counterparty leg is released');
+    }
+
+    if (!swap.preimageRevealedAt) {
+      swap = await this.updateSwap(swap, { preimageRevealedAt: new Date().toISOString() });
+    }
+
+    return {
+      swapId,
+      condition: swap.condition,
+      fulfillment: swap.fulfillment,
+      revealedAt: swap.preimageRevealedAt
+    };
+  }
+
+  // Check a locked leg against the validated ledger
+  async verifyLegLock(swap, role) {
+    const leg = swap.legs[role];
+    if (!leg.lock) {
+      return { verified: false, reason: 'leg is not locked' };
+    }
+
+    if (leg.method === LOCK_METHOD.ESCROW) {
+      const escrow = await this.getEscrowEntry(leg.from, leg.lock.sequence);
+      if (!escrow) {
+        return { verified: false, reason: 'escrow not found' };
+      }
+      return this.escrowMatchesLeg(swap, leg, escrow)
+        ? { verified: true }
+        : { verified: false, reason: 'escrow does not match the swap terms' };
+    }
+
+    return this.verifyHoldingLock(swap, leg);
+  }
+
+  async assertLegLocked(swap, role) {
+    const check = await this.verifyLegLock(swap, role);
+    if (!check.verified) {
+      throw new Error(`Swap ${role} leg could not be verified on ledger: ${check.reason}`);
+    }
+  }
+
+  escrowMatchesLeg(swap, leg, escrow) {
+    return amountsEqual(escrow.Amount, leg.ledgerAmount) &&
+      escrow.Destination === leg.to &&
+      escrow.Condition === swap.condition &&
+      escrow.CancelAfter === getLegCancelAfter(leg);
+  }
+
+  // A holding lock is a validated payment of the leg amount into the holding account tagged with the swap
+  async verifyHoldingLock(swap, leg) {
+    const response = await this.client.request({
+      command: 'tx',
+      transaction: leg.lock.txHash
+    });
+
+    const result = response.result;
+    const tx = result.tx_json || result;
+    const meta = result.meta || {};
+    const memo = (tx.Memos || [])
+      .map(entry => parseMemo(entry.Memo))
+      .find(parsed => parsed && parsed.type === 'SwapLock');
+
+    if (!result.validated || meta.TransactionResult !== 'tesSUCCESS') {
+      return { verified: false, reason: 'lock payment not validated' };
+    }
+
+    const matches = tx.TransactionType === 'Payment' &&
+      tx.Account === leg.from &&
+      tx.Destination === this.getHoldingAddress() &&
+      amountsEqual(meta.delivered_amount, leg.ledgerAmount) &&
+      memo?.data.swapId === swap.swapId &&
+      memo?.data.leg === leg.role;
+
+    return matches ? { verified: true } : { verified: false, reason: 'lock payment does not match the swap terms' };
+  }
+
+  // Compare a swap's open escrow legs with the validated ledger
+  async reconcileSwap(swap) {
+    const checkedAt = new Date().toISOString();
+    const outcomes = {};
+    let legs = swap.legs;
+    let resolution = null;
+
+    for (const role of LEG_ROLES) {
+      const leg = legs[role];
+      if (leg.status !== LEG_STATUS.LOCKED || leg.method !== LOCK_METHOD.ESCROW || !leg.lock?.sequence) {
+        continue;
+      }
+
+      const escrow = await this.getEscrowEntry(leg.from, leg.lock.sequence);
+
+      if (escrow) {
+        const matches = this.escrowMatchesLeg(swap, leg, escrow);
+        if (!matches) {
+          console.warn(`⚠️ Escrow for swap ${swap.swapId} ${role} leg does not match the stored terms`);
+        }
+        outcomes[role] = matches ? 'ESCROW_OPEN' : 'ESCROW_MISMATCH';
+        continue;
+      }
+
+      // Escrow is gone: find the EscrowFinish/EscrowCancel that consumed it
+      const legResolution = await this.findEscrowResolution(leg);
+      if (!legResolution) {
+        console.warn(`⚠️ Escrow for swap ${swap.swapId} ${role} leg not found on ledger`);
+        outcomes[role] = 'ESCROW_NOT_FOUND';
+        continue;
       }
+
+      legs = this.withLegResolution({ ...swap, legs }, role, legResolution);
+      outcomes[role] = legs[role].status;
+      resolution = legResolution;
+    }
+
+    let updatedSwap = await this.updateSwap(swap, {
+      legs,
+      reconciliation: { outcomes, checkedAt }
+    });
+
+    if (resolution) {
+      updatedSwap = await this.finalizeSwap(updatedSwap, {
+        actor: 'system:reconciler',
+        txHash: resolution.hash,
+        ledgerIndex: resolution.ledgerIndex
+      });
+      console.log(`🔄 Swap ${swap.swapId} reconciled to ${updatedSwap.status} from ledger`);
+    }
+
+    return { swapId: swap.swapId, outcomes, status: updatedSwap.status };
+  }
+
+  // Legs object with a closed escrow leg marked from its on-ledger EscrowFinish/EscrowCancel
+  withLegResolution(swap, role, resolution) {
+    const details = { txHash: resolution.hash, ledgerIndex: resolution.ledgerIndex };
+
+    return resolution.type === 'EscrowFinish'
+      ? this.withLeg(swap, role, { status: LEG_STATUS.RELEASED, release: details })
+      : this.withLeg(swap, role, { status: LEG_STATUS.REFUNDED, refund: { ...swap.legs[role].refund, status: 'REFUNDED', ...details } });
+  }
+
+  // Get an escrow object from the validated ledger (null once finished/cancelled)
+  async getEscrowEntry(owner, sequence) {
+    try {
+      const response = await this.client.request({
+        command: 'ledger_entry',
+        escrow: { owner, seq: sequence },
+        ledger_index: 'validated'
+      });
+      return response.result.node;
     } catch (error) {
-      console.error('❌ Error cancelling escrow:', error);
-      throw new Error(`Failed to cancel escrow: ${error.message}`);
+      if (error.data?.error === 'entryNotFound') {
+        return null;
+      }
+      throw error;
     }
   }
 
+  // Close time of the latest validated ledger, in seconds since the Ripple epoch
+  async getLedgerCloseTime() {
+    const response = await this.client.request({
+      command: 'ledger',
+      ledger_index: 'validated'
+    });
+    return response.result.ledger.close_time;
+  }
+
+  // Scan the leg owner's history from the escrow's ledger for the transaction that closed it
+  async findEscrowResolution(leg) {
+    let marker;
+
+    do {
+      const response = await this.client.request({
+        command: 'account_tx',
+        account: leg.from,
+        ledger_index_min: leg.lock.ledgerIndex || -1,
+        ledger_index_max: -1,
+        forward: true,
+        limit: 200,
+        marker
+      });
+
+      for (const entry of response.result.transactions) {
+        const tx = entry.tx_json || entry.tx;
+        const result = typeof entry.meta === 'object' ? entry.meta.TransactionResult : null;
+
+        if (['EscrowFinish', 'EscrowCancel'].includes(tx.TransactionType) &&
+            tx.Owner === leg.from &&
+            tx.OfferSequence === leg.lock.sequence &&
+            result === 'tesSUCCESS') {
+          return {
+            type: tx.TransactionType,
+            hash: entry.hash || tx.hash,
+            ledgerIndex: entry.ledger_index || tx.ledger_index
+          };
+        }
+      }
+
+      marker = response.result.marker;
+    } while (marker);
+
+    return null;
+  }
+
+  // Strip secrets before returning a swap to clients
+  sanitizeSwap(swap) {
+    return {
+      ...swap,
+      creatorSeed: undefined,
+      fulfillment: undefined,
+      preimage: undefined,
+      secret: undefined
+    };
+  }
+
   // Get active swap offers
-  getActiveSwapOffers(filterOptions = {}) {
-    const activeSwaps = Array.from(this.swaps.values())
-      .filter(swap => swap.status === 'PENDING_ESCROW' || swap.status === 'ACTIVE')
+  async getActiveSwapOffers(filterOptions = {}) {
+    const swaps = await this.store.find({
+      statuses: [SWAP_STATUS.PENDING_ESCROW, SWAP_STATUS.ACTIVE],
+      fromAsset: filterOptions.fromAsset,
+      toAsset: filterOptions.toAsset
+    });
+
+    const activeSwaps = swaps
       .filter(swap => {
-        if (filterOptions.fromAsset && swap.fromAsset !== filterOptions.fromAsset) return false;
-        if (filterOptions.toAsset && swap.toAsset !== filterOptions.toAsset) return false;
         if (filterOptions.minAmount && swap.amount < parseFloat(filterOptions.minAmount)) return false;
         if (filterOptions.maxAmount && swap.amount > parseFloat(filterOptions.maxAmount)) return false;
         return true;
       })
-      .map(swap => ({
-        ...swap,
-        creatorSeed: undefined,
-        fulfillment: undefined,
-        preimage: undefined,
-        secret: undefined
-      }))
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      .map(swap => this.sanitizeSwap(swap));
 
     return {
       success: true,
@@ -428,17 +1268,9 @@ class SwapService {
   }
 
   // Get user's swap offers
-  getUserSwapOffers(address) {
-    const userSwaps = Array.from(this.swaps.values())
-      .filter(swap => swap.creator === address || swap.counterparty === address)
-      .map(swap => ({
-        ...swap,
-        creatorSeed: undefined,
-        fulfillment: undefined,
-        preimage: undefined,
-        secret: undefined
-      }))
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  async getUserSwapOffers(address) {
+    const userSwaps = (await this.store.find({ address }))
+      .map(swap => this.sanitizeSwap(swap));
 
     return {
       success: true,
@@ -461,14 +1293,17 @@ class SwapService {
         exchangeRate: parseFloat(offerData.exchangeRate),
         source: 'hummingbot',
         strategy: offerData.strategy || 'market_making',
-        status: 'ACTIVE',
+        status: SWAP_STATUS.ACTIVE,
         creator: 'hummingbot-system',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
       
-      this.swaps.set(botSwapId, botOffer);
-      this.updateStatistics();
+      await this.store.insert(botOffer, createTransition(null, SWAP_STATUS.ACTIVE, {
+        actor: 'hummingbot-system',
+        reason: `Hummingbot ${botOffer.strategy} offer registered`
+      }));
+      await this.updateStatistics();
       
       return {
         success: true,
@@ -482,8 +1317,8 @@ class SwapService {
   }
 
   // Get swap statistics
-  getSwapStatistics() {
-    this.updateStatistics();
+  async getSwapStatistics() {
+    await this.updateStatistics();
     return {
       success: true,
       data: this.statistics,
@@ -492,16 +1327,19 @@ class SwapService {
   }
 
   // Update statistics
-  updateStatistics() {
-    const allSwaps = Array.from(this.swaps.values());
+  async updateStatistics() {
+    const summary = await this.store.summarize();
+    const countOf = (...statuses) => summary
+      .filter(entry => statuses.includes(entry.status))
+      .reduce((sum, entry) => sum + entry.count, 0);
     
-    this.statistics.totalSwaps = allSwaps.length;
-    this.statistics.activeOffers = allSwaps.filter(s => s.status === 'PENDING_ESCROW' || s.status === 'ACTIVE').length;
-    this.statistics.completedSwaps = allSwaps.filter(s => s.status === 'COMPLETED').length;
-    this.statistics.cancelledSwaps = allSwaps.filter(s => s.status === 'CANCELLED').length;
+    this.statistics.totalSwaps = summary.reduce((sum, entry) => sum + entry.count, 0);
+    this.statistics.activeOffers = countOf(SWAP_STATUS.PENDING_ESCROW, SWAP_STATUS.ACTIVE);
+    this.statistics.completedSwaps = countOf(SWAP_STATUS.COMPLETED);
+    this.statistics.cancelledSwaps = countOf(SWAP_STATUS.CANCELLED);
     
     // Calculate total volume
-    const totalVolume = allSwaps.reduce((sum, swap) => sum + swap.amount, 0);
+    const totalVolume = summary.reduce((sum, entry) => sum + entry.volume, 0);
     this.statistics.totalVolume = totalVolume.toFixed(2);
     
     // Calculate success rate
@@ -533,29 +1371,158 @@ class SwapService {
     // });
   }
 
-  // Clean up expired swaps (call periodically)
-  cleanupExpiredSwaps() {
-    const now = Math.floor(Date.now() / 1000);
-    let cleanedCount = 0;
-    
-    for (const [swapId, swap] of this.swaps.entries()) {
-      if (swap.cancelAfter && now > swap.cancelAfter && swap.status === 'ACTIVE') {
-        swap.status = 'EXPIRED';
-        swap.expiredAt = new Date().toISOString();
-        swap.updatedAt = new Date().toISOString();
-        this.swaps.set(swapId, swap);
-        cleanedCount++;
+  /**
+   * Retry settlement of LOCKED swaps, then refund every locked leg whose
+   * CancelAfter has passed on the validated ledger. Any account may cancel an
+   * expired escrow, so client-signed legs are cancelled with the keeper wallet;
+   * holding-account legs are paid back by the holding wallet.
+   * Settlement is retried at most maxAttempts times, backing off exponentially
+   * from retryBackoffMs; a swap that gives up is left to the expiry refunds.
+   * Called by swapExpiryScheduler; returns one result per settlement or leg processed.
+   */
+  async cleanupExpiredSwaps(options = {}) {
+    const keeperSeed = options.keeperSeed || null;
+    const maxAttempts = options.maxAttempts || 5;
+    const retryBackoffMs = options.retryBackoffMs || 60000;
+
+    await this.connect();
+    const ledgerCloseTime = await this.getLedgerCloseTime();
+    const results = [];
+
+    // Settle first so a late release still wins over a refund of an unexpired leg
+    const lockedSwaps = await this.store.find({ statuses: [SWAP_STATUS.LOCKED] });
+    for (const swap of lockedSwaps.filter(swap => this.isSettlementDue(swap, maxAttempts, retryBackoffMs))) {
+      try {
+        await this.settleSwap(swap.swapId);
+        results.push({ swapId: swap.swapId, outcome: 'SETTLED' });
+      } catch (error) {
+        results.push({ swapId: swap.swapId, outcome: 'SETTLEMENT_FAILED', error: error.message });
       }
     }
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} expired swaps`);
-      this.updateStatistics();
+
+    const candidates = (await this.store.find({ statuses: [SWAP_STATUS.ACTIVE, SWAP_STATUS.LOCKED, SWAP_STATUS.EXPIRED] }))
+      .filter(swap => this.getExpiredLegRoles(swap, ledgerCloseTime).length > 0);
+
+    for (const swap of candidates) {
+      try {
+        results.push(...await this.processExpiredSwap(swap, ledgerCloseTime, keeperSeed, maxAttempts));
+      } catch (error) {
+        console.error(`❌ Failed to process expired swap ${swap.swapId}:`, error.message);
+        results.push({ swapId: swap.swapId, outcome: 'ERROR', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`🧹 Processed ${results.length} swap settlements and expired legs`);
+    }
+
+    return { ledgerCloseTime, results };
+  }
+
+  // Whether a LOCKED swap's settlement should be retried now (attempt n waits backoff * 2^(n-1))
+  isSettlementDue(swap, maxAttempts, retryBackoffMs) {
+    const attempts = swap.settlement?.attempts || 0;
+    if (attempts === 0) {
+      return true;
+    }
+    if (attempts >= maxAttempts) {
+      return false;
+    }
+
+    const retryAt = new Date(swap.settlement.lastAttemptAt).getTime() + retryBackoffMs * 2 ** (attempts - 1);
+    return Date.now() >= retryAt;
+  }
+
+  // Locked legs past their CancelAfter that have not given up retrying
+  getExpiredLegRoles(swap, ledgerCloseTime) {
+    return LEG_ROLES.filter(role => {
+      const leg = swap.legs?.[role];
+      return leg && leg.status === LEG_STATUS.LOCKED && leg.lock &&
+        getLegCancelAfter(leg) < ledgerCloseTime &&
+        !['FAILED', 'NO_SIGNER', 'ESCROW_NOT_FOUND'].includes(leg.refund?.status);
+    });
+  }
+
+  async processExpiredSwap(swap, ledgerCloseTime, keeperSeed, maxAttempts) {
+    const roles = this.getExpiredLegRoles(swap, ledgerCloseTime);
+    const results = [];
+
+    swap = await this.expireSwap(swap, ledgerCloseTime, roles);
+
+    for (const role of roles) {
+      const refunded = await this.refundExpiredLeg(swap, role, ledgerCloseTime, keeperSeed, maxAttempts);
+      swap = refunded.swap;
+      results.push(refunded.result);
+    }
+
+    await this.finalizeSwap(swap, { actor: 'system:expiry' });
+    return results;
+  }
+
+  async refundExpiredLeg(swap, role, ledgerCloseTime, keeperSeed, maxAttempts) {
+    const leg = swap.legs[role];
+    const base = { swapId: swap.swapId, leg: role };
+
+    if (leg.method === LOCK_METHOD.ESCROW) {
+      const escrow = await this.getEscrowEntry(leg.from, leg.lock.sequence);
+
+      // Escrow already finished or cancelled by someone else
+      if (!escrow) {
+        const resolution = await this.findEscrowResolution(leg);
+        const legs = resolution
+          ? this.withLegResolution(swap, role, resolution)
+          : this.withLeg(swap, role, { refund: { ...leg.refund, status: 'ESCROW_NOT_FOUND', lastAttemptAt: new Date().toISOString() } });
+
+        swap = await this.updateSwap(swap, { legs });
+        return { swap, result: { ...base, outcome: resolution ? legs[role].status : 'ESCROW_NOT_FOUND', txHash: resolution?.hash } };
+      }
+
+      // The ledger, not our stored copy, decides when the escrow can be cancelled
+      if (escrow.CancelAfter && escrow.CancelAfter >= ledgerCloseTime) {
+        return { swap, result: { ...base, outcome: 'NOT_YET_CANCELLABLE' } };
+      }
+    }
+
+    const signer = this.getLegSigner(swap, leg, keeperSeed);
+    if (!signer) {
+      swap = await this.updateSwap(swap, {
+        legs: this.withLeg(swap, role, { refund: { ...leg.refund, status: 'NO_SIGNER', lastAttemptAt: new Date().toISOString() } })
+      });
+      return { swap, result: { ...base, outcome: 'NO_SIGNER' } };
+    }
+
+    const attempts = (leg.refund?.attempts || 0) + 1;
+
+    try {
+      const refund = await this.submitTransaction(
+        signer,
+        buildRefundTx(swap, role, signer.address, this.getHoldingAddress()),
+        `${role} leg refund`
+      );
+
+      swap = await this.updateSwap(swap, {
+        legs: this.withLeg(swap, role, {
+          status: LEG_STATUS.REFUNDED,
+          refund: { status: 'REFUNDED', attempts, lastAttemptAt: new Date().toISOString(), txHash: refund.txHash, ledgerIndex: refund.ledgerIndex, ledgerCloseTime }
+        })
+      });
+
+      return { swap, result: { ...base, outcome: 'REFUNDED', attempts, txHash: refund.txHash } };
+    } catch (error) {
+      // tecNO_PERMISSION: the ledger the cancel landed in closed before CancelAfter; retry next run
+      const timingEdgeCase = error.message.includes('tecNO_PERMISSION');
+      const status = attempts >= maxAttempts ? 'FAILED' : 'RETRY_PENDING';
+
+      swap = await this.updateSwap(swap, {
+        legs: this.withLeg(swap, role, {
+          refund: { status, attempts, lastAttemptAt: new Date().toISOString(), lastError: error.message, ledgerCloseTime }
+        })
+      });
+
+      return { swap, result: { ...base, outcome: status, attempts, timingEdgeCase, error: error.message } };
     }
-    
-    return cleanedCount;
   }
 }
 
 // Export singleton instance
-module.exports = new SwapService();
\ No newline at end of file
+module.exports = new SwapService();
@@ -0,0 +1,67 @@
+/**
+ * Swap State Machine
+ * Declares the legal swap status transitions; every status change in
+ * swapService goes through assertTransition() and is recorded in the audit trail.
+ */
+
+const SWAP_STATUS = {
+  PENDING_ESCROW: 'PENDING_ESCROW',
+  ACTIVE: 'ACTIVE', // Creator leg locked, waiting for the counterparty leg
+  LOCKED: 'LOCKED', // Both legs locked on the validated ledger; preimage may be revealed
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Statuses a swap may be created in (Hummingbot offers start ACTIVE)
+const INITIAL_STATUSES = [SWAP_STATUS.PENDING_ESCROW, SWAP_STATUS.ACTIVE];
+
+// from -> allowed targets
+const SWAP_TRANSITIONS = {
+  [SWAP_STATUS.PENDING_ESCROW]: [SWAP_STATUS.ACTIVE, SWAP_STATUS.CANCELLED],
+  [SWAP_STATUS.ACTIVE]: [SWAP_STATUS.LOCKED, SWAP_STATUS.CANCELLED, SWAP_STATUS.EXPIRED],
+  [SWAP_STATUS.LOCKED]: [SWAP_STATUS.COMPLETED, SWAP_STATUS.EXPIRED], // Never cancelled while the preimage may be out
+  [SWAP_STATUS.EXPIRED]: [SWAP_STATUS.CANCELLED], // Every locked leg refunded after its CancelAfter
+  [SWAP_STATUS.COMPLETED]: [],
+  [SWAP_STATUS.CANCELLED]: []
+};
+
+const TERMINAL_STATUSES = Object.keys(SWAP_TRANSITIONS).filter(status => SWAP_TRANSITIONS[status].length === 0);
+
+const canTransition = (fromStatus, toStatus) => {
+  return (SWAP_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`Invalid swap transition from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+// Build an audit record for a status change (fromStatus is null on creation)
+const createTransition = (fromStatus, toStatus, details = {}) => {
+  if (fromStatus === null && !INITIAL_STATUSES.includes(toStatus)) {
+    throw new Error(`Swaps cannot be created in status ${toStatus}`);
+  }
+
+  return {
+    fromStatus,
+    toStatus,
+    actor: details.actor || 'system',
+    reason: details.reason || null,
+    txHash: details.txHash || null,
+    ledgerIndex: details.ledgerIndex || null,
+    metadata: details.metadata || null,
+    createdAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  SWAP_STATUS,
+  SWAP_TRANSITIONS,
+  INITIAL_STATUSES,
+  TERMINAL_STATUSES,
+  canTransition,
+  assertTransition,
+  createTransition
+};
@@ -0,0 +1,265 @@
+/**
+ * Swap Store
+ * Persistence for atomic swaps. Uses PostgreSQL when DATABASE_URL (or SHARED_DATABASE_URL) is
+ * set, otherwise falls back to an in-memory store (development only). Secret fields are
+ * encrypted with DATA_ENCRYPTION_KEY, which validateConfig requires alongside a database URL.
+ *
+ * Every update must carry the version it was read at; a stale version means
+ * another request changed the swap first and the update is rejected.
+ * Status transitions are written to the audit trail together with the update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query, withTransaction } = require('../config/database');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+
+// Fields that are only ever stored encrypted
+const SECRET_FIELDS = ['creatorSeed', 'fulfillment', 'preimage', 'secret'];
+
+const versionConflict = (swapId) => new Error(`Swap ${swapId} was modified concurrently (version conflict)`);
+
+const splitSecrets = (swap) => {
+  const data = { ...swap };
+  const secrets = {};
+
+  SECRET_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      secrets[field] = data[field];
+    }
+    delete data[field];
+  });
+  delete data.version;
+
+  return { data, secrets };
+};
+
+const matchesFilter = (swap, filter) => {
+  if (filter.statuses && !filter.statuses.includes(swap.status)) return false;
+  if (filter.address && swap.creator !== filter.address && swap.counterparty !== filter.address) return false;
+  if (filter.fromAsset && swap.fromAsset !== filter.fromAsset) return false;
+  if (filter.toAsset && swap.toAsset !== filter.toAsset) return false;
+  return true;
+};
+
+class PostgresSwapStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/swap_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  encryptSecrets(swapId, secrets) {
+    return Object.keys(secrets).length > 0 ? encryptSecret(JSON.stringify(secrets), swapId) : null;
+  }
+
+  fromRow(row) {
+    const secrets = row.secrets_encrypted ? JSON.parse(decryptSecret(row.secrets_encrypted, row.swap_id)) : {};
+    return { ...row.swap_data, ...secrets, version: row.version };
+  }
+
+  async insertTransition(client, swapId, version, transition) {
+    await client.query(`
+      INSERT INTO swap_transitions (
+        swap_id, from_status, to_status, actor, reason, tx_hash, ledger_index, swap_version, metadata, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      swapId, transition.fromStatus, transition.toStatus, transition.actor, transition.reason,
+      transition.txHash, transition.ledgerIndex, version,
+      transition.metadata ? JSON.stringify(transition.metadata) : null, transition.createdAt
+    ]);
+  }
+
+  async insert(swap, transition) {
+    const { data, secrets } = splitSecrets(swap);
+
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO atomic_swaps (
+          swap_id, status, creator, counterparty, signing_mode, from_asset, to_asset,
+          amount, exchange_rate, escrow_condition, escrow_sequence, cancel_after,
+          secrets_encrypted, swap_data, version, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 1, $15, $16)
+        RETURNING *
+      `, [
+        data.swapId, data.status, data.creator, data.counterparty || null, data.signingMode || 'server',
+        data.fromAsset, data.toAsset, data.amount, data.exchangeRate || null, data.condition || null,
+        data.legs?.creator?.lock?.sequence || null, data.cancelAfter || null,
+        this.encryptSecrets(data.swapId, secrets), JSON.stringify(data), data.createdAt, data.updatedAt
+      ]);
+
+      await this.insertTransition(client, data.swapId, 1, transition);
+      return this.fromRow(rows[0]);
+    });
+  }
+
+  async update(swap, transition = null) {
+    const { data, secrets } = splitSecrets(swap);
+
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        UPDATE atomic_swaps SET
+          status = $3, counterparty = $4, escrow_sequence = $5, secrets_encrypted = $6,
+          swap_data = $7, version = version + 1, updated_at = $8
+        WHERE swap_id = $1 AND version = $2
+        RETURNING *
+      `, [
+        data.swapId, swap.version, data.status, data.counterparty || null,
+        data.legs?.creator?.lock?.sequence || null, this.encryptSecrets(data.swapId, secrets),
+        JSON.stringify(data), data.updatedAt
+      ]);
+
+      if (rows.length === 0) {
+        throw versionConflict(data.swapId);
+      }
+
+      if (transition) {
+        await this.insertTransition(client, data.swapId, rows[0].version, transition);
+      }
+      return this.fromRow(rows[0]);
+    });
+  }
+
+  async get(swapId) {
+    const rows = await query('SELECT * FROM atomic_swaps WHERE swap_id = $1', [swapId]);
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  async getHistory(swapId) {
+    const rows = await query('SELECT * FROM swap_transitions WHERE swap_id = $1 ORDER BY id ASC', [swapId]);
+
+    return rows.map(row => ({
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      txHash: row.tx_hash,
+      ledgerIndex: row.ledger_index,
+      swapVersion: row.swap_version,
+      metadata: row.metadata,
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+  }
+
+  async find(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.statuses) {
+      params.push(filter.statuses);
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if (filter.address) {
+      params.push(filter.address);
+      conditions.push(`(creator = $${params.length} OR counterparty = $${params.length})`);
+    }
+    if (filter.fromAsset) {
+      params.push(filter.fromAsset);
+      conditions.push(`from_asset = $${params.length}`);
+    }
+    if (filter.toAsset) {
+      params.push(filter.toAsset);
+      conditions.push(`to_asset = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await query(`SELECT * FROM atomic_swaps ${where} ORDER BY created_at DESC`, params);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async summarize() {
+    const rows = await query(`
+      SELECT status, COUNT(*)::int AS count, COALESCE(SUM(amount), 0)::float AS volume
+      FROM atomic_swaps
+      GROUP BY status
+    `);
+
+    return rows.map(row => ({ status: row.status, count: row.count, volume: row.volume }));
+  }
+}
+
+class MemorySwapStore {
+  constructor() {
+    this.name = 'memory';
+    this.swaps = new Map();
+    this.history = new Map(); // swapId -> transitions
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - swaps are kept in memory and lost on restart');
+  }
+
+  // Copies keep callers from mutating stored records outside update()
+  clone(swap) {
+    return JSON.parse(JSON.stringify(swap));
+  }
+
+  async insert(swap, transition) {
+    if (this.swaps.has(swap.swapId)) {
+      throw new Error(`Swap ${swap.swapId} already exists`);
+    }
+
+    const stored = { ...this.clone(swap), version: 1 };
+    this.swaps.set(swap.swapId, stored);
+    this.history.set(swap.swapId, [{ ...transition, swapVersion: 1 }]);
+    return this.clone(stored);
+  }
+
+  async update(swap, transition = null) {
+    const current = this.swaps.get(swap.swapId);
+    if (!current || current.version !== swap.version) {
+      throw versionConflict(swap.swapId);
+    }
+
+    const stored = { ...this.clone(swap), version: current.version + 1 };
+    this.swaps.set(swap.swapId, stored);
+    if (transition) {
+      this.history.get(swap.swapId).push({ ...transition, swapVersion: stored.version });
+    }
+    return this.clone(stored);
+  }
+
+  async getHistory(swapId) {
+    return this.clone(this.history.get(swapId) || []);
+  }
+
+  async get(swapId) {
+    const swap = this.swaps.get(swapId);
+    return swap ? this.clone(swap) : null;
+  }
+
+  async find(filter = {}) {
+    return Array.from(this.swaps.values())
+      .filter(swap => matchesFilter(swap, filter))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(swap => this.clone(swap));
+  }
+
+  async summarize() {
+    const summary = new Map();
+
+    for (const swap of this.swaps.values()) {
+      const entry = summary.get(swap.status) || { status: swap.status, count: 0, volume: 0 };
+      entry.count++;
+      entry.volume += swap.amount;
+      summary.set(swap.status, entry);
+    }
+
+    return Array.from(summary.values());
+  }
+}
+
+const createSwapStore = () => {
+  return isDatabaseConfigured() ? new PostgresSwapStore() : new MemorySwapStore();
+};
+
+module.exports = {
+  createSwapStore,
+  PostgresSwapStore,
+  MemorySwapStore,
+  SECRET_FIELDS
+};
@@ -0,0 +1,102 @@
+/**
+ * Base Message Transport
+ * Common message encoding, handler invocation and status tracking shared by every transport
+ */
+
+/**
+ * Transports extend this class and implement:
+ *   connect()                    - open connections; rejects if the backend is unreachable
+ *   send(channel, body)          - publish an encoded message
+ *   listen(channel)              - start delivering the channel to this.deliver(channel, body)
+ *   close()
+ * Durable transports only acknowledge a message once its handler resolves; a handler
+ * that throws gets the message again, up to maxDeliveries.
+ */
+class MessageTransport {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.durable = Boolean(options.durable);
+    this.handlers = new Map(); // channel -> handler(message, meta)
+    this.connected = false;
+    this.lastError = null;
+    this.stats = { published: 0, received: 0, failed: 0, dropped: 0 };
+  }
+
+  async publish(channel, message) {
+    await this.send(channel, JSON.stringify(message));
+    this.stats.published++;
+  }
+
+  async subscribe(channel, handler) {
+    const listening = this.handlers.has(channel);
+    this.handlers.set(channel, handler);
+    if (!listening) {
+      await this.listen(channel);
+    }
+  }
+
+  /**
+   * Decode a message and run the channel's handler. Resolves true once handled, false
+   * for a message that can never be handled (undecodable); rejects if the handler threw.
+   */
+  async deliver(channel, body, meta = {}) {
+    const handler = this.handlers.get(channel);
+    if (!handler) {
+      return false;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      this.stats.dropped++;
+      console.error(`❌ Undecodable message on ${channel} dropped (${this.type} transport): ${error.message}`);
+      return false;
+    }
+
+    try {
+      await handler(message, { channel, transport: this.type, ...meta });
+      this.stats.received++;
+      return true;
+    } catch (error) {
+      this.stats.failed++;
+      this.lastError = { message: error.message, at: new Date().toISOString() };
+      throw error;
+    }
+  }
+
+  recordError(error) {
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+  }
+
+  async connect() {
+    throw new Error(`${this.type} transport must implement connect()`);
+  }
+
+  async send() {
+    throw new Error(`${this.type} transport must implement send()`);
+  }
+
+  async listen() {
+    throw new Error(`${this.type} transport must implement listen()`);
+  }
+
+  async close() {
+    this.connected = false;
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      durable: this.durable,
+      connected: this.connected,
+      channels: Array.from(this.handlers.keys()),
+      stats: this.stats,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  MessageTransport
+};
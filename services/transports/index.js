@@ -0,0 +1,29 @@
+/**
+ * Message Transports
+ * Factory for the transport behind services/messageBus.js (LIQUIDITY_TRANSPORT)
+ */
+
+const RedisPubSubTransport = require('./redisPubSubTransport');
+const RedisStreamsTransport = require('./redisStreamsTransport');
+const LocalTransport = require('./localTransport');
+
+const TRANSPORT_TYPES = {
+  redis: (config) => new RedisPubSubTransport(config),
+  streams: (config) => new RedisStreamsTransport(config),
+  memory: (config) => new LocalTransport('memory', config),
+  file: (config) => new LocalTransport('file', config)
+};
+
+// Build a transport of the given type from getMessagingConfig()
+const createTransport = (type, config) => {
+  const factory = TRANSPORT_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown message transport '${type}'. Use one of: ${Object.keys(TRANSPORT_TYPES).join(', ')}`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  createTransport,
+  TRANSPORT_TYPES
+};
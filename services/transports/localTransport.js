@@ -0,0 +1,165 @@
+/**
+ * Local Transport
+ * In-process delivery for single-node deployments, tests, and as the fallback while
+ * Redis is unreachable. Messages queue per channel and are handed to the subscriber one
+ * at a time; a failing handler gets the message again after retryMs, up to maxDeliveries.
+ *
+ *   memory - queues live in this process only
+ *   file   - queues are also written to <directory>/<channel>.jsonl and reloaded on
+ *            connect, so undelivered messages survive a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MessageTransport } = require('./baseTransport');
+
+class LocalTransport extends MessageTransport {
+  constructor(type, options = {}) {
+    super(type, { durable: type === 'file' });
+    this.options = options.local;
+    this.queues = new Map(); // channel -> [{ seq, body, deliveries }]
+    this.draining = new Set();
+    this.retryTimers = new Map();
+    this.seq = 0;
+  }
+
+  async connect() {
+    if (this.type === 'file') {
+      fs.mkdirSync(this.options.directory, { recursive: true });
+      fs.readdirSync(this.options.directory)
+        .filter(file => file.endsWith('.jsonl'))
+        .forEach(file => this.load(path.basename(file, '.jsonl')));
+    }
+    this.connected = true;
+  }
+
+  fileFor(channel) {
+    return path.join(this.options.directory, `${channel.replace(/[^a-zA-Z0-9_.-]/g, '_')}.jsonl`);
+  }
+
+  load(fileChannel) {
+    const lines = fs.readFileSync(path.join(this.options.directory, `${fileChannel}.jsonl`), 'utf8')
+      .split('\n')
+      .filter(Boolean);
+
+    lines.forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        this.seq = Math.max(this.seq, record.seq);
+        this.queueFor(record.channel).push(record);
+      } catch (error) {
+        console.error(`❌ Skipping unreadable queued message in ${fileChannel}.jsonl: ${error.message}`);
+      }
+    });
+  }
+
+  // Rewrite the channel's queue file (temp file + rename, so a crash never leaves it half written)
+  persist(channel) {
+    if (this.type !== 'file') {
+      return;
+    }
+
+    const file = this.fileFor(channel);
+    const queue = this.queueFor(channel);
+    if (queue.length === 0) {
+      fs.rmSync(file, { force: true });
+      return;
+    }
+
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, queue.map(record => JSON.stringify(record)).join('\n') + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  queueFor(channel) {
+    if (!this.queues.has(channel)) {
+      this.queues.set(channel, []);
+    }
+    return this.queues.get(channel);
+  }
+
+  async send(channel, body) {
+    if (!this.connected) {
+      throw new Error(`${this.type} transport is not connected`);
+    }
+
+    const queue = this.queueFor(channel);
+    queue.push({ seq: ++this.seq, channel, body, deliveries: 0 });
+    // Nobody consumes this channel here; keep only the newest messages
+    if (!this.handlers.has(channel) && queue.length > this.options.maxMessages) {
+      const dropped = queue.splice(0, queue.length - this.options.maxMessages);
+      this.stats.dropped += dropped.length;
+    }
+    this.persist(channel);
+    this.drain(channel);
+  }
+
+  async listen(channel) {
+    this.drain(channel);
+  }
+
+  // Deliver the channel's queue in order, one message at a time
+  drain(channel) {
+    if (!this.handlers.has(channel) || this.draining.has(channel) || this.retryTimers.has(channel)) {
+      return;
+    }
+
+    this.draining.add(channel);
+    setImmediate(async () => {
+      const queue = this.queueFor(channel);
+      try {
+        while (this.connected && queue.length > 0) {
+          const record = queue[0];
+          record.deliveries++;
+
+          let failed = false;
+          try {
+            await this.deliver(channel, record.body, { id: String(record.seq), deliveries: record.deliveries });
+          } catch (error) {
+            failed = true;
+            console.error(`❌ ${channel} handler failed for message ${record.seq} (delivery ${record.deliveries}/${this.options.maxDeliveries}):`, error.message);
+          }
+
+          if (failed && record.deliveries < this.options.maxDeliveries) {
+            this.persist(channel);
+            this.retryTimers.set(channel, setTimeout(() => {
+              this.retryTimers.delete(channel);
+              this.drain(channel);
+            }, this.options.retryMs));
+            return;
+          }
+
+          if (failed) {
+            this.stats.dropped++;
+            console.error(`❌ ${channel} message ${record.seq} dropped after ${record.deliveries} deliveries`);
+          }
+          queue.shift();
+          this.persist(channel);
+        }
+      } finally {
+        this.draining.delete(channel);
+      }
+    });
+  }
+
+  async close() {
+    this.connected = false;
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  // Messages still waiting for a subscriber or a successful delivery
+  pendingCount() {
+    return Array.from(this.queues.values()).reduce((total, queue) => total + queue.length, 0);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      pending: this.pendingCount(),
+      ...(this.type === 'file' ? { directory: this.options.directory } : {})
+    };
+  }
+}
+
+module.exports = LocalTransport;
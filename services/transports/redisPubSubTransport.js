@@ -0,0 +1,78 @@
+/**
+ * Redis Pub/Sub Transport
+ * PUBLISH/SUBSCRIBE on SHARED_REDIS_URL. Messages are delivered only to subscribers
+ * connected at the time, and a failing handler does not get the message again.
+ */
+
+const Redis = require('redis');
+const { MessageTransport } = require('./baseTransport');
+
+// Fail the first connection fast so the bus can fall back; reconnect with backoff afterwards
+const createRedisClient = (url, transport) => {
+  let ready = false;
+  const client = Redis.createClient({
+    url,
+    socket: {
+      connectTimeout: 5000,
+      reconnectStrategy: (retries, cause) => (ready ? Math.min(retries * 200, 5000) : cause)
+    }
+  });
+
+  client.on('ready', () => {
+    ready = true;
+    transport.connected = true;
+  });
+  client.on('error', (error) => transport.recordError(error));
+  client.on('reconnecting', () => {
+    transport.connected = false;
+  });
+  return client;
+};
+
+class RedisPubSubTransport extends MessageTransport {
+  constructor(options = {}) {
+    super('redis', options);
+    this.url = options.redisUrl;
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  async connect() {
+    this.publisher = createRedisClient(this.url, this);
+    this.subscriber = createRedisClient(this.url, this);
+
+    try {
+      await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+    } catch (error) {
+      await this.close();
+      throw new Error(`Redis unavailable: ${error.message}`);
+    }
+    this.connected = true;
+  }
+
+  async send(channel, body) {
+    if (!this.publisher || !this.publisher.isReady) {
+      throw new Error('Redis publisher is not connected');
+    }
+    await this.publisher.publish(channel, body);
+  }
+
+  async listen(channel) {
+    await this.subscriber.subscribe(channel, (body) => {
+      this.deliver(channel, body).catch(error => {
+        console.error(`❌ ${channel} handler failed (message not redelivered on Redis pub/sub):`, error.message);
+      });
+    });
+  }
+
+  async close() {
+    this.connected = false;
+    const clients = [this.publisher, this.subscriber].filter(Boolean);
+    this.publisher = null;
+    this.subscriber = null;
+    await Promise.all(clients.map(client => (client.isOpen ? client.quit() : client.disconnect()).catch(() => {})));
+  }
+}
+
+module.exports = RedisPubSubTransport;
+module.exports.createRedisClient = createRedisClient;
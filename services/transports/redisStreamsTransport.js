@@ -0,0 +1,152 @@
+/**
+ * Redis Streams Transport
+ * Each channel is a stream read through a consumer group, so every node of this service
+ * shares the work and a message survives restarts until it is acknowledged. Entries left
+ * unacknowledged longer than claimIdleMs (a crashed node, a failing handler) are claimed
+ * and delivered again, up to maxDeliveries.
+ */
+
+const { MessageTransport } = require('./baseTransport');
+const { createRedisClient } = require('./redisPubSubTransport');
+
+class RedisStreamsTransport extends MessageTransport {
+  constructor(options = {}) {
+    super('streams', { durable: true });
+    this.url = options.redisUrl;
+    this.options = options.streams;
+    this.publisher = null;
+    this.reader = null;
+    this.reading = false;
+    this.readLoop = null;
+    this.claimTimer = null;
+  }
+
+  async connect() {
+    this.publisher = createRedisClient(this.url, this);
+    // XREADGROUP BLOCK holds its connection, so reads get their own
+    this.reader = createRedisClient(this.url, this);
+
+    try {
+      await Promise.all([this.publisher.connect(), this.reader.connect()]);
+    } catch (error) {
+      await this.close();
+      throw new Error(`Redis unavailable: ${error.message}`);
+    }
+    this.connected = true;
+  }
+
+  async send(channel, body) {
+    if (!this.publisher || !this.publisher.isReady) {
+      throw new Error('Redis publisher is not connected');
+    }
+    await this.publisher.xAdd(channel, '*', { message: body }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.options.maxLength }
+    });
+  }
+
+  async listen(channel) {
+    try {
+      await this.publisher.xGroupCreate(channel, this.options.group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+
+    if (!this.reading) {
+      this.reading = true;
+      this.readLoop = this.read();
+      this.claimTimer = setInterval(() => this.reclaim(), this.options.claimIdleMs);
+    }
+  }
+
+  // Deliver an entry and acknowledge it unless the handler failed
+  async handleEntry(channel, entry, deliveries = 1) {
+    try {
+      await this.deliver(channel, entry.message.message, { id: entry.id, deliveries });
+    } catch (error) {
+      console.error(`❌ ${channel} handler failed for ${entry.id} (delivery ${deliveries}/${this.options.maxDeliveries}):`, error.message);
+      return;
+    }
+    await this.publisher.xAck(channel, this.options.group, entry.id);
+  }
+
+  async read() {
+    while (this.reading) {
+      try {
+        const streams = Array.from(this.handlers.keys()).map(key => ({ key, id: '>' }));
+        const results = await this.reader.xReadGroup(this.options.group, this.options.consumer, streams, {
+          COUNT: 50,
+          BLOCK: this.options.blockMs
+        });
+
+        for (const stream of results || []) {
+          for (const entry of stream.messages) {
+            await this.handleEntry(stream.name, entry);
+          }
+        }
+      } catch (error) {
+        if (!this.reading) {
+          break;
+        }
+        this.recordError(error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  // Claim entries idle past claimIdleMs; give up on those delivered maxDeliveries times
+  async reclaim() {
+    for (const channel of this.handlers.keys()) {
+      try {
+        const pending = await this.publisher.xPendingRange(channel, this.options.group, '-', '+', 50);
+        const idle = pending.filter(entry => entry.millisecondsSinceLastDelivery >= this.options.claimIdleMs);
+
+        for (const entry of idle) {
+          if (entry.deliveriesCounter >= this.options.maxDeliveries) {
+            await this.publisher.xAck(channel, this.options.group, entry.id);
+            this.stats.dropped++;
+            console.error(`❌ ${channel} entry ${entry.id} dropped after ${entry.deliveriesCounter} deliveries`);
+            continue;
+          }
+
+          const claimed = await this.publisher.xClaim(channel, this.options.group, this.options.consumer, this.options.claimIdleMs, entry.id);
+          for (const claimedEntry of claimed.filter(Boolean)) {
+            await this.handleEntry(channel, claimedEntry, entry.deliveriesCounter + 1);
+          }
+        }
+      } catch (error) {
+        this.recordError(error);
+      }
+    }
+  }
+
+  async close() {
+    this.connected = false;
+    this.reading = false;
+    if (this.claimTimer) {
+      clearInterval(this.claimTimer);
+      this.claimTimer = null;
+    }
+
+    const clients = [this.publisher, this.reader].filter(Boolean);
+    this.publisher = null;
+    this.reader = null;
+    // Disconnecting the reader aborts its blocked XREADGROUP
+    await Promise.all(clients.map(client => client.disconnect().catch(() => {})));
+    if (this.readLoop) {
+      await this.readLoop;
+      this.readLoop = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      group: this.options.group,
+      consumer: this.options.consumer
+    };
+  }
+}
+
+module.exports = RedisStreamsTransport;
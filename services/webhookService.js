@@ -0,0 +1,272 @@
+/**
+ * Webhook Service
+ * Durable processing of inbound provider webhooks. Each webhook is stored before it is
+ * acknowledged and de-duplicated by the provider's event id, then handed to the handler
+ * registered for its provider and type in the background.
+ *
+ * A failed attempt is retried after WEBHOOK_RETRY_BASE_MS, doubling up to WEBHOOK_RETRY_MAX_MS.
+ * After WEBHOOK_MAX_ATTEMPTS the event is dead-lettered until an admin replays it.
+ * Handlers must be idempotent: a replay, or a retry after a crash, runs them again.
+ *
+ * The retry worker reads time from `this.clock`, so tests can replace it with a fake clock.
+ */
+
+const crypto = require('crypto');
+const { createWebhookStore } = require('./webhookStore');
+const metricsService = require('./metricsService');
+const { getWebhookConfig } = require('../config/xrplConfig');
+
+const WEBHOOK_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored', // No handler for the event type
+  FAILED: 'failed', // Retried at nextAttemptAt
+  DEAD_LETTER: 'dead_letter'
+};
+
+metricsService.register('webhook_events_total', 'counter', 'Inbound webhooks by provider, type and result');
+metricsService.register('webhook_processing_total', 'counter', 'Webhook processing attempts by provider and result');
+metricsService.register('webhook_worker_last_run_timestamp_seconds', 'gauge', 'Unix time of the last completed webhook retry run');
+
+class WebhookService {
+  constructor() {
+    this.config = getWebhookConfig();
+    this.store = createWebhookStore();
+    this.clock = () => new Date();
+    this.handlers = new Map(); // `${provider}:${eventType}` -> handler
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    console.log(`📬 Webhook service using ${this.store.name} store`);
+  }
+
+  /**
+   * Register the handler for a provider's event type. It receives the event's data and
+   * the stored event, and may return { positionId?, swapId? } to link the event.
+   */
+  registerHandler(provider, eventType, handler) {
+    this.handlers.set(`${provider}:${eventType}`, handler);
+  }
+
+  // Provider event id, or a digest of the resource state when the payload has none
+  getEventId(provider, payload) {
+    if (payload.id || payload.notificationId) {
+      return String(payload.id || payload.notificationId);
+    }
+
+    const data = payload.data || {};
+    return `${provider}_${crypto.createHash('sha256').update(`${payload.type}:${data.id}:${data.status}`).digest('hex').slice(0, 32)}`;
+  }
+
+  /**
+   * Store an inbound webhook ({ id?, type, data }) and process it in the background.
+   * Returns { event, duplicate }; a redelivered event is not processed again.
+   */
+  async receive(provider, payload) {
+    const data = payload.data || {};
+    const { event, duplicate } = await this.store.insertEvent({
+      eventId: this.getEventId(provider, payload),
+      provider,
+      eventType: payload.type || 'unknown',
+      resourceId: data.id ? String(data.id) : 'unknown',
+      resourceStatus: data.status || 'unknown',
+      processingStatus: WEBHOOK_STATUS.RECEIVED,
+      payload,
+      receivedAt: this.clock().toISOString()
+    });
+
+    metricsService.increment('webhook_events_total', { provider, type: event.eventType, result: duplicate ? 'duplicate' : 'received' });
+    if (duplicate) {
+      console.log(`📬 Duplicate ${provider} webhook ${event.eventId} ignored (${event.processingStatus})`);
+      return { event, duplicate };
+    }
+
+    setImmediate(() => this.processEvent(event).catch(error => {
+      console.error(`❌ Webhook ${event.eventId} processing failed:`, error.message);
+    }));
+    return { event, duplicate };
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), this.config.retryMaxMs);
+  }
+
+  // Run one attempt; returns the updated event, or null if another worker claimed it
+  async processEvent(event) {
+    const at = this.clock();
+    const claimed = await this.store.claimEvent(event, at);
+    if (!claimed) {
+      return null;
+    }
+
+    const handler = this.handlers.get(`${claimed.provider}:${claimed.eventType}`);
+    if (!handler) {
+      console.warn(`⚠️ No handler for ${claimed.provider} webhook type ${claimed.eventType}, event ${claimed.eventId} ignored`);
+      metricsService.increment('webhook_processing_total', { provider: claimed.provider, result: 'ignored' });
+      return this.store.updateEvent(claimed.eventId, {
+        processingStatus: WEBHOOK_STATUS.IGNORED,
+        processedAt: at,
+        error: null
+      }, WEBHOOK_STATUS.PROCESSING);
+    }
+
+    const attempts = claimed.attempts + 1;
+    try {
+      const links = (await handler(claimed.payload.data || {}, claimed)) || {};
+      metricsService.increment('webhook_processing_total', { provider: claimed.provider, result: 'processed' });
+      console.log(`📬 ${claimed.provider} ${claimed.eventType} webhook ${claimed.eventId} processed`);
+
+      return this.store.updateEvent(claimed.eventId, {
+        processingStatus: WEBHOOK_STATUS.PROCESSED,
+        processed: true,
+        processedAt: this.clock(),
+        error: null,
+        attempts,
+        nextAttemptAt: null,
+        ...(links.positionId && { positionId: links.positionId }),
+        ...(links.swapId && { swapId: links.swapId })
+      }, WEBHOOK_STATUS.PROCESSING);
+    } catch (error) {
+      const deadLetter = attempts >= this.config.maxAttempts;
+      metricsService.increment('webhook_processing_total', { provider: claimed.provider, result: deadLetter ? 'dead_letter' : 'failed' });
+
+      if (deadLetter) {
+        console.error(`❌ ${claimed.provider} webhook ${claimed.eventId} dead-lettered after ${attempts} attempt(s): ${error.message}`);
+      } else {
+        console.warn(`⚠️ ${claimed.provider} webhook ${claimed.eventId} attempt ${attempts} failed, retrying: ${error.message}`);
+      }
+
+      return this.store.updateEvent(claimed.eventId, {
+        processingStatus: deadLetter ? WEBHOOK_STATUS.DEAD_LETTER : WEBHOOK_STATUS.FAILED,
+        error: error.message,
+        attempts,
+        nextAttemptAt: deadLetter ? null : new Date(at.getTime() + this.getRetryDelay(attempts)),
+        ...(deadLetter && { deadLetteredAt: this.clock() })
+      }, WEBHOOK_STATUS.PROCESSING);
+    }
+  }
+
+  async getEvent(eventId) {
+    return this.store.getEvent(eventId);
+  }
+
+  async getEventOrThrow(eventId) {
+    const event = await this.store.getEvent(eventId);
+    if (!event) {
+      throw new Error(`Webhook event ${eventId} not found`);
+    }
+    return event;
+  }
+
+  async listEvents(filter = {}) {
+    return this.store.listEvents(filter);
+  }
+
+  /**
+   * Reset an event (normally dead-lettered) to received with a fresh attempt budget and
+   * process it now. Returns the event after the attempt.
+   */
+  async replay(eventId, admin) {
+    const event = await this.getEventOrThrow(eventId);
+    if (event.processingStatus === WEBHOOK_STATUS.PROCESSING) {
+      throw new Error(`Webhook event ${eventId} is already being processed`);
+    }
+
+    const reset = await this.store.updateEvent(eventId, {
+      processingStatus: WEBHOOK_STATUS.RECEIVED,
+      processed: false,
+      processedAt: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      deadLetteredAt: null,
+      replayCount: event.replayCount + 1,
+      replayedAt: this.clock(),
+      replayedBy: admin
+    }, event.processingStatus);
+    if (!reset) {
+      throw new Error(`Webhook event ${eventId} was modified concurrently, retry the request`);
+    }
+
+    console.log(`📬 Webhook ${eventId} replayed by ${admin} (was ${event.processingStatus})`);
+    return (await this.processEvent(reset)) || this.getEventOrThrow(eventId);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.config.checkIntervalMs);
+    console.log(`📬 Webhook retry worker started (every ${this.config.checkIntervalMs / 1000}s, up to ${this.config.maxAttempts} attempts)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('📬 Webhook retry worker stopped');
+    }
+  }
+
+  // Process events that are new, due for a retry, or stuck in an abandoned attempt
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const at = this.clock();
+    const summary = { at: at.toISOString(), attempted: 0, processed: 0, failed: 0, deadLettered: 0, errors: [] };
+
+    try {
+      const due = await this.store.listDueEvents(at, new Date(at.getTime() - this.config.processingTimeoutMs));
+      for (const event of due) {
+        try {
+          const result = await this.processEvent(event);
+          if (!result) {
+            continue;
+          }
+          summary.attempted += 1;
+          if (result.processingStatus === WEBHOOK_STATUS.DEAD_LETTER) summary.deadLettered += 1;
+          else if (result.processingStatus === WEBHOOK_STATUS.FAILED) summary.failed += 1;
+          else summary.processed += 1;
+        } catch (error) {
+          summary.errors.push({ eventId: event.eventId, error: error.message });
+        }
+      }
+
+      metricsService.set('webhook_worker_last_run_timestamp_seconds', Math.floor(this.clock().getTime() / 1000));
+    } catch (error) {
+      console.error('❌ Webhook retry run failed:', error.message);
+      summary.errors.push({ error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.lastRun = summary;
+    return summary;
+  }
+
+  async getStatus() {
+    return {
+      store: this.store.name,
+      running: Boolean(this.timer),
+      maxAttempts: this.config.maxAttempts,
+      retryBaseMs: this.config.retryBaseMs,
+      retryMaxMs: this.config.retryMaxMs,
+      checkIntervalMs: this.config.checkIntervalMs,
+      handlers: Array.from(this.handlers.keys()),
+      events: await this.store.countByStatus(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.WEBHOOK_STATUS = WEBHOOK_STATUS;
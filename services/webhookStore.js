@@ -0,0 +1,244 @@
+/**
+ * Webhook Store
+ * Inbound provider webhooks and their processing state. Uses the webhook_events table
+ * when DATABASE_URL is set, otherwise an in-memory store (development only).
+ *
+ * Events are keyed by the provider's event id (eventId), so a redelivered webhook is
+ * stored once. Processing is claimed with a status check, so two workers cannot run
+ * the same event at the same time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDatabaseConfigured, query } = require('../config/database');
+
+// Event fields that change while it is processed, and their columns
+const EVENT_COLUMNS = {
+  processingStatus: 'processing_status',
+  processed: 'processed',
+  processedAt: 'processed_at',
+  error: 'error_message',
+  attempts: 'retry_count',
+  nextAttemptAt: 'next_attempt_at',
+  lastAttemptAt: 'last_attempt_at',
+  deadLetteredAt: 'dead_lettered_at',
+  replayCount: 'replay_count',
+  replayedAt: 'replayed_at',
+  replayedBy: 'replayed_by',
+  positionId: 'position_id',
+  swapId: 'swap_id'
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+class PostgresWebhookStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    const schema = fs.readFileSync(path.join(__dirname, '../scripts/webhook_schema.sql'), 'utf8');
+    await query(schema);
+  }
+
+  eventFromRow(row) {
+    return {
+      eventId: row.webhook_id,
+      provider: row.provider,
+      eventType: row.event_type,
+      resourceId: row.resource_id,
+      resourceStatus: row.status,
+      processingStatus: row.processing_status,
+      processed: row.processed,
+      processedAt: toIso(row.processed_at),
+      error: row.error_message,
+      attempts: row.retry_count,
+      nextAttemptAt: toIso(row.next_attempt_at),
+      lastAttemptAt: toIso(row.last_attempt_at),
+      deadLetteredAt: toIso(row.dead_lettered_at),
+      replayCount: row.replay_count,
+      replayedAt: toIso(row.replayed_at),
+      replayedBy: row.replayed_by,
+      positionId: row.position_id,
+      swapId: row.swap_id,
+      payload: row.raw_payload,
+      receivedAt: toIso(row.received_at)
+    };
+  }
+
+  // Returns { event, duplicate }; a known eventId returns the stored event
+  async insertEvent(event) {
+    const rows = await query(`
+      INSERT INTO webhook_events (
+        webhook_id, provider, event_type, resource_id, status, processing_status, raw_payload, received_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (webhook_id) DO NOTHING
+      RETURNING *
+    `, [
+      event.eventId, event.provider, event.eventType, event.resourceId, event.resourceStatus,
+      event.processingStatus, JSON.stringify(event.payload), event.receivedAt
+    ]);
+
+    if (rows.length > 0) {
+      return { event: this.eventFromRow(rows[0]), duplicate: false };
+    }
+    return { event: await this.getEvent(event.eventId), duplicate: true };
+  }
+
+  async getEvent(eventId) {
+    const rows = await query('SELECT * FROM webhook_events WHERE webhook_id = $1', [eventId]);
+    return rows.length > 0 ? this.eventFromRow(rows[0]) : null;
+  }
+
+  // filter: { processingStatus?, provider?, eventType?, limit? }
+  async listEvents(filter = {}) {
+    const rows = await query(`
+      SELECT * FROM webhook_events
+      WHERE ($1::text IS NULL OR processing_status = $1)
+        AND ($2::text IS NULL OR provider = $2)
+        AND ($3::text IS NULL OR event_type = $3)
+      ORDER BY id DESC
+      LIMIT $4
+    `, [filter.processingStatus || null, filter.provider || null, filter.eventType || null, filter.limit || 100]);
+    return rows.map(row => this.eventFromRow(row));
+  }
+
+  // Events to process: new, failed and due for a retry, or stuck in an attempt that started before staleBefore
+  async listDueEvents(at, staleBefore, limit = 50) {
+    const rows = await query(`
+      SELECT * FROM webhook_events
+      WHERE (processing_status IN ('received', 'failed') AND (next_attempt_at IS NULL OR next_attempt_at <= $1))
+         OR (processing_status = 'processing' AND last_attempt_at < $2)
+      ORDER BY id ASC
+      LIMIT $3
+    `, [at, staleBefore, limit]);
+    return rows.map(row => this.eventFromRow(row));
+  }
+
+  async countByStatus() {
+    const rows = await query('SELECT processing_status, COUNT(*) AS count FROM webhook_events GROUP BY processing_status');
+    return Object.fromEntries(rows.map(row => [row.processing_status, parseInt(row.count)]));
+  }
+
+  // Start an attempt if the event has not changed since it was read; null if another worker got it
+  async claimEvent(event, at) {
+    const rows = await query(`
+      UPDATE webhook_events SET processing_status = 'processing', last_attempt_at = $4
+      WHERE webhook_id = $1 AND processing_status = $2
+        AND (last_attempt_at = $3 OR (last_attempt_at IS NULL AND $3::timestamptz IS NULL))
+      RETURNING *
+    `, [event.eventId, event.processingStatus, event.lastAttemptAt, at]);
+    return rows.length > 0 ? this.eventFromRow(rows[0]) : null;
+  }
+
+  // Apply changes if the event is still in expectedStatus; null if it moved on
+  async updateEvent(eventId, changes, expectedStatus = null) {
+    const fields = Object.keys(changes).filter(field => EVENT_COLUMNS[field]);
+    const assignments = fields.map((field, index) => `${EVENT_COLUMNS[field]} = $${index + 3}`);
+    const rows = await query(`
+      UPDATE webhook_events SET ${assignments.join(', ')}
+      WHERE webhook_id = $1 AND ($2::text IS NULL OR processing_status = $2)
+      RETURNING *
+    `, [eventId, expectedStatus, ...fields.map(field => changes[field])]);
+    return rows.length > 0 ? this.eventFromRow(rows[0]) : null;
+  }
+}
+
+class MemoryWebhookStore {
+  constructor() {
+    this.name = 'memory';
+    this.events = new Map(); // eventId -> event, in insertion order
+  }
+
+  async initialize() {
+    console.warn('⚠️ DATABASE_URL not set - webhook events are kept in memory and lost on restart');
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insertEvent(event) {
+    if (this.events.has(event.eventId)) {
+      return { event: this.clone(this.events.get(event.eventId)), duplicate: true };
+    }
+
+    const stored = {
+      ...this.clone(event),
+      processed: false,
+      processedAt: null,
+      error: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      lastAttemptAt: null,
+      deadLetteredAt: null,
+      replayCount: 0,
+      replayedAt: null,
+      replayedBy: null,
+      positionId: null,
+      swapId: null
+    };
+    this.events.set(event.eventId, stored);
+    return { event: this.clone(stored), duplicate: false };
+  }
+
+  async getEvent(eventId) {
+    const event = this.events.get(eventId);
+    return event ? this.clone(event) : null;
+  }
+
+  async listEvents(filter = {}) {
+    return this.clone(Array.from(this.events.values())
+      .filter(event => (!filter.processingStatus || event.processingStatus === filter.processingStatus) &&
+        (!filter.provider || event.provider === filter.provider) &&
+        (!filter.eventType || event.eventType === filter.eventType))
+      .reverse()
+      .slice(0, filter.limit || 100));
+  }
+
+  async listDueEvents(at, staleBefore, limit = 50) {
+    return this.clone(Array.from(this.events.values())
+      .filter(event => (['received', 'failed'].includes(event.processingStatus) &&
+          (!event.nextAttemptAt || new Date(event.nextAttemptAt) <= at)) ||
+        (event.processingStatus === 'processing' && new Date(event.lastAttemptAt) < staleBefore))
+      .slice(0, limit));
+  }
+
+  async countByStatus() {
+    const counts = {};
+    this.events.forEach(event => { counts[event.processingStatus] = (counts[event.processingStatus] || 0) + 1; });
+    return counts;
+  }
+
+  async claimEvent(expected, at) {
+    const event = this.events.get(expected.eventId);
+    if (!event || event.processingStatus !== expected.processingStatus || event.lastAttemptAt !== expected.lastAttemptAt) {
+      return null;
+    }
+
+    Object.assign(event, { processingStatus: 'processing', lastAttemptAt: toIso(at) });
+    return this.clone(event);
+  }
+
+  async updateEvent(eventId, changes, expectedStatus = null) {
+    const event = this.events.get(eventId);
+    if (!event || (expectedStatus && event.processingStatus !== expectedStatus)) {
+      return null;
+    }
+
+    Object.keys(changes)
+      .filter(field => EVENT_COLUMNS[field])
+      .forEach(field => { event[field] = changes[field] instanceof Date ? changes[field].toISOString() : this.clone(changes[field]); });
+    return this.clone(event);
+  }
+}
+
+const createWebhookStore = () => {
+  return isDatabaseConfigured() ? new PostgresWebhookStore() : new MemoryWebhookStore();
+};
+
+module.exports = {
+  createWebhookStore,
+  PostgresWebhookStore,
+  MemoryWebhookStore
+};
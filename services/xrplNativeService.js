@@ -1,10 +1,13 @@
 const { Client, Wallet, xrpToDrops, dropsToXrp } = require('xrpl');
 const { createTrustLineMemo } = require('../utils/trustLineHelpers');
+const { createSigner } = require('./signers');
+const { getSignerConfig, getMemoConfig } = require('../config/xrplConfig');
+const { PLEDGE_MEMO_TYPE, documentsDigest } = require('../utils/documentHashing');
 
 class XRPLNativeService {
   constructor() {
     this.client = null;
-    this.issuerWallet = null;
+    this.issuerSigner = null;
     this.isConnected = false;
   }
 
@@ -21,10 +24,15 @@ class XRPLNativeService {
         console.log('✅ Connected to XRPL network:', process.env.XRPL_ENDPOINT);
       }
 
-      // Initialize issuer wallet if provided
-      if (process.env.XRPL_ISSUER_SECRET && !this.issuerWallet) {
-        this.issuerWallet = Wallet.fromSeed(process.env.XRPL_ISSUER_SECRET);
-        console.log('✅ Issuer wallet initialized:', this.issuerWallet.address);
+      // Initialize issuer signer (local seed, HSM or vault) if configured
+      const signerConfig = getSignerConfig();
+      if (!this.issuerSigner && (signerConfig.provider !== 'local' || signerConfig.local.seed)) {
+        this.issuerSigner = await createSigner(signerConfig).initialize();
+        console.log(`✅ Issuer signer initialized (${this.issuerSigner.name}):`, this.issuerSigner.address);
+
+        if (process.env.XRPL_ISSUER_ADDRESS && process.env.XRPL_ISSUER_ADDRESS !== this.issuerSigner.address) {
+          console.warn('⚠️ Issuer signer address does not match XRPL_ISSUER_ADDRESS');
+        }
       }
 
       return true;
@@ -144,6 +152,26 @@ class XRPLNativeService {
     }
   }
 
+  // Validated balance of a token held by an account (0 without a trust line to the issuer)
+  async getTokenBalance(address, tokenSymbol, issuer) {
+    await this.ensureConnection();
+
+    try {
+      const trustLines = await this.client.request({
+        command: 'account_lines',
+        account: address,
+        peer: issuer,
+        ledger_index: 'validated'
+      });
+
+      return trustLines.result.lines
+        .filter(line => line.currency === tokenSymbol && line.account === issuer)
+        .reduce((total, line) => total + parseFloat(line.balance), 0);
+    } catch (error) {
+      throw new Error(`Failed to get token balance: ${error.message}`);
+    }
+  }
+
   // Get transaction history
   async getTransactionHistory(address, limit = 10) {
     await this.ensureConnection();
@@ -177,6 +205,69 @@ class XRPLNativeService {
     }
   }
 
+  /**
+   * Outcome of a transaction whose submission failed or timed out, which may still apply.
+   * submission: { txHash, firstLedger, lastLedgerSequence } (services/signers/baseSigner.js)
+   * Waits while the validated ledger advances until the transaction validates or its
+   * LastLedgerSequence has passed. Returns { status, ledgerIndex?, transactionResult?, reason? }:
+   * 'success' or 'failed' once validated, 'expired' when no ledger it could be in has it,
+   * 'unknown' when that cannot be established (ledger history missing, no progress, errors).
+   */
+  async getTransactionOutcome(submission, options = {}) {
+    const pollIntervalMs = options.pollIntervalMs || 4000;
+    const stallTimeoutMs = options.stallTimeoutMs || 60000;
+    let lastLedger = null;
+    let lastProgressAt = Date.now();
+
+    try {
+      await this.ensureConnection();
+
+      while (true) {
+        // Read the validated ledger first, so a lookup after LastLedgerSequence is final
+        const validatedLedger = await this.client.getLedgerIndex();
+        let lookup;
+        try {
+          const response = await this.client.request({
+            command: 'tx',
+            transaction: submission.txHash,
+            min_ledger: submission.firstLedger,
+            max_ledger: submission.lastLedgerSequence
+          });
+          lookup = response.result;
+        } catch (error) {
+          if (error.data?.error !== 'txnNotFound') {
+            throw error;
+          }
+          lookup = { searchedAll: error.data.searched_all === true };
+        }
+
+        if (lookup.validated) {
+          const transactionResult = lookup.meta.TransactionResult;
+          return {
+            status: transactionResult === 'tesSUCCESS' ? 'success' : 'failed',
+            ledgerIndex: lookup.ledger_index,
+            transactionResult
+          };
+        }
+        if (validatedLedger > submission.lastLedgerSequence) {
+          return lookup.searchedAll
+            ? { status: 'expired' }
+            : { status: 'unknown', reason: `ledgers ${submission.firstLedger}-${submission.lastLedgerSequence} are not all available` };
+        }
+
+        if (validatedLedger !== lastLedger) {
+          lastLedger = validatedLedger;
+          lastProgressAt = Date.now();
+        } else if (Date.now() - lastProgressAt >= stallTimeoutMs) {
+          return { status: 'unknown', reason: `validated ledger stuck at ${validatedLedger}` };
+        }
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      }
+    } catch (error) {
+      return { status: 'unknown', reason: error.message };
+    }
+  }
+
   // Validate XRPL address
   async validateAddress(address) {
     try {
@@ -236,29 +327,8 @@ class XRPLNativeService {
     
     try {
       const wallet = Wallet.fromSeed(walletSeed);
-      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerWallet?.address;
-      
-      if (!issuer) {
-        throw new Error('No token issuer configured');
-      }
-
-      const trustSet = {
-        TransactionType: 'TrustSet',
-        Account: wallet.address,
-        LimitAmount: {
-          currency: tokenSymbol,
-          issuer: issuer,
-          value: limit
-        },
-        Memos: [
-          createTrustLineMemo('create_trustline', {
-            tokenSymbol,
-            limit,
-            issuer,
-            metadata
-          })
-        ]
-      };
+      const trustSet = this.buildTrustLineTx(wallet.address, tokenSymbol, limit, metadata);
+      const issuer = trustSet.LimitAmount.issuer;
 
       const prepared = await this.client.autofill(trustSet);
       const signed = wallet.sign(prepared);
@@ -281,13 +351,40 @@ class XRPLNativeService {
     }
   }
 
+  // Build unsigned TrustSet transaction for the RWA token
+  buildTrustLineTx(account, tokenSymbol = 'RWA', limit = '1000000', metadata = {}) {
+    const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerSigner?.address;
+    
+    if (!issuer) {
+      throw new Error('No token issuer configured');
+    }
+
+    return {
+      TransactionType: 'TrustSet',
+      Account: account,
+      LimitAmount: {
+        currency: tokenSymbol,
+        issuer: issuer,
+        value: limit
+      },
+      Memos: [
+        createTrustLineMemo('create_trustline', {
+          tokenSymbol,
+          limit,
+          issuer,
+          metadata
+        })
+      ]
+    };
+  }
+
   // Original create trust line method (for backward compatibility)
   async createTrustLine(walletSeed, tokenSymbol = 'RWA', limit = '1000000') {
     await this.ensureConnection();
     
     try {
       const wallet = Wallet.fromSeed(walletSeed);
-      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerWallet?.address;
+      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerSigner?.address;
       
       if (!issuer) {
         throw new Error('No token issuer configured');
@@ -321,17 +418,52 @@ class XRPLNativeService {
     }
   }
 
-  // Enhanced pledge asset and mint tokens with metadata
-  async pledgeAssetEnhanced(userAddress, assetType, assetAmount, assetDescription, tokenSymbol = 'RWA', metadata = {}) {
+  /**
+   * Add the document anchor to pledge memo data within getMemoConfig('PLEDGE').maxDataSize:
+   * the full document list, else a digest of it, else the digest without metadata.
+   * documents: [{ type, version, sha256 }]. Returns { memoData, documentAnchor }
+   */
+  buildPledgeMemoData(memoData, documents = []) {
+    if (documents.length === 0) {
+      return { memoData, documentAnchor: null };
+    }
+
+    const { maxDataSize } = getMemoConfig('PLEDGE');
+    const fits = (data) => Buffer.byteLength(JSON.stringify(data), 'utf8') <= maxDataSize;
+
+    const digest = documentsDigest(documents);
+    const withDigest = { ...memoData, documentsDigest: digest, documentCount: documents.length };
+    const candidates = [
+      { memo: 'list', data: { ...memoData, documents } },
+      { memo: 'digest', data: withDigest },
+      { memo: 'digest', data: { ...withDigest, metadata: undefined } }
+    ];
+
+    const candidate = candidates.find(({ data }) => fits(data));
+    if (!candidate) {
+      throw new Error(`Pledge memo with document digest exceeds ${maxDataSize} bytes`);
+    }
+    return {
+      memoData: candidate.data,
+      documentAnchor: { memo: candidate.memo, entries: documents, digest }
+    };
+  }
+
+  /**
+   * Enhanced pledge asset and mint tokens with metadata; documents are anchored in the memo.
+   * options.onSignRequest and options.onQueued are passed to the issuer signer (signAndSubmit).
+   */
+  async pledgeAssetEnhanced(userAddress, assetType, assetAmount, assetDescription, tokenSymbol = 'RWA', metadata = {}, documents = [], options = {}) {
     await this.ensureConnection();
-    
+
+    let documentAnchor = null;
     try {
-      if (!this.issuerWallet) {
-        throw new Error('Issuer wallet not configured');
+      if (!this.issuerSigner) {
+        throw new Error('Issuer signer not configured');
       }
 
       // Create enhanced memo with metadata
-      const enhancedMemoData = {
+      const pledgeMemo = this.buildPledgeMemoData({
         assetType,
         assetAmount,
         assetDescription,
@@ -340,36 +472,41 @@ class XRPLNativeService {
         timestamp: new Date().toISOString(),
         platform: 'XRPL-Native-RWA',
         version: '1.0.0'
-      };
+      }, documents);
+      const enhancedMemoData = pledgeMemo.memoData;
+      documentAnchor = pledgeMemo.documentAnchor;
 
       // Create payment to mint tokens
       const payment = {
         TransactionType: 'Payment',
-        Account: this.issuerWallet.address,
+        Account: this.issuerSigner.address,
         Destination: userAddress,
         Amount: {
           currency: tokenSymbol,
-          issuer: this.issuerWallet.address,
+          issuer: this.issuerSigner.address,
           value: assetAmount
         },
         Memos: [
           {
             Memo: {
-              MemoType: Buffer.from('AssetTokenization', 'utf8').toString('hex').toUpperCase(),
+              MemoType: Buffer.from(PLEDGE_MEMO_TYPE, 'utf8').toString('hex').toUpperCase(),
               MemoData: Buffer.from(JSON.stringify(enhancedMemoData), 'utf8').toString('hex').toUpperCase()
             }
           }
         ]
       };
 
-      const prepared = await this.client.autofill(payment);
-      const signed = this.issuerWallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      const { result, signRequestId } = await this.issuerSigner.signAndSubmit(this.client, payment, {
+        ...options,
+        note: `Mint ${assetAmount} ${tokenSymbol} to ${userAddress}`
+      });
 
       return {
         tokensMinted: assetAmount,
         tokenSymbol,
+        issuerAddress: this.issuerSigner.address,
         txHash: result.result.hash,
+        signRequestId,
         recipientAddress: userAddress,
         assetDetails: {
           type: assetType,
@@ -377,13 +514,19 @@ class XRPLNativeService {
           description: assetDescription
         },
         metadata,
+        documentAnchor,
         validated: result.result.validated,
         ledgerIndex: result.result.ledger_index,
         fee: result.result.Fee ? dropsToXrp(result.result.Fee) : '0',
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Failed to tokenize asset: ${error.message}`);
+      const wrapped = new Error(`Failed to tokenize asset: ${error.message}`);
+      // A submitted mint may still have applied (see getTransactionOutcome)
+      wrapped.submission = error.submission
+        ? { ...error.submission, issuerAddress: this.issuerSigner.address, documentAnchor }
+        : null;
+      throw wrapped;
     }
   }
 
@@ -392,18 +535,18 @@ class XRPLNativeService {
     await this.ensureConnection();
     
     try {
-      if (!this.issuerWallet) {
-        throw new Error('Issuer wallet not configured');
+      if (!this.issuerSigner) {
+        throw new Error('Issuer signer not configured');
       }
 
       // Create payment to mint tokens
       const payment = {
         TransactionType: 'Payment',
-        Account: this.issuerWallet.address,
+        Account: this.issuerSigner.address,
         Destination: userAddress,
         Amount: {
           currency: tokenSymbol,
-          issuer: this.issuerWallet.address,
+          issuer: this.issuerSigner.address,
           value: assetAmount
         },
         Memos: [
@@ -421,9 +564,9 @@ class XRPLNativeService {
         ]
       };
 
-      const prepared = await this.client.autofill(payment);
-      const signed = this.issuerWallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      const { result } = await this.issuerSigner.signAndSubmit(this.client, payment, {
+        note: `Mint ${assetAmount} ${tokenSymbol} to ${userAddress}`
+      });
 
       return {
         tokensMinted: assetAmount,
@@ -444,45 +587,27 @@ class XRPLNativeService {
   }
 
   // Redeem tokens (burn)
-  async redeemTokens(walletSeed, tokenAmount, tokenSymbol = 'RWA') {
+  async redeemTokens(walletSeed, tokenAmount, tokenSymbol = 'RWA', details = {}) {
     await this.ensureConnection();
     
+    let submission = null;
     try {
       const wallet = Wallet.fromSeed(walletSeed);
-      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerWallet?.address;
-      
-      if (!issuer) {
-        throw new Error('No token issuer configured');
-      }
-
-      // Send tokens back to issuer (burns them)
-      const payment = {
-        TransactionType: 'Payment',
-        Account: wallet.address,
-        Destination: issuer,
-        Amount: {
-          currency: tokenSymbol,
-          issuer: issuer,
-          value: tokenAmount
-        },
-        Memos: [
-          {
-            Memo: {
-              MemoType: Buffer.from('TokenRedemption', 'utf8').toString('hex').toUpperCase(),
-              MemoData: Buffer.from(JSON.stringify({
-                tokenAmount,
-                tokenSymbol,
-                timestamp: new Date().toISOString()
-              }), 'utf8').toString('hex').toUpperCase()
-            }
-          }
-        ]
-      };
+      const payment = this.buildRedeemTx(wallet.address, tokenAmount, tokenSymbol, details);
 
       const prepared = await this.client.autofill(payment);
       const signed = wallet.sign(prepared);
+      submission = {
+        txHash: signed.hash,
+        firstLedger: await this.client.getLedgerIndex(),
+        lastLedgerSequence: prepared.LastLedgerSequence
+      };
       const result = await this.client.submitAndWait(signed.tx_blob);
 
+      if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+        throw new Error(`Burn failed: ${result.result.meta.TransactionResult}`);
+      }
+
       return {
         tokensBurned: tokenAmount,
         tokenSymbol,
@@ -492,27 +617,54 @@ class XRPLNativeService {
         ledgerIndex: result.result.ledger_index
       };
     } catch (error) {
-      throw new Error(`Failed to redeem tokens: ${error.message}`);
+      const wrapped = new Error(`Failed to redeem tokens: ${error.message}`);
+      // A submitted burn may still have applied (see getTransactionOutcome)
+      wrapped.submission = submission;
+      throw wrapped;
     }
   }
 
+  // Build unsigned redemption payment (tokens sent back to issuer are burned); details are added to the memo
+  buildRedeemTx(account, tokenAmount, tokenSymbol = 'RWA', details = {}) {
+    const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerSigner?.address;
+    
+    if (!issuer) {
+      throw new Error('No token issuer configured');
+    }
+
+    return {
+      TransactionType: 'Payment',
+      Account: account,
+      Destination: issuer,
+      Amount: {
+        currency: tokenSymbol,
+        issuer: issuer,
+        value: tokenAmount
+      },
+      Memos: [
+        {
+          Memo: {
+            MemoType: Buffer.from('TokenRedemption', 'utf8').toString('hex').toUpperCase(),
+            MemoData: Buffer.from(JSON.stringify({
+              ...details,
+              tokenAmount,
+              tokenSymbol,
+              timestamp: new Date().toISOString()
+            }), 'utf8').toString('hex').toUpperCase()
+          }
+        }
+      ]
+    };
+  }
+
   // Create DEX swap offer
   async createSwapOffer(walletSeed, fromAsset, toAsset, amount, exchangeRate) {
     await this.ensureConnection();
     
     try {
       const wallet = Wallet.fromSeed(walletSeed);
-      
-      // Parse assets
-      const takerGets = this.parseAsset(fromAsset, amount);
-      const takerPays = this.parseAsset(toAsset, exchangeRate ? (parseFloat(amount) * parseFloat(exchangeRate)).toString() : amount);
-
-      const offer = {
-        TransactionType: 'OfferCreate',
-        Account: wallet.address,
-        TakerGets: takerGets,
-        TakerPays: takerPays
-      };
+      const offer = this.buildSwapOfferTx(wallet.address, fromAsset, toAsset, amount, exchangeRate);
+      const takerPays = offer.TakerPays;
 
       const prepared = await this.client.autofill(offer);
       const signed = wallet.sign(prepared);
@@ -531,6 +683,20 @@ class XRPLNativeService {
     }
   }
 
+  // Build unsigned OfferCreate transaction
+  buildSwapOfferTx(account, fromAsset, toAsset, amount, exchangeRate) {
+    // Parse assets
+    const takerGets = this.parseAsset(fromAsset, amount);
+    const takerPays = this.parseAsset(toAsset, exchangeRate ? (parseFloat(amount) * parseFloat(exchangeRate)).toString() : amount);
+
+    return {
+      TransactionType: 'OfferCreate',
+      Account: account,
+      TakerGets: takerGets,
+      TakerPays: takerPays
+    };
+  }
+
   // Get order book
   async getOrderBook(base, counter) {
     await this.ensureConnection();
@@ -568,7 +734,7 @@ class XRPLNativeService {
     if (asset === 'XRP') {
       return xrpToDrops(amount);
     } else {
-      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerWallet?.address;
+      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerSigner?.address;
       return {
         currency: asset,
         issuer: issuer,
@@ -582,7 +748,7 @@ class XRPLNativeService {
     if (asset === 'XRP') {
       return { currency: 'XRP' };
     } else {
-      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerWallet?.address;
+      const issuer = process.env.DEFAULT_ASSET_ISSUER || this.issuerSigner?.address;
       return {
         currency: asset,
         issuer: issuer
@@ -590,6 +756,29 @@ class XRPLNativeService {
     }
   }
 
+  // Get issuer signer details and its sign requests
+  getSignerStatus(status = null) {
+    if (!this.issuerSigner) {
+      throw new Error('Issuer signer not configured');
+    }
+
+    return {
+      provider: this.issuerSigner.name,
+      address: this.issuerSigner.address,
+      algorithm: this.issuerSigner.algorithm,
+      signRequests: this.issuerSigner.listSignRequests(status)
+    };
+  }
+
+  // Get a single issuer sign request
+  getSignRequest(requestId) {
+    if (!this.issuerSigner) {
+      throw new Error('Issuer signer not configured');
+    }
+
+    return this.issuerSigner.getSignRequest(requestId);
+  }
+
   // Cleanup connection
   async disconnect() {
     if (this.client && this.isConnected) {
@@ -16,30 +16,12 @@ async function setupLiquidityDatabase() {
     try {
         console.log('🔗 Connected to database...');
         
-        // Check if rwa_tokens table exists
-        const rwaTableCheck = await client.query(`
-            SELECT EXISTS (
-                SELECT FROM information_schema.tables 
-                WHERE table_name = 'rwa_tokens'
-            );
-        `);
-        
-        if (!rwaTableCheck.rows[0].exists) {
-            console.log('📋 Creating rwa_tokens table...');
-            await client.query(`
-                CREATE TABLE rwa_tokens (
-                    token_id VARCHAR(255) PRIMARY KEY,
-                    asset_type VARCHAR(100) NOT NULL,
-                    asset_description TEXT,
-                    current_valuation DECIMAL(20,8),
-                    status VARCHAR(50) DEFAULT 'active',
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                );
-            `);
-            console.log('✅ rwa_tokens table created');
-        } else {
-            console.log('✅ rwa_tokens table already exists');
+        // RWA tokens are assets in the registry, which is built from the pledge records
+        console.log('📋 Applying pledge and asset registry schemas...');
+        for (const file of ['pledge_schema.sql', 'registry_schema.sql']) {
+            await client.query(fs.readFileSync(path.join(__dirname, 'scripts', file), 'utf8'));
         }
+        console.log('✅ Asset registry ready');
 
         // Create liquidity_positions table
         console.log('📋 Creating liquidity_positions table...');
@@ -78,7 +60,7 @@ async function setupLiquidityDatabase() {
                 metadata JSONB,
                 notes TEXT,
                 
-                CONSTRAINT fk_rwa_token FOREIGN KEY (rwa_token_id) REFERENCES rwa_tokens(token_id) ON DELETE CASCADE
+                CONSTRAINT fk_rwa_token FOREIGN KEY (rwa_token_id) REFERENCES assets(asset_id)
             );
         `);
         console.log('✅ liquidity_positions table created');
@@ -217,13 +199,13 @@ async function setupLiquidityDatabase() {
         console.log('📋 Inserting initial rate data...');
         await client.query(`
             INSERT INTO liquidity_rates_cache (asset_type, provider, ltv_ratio, interest_rate, fee_rate, min_amount, max_amount, processing_time_minutes) VALUES
-            ('real_estate', 'circle', 0.70, 0.08, 0.02, 1000, 100000, 5),
+            ('real-estate', 'circle', 0.70, 0.08, 0.02, 1000, 100000, 5),
             ('vehicle', 'circle', 0.80, 0.12, 0.025, 500, 50000, 3),
-            ('precious_metals', 'circle', 0.90, 0.06, 0.015, 100, 75000, 2),
+            ('precious-metals', 'circle', 0.90, 0.06, 0.015, 100, 75000, 2),
             ('bonds', 'circle', 0.95, 0.05, 0.01, 1000, 200000, 2),
             ('stocks', 'circle', 0.85, 0.10, 0.02, 100, 150000, 1),
             ('commodities', 'circle', 0.75, 0.15, 0.03, 500, 80000, 5),
-            ('real_estate', 'legacy_engine', 0.60, 0.10, 0.03, 5000, 50000, 120),
+            ('real-estate', 'legacy_engine', 0.60, 0.10, 0.03, 5000, 50000, 120),
             ('vehicle', 'legacy_engine', 0.70, 0.15, 0.035, 2000, 25000, 90)
             ON CONFLICT (asset_type, provider) DO NOTHING
         `);
@@ -232,9 +214,9 @@ async function setupLiquidityDatabase() {
         // Insert test RWA token
         console.log('📋 Inserting test RWA token...');
         await client.query(`
-            INSERT INTO rwa_tokens (token_id, asset_type, asset_description, current_valuation, status) 
-            VALUES ('test_token_001', 'real_estate', 'Test Property Token for Liquidity', 100000.00, 'active')
-            ON CONFLICT (token_id) DO NOTHING
+            INSERT INTO assets (asset_id, asset_type, owner_wallet, description, token_symbol, status, declared_value, appraised_value, appraised_at, minted_supply, created_at, updated_at)
+            VALUES ('test_token_001', 'real-estate', 'rrrrrrrrrrrrrrrrrrrrrhoLvTp', 'Test Property Token for Liquidity', 'RWA', 'TOKENIZED', 100000.00, 100000.00, NOW(), 100000.00, NOW(), NOW())
+            ON CONFLICT (asset_id) DO NOTHING
         `);
         console.log('✅ Test RWA token created');
 
@@ -0,0 +1,75 @@
+/**
+ * Encryption Utilities tests
+ */
+
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret, isEncryptionConfigured } = require('../encryption');
+
+const HEX_KEY = crypto.randomBytes(32).toString('hex');
+
+describe('encryption', () => {
+  const originalKey = process.env.DATA_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.DATA_ENCRYPTION_KEY = HEX_KEY;
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.DATA_ENCRYPTION_KEY;
+    } else {
+      process.env.DATA_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  test('round-trips a secret bound to its context', () => {
+    const payload = encryptSecret('sEdSecretSeed', 'swap-1');
+
+    expect(payload.startsWith('v1:')).toBe(true);
+    expect(payload).not.toContain('sEdSecretSeed');
+    expect(decryptSecret(payload, 'swap-1')).toBe('sEdSecretSeed');
+  });
+
+  test('uses a fresh IV for every encryption', () => {
+    expect(encryptSecret('same', 'swap-1')).not.toBe(encryptSecret('same', 'swap-1'));
+  });
+
+  test('accepts a base64 key', () => {
+    process.env.DATA_ENCRYPTION_KEY = Buffer.from(HEX_KEY, 'hex').toString('base64');
+    expect(decryptSecret(encryptSecret('secret'), '')).toBe('secret');
+  });
+
+  test('rejects a ciphertext moved to another record', () => {
+    const payload = encryptSecret('secret', 'swap-1');
+    expect(() => decryptSecret(payload, 'swap-2')).toThrow('Failed to decrypt secret');
+  });
+
+  test('rejects tampered ciphertext and a different key', () => {
+    const payload = encryptSecret('secret', 'swap-1');
+    const [version, iv, tag, ciphertext] = payload.split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 0xff;
+
+    expect(() => decryptSecret([version, iv, tag, flipped.toString('base64')].join(':'), 'swap-1')).toThrow('Failed to decrypt secret');
+
+    process.env.DATA_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+    expect(() => decryptSecret(payload, 'swap-1')).toThrow('Failed to decrypt secret');
+  });
+
+  test('rejects unknown payload versions', () => {
+    const payload = encryptSecret('secret').replace(/^v1:/, 'v0:');
+    expect(() => decryptSecret(payload)).toThrow('Unsupported encrypted payload version v0');
+  });
+
+  test('requires a 32-byte key', () => {
+    expect(isEncryptionConfigured()).toBe(true);
+
+    process.env.DATA_ENCRYPTION_KEY = 'abcd';
+    expect(isEncryptionConfigured()).toBe(false);
+    expect(() => encryptSecret('secret')).toThrow('DATA_ENCRYPTION_KEY must be 32 bytes');
+
+    delete process.env.DATA_ENCRYPTION_KEY;
+    expect(isEncryptionConfigured()).toBe(false);
+    expect(() => encryptSecret('secret')).toThrow('DATA_ENCRYPTION_KEY is not configured');
+  });
+});
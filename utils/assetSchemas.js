@@ -0,0 +1,59 @@
+/**
+ * Asset Schemas
+ * Compiled per-asset-type JSON Schemas for the details given with a pledge
+ * (getAssetSchemaConfig). A schema that does not compile stops the server at start-up.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getAssetSchemaConfig } = require('../config/xrplConfig');
+
+// The failed `if` itself adds nothing to the then/else error it comes with
+const formatErrors = (errors) => (errors || [])
+  .filter(error => error.keyword !== 'if')
+  .map(error => `assetDetails${error.instancePath} ${error.message}`);
+
+// { assetType: { version, schema, validate } }
+const compileAssetSchemas = () => {
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+
+  return Object.entries(getAssetSchemaConfig().schemas).reduce((compiled, [assetType, entry]) => {
+    try {
+      return { ...compiled, [assetType]: { version: entry.version, schema: entry.schema, validate: ajv.compile(entry.schema) } };
+    } catch (error) {
+      throw new Error(`Invalid asset schema for '${assetType}': ${error.message}`);
+    }
+  }, {});
+};
+
+const ASSET_SCHEMAS = compileAssetSchemas();
+
+// The schema for an asset type as { version, schema }; null if the type has none
+const getAssetSchema = (assetType) => {
+  const entry = ASSET_SCHEMAS[assetType];
+  return entry ? { version: entry.version, schema: entry.schema } : null;
+};
+
+/**
+ * Check pledge details against the asset type's schema. Types without a schema accept
+ * any object. Returns { valid, errors, schemaVersion }
+ */
+const validateAssetDetails = (assetType, details) => {
+  if (details !== undefined && (details === null || typeof details !== 'object' || Array.isArray(details))) {
+    return { valid: false, errors: ['assetDetails must be an object'], schemaVersion: null };
+  }
+
+  const entry = ASSET_SCHEMAS[assetType];
+  if (!entry) {
+    return { valid: true, errors: [], schemaVersion: null };
+  }
+
+  const valid = entry.validate(details || {});
+  return { valid, errors: valid ? [] : formatErrors(entry.validate.errors), schemaVersion: entry.version };
+};
+
+module.exports = {
+  getAssetSchema,
+  validateAssetDetails
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { parseMemo } = require('./xrplHelpers');
+
+/**
+ * Document Hashing
+ * SHA-256 content addresses for asset documents and their anchor in a mint memo.
+ *
+ * A mint memo (MemoType AssetTokenization) lists the asset's documents as
+ * `documents: [{ type, version, sha256 }]`. When the list does not fit the memo it
+ * carries `documentsDigest` and `documentCount` instead: the SHA-256 of one
+ * "type:version:sha256" line per document, sorted, joined with "\n".
+ */
+
+const PLEDGE_MEMO_TYPE = 'AssetTokenization';
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const sortEntries = (entries) => [...entries].sort((a, b) =>
+  a.type === b.type ? a.version - b.version : (a.type < b.type ? -1 : 1));
+
+// Digest of anchor entries ({ type, version, sha256 }), independent of their order
+const documentsDigest = (entries) => sha256(sortEntries(entries)
+  .map(entry => `${entry.type}:${entry.version}:${entry.sha256}`)
+  .join('\n'));
+
+// The pledge memo data of a validated `tx` response (result or result.tx_json); null if it has none
+const findPledgeMemo = (result) => {
+  const tx = result.tx_json || result;
+  const memo = (tx.Memos || [])
+    .map(entry => parseMemo(entry.Memo))
+    .find(parsed => parsed && parsed.type === PLEDGE_MEMO_TYPE);
+  return memo ? memo.data : null;
+};
+
+/**
+ * Check that a document hash is anchored by a pledge memo. A digest memo is checked
+ * against `entries`, the asset's anchored documents, which must include the hash.
+ * Returns { verified, method, reason }
+ */
+const verifyDocumentInMemo = (memoData, hash, entries = []) => {
+  if (!memoData) {
+    return { verified: false, method: null, reason: 'Transaction has no pledge memo' };
+  }
+
+  if (Array.isArray(memoData.documents)) {
+    const listed = memoData.documents.some(entry => entry.sha256 === hash);
+    return { verified: listed, method: 'list', reason: listed ? null : 'Hash not listed in the memo' };
+  }
+
+  if (memoData.documentsDigest) {
+    if (!entries.some(entry => entry.sha256 === hash)) {
+      return { verified: false, method: 'digest', reason: 'Hash not among the anchored documents' };
+    }
+    const matches = documentsDigest(entries) === memoData.documentsDigest && entries.length === memoData.documentCount;
+    return { verified: matches, method: 'digest', reason: matches ? null : 'Documents do not match the memo digest' };
+  }
+
+  return { verified: false, method: null, reason: 'Memo anchors no documents' };
+};
+
+module.exports = {
+  PLEDGE_MEMO_TYPE,
+  sha256,
+  documentsDigest,
+  findPledgeMemo,
+  verifyDocumentInMemo
+};
@@ -0,0 +1,70 @@
+/**
+ * Encryption Utilities
+ * AES-256-GCM encryption for secrets stored at rest (seeds, preimages)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// DATA_ENCRYPTION_KEY is 32 bytes, hex or base64 encoded
+const getEncryptionKey = () => {
+  const rawKey = process.env.DATA_ENCRYPTION_KEY;
+  if (!rawKey) {
+    throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(rawKey) ? Buffer.from(rawKey, 'hex') : Buffer.from(rawKey, 'base64');
+  if (key.length !== 32) {
+    throw new Error('DATA_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return key;
+};
+
+const isEncryptionConfigured = () => {
+  try {
+    getEncryptionKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Encrypt a string. The optional context (e.g. a record id) is bound as
+ * additional authenticated data, so a ciphertext cannot be moved to another record.
+ */
+const encryptSecret = (plaintext, context = '') => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decryptSecret = (payload, context = '') => {
+  const [version, iv, authTag, ciphertext] = payload.split(':');
+  if (version !== VERSION) {
+    throw new Error(`Unsupported encrypted payload version ${version}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Failed to decrypt secret (wrong key or tampered data)');
+  }
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isEncryptionConfigured
+};
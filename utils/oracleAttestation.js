@@ -0,0 +1,134 @@
+/**
+ * Oracle Attestations
+ * Signs oracle responses with an XRPL keypair (ed25519 or secp256k1) and verifies them.
+ * Only depends on crypto and ripple-keypairs, so counterparties can copy this file
+ * (or run scripts/verifyAttestation.js) to check attestations offline.
+ *
+ * An attested document is the original response plus an `attestation` field:
+ *   { ...payload, attestation: { version, keyId, algorithm, publicKey, issuedAt, expiresAt, payloadHash, signature } }
+ * payloadHash is the SHA-256 of the canonical JSON of the payload (the document without
+ * `attestation`). The signature covers the canonical JSON of every attestation field
+ * except the signature itself, so key id, expiry and hash cannot be swapped.
+ */
+
+const crypto = require('crypto');
+const { sign, verify } = require('ripple-keypairs');
+
+const ATTESTATION_VERSION = 1;
+
+// JSON with object keys sorted at every level; undefined values are dropped like JSON.stringify does
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+const hashPayload = (payload) => {
+  return crypto.createHash('sha256').update(canonicalize(payload), 'utf8').digest('hex').toUpperCase();
+};
+
+const getAlgorithm = (publicKey) => (publicKey.toUpperCase().startsWith('ED') ? 'ed25519' : 'secp256k1');
+
+const signingMessage = (attestation) => {
+  const { signature, ...fields } = attestation;
+  return Buffer.from(canonicalize(fields), 'utf8').toString('hex').toUpperCase();
+};
+
+/**
+ * key:     { keyId, publicKey, privateKey } (xrpl Wallet key format)
+ * options: { ttlSeconds, now }; ttlSeconds null issues an attestation that never expires
+ */
+const createAttestation = (payload, key, options = {}) => {
+  const now = options.now || new Date();
+  const { attestation: ignored, ...document } = payload;
+
+  const attestation = {
+    version: ATTESTATION_VERSION,
+    keyId: key.keyId,
+    algorithm: getAlgorithm(key.publicKey),
+    publicKey: key.publicKey,
+    issuedAt: now.toISOString(),
+    expiresAt: options.ttlSeconds === null ? null : new Date(now.getTime() + options.ttlSeconds * 1000).toISOString(),
+    payloadHash: hashPayload(document)
+  };
+  attestation.signature = sign(signingMessage(attestation), key.privateKey);
+
+  return { ...document, attestation };
+};
+
+/**
+ * Check an attested document against the oracle's published keys
+ * (GET /api/oracle/keys -> data.keys). Keys retired at `retiredAt` only verify
+ * attestations issued before then.
+ * Returns { valid, reason?, keyId, issuedAt, expiresAt, payloadHash }.
+ */
+const verifyAttestation = (document, publishedKeys, options = {}) => {
+  const now = options.now || new Date();
+  const { attestation, ...payload } = document || {};
+
+  if (!attestation) {
+    return { valid: false, reason: 'Document has no attestation' };
+  }
+
+  const result = {
+    keyId: attestation.keyId,
+    issuedAt: attestation.issuedAt,
+    expiresAt: attestation.expiresAt,
+    payloadHash: attestation.payloadHash
+  };
+  const fail = (reason) => ({ valid: false, reason, ...result });
+
+  if (attestation.version !== ATTESTATION_VERSION) {
+    return fail(`Unsupported attestation version ${attestation.version}`);
+  }
+
+  const key = (publishedKeys || []).find(candidate => candidate.keyId === attestation.keyId);
+  if (!key) {
+    return fail(`Unknown key ${attestation.keyId}`);
+  }
+  if (key.publicKey.toUpperCase() !== String(attestation.publicKey).toUpperCase()) {
+    return fail(`Public key does not match published key ${key.keyId}`);
+  }
+  if (key.retiredAt && new Date(attestation.issuedAt) >= new Date(key.retiredAt)) {
+    return fail(`Key ${key.keyId} was retired at ${key.retiredAt}`);
+  }
+  if (hashPayload(payload) !== attestation.payloadHash) {
+    return fail('Payload hash mismatch (payload was modified)');
+  }
+
+  let signatureValid = false;
+  try {
+    signatureValid = verify(signingMessage(attestation), attestation.signature, key.publicKey);
+  } catch (error) {
+    signatureValid = false;
+  }
+  if (!signatureValid) {
+    return fail('Invalid signature');
+  }
+
+  if (!options.ignoreExpiry && attestation.expiresAt !== null && now > new Date(attestation.expiresAt)) {
+    return fail(`Attestation expired at ${attestation.expiresAt}`);
+  }
+
+  return { valid: true, ...result };
+};
+
+module.exports = {
+  ATTESTATION_VERSION,
+  canonicalize,
+  hashPayload,
+  createAttestation,
+  verifyAttestation
+};